@@ -11,10 +11,16 @@ import koaConnect from 'koa-connect'
 import react_plugin from '@vitejs/plugin-react-swc'
 import routers from './src/api/index.js'
 import middlewares from './src/middlewares/index.js'
+import { syncLibraryWatchers } from './src/client/watcher.js'
+import { startScheduler } from './src/client/scheduler.js'
+import { getSessionSecret } from './src/client/database.js'
+import { ensureAdminUser } from './src/client/auth.js'
 
 const ENV = process.env.NODE_ENV?.trim().toLowerCase()
 
 const app = new Koa()
+//会话 Cookie 签名密钥（保存在数据库中，重启后会话仍然有效）
+app.keys = [getSessionSecret()]
 app.use(koa_etag())
 app.use(koa_compress({ threshold: 2048 }))
 app.use(koa_json())
@@ -38,7 +44,7 @@ app.use(koa_body.koaBody({
 }))
 app.use(koa_static('./web/public'), { maxAge : 7 * 24 * 60 * 60 * 1000 })
 app.use(koa_static('./.runtime/client'), { maxAge : 7 * 24 * 60 * 60 * 1000 })
-app.use(koa_session({key: 'KSESSIONID', overwrite: true, rolling: true, renew: true, signed:false, maxAge: 60 * 60 * 1000}, app))
+app.use(koa_session({key: 'KSESSIONID', overwrite: true, rolling: true, renew: true, signed: true, httpOnly: true, sameSite: 'lax', maxAge: 60 * 60 * 1000}, app))
 
 if(ENV == 'dev'){
   app.vite = await createViteServer({ server: { allowedHosts:true, middlewareMode: true }, appType: 'custom', plugins: [react_plugin()] })
@@ -65,4 +71,7 @@ process.on("unhandledRejection", (reason, promise) => {
 
 app.listen(process.env.PORT || 3000, () => {
   console.log('Server start at: http://localhost:' + (process.env.PORT || 3000))
+  ensureAdminUser()
+  syncLibraryWatchers()
+  startScheduler()
 })
\ No newline at end of file
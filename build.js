@@ -61,4 +61,5 @@ const buildResources = async(path) => {
 }
 
 fs.existsSync('.runtime') && fs.rmdirSync('.runtime', { recursive: true })
-await buildResources('web/index.jsx')
\ No newline at end of file
+await buildResources('web/index.jsx')
+await buildResources('web/login.jsx')
\ No newline at end of file
@@ -0,0 +1,138 @@
+import Router from 'koa-router';
+import { getUsers } from '../client/database.js';
+import { needsSetup, getSessionUser, startSession, endSession, createUser, createFirstAdmin, getLoginLockSeconds, authenticate, changePassword, removeUser } from '../client/auth.js';
+
+const router = new Router({ sensitive: true });
+
+/**
+ * 获取登录状态
+ * GET /api/auth/status
+ */
+router.get('/status', async (ctx) => {
+  const user = getSessionUser(ctx);
+  ctx.body = {
+    success: true,
+    data: { authenticated: !!user, user, needsSetup: needsSetup() }
+  };
+});
+
+/**
+ * 首次使用时创建管理员并登录（已有用户时不可用）
+ * POST /api/auth/setup
+ * body: { username, password }
+ */
+router.post('/setup', async (ctx) => {
+  if (!needsSetup()) {
+    ctx.status = 409;
+    ctx.body = { success: false, error: '管理员账号已存在，请直接登录' };
+    return;
+  }
+  const { username, password } = ctx.request.body || {};
+  let user;
+  try {
+    user = await createFirstAdmin({ username, password });
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return;
+  }
+  // 计算哈希期间其他请求已创建了管理员
+  if (!user) {
+    ctx.status = 409;
+    ctx.body = { success: false, error: '管理员账号已存在，请直接登录' };
+    return;
+  }
+  ctx.body = { success: true, data: startSession(ctx, user), message: '管理员账号创建成功' };
+});
+
+/**
+ * 登录
+ * POST /api/auth/login
+ * body: { username, password }
+ */
+router.post('/login', async (ctx) => {
+  const { username, password } = ctx.request.body || {};
+  const lockSeconds = getLoginLockSeconds(ctx.ip, username);
+  if (lockSeconds > 0) {
+    ctx.status = 429;
+    ctx.set('Retry-After', String(lockSeconds));
+    ctx.body = { success: false, error: `登录失败次数过多，请 ${Math.ceil(lockSeconds / 60)} 分钟后再试` };
+    return;
+  }
+  const user = await authenticate(username, password, ctx.ip);
+  if (!user) {
+    ctx.status = 401;
+    ctx.body = { success: false, error: '用户名或密码错误' };
+    return;
+  }
+  ctx.body = { success: true, data: startSession(ctx, user), message: '登录成功' };
+});
+
+/**
+ * 退出登录（该用户在其他设备上的会话同时失效）
+ * POST /api/auth/logout
+ */
+router.post('/logout', async (ctx) => {
+  endSession(ctx);
+  ctx.body = { success: true, message: '已退出登录' };
+});
+
+/**
+ * 修改当前用户的密码（其他设备上的会话需要重新登录）
+ * PUT /api/auth/password
+ * body: { currentPassword, newPassword }
+ */
+router.put('/password', async (ctx) => {
+  const { currentPassword, newPassword } = ctx.request.body || {};
+  try {
+    await changePassword(ctx, currentPassword, newPassword);
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return;
+  }
+  ctx.body = { success: true, message: '密码修改成功' };
+});
+
+/**
+ * 获取用户列表（仅管理员）
+ * GET /api/auth/users
+ */
+router.get('/users', async (ctx) => {
+  ctx.body = { success: true, data: getUsers() };
+});
+
+/**
+ * 添加用户（仅管理员）
+ * POST /api/auth/users
+ * body: { username, password, role: admin | user }
+ */
+router.post('/users', async (ctx) => {
+  const { username, password, role } = ctx.request.body || {};
+  let user;
+  try {
+    user = await createUser({ username, password, role: role || 'user' });
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return;
+  }
+  ctx.body = { success: true, data: user, message: '用户添加成功' };
+});
+
+/**
+ * 删除用户（仅管理员，不能删除自己和最后一个管理员）
+ * DELETE /api/auth/users/:id
+ */
+router.delete('/users/:id', async (ctx) => {
+  try {
+    removeUser(ctx.params.id, ctx.state.user.id);
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return;
+  }
+  ctx.body = { success: true, message: '用户已删除' };
+});
+
+export default router;
\ No newline at end of file
@@ -2,10 +2,12 @@ import web from './web.js'
 import music from './music.js'
 import settings from './settings.js'
 import online from './online.js'
+import auth from './auth.js'
 
 export default [
   { module: web, prefix: '/' },
   { module: music, prefix: '/api/music' },
   { module: settings, prefix: '/api/settings' },
   { module: online, prefix: '/api/online' },
+  { module: auth, prefix: '/api/auth' },
 ]
@@ -1,6 +1,8 @@
 import Router from 'koa-router';
 import fs from 'fs/promises';
 import { createReadStream } from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
 import {
   getAllTracks,
   getRandomTracks,
@@ -19,10 +21,46 @@ import {
   upsertAlbumInfo,
   upsertArtistInfo,
   updateState,
+  findLibrary,
+  getConfig,
+  defaultConfig,
+  genresPage,
+  findGenre,
+  getGenreAlbums,
+  getGenreArtists,
+  creditsPage,
+  findCredit,
+  getCreditFilter,
+  getIntegrityReport,
 } from '../client/database.js';
+import { getIntegrityProgress } from '../client/integrity.js';
+import { createTracksArchive } from '../client/download.js';
+import { getTrackWaveform } from '../client/waveform.js';
 import { writeMusicTags, formatArtistNames } from '../utils/musicUtil.js';
+import { getWavSegment, spawnAudioSegment, getAudioMimeType, parseRangeHeader } from '../utils/audioUtils.js';
+import { createLyricsResolver } from '../utils/lyricsUtils.js';
+import { getCoverFile, isCoverHash, getThumbnailSize } from '../utils/coverUtils.js';
+import {
+  resolveTranscodeOptions,
+  acquireTranscodeSlot,
+  spawnTranscode,
+  getTranscodeCachePath,
+  findTranscodeCache,
+  teeToTranscodeCache,
+  pruneTranscodeCache,
+} from '../utils/transcodeUtils.js';
+import {
+  resolveHlsOptions,
+  createHlsPlaylist,
+  getHlsSegmentCount,
+  getHlsSegmentCachePath,
+  createHlsSegment,
+  encodeHlsSegment,
+  readHlsSegmentCache,
+  saveHlsSegmentCache,
+} from '../utils/hlsUtils.js';
 
-const router = new Router();
+const router = new Router({ sensitive: true });
 
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
@@ -30,8 +68,10 @@ const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 router.get('/tracks', async (ctx) => {
   try {
     const { page = 1, pageSize = 10, sort = 'title', order = 'asc', search = '', filter } = ctx.query;
+    const { codec, lossless, minBitsPerSample, minSampleRate, minBitrate, maxBitrate } = ctx.query;
     const filterObj = filter ? JSON.parse(filter) : {};
-    const data = getAllTracks({ page: parseInt(page), pageSize: parseInt(pageSize), sort, order, search, filter: filterObj });
+    const quality = { codec, lossless, minBitsPerSample, minSampleRate, minBitrate, maxBitrate };
+    const data = getAllTracks({ page: parseInt(page), pageSize: parseInt(pageSize), sort, order, search, filter: filterObj, quality });
     ctx.body = { success: true, ...data }
   } catch (error) {
     console.error('获取音乐列表失败:', error);
@@ -72,6 +112,27 @@ router.get('/tracks/:id', async (ctx) => {
   }
 });
 
+// 获取音乐的波形（峰值数组，0-255），没有时立即生成并保存
+router.get('/tracks/:id/waveform', async (ctx) => {
+  const track = await findTrackById(ctx.params.id);
+  if (!track) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: '音乐不存在' };
+    return;
+  }
+  try {
+    const { peaks, duration } = await getTrackWaveform(track);
+    ctx.body = { success: true, data: { peaks, duration } };
+  } catch (error) {
+    console.error('生成波形失败:', error);
+    ctx.status = 500;
+    ctx.body = {
+      success: false,
+      error: error.code === 'ENOENT' && String(error.syscall).startsWith('spawn') ? '生成波形需要安装ffmpeg' : '生成波形失败'
+    };
+  }
+});
+
 // 收藏/取消收藏
 router.put('/tracks/:id/favorite', async (ctx) => {
   try {
@@ -131,6 +192,123 @@ router.get('/artists', async (ctx) => {
   }
 });
 
+// 获取流派列表
+router.get('/genres', async (ctx) => {
+  try {
+    const { query, page = 1, pageSize = 10, sort = 'trackCount' } = ctx.query;
+    const result = genresPage({ query, page: parseInt(page), pageSize: parseInt(pageSize), sort });
+    ctx.body = { success: true, ...result };
+  } catch (error) {
+    console.error('获取流派列表失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '获取流派列表失败' };
+  }
+});
+
+// 获取完整性检查报告（按媒体库列出损坏、不完整和检查失败的文件）
+router.get('/integrity', async (ctx) => {
+  try {
+    const { libraryId = '' } = ctx.query;
+    ctx.body = { success: true, data: { libraries: getIntegrityReport(libraryId), progress: getIntegrityProgress() } };
+  } catch (error) {
+    console.error('获取完整性检查报告失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '获取完整性检查报告失败' };
+  }
+});
+
+// 获取流派详情（包含该流派下的专辑和歌手）
+router.get('/genres/:id', async (ctx) => {
+  try {
+    const genre = findGenre(ctx.params.id);
+    if (!genre) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '流派不存在' };
+      return;
+    }
+    const albums = getGenreAlbums(genre.id);
+    const artists = getGenreArtists(genre.id);
+    ctx.body = { success: true, data: { ...genre, albums, artists } };
+  } catch (error) {
+    console.error('获取流派详情失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '获取流派详情失败' };
+  }
+});
+
+// 获取流派下的音乐（分页）
+router.get('/genres/:id/tracks', async (ctx) => {
+  try {
+    const genre = findGenre(ctx.params.id);
+    if (!genre) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '流派不存在' };
+      return;
+    }
+    const { page = 1, pageSize = 10, sort = 'title', order = 'asc', search = '' } = ctx.query;
+    const filter = {
+      genreId: { operator: 'SQL', condition: 'id IN (SELECT trackId FROM track_genres WHERE genreId = @genreId)', params: { genreId: genre.id } }
+    };
+    const data = getAllTracks({ page: parseInt(page), pageSize: parseInt(pageSize), sort, order, search, filter });
+    ctx.body = { success: true, ...data };
+  } catch (error) {
+    console.error('获取流派音乐失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '获取流派音乐失败' };
+  }
+});
+
+// 作曲者、作词者列表和详情（与艺术家接口一致）
+const CREDIT_ROUTES = [
+  { path: 'composers', role: 'composer', label: '作曲者' },
+  { path: 'lyricists', role: 'lyricist', label: '作词者' }
+];
+for (const { path: routePath, role, label } of CREDIT_ROUTES) {
+  // 获取列表
+  router.get(`/${routePath}`, async (ctx) => {
+    try {
+      const { query, page = 1, pageSize = 10 } = ctx.query;
+      const result = creditsPage(role, { query, page: parseInt(page), pageSize: parseInt(pageSize) });
+      ctx.body = { success: true, ...result };
+    } catch (error) {
+      console.error(`获取${label}列表失败:`, error);
+      ctx.status = 500;
+      ctx.body = { success: false, error: `获取${label}列表失败` };
+    }
+  });
+
+  // 获取详情（包含参与的专辑）
+  router.get(`/${routePath}/:name`, async (ctx) => {
+    try {
+      const credit = findCredit(role, ctx.params.name);
+      if (!credit) {
+        ctx.status = 404;
+        ctx.body = { success: false, error: `${label}不存在` };
+        return;
+      }
+      ctx.body = { success: true, data: credit };
+    } catch (error) {
+      console.error(`获取${label}详情失败:`, error);
+      ctx.status = 500;
+      ctx.body = { success: false, error: `获取${label}详情失败` };
+    }
+  });
+
+  // 获取音乐列表（分页）
+  router.get(`/${routePath}/:name/tracks`, async (ctx) => {
+    try {
+      const { page = 1, pageSize = 10, sort = 'title', order = 'asc', search = '' } = ctx.query;
+      const filter = getCreditFilter(role, ctx.params.name);
+      const data = getAllTracks({ page: parseInt(page), pageSize: parseInt(pageSize), sort, order, search, filter });
+      ctx.body = { success: true, ...data };
+    } catch (error) {
+      console.error(`获取${label}音乐失败:`, error);
+      ctx.status = 500;
+      ctx.body = { success: false, error: `获取${label}音乐失败` };
+    }
+  });
+}
+
 // 获取专辑详情
 router.get('/albums/:id', async (ctx) => {
   try {
@@ -141,7 +319,7 @@ router.get('/albums/:id', async (ctx) => {
       ctx.body = { success: false, error: '专辑不存在' };
       return;
     }
-    const tracks = await getTracksByAlbum(album.title);
+    const tracks = await getTracksByAlbum(album.id);
     ctx.body = { success: true, data: { ...album, tracks } };
   } catch (error) {
     console.error('获取专辑详情失败:', error);
@@ -150,6 +328,46 @@ router.get('/albums/:id', async (ctx) => {
   }
 });
 
+// 以附件形式返回 ZIP 压缩包（文件名使用 RFC 5987 编码以支持中文）
+const sendArchive = (ctx, archive) => {
+  const asciiName = archive.fileName.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+  ctx.compress = false;
+  ctx.set({
+    'Content-Disposition': `attachment; filename="${asciiName}"; filename*=UTF-8''${encodeURIComponent(archive.fileName)}`,
+    'Content-Length': String(archive.size)
+  });
+  if (archive.missing > 0) ctx.set('X-Missing-Files', String(archive.missing));
+  ctx.type = 'application/zip';
+  ctx.body = archive.stream;
+}
+
+// 下载专辑（ZIP，包含音乐文件、封面和 M3U 播放列表）
+router.get('/albums/:id/download', async (ctx) => {
+  try {
+    const album = await findAlbum(ctx.params.id);
+    if (!album) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '专辑不存在' };
+      return;
+    }
+    const archive = await createTracksArchive(getTracksByAlbum(album.id), {
+      name: album.artist ? `${album.artist} - ${album.title}` : album.title,
+      coverImage: album.coverImage,
+      ffmpegPath: getConfig().ffmpegPath || defaultConfig.ffmpegPath
+    });
+    if (!archive) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '专辑中没有可下载的音乐文件' };
+      return;
+    }
+    sendArchive(ctx, archive);
+  } catch (error) {
+    console.error('下载专辑失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '下载专辑失败' };
+  }
+});
+
 // 更新专辑信息
 router.put('/albums/:id', async (ctx) => {
   try {
@@ -164,21 +382,28 @@ router.put('/albums/:id', async (ctx) => {
     }
     const updateData = {
       title: title || existingAlbum.title,
-      artist: [artist] || existingAlbum.artist,
+      artist: artist || existingAlbum.artist,
       year: year || existingAlbum.year,
       coverImage: coverImage || existingAlbum.coverImage
     };
-    upsertAlbumInfo(updateData.title, updateData.artist, updateData.year, updateData.coverImage);
-    const tracks = getTracksByAlbum(existingAlbum.title);
+    // 修改专辑名称或专辑歌手后专辑ID随之变化，歌曲移到新的专辑下
+    const albumId = upsertAlbumInfo(updateData.title, updateData.artist, updateData.year, updateData.coverImage, {
+      compilation: existingAlbum.compilation,
+      musicbrainzId: existingAlbum.musicbrainzId
+    });
+    const tracks = getTracksByAlbum(existingAlbum.id);
     for (const track of tracks) {
       updateTrack(track.id, {
         album: updateData.title,
         albumArtist: updateData.artist,
+        albumId,
         coverImage: updateData.coverImage
       });
     }
-    const updatedAlbum = findAlbum(id);
-    const updatedTracks = getTracksByAlbum(updatedAlbum.title);
+    updateAlbumStats(albumId);
+    albumId !== existingAlbum.id && updateAlbumStats(existingAlbum.id);
+    const updatedAlbum = findAlbum(albumId);
+    const updatedTracks = getTracksByAlbum(albumId);
     ctx.body = {
       success: true,
       data: { ...updatedAlbum, tracks: updatedTracks },
@@ -235,6 +460,86 @@ router.put('/artists/:id', async (ctx) => {
   }
 });
 
+// 获取封面图片，size 参数指定缩略图尺寸（向上取整到缩略图档位）
+router.get('/covers/:hash', async (ctx) => {
+  try {
+    const { hash } = ctx.params;
+    if (!isCoverHash(hash)) {
+      ctx.status = 400;
+      ctx.body = { success: false, error: '无效的封面标识' };
+      return;
+    }
+    const config = getConfig();
+    const cover = await getCoverFile(hash, ctx.query.size, config.ffmpegPath || defaultConfig.ffmpegPath);
+    if (!cover) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '封面不存在' };
+      return;
+    }
+    // 封面按内容哈希保存，同一地址的内容不会变化，可以长期缓存（需要登录后访问，只允许浏览器缓存）
+    // 缩略图生成失败时返回的原图只短期缓存，之后（如安装 ffmpeg 后）同一地址可以得到缩略图
+    const thumbnailFallback = getThumbnailSize(ctx.query.size) > 0 && !cover.size;
+    ctx.set('Cache-Control', thumbnailFallback ? 'private, max-age=300' : 'private, max-age=31536000, immutable');
+    ctx.set('ETag', `"${hash}${cover.size ? `-${cover.size}` : ''}"`);
+    ctx.status = 200;
+    if (ctx.fresh) {
+      ctx.status = 304;
+      return;
+    }
+    ctx.type = cover.mime;
+    ctx.body = createReadStream(cover.path);
+  } catch (error) {
+    console.error('获取封面失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '获取封面失败' };
+  }
+});
+
+// 单次下载的音乐数量上限
+const MAX_DOWNLOAD_TRACKS = 1000;
+
+// 下载多首音乐（ZIP），GET 使用 ids 参数（逗号分隔），POST 使用 ids 字段（数组或逗号分隔），name 为压缩包名称
+const downloadTracks = async (ctx) => {
+  try {
+    const params = ctx.method === 'POST' ? (ctx.request.body || {}) : ctx.query;
+    const ids = (Array.isArray(params.ids) ? params.ids : String(params.ids || '').split(','))
+      .map(id => String(id).trim())
+      .filter(Boolean);
+    if (ids.length === 0) {
+      ctx.status = 400;
+      ctx.body = { success: false, error: 'ids参数不能为空' };
+      return;
+    }
+    if (ids.length > MAX_DOWNLOAD_TRACKS) {
+      ctx.status = 400;
+      ctx.body = { success: false, error: `单次最多下载 ${MAX_DOWNLOAD_TRACKS} 首音乐` };
+      return;
+    }
+    const tracks = [...new Set(ids)].map(id => findTrackById(id)).filter(Boolean);
+    // 所有音乐属于同一张专辑时附带专辑封面
+    const albumIds = new Set(tracks.map(track => track.albumId));
+    const album = albumIds.size === 1 && tracks[0].albumId ? findAlbum(tracks[0].albumId) : null;
+    const archive = await createTracksArchive(tracks, {
+      name: params.name || (album ? album.title : '播放列表'),
+      coverImage: album?.coverImage,
+      ffmpegPath: getConfig().ffmpegPath || defaultConfig.ffmpegPath
+    });
+    if (!archive) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '没有可下载的音乐文件' };
+      return;
+    }
+    sendArchive(ctx, archive);
+  } catch (error) {
+    console.error('下载音乐失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '下载音乐失败' };
+  }
+}
+
+router.get('/download', downloadTracks);
+router.post('/download', downloadTracks);
+
 // 流式播放音乐
 router.get('/stream/:id', async (ctx) => {
   try {
@@ -249,42 +554,41 @@ router.get('/stream/:id', async (ctx) => {
 
     // 检查文件是否存在
     try {
-      await fs.access(track.path);
+      await fs.access(track.sourcePath || track.path);
     } catch (error) {
       ctx.status = 404;
       ctx.body = { success: false, error: '音乐文件不存在' };
       return;
     }
 
-    const stat = await fs.stat(track.path);
-    const fileSize = stat.size;
-    const range = ctx.headers.range;
-
-    if (range) {
-      const parts = range.replace(/bytes=/, "").split("-");
-      const start = parseInt(parts[0], 10);
-      const end = parts[1] ? parseInt(parts[1], 10) : fileSize - 1;
-      const chunksize = (end - start) + 1;
-
-      ctx.status = 206;
-      ctx.set({
-        'Content-Range': `bytes ${start}-${end}/${fileSize}`,
-        'Accept-Ranges': 'bytes',
-        'Content-Length': chunksize,
-        'Content-Type': 'audio/mpeg'
-      });
-      const stream = createReadStream(track.path, { start, end });
-      ctx.body = stream;
-    } else {
-      ctx.set({
-        'Content-Length': fileSize,
-        'Content-Type': 'audio/mpeg',
-        'Accept-Ranges': 'bytes'
-      });
+    // 按 format / maxBitrate 参数转码（低码率串流或浏览器不支持的格式）
+    let transcode;
+    try {
+      transcode = resolveTranscodeOptions(track, { format: ctx.query.format, maxBitrate: ctx.query.maxBitrate });
+    } catch (error) {
+      ctx.status = 400;
+      ctx.body = { success: false, error: error.message };
+      return;
+    }
+    if (transcode) {
+      await streamTranscodedTrack(ctx, track, transcode);
+      return;
+    }
 
-      const stream = createReadStream(track.path);
-      ctx.body = stream;
+    // CUE 虚拟音轨只返回对应的片段
+    if (track.sourcePath) {
+      await streamCueTrack(ctx, track);
+      return;
     }
+
+    const stat = await fs.stat(track.path);
+    sendAudioRange(ctx, {
+      size: stat.size,
+      type: getAudioMimeType(track.path, track.container),
+      etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}"`,
+      lastModified: stat.mtime,
+      open: (start, end) => createReadStream(track.path, { start, end })
+    });
   } catch (error) {
     console.error('流式播放失败:', error);
     ctx.status = 500;
@@ -292,11 +596,316 @@ router.get('/stream/:id', async (ctx) => {
   }
 });
 
+// If-Range 与当前版本一致时才返回部分内容（弱 ETag 不能用于 If-Range），否则返回完整内容
+const isIfRangeMatched = (ctx, etag, lastModified) => {
+  const ifRange = ctx.get('If-Range').trim();
+  if (!ifRange) return true;
+  if (ifRange.startsWith('"') || ifRange.startsWith('W/')) return ifRange === etag;
+  return Date.parse(ifRange) === Math.floor(lastModified.getTime() / 1000) * 1000;
+}
+
+// 按 HTTP 规范输出音频内容：支持 HEAD、条件请求（304）、Range（含后缀范围）、If-Range 和 416
+// open(start, end) 返回对应字节范围的可读流
+const sendAudioRange = (ctx, { size, type, etag, lastModified, open }) => {
+  // 压缩会破坏 Content-Length 和字节范围
+  ctx.compress = false;
+  ctx.set({
+    'Accept-Ranges': 'bytes',
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString()
+  });
+  ctx.status = 200;
+  if (ctx.fresh) {
+    ctx.status = 304;
+    return;
+  }
+  let start = 0;
+  let end = size - 1;
+  const range = ctx.headers.range && isIfRangeMatched(ctx, etag, lastModified) ? parseRangeHeader(ctx.headers.range, size) : null;
+  if (range === false) {
+    ctx.status = 416;
+    ctx.set('Content-Range', `bytes */${size}`);
+    ctx.body = { success: false, error: '请求的范围无效' };
+    return;
+  }
+  if (range) {
+    ({ start, end } = range);
+    ctx.status = 206;
+    ctx.set('Content-Range', `bytes ${start}-${end}/${size}`);
+  }
+  ctx.set({
+    'Content-Type': type,
+    'Content-Length': String(end - start + 1)
+  });
+  // HEAD 请求只返回响应头，不打开文件
+  if (ctx.method === 'HEAD') return;
+  ctx.body = end >= start ? open(start, end) : Buffer.alloc(0);
+}
+
+// 播放 CUE 虚拟音轨：WAV 直接截取数据（支持 Range），其他格式使用 ffmpeg 截取为 FLAC
+async function streamCueTrack(ctx, track) {
+  if (path.extname(track.sourcePath).toLowerCase() === '.wav') {
+    const [{ header, dataStart, dataLength }, stat] = await Promise.all([
+      getWavSegment(track.sourcePath, track.startTime, track.endTime),
+      fs.stat(track.sourcePath)
+    ]);
+    sendAudioRange(ctx, {
+      size: header.length + dataLength,
+      type: 'audio/wav',
+      etag: `"${stat.size.toString(16)}-${Math.floor(stat.mtimeMs).toString(16)}-${dataStart.toString(16)}-${dataLength.toString(16)}"`,
+      lastModified: stat.mtime,
+      // 先输出新的文件头，再输出原文件中对应的数据（不能使用对象模式，否则会被当作 JSON 输出）
+      open: (start, end) => Readable.from((async function* () {
+        if (start < header.length) {
+          yield header.subarray(start, Math.min(end + 1, header.length));
+        }
+        if (end >= header.length) {
+          const dataFrom = dataStart + Math.max(0, start - header.length);
+          yield* createReadStream(track.sourcePath, { start: dataFrom, end: dataStart + end - header.length });
+        }
+      })(), { objectMode: false })
+    });
+    return;
+  }
+  ctx.compress = false;
+  ctx.set({
+    'Content-Type': 'audio/flac',
+    'Accept-Ranges': 'none'
+  });
+  // 实时转码无法预知长度，HEAD 请求不启动 ffmpeg
+  if (ctx.method === 'HEAD') {
+    ctx.status = 200;
+    return;
+  }
+  let child;
+  try {
+    child = await spawnAudioSegment(track.sourcePath, track.startTime, track.endTime, getConfig().ffmpegPath);
+  } catch (error) {
+    console.error('启动ffmpeg失败:', error);
+    ctx.remove('Content-Type');
+    ctx.status = 500;
+    ctx.body = { success: false, error: '播放CUE音轨需要安装ffmpeg' };
+    return;
+  }
+  // 客户端断开时结束转码进程
+  ctx.req.on('close', () => child.kill());
+  ctx.body = child.stdout;
+}
+
+// 转码播放：完整转码结果可写入磁盘缓存（命中缓存时支持 Range），offset 参数指定开始时间（秒）用于拖动进度
+async function streamTranscodedTrack(ctx, track, transcode) {
+  const config = getConfig();
+  const sourcePath = track.sourcePath || track.path;
+  const offset = Math.max(0, parseFloat(ctx.query.offset) || 0);
+  const cacheEnabled = config.transcodeCacheEnabled ?? defaultConfig.transcodeCacheEnabled;
+  let cachePath = null;
+  if (cacheEnabled && offset === 0) {
+    const stat = await fs.stat(sourcePath);
+    cachePath = getTranscodeCachePath({
+      filePath: sourcePath,
+      size: stat.size,
+      modifiedTime: stat.mtimeMs,
+      startTime: track.startTime,
+      endTime: track.endTime,
+      format: transcode.format,
+      bitrate: transcode.bitrate
+    });
+    const cached = await findTranscodeCache(cachePath);
+    if (cached) {
+      sendAudioRange(ctx, {
+        size: cached.size,
+        type: transcode.mime,
+        etag: `"${path.basename(cachePath, transcode.ext)}"`,
+        lastModified: stat.mtime,
+        open: (start, end) => createReadStream(cachePath, { start, end })
+      });
+      return;
+    }
+  }
+  ctx.compress = false;
+  ctx.set({
+    'Content-Type': transcode.mime,
+    'Accept-Ranges': 'none'
+  });
+  // 实时转码无法预知长度，HEAD 请求不启动 ffmpeg
+  if (ctx.method === 'HEAD') {
+    ctx.status = 200;
+    return;
+  }
+  // 超过并发上限时排队，客户端断开时放弃排队
+  const abort = new AbortController();
+  ctx.req.on('close', () => abort.abort());
+  let release;
+  try {
+    release = await acquireTranscodeSlot(config.transcodeMaxConcurrent ?? defaultConfig.transcodeMaxConcurrent, abort.signal);
+  } catch (error) {
+    // 排队期间客户端已断开
+    return;
+  }
+  let child;
+  try {
+    child = await spawnTranscode(sourcePath, {
+      format: transcode.format,
+      bitrate: transcode.bitrate,
+      startTime: (track.startTime || 0) + offset,
+      endTime: track.endTime,
+      ffmpegPath: config.ffmpegPath || defaultConfig.ffmpegPath
+    });
+  } catch (error) {
+    release();
+    console.error('启动ffmpeg失败:', error);
+    ctx.remove('Content-Type');
+    ctx.status = 500;
+    ctx.body = { success: false, error: '转码播放需要安装ffmpeg' };
+    return;
+  }
+  child.once('close', release);
+  // 客户端断开时结束转码进程
+  ctx.req.on('close', () => child.kill());
+  ctx.body = cachePath
+    ? await teeToTranscodeCache(child, cachePath, () => pruneTranscodeCache(config.transcodeCacheSize ?? defaultConfig.transcodeCacheSize))
+    : child.stdout;
+}
+
+// 查找 HLS 播放的音乐并确定分段方案，失败时设置错误响应并返回 null
+const resolveHlsTrack = async (ctx) => {
+  const track = await findTrackById(ctx.params.id);
+  if (!track) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: '音乐不存在' };
+    return null;
+  }
+  if (!(track.duration > 0)) {
+    ctx.status = 422;
+    ctx.body = { success: false, error: '无法获取音乐时长，不能分段播放' };
+    return null;
+  }
+  const sourcePath = track.sourcePath || track.path;
+  let stat;
+  try {
+    stat = await fs.stat(sourcePath);
+  } catch (error) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: '音乐文件不存在' };
+    return null;
+  }
+  try {
+    const options = resolveHlsOptions(track, { format: ctx.query.format, maxBitrate: ctx.query.maxBitrate });
+    return { track, sourcePath, stat, options };
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return null;
+  }
+}
+
+// HLS 播放列表（按固定时长分段，可通过 format / maxBitrate 参数转码）
+router.get('/hls/:id/playlist.m3u8', async (ctx) => {
+  try {
+    const hls = await resolveHlsTrack(ctx);
+    if (!hls) return;
+    const query = new URLSearchParams();
+    if (ctx.query.format) query.set('format', ctx.query.format);
+    if (ctx.query.maxBitrate) query.set('maxBitrate', ctx.query.maxBitrate);
+    ctx.set('Cache-Control', 'private, max-age=60');
+    ctx.type = 'application/vnd.apple.mpegurl';
+    ctx.body = createHlsPlaylist(hls.track.duration, query.toString());
+  } catch (error) {
+    console.error('生成HLS播放列表失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '生成HLS播放列表失败' };
+  }
+});
+
+// HLS 分段（MPEG-TS），生成后写入分段缓存，便于前置 CDN 或代理缓存
+router.get('/hls/:id/:segment', async (ctx) => {
+  try {
+    const match = /^(\d+)\.ts$/.exec(ctx.params.segment);
+    if (!match) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '分段不存在' };
+      return;
+    }
+    const hls = await resolveHlsTrack(ctx);
+    if (!hls) return;
+    const index = parseInt(match[1], 10);
+    if (index >= getHlsSegmentCount(hls.track.duration)) {
+      ctx.status = 404;
+      ctx.body = { success: false, error: '分段不存在' };
+      return;
+    }
+    const { track, sourcePath, stat, options } = hls;
+    const cacheOptions = {
+      filePath: sourcePath,
+      size: stat.size,
+      modifiedTime: stat.mtimeMs,
+      startTime: track.startTime,
+      endTime: track.endTime,
+      ...options
+    };
+    const cachePath = getHlsSegmentCachePath(cacheOptions, index);
+    ctx.set('Cache-Control', 'private, max-age=86400');
+    ctx.set('ETag', `"${path.basename(cachePath, '.ts')}"`);
+    ctx.status = 200;
+    if (ctx.fresh) {
+      ctx.status = 304;
+      return;
+    }
+    const config = getConfig();
+    let data = await readHlsSegmentCache(cachePath);
+    if (!data && !options.copy) {
+      // 转码时连续编码后续分段（写入分段缓存），客户端断开时只放弃等待
+      const abort = new AbortController();
+      ctx.req.on('close', () => abort.abort());
+      data = await encodeHlsSegment(cacheOptions, index, {
+        ffmpegPath: config.ffmpegPath || defaultConfig.ffmpegPath,
+        maxConcurrent: config.transcodeMaxConcurrent ?? defaultConfig.transcodeMaxConcurrent,
+        maxCacheSizeMB: config.hlsCacheSize ?? defaultConfig.hlsCacheSize,
+        signal: abort.signal
+      });
+    } else if (!data) {
+      // 复制音频流单独生成分段，与转码共用并发上限，客户端断开时放弃排队和生成
+      const abort = new AbortController();
+      ctx.req.on('close', () => abort.abort());
+      let release;
+      try {
+        release = await acquireTranscodeSlot(config.transcodeMaxConcurrent ?? defaultConfig.transcodeMaxConcurrent, abort.signal);
+      } catch (error) {
+        // 排队期间客户端已断开
+        return;
+      }
+      try {
+        data = await createHlsSegment(sourcePath, {
+          index,
+          startTime: track.startTime,
+          endTime: track.endTime,
+          ffmpegPath: config.ffmpegPath || defaultConfig.ffmpegPath,
+          signal: abort.signal
+        });
+      } finally {
+        release();
+      }
+      saveHlsSegmentCache(cachePath, data, config.hlsCacheSize ?? defaultConfig.hlsCacheSize)
+        .catch(error => console.error('保存HLS分段缓存失败:', error));
+    }
+    ctx.compress = false;
+    ctx.type = 'video/mp2t';
+    ctx.body = data;
+  } catch (error) {
+    if (error.name === 'AbortError') return;
+    console.error('生成HLS分段失败:', error);
+    ctx.remove('ETag');
+    ctx.remove('Cache-Control');
+    ctx.status = 500;
+    ctx.body = { success: false, error: error.code === 'ENOENT' ? 'HLS播放需要安装ffmpeg' : '生成HLS分段失败' };
+  }
+});
+
 // 保存音乐详情（包括更新metadata和统计信息）
 router.put('/tracks/:id', async (ctx) => {
   try {
     const { id } = ctx.params;
-    const { title, artist, album, year, lyrics, coverImage } = ctx.request.body;
+    const { title, artist, album, year, lyrics, lyricsSource, coverImage } = ctx.request.body;
 
     const track = await findTrackById(id);
     if (!track) {
@@ -305,20 +914,28 @@ router.put('/tracks/:id', async (ctx) => {
       return;
     }
     const artistNames = formatArtistNames(artist) || track.artists;
+    const readOnly = !!findLibrary(track.libraryId)?.readOnly;
 
     // 1. 更新数据库中的音乐详情
     const updateData = {
       title: title || track.title,
       artist: artist || track.artist,
       album: album || track.album,
-      albumArtist: artist || track.artist,
+      // 专辑歌手与歌手不同时（如合辑）保留原专辑歌手，避免歌曲被移出原专辑
+      albumArtist: track.albumArtist && track.albumArtist !== track.artist ? track.albumArtist : (artist || track.artist),
       artists: artistNames,
       year: year || track.year,
       lyrics: lyrics || track.lyrics,
       coverImage: track.coverImage
     };
 
-    // 如果有新的封面图片，保存为base64格式
+    // 歌词来源：在线搜索的歌词标记为 online，手动修改的歌词写入文件标签（外挂歌词则写回歌词文件）
+    const lyricsChanged = !!lyrics && lyrics !== track.lyrics;
+    if (lyricsChanged) {
+      updateData.lyricsSource = lyricsSource === 'online' ? 'online' : readOnly ? track.lyricsSource : (track.lyricsSource === 'sidecar' ? 'sidecar' : 'embedded');
+    }
+
+    // 如果有新的封面图片，数据库中保存到封面存储，同时写入音乐文件标签
     if (coverImage && coverImage !== track.coverImage) {
       if (coverImage.startsWith('data:image/')) {
         updateData.coverImage = coverImage;
@@ -328,10 +945,15 @@ router.put('/tracks/:id', async (ctx) => {
 
     // 3. 更新专辑和艺术家信息
     try {
-      if (updateData.album && updateData.artist) {
-        await upsertAlbumInfo(updateData.album, updateData.artist, updateData.year, updateData.coverImage);
-        if (updateData.album !== track.album) {
-          await updateAlbumStats(track.album);
+      if (updateData.album && updateData.albumArtist) {
+        const albumId = upsertAlbumInfo(updateData.album, updateData.albumArtist, updateData.year, updateData.coverImage, {
+          compilation: track.compilation,
+          musicbrainzId: track.musicbrainzAlbumId
+        });
+        if (albumId !== track.albumId) {
+          await updateTrack(id, { albumId });
+          updateAlbumStats(albumId);
+          track.albumId && updateAlbumStats(track.albumId);
         }
       }
       // 更新或创建艺术家信息
@@ -349,9 +971,17 @@ router.put('/tracks/:id', async (ctx) => {
       ctx.body = { success: false, error: '更新数据库失败' };
       return;
     }
-    // 2. 更新音乐文件的metadata
+    // 2. 更新音乐文件的metadata（只读媒体库不修改文件）
+    try {
+      if (!readOnly && lyricsChanged && track.lyricsSource === 'sidecar') {
+        const lyricsFile = await createLyricsResolver(getConfig().language || defaultConfig.language)(track.path);
+        lyricsFile && await fs.writeFile(lyricsFile.path, updateData.lyrics, 'utf8');
+      }
+    } catch (lyricsError) {
+      console.error('更新歌词文件失败:', lyricsError);
+    }
     try {
-      if (track.path && await fs.access(track.path).then(() => true).catch(() => false)) {
+      if (!readOnly && track.path && await fs.access(track.path).then(() => true).catch(() => false)) {
         const metadataToWrite = {
           title: updateData.title,
           artist: updateData.artist,
@@ -376,7 +1006,9 @@ router.put('/tracks/:id', async (ctx) => {
     ctx.body = {
       success: true,
       data: updatedTrack,
-      message: '保存成功！已更新音乐详情、专辑信息、艺术家信息、文件metadata和音乐库统计信息。封面图片已保存为base64格式。'
+      message: readOnly
+        ? '保存成功！媒体库为只读，仅更新了数据库中的音乐详情，未修改音乐文件。'
+        : '保存成功！已更新音乐详情、专辑信息、艺术家信息、文件metadata和音乐库统计信息。封面图片已保存为base64格式。'
     };
   } catch (error) {
     console.error('保存音乐详情失败:', error);
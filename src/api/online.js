@@ -2,7 +2,7 @@ import Router from 'koa-router';
 import online from '../client/online.js';
 import lyricsPluginManager from '../plugins/index.js';
 
-const router = new Router();
+const router = new Router({ sensitive: true });
 
 // 在线搜索音乐
 router.get('/search/music', async (ctx) => {
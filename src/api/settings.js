@@ -1,11 +1,17 @@
 import Router from 'koa-router';
-import { getConfig, saveConfig, getMusicStats, updateState } from '../client/database.js';
-import { getMediaLibraries, addMediaLibrary, deleteMediaLibrary, scanMediaLibrary, getScanProgress } from '../client/metadata.js';
-import { syncOnlineMusic, getOnlineSearchProgress } from '../client/online.js';
+import { getConfig, saveConfig, getMusicStats, updateState, defaultConfig, getGenreAliases, saveGenreAliases, getReplayGainStats, getPlayerSettings, savePlayerSettings } from '../client/database.js';
+import { getMediaLibraries, addMediaLibrary, updateMediaLibrary, deleteMediaLibrary, scanMediaLibrary, getScanProgress } from '../client/metadata.js';
+import { getOnlineSearchProgress } from '../client/online.js';
+import { syncLibraryWatchers } from '../client/watcher.js';
+import { runExclusive, runJob, rescheduleJobs, getSchedulerStatus } from '../client/scheduler.js';
+import { getDefaultConcurrency } from '../client/metadataPool.js';
+import { getLoudnessProgress } from '../client/loudness.js';
+import { parseCron } from '../utils/cronUtils.js';
+import { TRANSCODE_FORMATS, getTranscodeStatus } from '../utils/transcodeUtils.js';
 
 process.env.NODE_TLS_REJECT_UNAUTHORIZED = "0";
 
-const router = new Router();
+const router = new Router({ sensitive: true });
 
 /**
  * 获取API配置
@@ -36,15 +42,40 @@ router.get('/media-libraries', async (ctx) => {
  * POST /api/settings/media-libraries
  */
 router.post('/media-libraries', async (ctx) => {
-  const { path: libraryPath } = ctx.request.body;
-  if (!libraryPath) {
+  const options = ctx.request.body || {};
+  if (!options.path) {
     ctx.status = 400;
     ctx.body = { success: false, error: '媒体库路径不能为空' };
     return;
   }
-  const newLibrary = await addMediaLibrary(libraryPath);
-  scanMediaLibrary(newLibrary.id);
-  ctx.body = { success: true, data: newLibrary, message: '媒体库添加成功'  };
+  let newLibrary;
+  try {
+    newLibrary = await addMediaLibrary(options);
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return;
+  }
+  const started = newLibrary.enabled && runExclusive('library-scan', () => scanMediaLibrary(newLibrary.id));
+  syncLibraryWatchers();
+  const message = !newLibrary.enabled || started ? '媒体库添加成功' : '媒体库添加成功，当前有任务正在运行，请稍后手动扫描';
+  ctx.body = { success: true, data: newLibrary, message };
+});
+
+/**
+ * 修改媒体库
+ * PUT /api/settings/media-libraries/:id
+ */
+router.put('/media-libraries/:id', async (ctx) => {
+  const { id } = ctx.params;
+  try {
+    const library = await updateMediaLibrary(id, ctx.request.body || {});
+    syncLibraryWatchers();
+    ctx.body = { success: true, data: library, message: '媒体库修改成功' };
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+  }
 });
 
 /**
@@ -53,7 +84,14 @@ router.post('/media-libraries', async (ctx) => {
  */
 router.delete('/media-libraries/:id', async (ctx) => {
   const { id } = ctx.params;
-  await deleteMediaLibrary(id);
+  try {
+    await deleteMediaLibrary(id);
+  } catch (error) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: error.message };
+    return;
+  }
+  syncLibraryWatchers();
   ctx.body = {
     success: true,
     message: '媒体库删除成功'
@@ -66,7 +104,11 @@ router.delete('/media-libraries/:id', async (ctx) => {
  */
 router.post('/media-libraries/:id/scan', async (ctx) => {
   const { id } = ctx.params;
-  scanMediaLibrary(id);
+  if (!runExclusive('library-scan', () => scanMediaLibrary(id))) {
+    ctx.status = 409;
+    ctx.body = { success: false, error: '已有任务正在运行，请稍后再试' };
+    return;
+  }
   ctx.body = { success: true, message: '扫描已开始' };
 });
 
@@ -90,6 +132,346 @@ router.get('/media-libraries/:id/scan-progress', async (ctx) => {
   ctx.body = { success: true, data: progress };
 });
 
+/**
+ * 获取扫描配置（全局排除规则、解析线程数）
+ * GET /api/settings/scan-config
+ */
+router.get('/scan-config', async (ctx) => {
+  const config = await getConfig();
+  ctx.body = {
+    success: true,
+    data: {
+      excludePatterns: config.excludePatterns || defaultConfig.excludePatterns,
+      scanConcurrency: config.scanConcurrency || 0,
+      defaultConcurrency: getDefaultConcurrency(),
+      coverFileNames: config.coverFileNames || defaultConfig.coverFileNames,
+      artistImageFileNames: config.artistImageFileNames || defaultConfig.artistImageFileNames
+    }
+  };
+});
+
+/**
+ * 保存扫描配置（下次扫描时生效）
+ * PUT /api/settings/scan-config
+ */
+router.put('/scan-config', async (ctx) => {
+  const { excludePatterns, scanConcurrency, coverFileNames, artistImageFileNames } = ctx.request.body || {};
+  for (const [key, value] of Object.entries({ excludePatterns, coverFileNames, artistImageFileNames })) {
+    if (value !== undefined && !Array.isArray(value)) {
+      ctx.status = 400;
+      ctx.body = { success: false, error: `${key}参数必须是数组` };
+      return;
+    }
+  }
+  if (scanConcurrency !== undefined && (!Number.isInteger(scanConcurrency) || scanConcurrency < 0 || scanConcurrency > 32)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'scanConcurrency必须是0-32之间的整数' };
+    return;
+  }
+  const config = await getConfig();
+  if (excludePatterns !== undefined) {
+    config.excludePatterns = excludePatterns.map(pattern => String(pattern).trim()).filter(Boolean);
+  }
+  if (scanConcurrency !== undefined) {
+    config.scanConcurrency = scanConcurrency;
+  }
+  if (coverFileNames !== undefined) {
+    config.coverFileNames = coverFileNames.map(name => String(name).trim()).filter(Boolean);
+  }
+  if (artistImageFileNames !== undefined) {
+    config.artistImageFileNames = artistImageFileNames.map(name => String(name).trim()).filter(Boolean);
+  }
+  await saveConfig(config);
+  ctx.body = {
+    success: true,
+    data: {
+      excludePatterns: config.excludePatterns || defaultConfig.excludePatterns,
+      scanConcurrency: config.scanConcurrency || 0,
+      coverFileNames: config.coverFileNames || defaultConfig.coverFileNames,
+      artistImageFileNames: config.artistImageFileNames || defaultConfig.artistImageFileNames
+    },
+    message: '扫描配置已保存，下次扫描时生效'
+  };
+});
+
+/**
+ * 获取流派合并规则
+ * GET /api/settings/genre-aliases
+ */
+router.get('/genre-aliases', async (ctx) => {
+  ctx.body = { success: true, data: getGenreAliases() };
+});
+
+/**
+ * 保存流派合并规则（立即重新生成流派关联）
+ * PUT /api/settings/genre-aliases
+ * body: { rules: [{ name: 'Hip-Hop', aliases: ['Hip Hop', '嘻哈'] }] }
+ */
+router.put('/genre-aliases', async (ctx) => {
+  const { rules } = ctx.request.body || {};
+  if (!Array.isArray(rules)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'rules参数必须是数组' };
+    return;
+  }
+  try {
+    const data = saveGenreAliases(rules);
+    ctx.body = { success: true, data, message: '流派合并规则已保存' };
+  } catch (error) {
+    console.error('保存流派合并规则失败:', error);
+    ctx.status = 500;
+    ctx.body = { success: false, error: '保存流派合并规则失败' };
+  }
+});
+
+// 音量均衡模式
+const REPLAYGAIN_MODES = ['off', 'track', 'album'];
+
+// 串流音质
+const STREAM_QUALITIES = ['original', 'high', 'medium', 'low'];
+// 串流方式
+const STREAM_PROTOCOLS = ['progressive', 'auto', 'hls'];
+
+// 播放配置（音量均衡、串流音质和转码）
+const getPlaybackConfig = (config) => ({
+  replayGainMode: config.replayGainMode || defaultConfig.replayGainMode,
+  replayGainPreamp: config.replayGainPreamp ?? defaultConfig.replayGainPreamp,
+  replayGainPreventClipping: config.replayGainPreventClipping ?? defaultConfig.replayGainPreventClipping,
+  loudnessAnalysisEnabled: !!config.loudnessAnalysisEnabled,
+  streamQuality: config.streamQuality || defaultConfig.streamQuality,
+  streamFormat: config.streamFormat || defaultConfig.streamFormat,
+  transcodeMaxConcurrent: config.transcodeMaxConcurrent ?? defaultConfig.transcodeMaxConcurrent,
+  transcodeCacheEnabled: config.transcodeCacheEnabled ?? defaultConfig.transcodeCacheEnabled,
+  transcodeCacheSize: config.transcodeCacheSize ?? defaultConfig.transcodeCacheSize,
+  streamProtocol: config.streamProtocol || defaultConfig.streamProtocol,
+  hlsCacheSize: config.hlsCacheSize ?? defaultConfig.hlsCacheSize
+});
+
+/**
+ * 获取播放配置（音量均衡）和增益信息统计
+ * GET /api/settings/playback
+ */
+router.get('/playback', async (ctx) => {
+  ctx.body = {
+    success: true,
+    data: { ...getPlaybackConfig(getConfig()), stats: getReplayGainStats(), progress: getLoudnessProgress(), transcode: getTranscodeStatus() }
+  };
+});
+
+/**
+ * 保存播放配置
+ * PUT /api/settings/playback
+ * body: { replayGainMode: 'off' | 'track' | 'album', replayGainPreamp: -15 ~ 15, replayGainPreventClipping, loudnessAnalysisEnabled,
+ *         streamQuality: 'original' | 'high' | 'medium' | 'low', streamFormat: 'mp3' | 'opus' | 'aac',
+ *         transcodeMaxConcurrent: 1 ~ 16, transcodeCacheEnabled, transcodeCacheSize: MB,
+ *         streamProtocol: 'progressive' | 'auto' | 'hls', hlsCacheSize: MB }
+ */
+router.put('/playback', async (ctx) => {
+  const {
+    replayGainMode, replayGainPreamp, replayGainPreventClipping, loudnessAnalysisEnabled,
+    streamQuality, streamFormat, transcodeMaxConcurrent, transcodeCacheEnabled, transcodeCacheSize,
+    streamProtocol, hlsCacheSize
+  } = ctx.request.body || {};
+  if (replayGainMode !== undefined && !REPLAYGAIN_MODES.includes(replayGainMode)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'replayGainMode参数必须是 off、track 或 album' };
+    return;
+  }
+  const preamp = replayGainPreamp === undefined ? undefined : Number(replayGainPreamp);
+  if (preamp !== undefined && (!Number.isFinite(preamp) || preamp < -15 || preamp > 15)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: '前置放大必须在 -15 到 15 dB 之间' };
+    return;
+  }
+  if (streamQuality !== undefined && !STREAM_QUALITIES.includes(streamQuality)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'streamQuality参数必须是 original、high、medium 或 low' };
+    return;
+  }
+  if (streamFormat !== undefined && !TRANSCODE_FORMATS[streamFormat]) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `streamFormat参数必须是 ${Object.keys(TRANSCODE_FORMATS).join('、')}` };
+    return;
+  }
+  const maxConcurrent = transcodeMaxConcurrent === undefined ? undefined : Number(transcodeMaxConcurrent);
+  if (maxConcurrent !== undefined && (!Number.isInteger(maxConcurrent) || maxConcurrent < 1 || maxConcurrent > 16)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: '转码并发数必须是 1 到 16 之间的整数' };
+    return;
+  }
+  const cacheSize = transcodeCacheSize === undefined ? undefined : Number(transcodeCacheSize);
+  if (cacheSize !== undefined && (!Number.isFinite(cacheSize) || cacheSize < 0)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: '转码缓存大小不能小于 0' };
+    return;
+  }
+  if (streamProtocol !== undefined && !STREAM_PROTOCOLS.includes(streamProtocol)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'streamProtocol参数必须是 progressive、auto 或 hls' };
+    return;
+  }
+  const hlsSize = hlsCacheSize === undefined ? undefined : Number(hlsCacheSize);
+  if (hlsSize !== undefined && (!Number.isFinite(hlsSize) || hlsSize < 0)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: 'HLS分段缓存大小不能小于 0' };
+    return;
+  }
+  const config = getConfig();
+  if (replayGainMode !== undefined) config.replayGainMode = replayGainMode;
+  if (preamp !== undefined) config.replayGainPreamp = preamp;
+  if (replayGainPreventClipping !== undefined) config.replayGainPreventClipping = !!replayGainPreventClipping;
+  if (loudnessAnalysisEnabled !== undefined) config.loudnessAnalysisEnabled = !!loudnessAnalysisEnabled;
+  if (streamQuality !== undefined) config.streamQuality = streamQuality;
+  if (streamFormat !== undefined) config.streamFormat = streamFormat;
+  if (maxConcurrent !== undefined) config.transcodeMaxConcurrent = maxConcurrent;
+  if (transcodeCacheEnabled !== undefined) config.transcodeCacheEnabled = !!transcodeCacheEnabled;
+  if (cacheSize !== undefined) config.transcodeCacheSize = cacheSize;
+  if (streamProtocol !== undefined) config.streamProtocol = streamProtocol;
+  if (hlsSize !== undefined) config.hlsCacheSize = hlsSize;
+  saveConfig(config);
+  rescheduleJobs();
+  ctx.body = { success: true, data: getPlaybackConfig(config), message: '播放配置已保存' };
+});
+
+// 交叉淡入淡出的最大时长（秒）
+const MAX_CROSSFADE = 12;
+// 均衡器各频段的中心频率（Hz）和增益范围（dB）
+const EQUALIZER_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+const MAX_EQUALIZER_GAIN = 12;
+// 内置均衡器预设
+const EQUALIZER_PRESETS = [
+  { name: '平直', gains: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0] },
+  { name: '低音增强', gains: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0] },
+  { name: '高音增强', gains: [0, 0, 0, 0, 0, 1, 2, 4, 5, 6] },
+  { name: '人声', gains: [-2, -2, -1, 1, 3, 3, 2, 1, 0, -1] },
+  { name: '摇滚', gains: [5, 4, 2, -1, -2, -1, 1, 3, 4, 5] },
+  { name: '流行', gains: [-1, 1, 3, 4, 3, 0, -1, -1, 1, 2] },
+  { name: '爵士', gains: [3, 2, 1, 2, -1, -1, 0, 1, 2, 3] },
+  { name: '古典', gains: [4, 3, 2, 1, -1, -1, 0, 2, 3, 4] },
+  { name: '电子', gains: [5, 4, 1, 0, -2, 2, 1, 1, 4, 5] }
+];
+// 自定义预设的数量上限
+const MAX_CUSTOM_PRESETS = 20;
+
+// 当前用户（尚未启用登录时所有人共用默认用户）
+const getUserId = (ctx) => ctx.state.user?.id || 'default';
+
+// 校验均衡器增益：每个频段一个 -12 ~ 12 dB 的数值，不合法时返回 null
+const parseEqualizerGains = (gains) => {
+  if (!Array.isArray(gains) || gains.length !== EQUALIZER_BANDS.length) return null;
+  const values = gains.map(Number);
+  return values.every(value => Number.isFinite(value) && Math.abs(value) <= MAX_EQUALIZER_GAIN)
+    ? values.map(value => Math.round(value * 10) / 10)
+    : null;
+}
+
+// 播放器设置（未保存的项使用默认值），附带频段和内置预设
+const getPlayerConfig = (settings) => ({
+  crossfade: settings.crossfade ?? 0,
+  equalizerEnabled: !!settings.equalizerEnabled,
+  equalizerPreset: settings.equalizerPreset || EQUALIZER_PRESETS[0].name,
+  equalizerGains: settings.equalizerGains || EQUALIZER_PRESETS[0].gains,
+  customPresets: settings.customPresets || [],
+  bands: EQUALIZER_BANDS,
+  presets: EQUALIZER_PRESETS
+});
+
+/**
+ * 获取当前用户的播放器设置（交叉淡入淡出、均衡器）
+ * GET /api/settings/player
+ */
+router.get('/player', async (ctx) => {
+  ctx.body = { success: true, data: getPlayerConfig(getPlayerSettings(getUserId(ctx))) };
+});
+
+/**
+ * 保存当前用户的播放器设置
+ * PUT /api/settings/player
+ * body: { crossfade: 0 ~ 12（秒）, equalizerEnabled, equalizerPreset, equalizerGains: [10 个频段的增益 dB] }
+ */
+router.put('/player', async (ctx) => {
+  const { crossfade, equalizerEnabled, equalizerPreset, equalizerGains } = ctx.request.body || {};
+  const fade = crossfade === undefined ? undefined : Number(crossfade);
+  if (fade !== undefined && (!Number.isFinite(fade) || fade < 0 || fade > MAX_CROSSFADE)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `交叉淡入淡出时长必须在 0 到 ${MAX_CROSSFADE} 秒之间` };
+    return;
+  }
+  const gains = equalizerGains === undefined ? undefined : parseEqualizerGains(equalizerGains);
+  if (gains === null) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `均衡器需要 ${EQUALIZER_BANDS.length} 个频段的增益，范围 -${MAX_EQUALIZER_GAIN} 到 ${MAX_EQUALIZER_GAIN} dB` };
+    return;
+  }
+  const userId = getUserId(ctx);
+  const settings = getPlayerSettings(userId);
+  if (fade !== undefined) settings.crossfade = fade;
+  if (equalizerEnabled !== undefined) settings.equalizerEnabled = !!equalizerEnabled;
+  if (equalizerPreset !== undefined) settings.equalizerPreset = String(equalizerPreset || '').trim();
+  if (gains !== undefined) settings.equalizerGains = gains;
+  savePlayerSettings(userId, settings);
+  ctx.body = { success: true, data: getPlayerConfig(settings), message: '播放器设置已保存' };
+});
+
+/**
+ * 保存自定义均衡器预设（同名时覆盖）
+ * PUT /api/settings/player/presets/:name
+ * body: { gains: [10 个频段的增益 dB] }
+ */
+router.put('/player/presets/:name', async (ctx) => {
+  const name = String(ctx.params.name || '').trim();
+  if (!name || name.length > 30) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: '预设名称不能为空且不能超过 30 个字符' };
+    return;
+  }
+  if (EQUALIZER_PRESETS.some(preset => preset.name === name)) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: '不能覆盖内置预设' };
+    return;
+  }
+  const gains = parseEqualizerGains((ctx.request.body || {}).gains);
+  if (!gains) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `均衡器需要 ${EQUALIZER_BANDS.length} 个频段的增益，范围 -${MAX_EQUALIZER_GAIN} 到 ${MAX_EQUALIZER_GAIN} dB` };
+    return;
+  }
+  const userId = getUserId(ctx);
+  const settings = getPlayerSettings(userId);
+  const presets = (settings.customPresets || []).filter(preset => preset.name !== name);
+  if (presets.length >= MAX_CUSTOM_PRESETS) {
+    ctx.status = 400;
+    ctx.body = { success: false, error: `自定义预设最多 ${MAX_CUSTOM_PRESETS} 个` };
+    return;
+  }
+  settings.customPresets = [...presets, { name, gains }];
+  settings.equalizerPreset = name;
+  settings.equalizerGains = gains;
+  savePlayerSettings(userId, settings);
+  ctx.body = { success: true, data: getPlayerConfig(settings), message: '预设已保存' };
+});
+
+/**
+ * 删除自定义均衡器预设
+ * DELETE /api/settings/player/presets/:name
+ */
+router.delete('/player/presets/:name', async (ctx) => {
+  const name = String(ctx.params.name || '').trim();
+  const userId = getUserId(ctx);
+  const settings = getPlayerSettings(userId);
+  const presets = settings.customPresets || [];
+  if (!presets.some(preset => preset.name === name)) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: '预设不存在' };
+    return;
+  }
+  settings.customPresets = presets.filter(preset => preset.name !== name);
+  // 删除的是当前预设时保留增益，显示为自定义
+  if (settings.equalizerPreset === name) settings.equalizerPreset = '';
+  savePlayerSettings(userId, settings);
+  ctx.body = { success: true, data: getPlayerConfig(settings), message: '预设已删除' };
+});
+
 /**
  * 获取音乐统计信息
  * GET /api/settings/music-stats
@@ -113,7 +495,9 @@ router.put('/scraping', async (ctx) => {
   }
   const config = await getConfig();
   config.scrapingEnabled = enabled;
+  config.scrapingUpdatedAt = new Date().toISOString();
   await saveConfig(config);
+  rescheduleJobs();
   ctx.body = {
     success: true,
     data: { enabled },
@@ -126,10 +510,10 @@ router.put('/scraping', async (ctx) => {
  * POST /api/settings/start-scraping
  */
 router.post('/scraping/start', async (ctx) => {
-  syncOnlineMusic();
-  updateState();
-  if (global.gc) {
-    global.gc();
+  if (!runJob('scraping')) {
+    ctx.status = 409;
+    ctx.body = { success: false, error: '已有任务正在运行，请稍后再试' };
+    return;
   }
   ctx.body = {
     success: true,
@@ -149,6 +533,76 @@ router.get('/scraping/progress', async (ctx) => {
   const progress = getOnlineSearchProgress();
   ctx.body = { success: true, data: progress };
 });
+/**
+ * 获取定时任务配置和状态
+ * GET /api/settings/schedules
+ */
+router.get('/schedules', async (ctx) => {
+  ctx.body = { success: true, data: getSchedulerStatus() };
+});
+
+/**
+ * 保存定时任务配置
+ * PUT /api/settings/schedules
+ */
+router.put('/schedules', async (ctx) => {
+  const fields = ['scanInterval', 'scanCron', 'scrapingInterval', 'scrapingCron', 'loudnessInterval', 'loudnessCron', 'integrityInterval', 'integrityCron', 'waveformInterval', 'waveformCron', 'quietHoursStart', 'quietHoursEnd'];
+  const body = ctx.request.body || {};
+  const config = await getConfig();
+  for (const field of fields) {
+    if (body[field] === undefined) continue;
+    if (field.endsWith('Interval')) {
+      const interval = Number(body[field]);
+      if (!Number.isFinite(interval) || interval < 0) {
+        ctx.status = 400;
+        ctx.body = { success: false, error: `${field}必须是非负数` };
+        return;
+      }
+      config[field] = interval;
+    } else if (field.endsWith('Cron')) {
+      const cron = String(body[field] || '').trim();
+      try {
+        cron && parseCron(cron);
+      } catch (error) {
+        ctx.status = 400;
+        ctx.body = { success: false, error: error.message };
+        return;
+      }
+      config[field] = cron;
+    } else {
+      const clock = String(body[field] || '').trim();
+      if (clock && !/^([01]?\d|2[0-3]):[0-5]\d$/.test(clock)) {
+        ctx.status = 400;
+        ctx.body = { success: false, error: '免打扰时段格式应为 HH:mm' };
+        return;
+      }
+      config[field] = clock;
+    }
+  }
+  await saveConfig(config);
+  rescheduleJobs();
+  ctx.body = { success: true, data: getSchedulerStatus(), message: '定时任务配置已保存' };
+});
+
+/**
+ * 立即执行定时任务
+ * POST /api/settings/schedules/:name/run
+ */
+router.post('/schedules/:name/run', async (ctx) => {
+  const { name } = ctx.params;
+  if (!getSchedulerStatus().jobs.some(job => job.name === name)) {
+    ctx.status = 404;
+    ctx.body = { success: false, error: '任务不存在' };
+    return;
+  }
+  if (!runJob(name)) {
+    ctx.status = 409;
+    ctx.body = { success: false, error: '已有任务正在运行，请稍后再试' };
+    return;
+  }
+  ctx.body = { success: true, message: '任务已开始' };
+});
+
 /**
  * 数据同步
  * POST /api/settings/data-sync
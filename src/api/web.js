@@ -1,9 +1,17 @@
 import Router from 'koa-router'
+import { needsSetup, getSessionUser } from '../client/auth.js'
 
-const router = new Router()
+const router = new Router({ sensitive: true })
 
 router.get('/', async (ctx, next) => {
-  await ctx.renderVite('web/index.jsx')
+  const user = getSessionUser(ctx)
+  if(!user){ return ctx.redirect('/login') }
+  await ctx.renderVite('web/index.jsx', { user })
+})
+
+router.get('/login', async (ctx, next) => {
+  if(getSessionUser(ctx)){ return ctx.redirect('/') }
+  await ctx.renderVite('web/login.jsx', { title: '登录', needsSetup: needsSetup() })
 })
 
 export default router
\ No newline at end of file
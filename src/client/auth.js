@@ -0,0 +1,159 @@
+import { countUsers, countAdmins, findUser, getUserSessionVersion, increaseUserSessionVersion, findUserCredentials, insertUser, insertFirstUser, updateUser, deleteUser } from './database.js';
+import { hashPassword, verifyPassword, validatePassword } from '../utils/passwordUtils.js';
+
+// 用户角色：管理员可以管理媒体库、设置和用户，普通用户只能播放和修改自己的播放器设置
+export const USER_ROLES = ['admin', 'user'];
+// 用户名：2 ~ 32 位字母、数字、下划线、点、横线或中文
+const USERNAME_PATTERN = /^[\w.\-一-龥]{2,32}$/;
+// 同一 IP 登录同一用户名连续失败次数上限及锁定时长（按 IP 和用户名计数，反向代理后所有请求 IP 相同时不会锁定其他用户）
+const MAX_LOGIN_FAILURES = 5;
+const LOGIN_LOCK_MS = 15 * 60 * 1000;
+
+// 各 IP 和用户名的登录失败记录 { count, lockedUntil }
+const loginFailures = new Map();
+// 用户不存在时用于校验的哈希，使登录耗时与用户存在时一致
+let dummyHash = null;
+
+// 是否需要初始化（还没有任何用户）
+export const needsSetup = () => countUsers() === 0;
+
+// 获取会话中的用户，用户已被删除或会话已失效（修改密码、退出登录）时返回 null
+export const getSessionUser = (ctx) => {
+  const userId = ctx.session?.userId;
+  if (!userId) return null;
+  const sessionVersion = getUserSessionVersion(userId);
+  if (sessionVersion === null || sessionVersion !== (ctx.session.sessionVersion || 0)) return null;
+  return findUser(userId);
+}
+
+// 登录：写入会话并记录登录时间
+export const startSession = (ctx, user) => {
+  ctx.session.userId = user.id;
+  ctx.session.sessionVersion = getUserSessionVersion(user.id);
+  return updateUser(user.id, { lastLoginAt: new Date().toISOString() });
+}
+
+// 退出登录：使该用户之前签发的所有会话失效（包括被复制的会话 Cookie）
+export const endSession = (ctx) => {
+  const user = getSessionUser(ctx);
+  user && increaseUserSessionVersion(user.id);
+  ctx.session = null;
+}
+
+// 校验用户名和密码格式，不符合要求时返回错误信息
+const validateCredentials = (username, password) => {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    return '用户名为 2 ~ 32 位字母、数字、下划线、点、横线或中文';
+  }
+  return validatePassword(password);
+}
+
+// 校验参数并计算密码哈希，参数不正确时抛出错误
+const prepareUser = async ({ username, password, role }) => {
+  const name = typeof username === 'string' ? username.trim() : username;
+  const message = validateCredentials(name, password);
+  if (message) throw new Error(message);
+  if (!USER_ROLES.includes(role)) throw new Error('用户角色不正确');
+  return { username: name, passwordHash: await hashPassword(password), role };
+}
+
+// 创建用户，参数不正确或用户名已存在时抛出错误（哈希计算完成后再检查重名，检查和写入之间没有异步操作）
+export const createUser = async ({ username, password, role = 'user' }) => {
+  const user = await prepareUser({ username, password, role });
+  if (findUserCredentials(user.username)) throw new Error('用户名已存在');
+  return insertUser(user);
+}
+
+// 首次使用时创建管理员，参数不正确时抛出错误，已有用户时返回 null（并发请求只有一个能创建成功）
+export const createFirstAdmin = async ({ username, password }) => {
+  return insertFirstUser(await prepareUser({ username, password, role: 'admin' }));
+}
+
+// 登录失败记录的键（用户名不区分大小写）
+const getLoginFailureKey = (ip, username) => `${ip}|${typeof username === 'string' ? username.trim().toLowerCase() : ''}`;
+
+// 登录失败次数过多时返回剩余锁定秒数
+export const getLoginLockSeconds = (ip, username) => {
+  const key = getLoginFailureKey(ip, username);
+  const record = loginFailures.get(key);
+  if (!record || !record.lockedUntil) return 0;
+  const remaining = record.lockedUntil - Date.now();
+  if (remaining > 0) return Math.ceil(remaining / 1000);
+  loginFailures.delete(key);
+  return 0;
+}
+
+// 验证用户名和密码，成功时返回用户，失败时累计该 IP 和用户名的失败次数
+export const authenticate = async (username, password, ip) => {
+  const key = getLoginFailureKey(ip, username);
+  const credentials = typeof username === 'string' ? findUserCredentials(username.trim()) : null;
+  if (!credentials) dummyHash = dummyHash || await hashPassword('');
+  const valid = await verifyPassword(password, credentials ? credentials.passwordHash : dummyHash);
+  if (!credentials || !valid) {
+    const record = loginFailures.get(key) || { count: 0, lockedUntil: 0 };
+    record.count++;
+    if (record.count >= MAX_LOGIN_FAILURES) {
+      record.count = 0;
+      record.lockedUntil = Date.now() + LOGIN_LOCK_MS;
+    }
+    loginFailures.set(key, record);
+    return null;
+  }
+  loginFailures.delete(key);
+  return findUser(credentials.id);
+}
+
+// 修改当前用户的密码（需要验证当前密码），其他会话全部失效，当前会话保持登录，失败时抛出错误
+export const changePassword = async (ctx, currentPassword, newPassword) => {
+  const userId = ctx.state.user.id;
+  const user = findUser(userId);
+  const credentials = user && findUserCredentials(user.username);
+  if (!credentials || !await verifyPassword(currentPassword, credentials.passwordHash)) {
+    throw new Error('当前密码不正确');
+  }
+  const message = validatePassword(newPassword);
+  if (message) throw new Error(message);
+  updateUser(userId, { passwordHash: await hashPassword(newPassword) });
+  ctx.session.sessionVersion = increaseUserSessionVersion(userId);
+  return findUser(userId);
+}
+
+// 删除用户（不能删除自己和最后一个管理员），失败时抛出错误
+export const removeUser = (userId, currentUserId) => {
+  const user = findUser(userId);
+  if (!user) throw new Error('用户不存在');
+  if (user.id === currentUserId) throw new Error('不能删除当前登录的用户');
+  if (user.role === 'admin' && countAdmins() <= 1) throw new Error('不能删除最后一个管理员');
+  deleteUser(userId);
+  return user;
+}
+
+// 启动时初始化管理员：没有用户且设置了 ADMIN_USERNAME/ADMIN_PASSWORD 环境变量时自动创建，否则在登录页创建
+export const ensureAdminUser = async () => {
+  if (!needsSetup()) return;
+  const { ADMIN_USERNAME, ADMIN_PASSWORD } = process.env;
+  if (ADMIN_USERNAME && ADMIN_PASSWORD) {
+    try {
+      const user = await createFirstAdmin({ username: ADMIN_USERNAME, password: ADMIN_PASSWORD });
+      user && console.log(`已创建管理员账号: ${user.username}`);
+    } catch (error) {
+      console.error('创建管理员账号失败:', error.message);
+    }
+    return;
+  }
+  console.log('还没有任何用户，请在登录页创建管理员账号');
+}
+
+export default {
+  needsSetup, // 是否需要初始化
+  getSessionUser, // 获取会话中的用户
+  startSession, // 登录
+  endSession, // 退出登录
+  createUser, // 创建用户
+  createFirstAdmin, // 首次使用时创建管理员
+  getLoginLockSeconds, // 登录锁定剩余秒数
+  authenticate, // 验证用户名和密码
+  changePassword, // 修改密码
+  removeUser, // 删除用户
+  ensureAdminUser // 启动时初始化管理员
+};
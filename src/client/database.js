@@ -1,17 +1,51 @@
+import path from 'path'
+import crypto from 'crypto'
 import client from './sqlite.js'
-import './initDatabase.js'
+import { createdTables } from './initDatabase.js'
+import { getGenreKey, resolveGenres, createGenreResolver, normalizeGenreAliases } from '../utils/genreUtils.js'
+import { toCoverUrl, getCoverHash, removeUnusedCovers, COVER_URL_PREFIX } from '../utils/coverUtils.js'
 
 export const defaultConfig = {
   id: 'app_config',
-  musicLibraryPaths: ['./music'],
   musicbrainzUserAgent: 'NAS-Music-Server/1.0.0',
   enableMusicbrainz: true,
-  scanInterval: 3600000, // 1小时
-  supportedFormats: ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma'],
+  scanConcurrency: 0, // 扫描时解析元数据的线程数，0 表示根据CPU核数自动设置
+  scanInterval: 3600000, // 1小时，0 表示不自动扫描
+  scanCron: '', // 扫描的 cron 表达式，设置后优先于 scanInterval
+  scrapingInterval: 86400000, // 自动刮削间隔（需开启刮削功能），0 表示不自动刮削
+  scrapingCron: '', // 刮削的 cron 表达式，设置后优先于 scrapingInterval
+  quietHoursStart: '', // 免打扰时段开始（HH:mm），该时段内不执行定时任务
+  quietHoursEnd: '', // 免打扰时段结束（HH:mm）
+  supportedFormats: ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma', '.ape', '.wv'],
+  // 全局排除规则（gitignore 语法，相对于媒体库根目录），如群晖缩略图目录、回收站
+  excludePatterns: ['@eaDir/', '#recycle/', '#snapshot/', '.AppleDouble/', '__MACOSX/', '._*'],
   coverSize: 300,
   language: 'zh-CN',
   scrapingEnabled: false, // 刮削功能开关
   scrapingUpdatedAt: null, // 刮削配置更新时间
+  watchEnabled: true, // 实时监听媒体库文件变化
+  watchDebounce: 2000, // 文件变化合并处理的等待时间（毫秒）
+  ffmpegPath: 'ffmpeg', // ffmpeg 可执行文件路径，用于截取 CUE 整轨文件中的音轨
+  streamQuality: 'original', // 播放器串流音质：original（原始）、high（320kbps）、medium（192kbps）、low（96kbps）
+  streamFormat: 'mp3', // 串流转码格式：mp3、opus、aac
+  transcodeMaxConcurrent: 2, // 同时进行的转码数量上限，超过时排队
+  transcodeCacheEnabled: false, // 缓存完整的转码结果
+  transcodeCacheSize: 2048, // 转码缓存大小上限（MB），超过时删除最久未使用的文件
+  streamProtocol: 'progressive', // 播放器串流方式：progressive（渐进式下载）、auto（转码或播放出错时改用 HLS）、hls（始终使用 HLS）
+  hlsCacheSize: 1024, // HLS 分段缓存大小上限（MB）
+  genreAliases: [], // 流派合并规则，如 [{ name: 'Hip-Hop', aliases: ['Hip Hop', '嘻哈'] }]
+  coverFileNames: ['cover', 'folder', 'front', 'album', 'albumart'], // 专辑封面图片文件名（按优先级排列，不带扩展名时匹配任意图片格式）
+  artistImageFileNames: ['artist'], // 歌手目录中的头像图片文件名（按优先级排列）
+  replayGainMode: 'track', // 音量均衡模式：off（关闭）、track（音轨增益）、album（专辑增益）
+  replayGainPreamp: 0, // 前置放大（dB）
+  replayGainPreventClipping: true, // 根据峰值限制增益，防止削波
+  loudnessAnalysisEnabled: false, // 定时分析没有增益标签的音乐
+  loudnessInterval: 86400000, // 响度分析间隔（需开启响度分析），0 表示不自动分析
+  loudnessCron: '', // 响度分析的 cron 表达式，设置后优先于 loudnessInterval
+  integrityInterval: 0, // 完整性检查间隔，0 表示不自动检查（可在设置中手动执行）
+  integrityCron: '', // 完整性检查的 cron 表达式，设置后优先于 integrityInterval
+  waveformInterval: 0, // 批量生成波形的间隔，0 表示不自动生成（播放时按需生成）
+  waveformCron: '', // 批量生成波形的 cron 表达式，设置后优先于 waveformInterval
 };
 
 // 获取配置
@@ -38,6 +72,152 @@ export const saveConfig = (config) => {
   }
 }
 
+// 格式化媒体库记录
+const formatLibrary = (library) => library && ({
+  ...library,
+  enabled: !!library.enabled,
+  readOnly: !!library.readOnly,
+  includePatterns: client.util.deserialize(library.includePatterns) || [],
+  excludePatterns: client.util.deserialize(library.excludePatterns) || [],
+  formats: client.util.deserialize(library.formats) || [],
+});
+
+// 获取所有媒体库
+export const getLibraries = () => {
+  return client.db.queryAll(`
+    SELECT libraries.*, (SELECT COUNT(*) FROM music WHERE music.libraryId = libraries.id) AS trackCount
+    FROM libraries ORDER BY created_at ASC
+  `).map(formatLibrary);
+}
+
+// 根据ID查找媒体库
+export const findLibrary = (libraryId) => formatLibrary(client.queryOne('libraries', { id: libraryId }));
+
+// 根据路径查找媒体库
+export const findLibraryByPath = (libraryPath) => formatLibrary(client.queryOne('libraries', { path: libraryPath }));
+
+// 新增媒体库
+export const insertLibrary = (library) => {
+  const now = new Date().toISOString();
+  const id = client.util.uuid();
+  client.insert('libraries', { ...library, id, created_at: now, updated_at: now });
+  return findLibrary(id);
+}
+
+// 更新媒体库
+export const updateLibrary = (libraryId, updates) => {
+  client.update('libraries', { ...updates, updated_at: new Date().toISOString() }, { id: libraryId });
+  return findLibrary(libraryId);
+}
+
+// 删除媒体库
+export const deleteLibrary = (libraryId) => client.delete('libraries', { id: libraryId });
+
+// 媒体库根路径变化时，同步修改音乐文件路径
+export const relocateLibraryTracks = (libraryId, oldRoot, newRoot) => {
+  const oldPrefix = path.join(oldRoot, path.sep);
+  const newPrefix = path.join(newRoot, path.sep);
+  return client.db.execute(`
+    UPDATE music SET path = @newPrefix || substr(path, @length + 1),
+      sourcePath = CASE WHEN substr(sourcePath, 1, @length) = @oldPrefix THEN @newPrefix || substr(sourcePath, @length + 1) ELSE sourcePath END,
+      cuePath = CASE WHEN substr(cuePath, 1, @length) = @oldPrefix THEN @newPrefix || substr(cuePath, @length + 1) ELSE cuePath END
+    WHERE libraryId = @libraryId AND substr(path, 1, @length) = @oldPrefix
+  `, { libraryId, oldPrefix, newPrefix, length: oldPrefix.length }).changes;
+}
+
+// 获取定时任务状态
+export const getSchedulerState = () => {
+  const state = client.queryOne('config', { id: 'scheduler_state' });
+  return state ? JSON.parse(state.data) : {};
+}
+
+// 保存定时任务状态
+export const saveSchedulerState = (state) => {
+  client.insertOrUpdate('config', { id: 'scheduler_state', data: JSON.stringify(state) });
+}
+
+// 会话 Cookie 的签名密钥（首次使用时随机生成并保存）
+export const getSessionSecret = () => {
+  const secret = client.queryOne('config', { id: 'session_secret' });
+  if (secret) return JSON.parse(secret.data);
+  const value = crypto.randomBytes(32).toString('hex');
+  client.insertOrUpdate('config', { id: 'session_secret', data: JSON.stringify(value) });
+  return value;
+}
+
+// 用户信息（不包含密码哈希）
+const formatUser = (user) => user ? { id: user.id, username: user.username, role: user.role, lastLoginAt: user.lastLoginAt, created_at: user.created_at } : null;
+
+// 获取所有用户
+export const getUsers = () => client.db.queryAll('SELECT * FROM users ORDER BY created_at ASC').map(formatUser);
+
+// 用户数量
+export const countUsers = () => client.count('users', {});
+
+// 管理员数量
+export const countAdmins = () => client.count('users', { role: 'admin' });
+
+// 根据ID查找用户
+export const findUser = (userId) => formatUser(client.queryOne('users', { id: userId }));
+
+// 获取用户当前的会话版本，用户不存在时返回 null
+export const getUserSessionVersion = (userId) => {
+  const user = client.queryOne('users', { id: userId });
+  return user ? user.sessionVersion || 0 : null;
+}
+
+// 会话版本加一，使该用户之前的所有会话失效，返回新的会话版本
+export const increaseUserSessionVersion = (userId) => {
+  client.db.execute(
+    'UPDATE users SET sessionVersion = COALESCE(sessionVersion, 0) + 1, updated_at = @now WHERE id = @id',
+    { id: userId, now: new Date().toISOString() }
+  );
+  return getUserSessionVersion(userId);
+}
+
+// 根据用户名查找用户（包含密码哈希，仅用于登录验证，用户名不区分大小写）
+export const findUserCredentials = (username) => client.queryOne('users', { username });
+
+// 新增用户
+export const insertUser = ({ username, passwordHash, role }) => {
+  const now = new Date().toISOString();
+  const id = client.util.uuid();
+  client.insert('users', { id, username, passwordHash, role, created_at: now, updated_at: now });
+  return findUser(id);
+}
+
+// 还没有任何用户时新增用户（首次创建管理员，检查和写入在同一事务中完成），已有用户时返回 null
+export const insertFirstUser = (user) => {
+  let created = null;
+  client.transaction(() => {
+    if (client.count('users', {}) === 0) created = insertUser(user);
+  });
+  return created;
+}
+
+// 更新用户
+export const updateUser = (userId, updates) => {
+  client.update('users', { ...updates, updated_at: new Date().toISOString() }, { id: userId });
+  return findUser(userId);
+}
+
+// 删除用户（同时删除其播放器设置）
+export const deleteUser = (userId) => {
+  client.delete('config', { id: `player_settings:${userId}` });
+  return client.delete('users', { id: userId });
+}
+
+// 获取用户的播放器设置（交叉淡入淡出、均衡器和自定义预设）
+export const getPlayerSettings = (userId) => {
+  const settings = client.queryOne('config', { id: `player_settings:${userId}` });
+  return settings ? JSON.parse(settings.data) : {};
+}
+
+// 保存用户的播放器设置
+export const savePlayerSettings = (userId, settings) => {
+  client.insertOrUpdate('config', { id: `player_settings:${userId}`, data: JSON.stringify(settings) });
+}
+
 // 获取音乐统计信息
 export const getMusicStats = () => {
   const tracksCount = client.count('music', { });
@@ -60,20 +240,73 @@ export const findTrackByPath = (trackPath) => {
   return track;
 }
 
+// 查找路径下的音乐（路径本身或其子路径，以及整轨文件对应的 CUE 虚拟音轨）
+export const findTracksUnderPath = (targetPath) => {
+  const prefix = targetPath.endsWith(path.sep) ? targetPath : targetPath + path.sep;
+  const tracks = client.db.queryAll(
+    'SELECT * FROM music WHERE path = @path OR sourcePath = @path OR substr(path, 1, @length) = @prefix',
+    { path: targetPath, prefix, length: prefix.length }
+  );
+  return tracks.map(track => {
+    track.artists = client.util.deserialize(track.artists);
+    return track;
+  });
+}
+
+// 查找 CUE 文件生成的虚拟音轨
+export const findTracksByCuePath = (cuePath) => {
+  return client.db.queryAll('SELECT id, path, sourcePath, album, albumId, artists FROM music WHERE cuePath = @cuePath', { cuePath }).map(track => {
+    track.artists = client.util.deserialize(track.artists);
+    return track;
+  });
+}
+
+// 移动音乐文件位置（重命名/移动目录时保留原记录）
+// CUE 虚拟音轨同时更新整轨文件和 CUE 文件路径，文件名为整轨文件的名称
+export const moveTrack = (trackId, newPath, libraryId, cueFiles = null) => {
+  const data = {
+    path: newPath,
+    filename: path.basename(cueFiles ? cueFiles.sourcePath : newPath),
+    libraryId,
+    updated_at: new Date().toISOString()
+  };
+  if (cueFiles) {
+    data.sourcePath = cueFiles.sourcePath;
+    data.cuePath = cueFiles.cuePath;
+  }
+  return client.update('music', data, { id: trackId });
+}
+
 // 根据路径更新或插入音乐
 export const upsertTrack = (trackDoc) => {
-  trackDoc.id = client.util.md5(trackDoc.path);
+  const existing = client.queryOne('music', { path: trackDoc.path });
+  trackDoc.id = existing?.id || client.util.md5(trackDoc.path);
+  // 封面保存到封面存储，数据库中只记录封面地址
+  trackDoc.coverImage = toCoverUrl(trackDoc.coverImage);
   // 格式化歌手名称
   const artistNames = client.util.formatArtistNames(trackDoc.artist);
   const albumTitle = trackDoc.album || '';
+  const albumArtist = trackDoc.albumArtist || trackDoc.artist || '';
+  // 只有一位歌手时排序标签才能对应到歌手（专辑歌手的排序标签优先）
+  const sortNames = new Map();
+  const albumArtistNames = client.util.formatArtistNames(albumArtist);
+  artistNames.length === 1 && trackDoc.artistSort && sortNames.set(artistNames[0], trackDoc.artistSort);
+  albumArtistNames.length === 1 && trackDoc.albumArtistSort && sortNames.set(albumArtistNames[0], trackDoc.albumArtistSort);
   // 处理歌手数据
   for (const artistName of artistNames) {
-    upsertArtistInfo(artistName, trackDoc.coverImage, '');
+    upsertArtistInfo(artistName, trackDoc.coverImage, '', null, sortNames.get(artistName));
   }
-  // 处理专辑数据
-  if (albumTitle && artistNames.length > 0) {
-    upsertAlbumInfo(albumTitle, artistNames, trackDoc.year, trackDoc.coverImage);
+  // 歌手目录中的图片（artist.jpg）作为歌手头像
+  if (trackDoc.artistImage) {
+    upsertArtistInfo(trackDoc.artistImage.name, trackDoc.artistImage.photo, '', 'folder');
   }
+  // 处理专辑数据（按专辑名称和专辑歌手区分）
+  const albumId = albumTitle ? upsertAlbumInfo(albumTitle, albumArtist, trackDoc.year, trackDoc.coverImage, {
+    compilation: trackDoc.compilation,
+    musicbrainzId: trackDoc.musicbrainzAlbumId,
+    albumSort: trackDoc.albumSort,
+    albumArtistSort: trackDoc.albumArtistSort
+  }) : null;
   // 更新或插入音乐记录
   const now = new Date().toISOString();
   const musicData = {
@@ -84,66 +317,190 @@ export const upsertTrack = (trackDoc) => {
     artist: trackDoc.artist,
     album: trackDoc.album,
     albumArtist: trackDoc.albumArtist,
+    albumId,
+    compilation: trackDoc.compilation === undefined ? undefined : (trackDoc.compilation ? 1 : 0),
+    musicbrainzAlbumId: trackDoc.musicbrainzAlbumId,
+    composer: trackDoc.composer,
+    lyricist: trackDoc.lyricist,
+    conductor: trackDoc.conductor,
+    label: trackDoc.label,
+    catalogNumber: trackDoc.catalogNumber,
+    isrc: trackDoc.isrc,
+    titleSort: trackDoc.titleSort,
+    artistSort: trackDoc.artistSort,
+    albumSort: trackDoc.albumSort,
+    albumArtistSort: trackDoc.albumArtistSort,
+    composerSort: trackDoc.composerSort,
+    composers: trackDoc.composer === undefined ? undefined : client.util.serialize(client.util.formatArtistNames(trackDoc.composer)),
+    lyricists: trackDoc.lyricist === undefined ? undefined : client.util.serialize(client.util.formatArtistNames(trackDoc.lyricist)),
+    replayGainTrackGain: trackDoc.replayGainTrackGain,
+    replayGainTrackPeak: trackDoc.replayGainTrackPeak,
+    replayGainAlbumGain: trackDoc.replayGainAlbumGain,
+    replayGainAlbumPeak: trackDoc.replayGainAlbumPeak,
+    replayGainSource: trackDoc.replayGainSource,
     genre: trackDoc.genre,
     year: trackDoc.year,
     duration: trackDoc.duration,
     bitrate: trackDoc.bitrate,
     sampleRate: trackDoc.sampleRate,
     channels: trackDoc.channels,
+    codec: trackDoc.codec,
+    container: trackDoc.container,
+    bitsPerSample: trackDoc.bitsPerSample,
+    lossless: trackDoc.lossless === undefined ? undefined : (trackDoc.lossless ? 1 : 0),
+    encoderDelay: trackDoc.encoderDelay,
+    encoderPadding: trackDoc.encoderPadding,
+    sampleCount: trackDoc.sampleCount,
     filename: trackDoc.filename,
     size: trackDoc.size,
+    modifiedTime: trackDoc.modifiedTime,
+    sidecarModifiedTime: trackDoc.sidecarModifiedTime ?? null,
+    sourcePath: trackDoc.sourcePath || null,
+    cuePath: trackDoc.cuePath || null,
+    startTime: trackDoc.startTime ?? null,
+    endTime: trackDoc.endTime ?? null,
+    trackNumber: trackDoc.trackNumber,
+    trackTotal: trackDoc.trackTotal,
+    discNumber: trackDoc.discNumber,
+    discTotal: trackDoc.discTotal,
     favorite: trackDoc.favorite,
     playCount: trackDoc.playCount,
     lastPlayed: trackDoc.lastPlayed,
     coverImage: trackDoc.coverImage,
     lyrics: trackDoc.lyrics,
+    lyricsSource: trackDoc.lyricsSource,
     artists: client.util.serialize(artistNames),
     updated_at: now,
-    created_at: now
+    created_at: existing ? undefined : now
   };
-  return client.insertOrUpdate('music', musicData, { id: trackDoc.id });
+  // 在线获取的歌词写入文件标签后重新扫描时，文件中没有其他歌词则保留在线来源
+  if (existing?.lyricsSource === 'online' && musicData.lyricsSource !== 'sidecar'
+    && (!musicData.lyrics || musicData.lyrics.trim() === String(existing.lyrics || '').trim())) {
+    musicData.lyrics = undefined;
+    musicData.lyricsSource = undefined;
+  }
+  // 文件中没有增益标签时保留响度分析的结果（文件修改后重新扫描也无需重新分析）
+  if (existing?.replayGainSource === 'analysis' && musicData.replayGainSource !== 'tag') {
+    for (const key of ['replayGainTrackGain', 'replayGainTrackPeak', 'replayGainAlbumGain', 'replayGainAlbumPeak', 'replayGainSource']) {
+      musicData[key] = undefined;
+    }
+  }
+  // 文件修改后之前的完整性检查结果不再有效，等待重新检查
+  if (existing?.modifiedTime && musicData.modifiedTime && existing.modifiedTime !== musicData.modifiedTime) {
+    musicData.integrityStatus = null;
+    musicData.integrityMessage = null;
+    musicData.integrityCheckedAt = null;
+  }
+  // 未提供的字段保留原值（收藏、播放次数、播放时间等）
+  for (const key of Object.keys(musicData)) {
+    if (musicData[key] === undefined) { delete musicData[key]; }
+  }
+  const result = client.insertOrUpdate('music', musicData, { id: trackDoc.id });
+  if (trackDoc.genre !== undefined) {
+    syncTrackGenres(trackDoc.id, trackDoc.genre);
+  }
+  return result;
+}
+
+// 在同一事务中批量更新或插入音乐记录
+export const upsertTracks = (trackDocs = []) => {
+  if (trackDocs.length === 0) return;
+  client.transaction(() => {
+    for (const trackDoc of trackDocs) {
+      upsertTrack(trackDoc);
+    }
+  });
 }
 
 
-export const upsertArtistInfo = (name, photo, detail='') => {
+export const upsertArtistInfo = (name, photo, detail='', photoSource=null, sortName=null) => {
   const id = client.util.md5(name);
   const normalizedName = client.util.normalize(name);
+  // 歌手目录中的图片优先于音乐封面
+  const existing = photoSource === 'folder' ? null : client.queryOne('artists', { id });
+  const keepPhoto = existing?.photoSource === 'folder' && existing.photo;
   client.insertOrUpdate('artists', {
     id,
     name,
     normalizedName,
     trackCount: 1,
     albumCount: 1,
-    photo: photo || null,
+    photo: keepPhoto ? existing.photo : (toCoverUrl(photo) || null),
+    photoSource: keepPhoto ? 'folder' : photoSource,
     detail: detail || null,
+    // 没有排序标签时保留原值
+    ...(sortName ? { sortName } : {}),
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
   });
   updateArtistStats(name);
 }
 
-// 合并专辑信息
-export const upsertAlbumInfo = (albumTitle, artistNames, year, coverImage) => {
-  const albumId = client.util.md5(albumTitle);
+// 合并专辑信息，返回专辑ID
+export const upsertAlbumInfo = (albumTitle, albumArtist, year, coverImage, options = {}) => {
+  const albumId = client.util.albumId(albumTitle, albumArtist, options.musicbrainzId);
   const normalizedTitle = client.util.normalize(albumTitle);
   client.insertOrUpdate('albums', { 
     id: albumId,
     title: albumTitle,
     normalizedTitle,
-    artist: artistNames.join(','),
-    artists: client.util.serialize(artistNames),
+    artist: albumArtist,
+    artists: client.util.serialize(client.util.formatArtistNames(albumArtist)),
     trackCount: 0,
     year,
-    coverImage,
+    coverImage: toCoverUrl(coverImage),
+    compilation: options.compilation ? 1 : 0,
+    musicbrainzId: options.musicbrainzId || null,
+    // 没有排序标签时保留原值
+    ...(options.albumSort ? { albumSort: options.albumSort } : {}),
+    ...(options.albumArtistSort ? { albumArtistSort: options.albumArtistSort } : {}),
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString() 
   });
-  updateAlbumStats(albumTitle);
+  updateAlbumStats(albumId);
+  return albumId;
 }
 
-// 获取所有音乐（支持搜索、排序、分页）
+// 排序标签对应的字段
+const SORT_NAME_FIELDS = { title: 'titleSort', artist: 'artistSort', album: 'albumSort' };
+
+// 音质筛选条件，quality: { codec（多个用逗号分隔）, lossless, minBitsPerSample, minSampleRate（Hz）, minBitrate, maxBitrate（kbps，不含） }
+// 如只看无损：{ lossless: true }；Hi-Res：{ minBitsPerSample: 24, minSampleRate: 96000 }；低码率 MP3：{ codec: 'mp3', maxBitrate: 192 }
+export const getQualityCondition = (quality = {}) => {
+  const conditions = [];
+  const params = {};
+  const codecs = String(quality.codec || '').split(',').map(codec => codec.trim().toLowerCase()).filter(Boolean);
+  if (codecs.length > 0) {
+    conditions.push(`codec IN (${codecs.map((codec, i) => `@qualityCodec${i}`).join(', ')})`);
+    codecs.forEach((codec, i) => { params[`qualityCodec${i}`] = codec; });
+  }
+  if (quality.lossless !== undefined && quality.lossless !== '') {
+    conditions.push('lossless = @qualityLossless');
+    params.qualityLossless = [true, 1, 'true', '1'].includes(quality.lossless) ? 1 : 0;
+  }
+  const number = (value) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : null;
+  };
+  const ranges = [
+    ['minBitsPerSample', 'bitsPerSample >= @qualityMinBitsPerSample', 1],
+    ['minSampleRate', 'sampleRate >= @qualityMinSampleRate', 1],
+    ['minBitrate', 'bitrate >= @qualityMinBitrate', 1000],
+    // 比特率未知（为 0）的音乐不计入低码率
+    ['maxBitrate', 'bitrate > 0 AND bitrate < @qualityMaxBitrate', 1000]
+  ];
+  for (const [key, condition, scale] of ranges) {
+    const value = number(quality[key]);
+    if (value === null) continue;
+    conditions.push(condition);
+    params[`quality${key[0].toUpperCase()}${key.slice(1)}`] = value * scale;
+  }
+  return conditions.length > 0 ? { operator: 'SQL', condition: conditions.join(' AND '), params } : null;
+}
+
+// 获取所有音乐（支持搜索、排序、分页、音质筛选）
 export const getAllTracks = (options = {}) => {
-  const { search = '', sort = 'title', order = 'asc', page = 1, pageSize = 10, filter = {} } = options;
+  const { search = '', sort = 'title', order = 'asc', page = 1, pageSize = 10, filter = {}, quality = {} } = options;
   const conditions = filter;
   if (search) {
     conditions.search = { 
@@ -152,9 +509,15 @@ export const getAllTracks = (options = {}) => {
       params: { search: `%${search}%` }
     };
   }
-  const sortField = ['title', 'artist', 'album', 'genre', 'year', 'duration', 'bitrate', 'playCount', 'favorite', 'size'].includes(sort) ? sort : 'title';
+  const qualityCondition = getQualityCondition(quality);
+  if (qualityCondition) {
+    conditions.quality = qualityCondition;
+  }
+  const sortField = ['title', 'artist', 'album', 'genre', 'year', 'duration', 'bitrate', 'sampleRate', 'bitsPerSample', 'codec', 'container', 'lossless', 'playCount', 'favorite', 'size'].includes(sort) ? sort : 'title';
   const sortOrder = ['asc', 'desc'].includes(order.toLowerCase()) ? order.toUpperCase() : 'ASC';
-  const result = client.page('music', page, pageSize, `${sortField} ${sortOrder}, lastPlayed DESC, playCount DESC, updated_at DESC`, conditions);
+  // 标题、歌手、专辑优先按排序标签排序（如 The Beatles 的排序名为 Beatles, The）
+  const sortColumn = SORT_NAME_FIELDS[sortField] ? `COALESCE(NULLIF(${SORT_NAME_FIELDS[sortField]}, ''), ${sortField})` : sortField;
+  const result = client.page('music', page, pageSize, `${sortColumn} ${sortOrder}, lastPlayed DESC, playCount DESC, updated_at DESC`, conditions);
   result.data = result.data.map(track => ({
     ...track,
     artists: client.util.deserialize(track.artists)
@@ -186,6 +549,8 @@ export const findTrackById = (trackId) => {
   const track = client.queryOne('music', { id: trackId });
   if (track) {
     track.artists = client.util.deserialize(track.artists);
+    track.composers = client.util.deserialize(track.composers);
+    track.lyricists = client.util.deserialize(track.lyricists);
   }
   return track;
 }
@@ -199,6 +564,8 @@ export const updateTrack = (trackId, updates) => {
   for (const [key, value] of Object.entries(updates)) {
     if (key === 'artists') {
       processedUpdates[key] = client.util.serialize(value);
+    } else if (key === 'coverImage') {
+      processedUpdates[key] = toCoverUrl(value);
     } else {
       processedUpdates[key] = value;
     }
@@ -234,14 +601,31 @@ export const getRecentlyPlayedTracks = (options = {}) => {
   return client.page('music', page, pageSize, `${sortField} ${sortOrder}`, conditions);
 }
 
-// 获取专辑列表（支持搜索、排序、分页）
+// 专辑列表的排序字段，专辑名和专辑歌手优先使用排序标签
+const ALBUM_SORT_COLUMNS = {
+  title: "COALESCE(NULLIF(albumSort, ''), title) COLLATE NOCASE",
+  artist: "COALESCE(NULLIF(albumArtistSort, ''), artist) COLLATE NOCASE",
+  year: 'year',
+  trackCount: 'trackCount'
+};
+
+// 歌手列表的排序字段，歌手名优先使用排序标签
+const ARTIST_SORT_COLUMNS = {
+  name: "COALESCE(NULLIF(sortName, ''), name) COLLATE NOCASE",
+  trackCount: 'trackCount',
+  albumCount: 'albumCount'
+};
+
+// 获取专辑列表（支持搜索、排序、分页），sort: title | artist | year | trackCount
 export const albumsPage = (options = {}) => {
   const { query, sort = 'title', order = 'asc', page = 1, pageSize = 10 } = options;
   const conditions = { trackCount: { operator: '>', data: 0 } };
   if (query) {
     conditions.query = { operator: 'SQL', condition: `title LIKE @query OR artist LIKE @query`, params: { query: `%${query}%` }};
   }
-  const result = client.page('albums', page, pageSize, `trackCount DESC, year DESC, updated_at DESC, title ASC`, conditions);
+  const sortColumn = ALBUM_SORT_COLUMNS[sort] || ALBUM_SORT_COLUMNS.title;
+  const sortOrder = String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  const result = client.page('albums', page, pageSize, `${sortColumn} ${sortOrder}, ${ALBUM_SORT_COLUMNS.title} ASC, id ASC`, conditions);
   result.data = result.data.map(album => ({
     ...album,
     artists: client.util.deserialize(album.artists)
@@ -249,26 +633,36 @@ export const albumsPage = (options = {}) => {
   return result
 }
 
-// 获取艺术家列表（支持搜索、排序、分页）
+// 获取艺术家列表（支持搜索、排序、分页），sort: name | trackCount | albumCount
 export const artistsPage = (options = {}) => {
-  const { query: searchQuery = '', page = 1, pageSize = 10 } = options;
+  const { query: searchQuery = '', sort = 'name', order = 'asc', page = 1, pageSize = 10 } = options;
   const conditions = { trackCount: { operator: '>', data: 0 } };
   if (searchQuery) {
     conditions.name = { operator: 'LIKE', data: searchQuery };
   }
-  return client.page('artists', page, pageSize, `albumCount DESC, trackCount DESC, updated_at DESC, name ASC`, conditions);
+  const sortColumn = ARTIST_SORT_COLUMNS[sort] || ARTIST_SORT_COLUMNS.name;
+  const sortOrder = String(order).toLowerCase() === 'desc' ? 'DESC' : 'ASC';
+  return client.page('artists', page, pageSize, `${sortColumn} ${sortOrder}, ${ARTIST_SORT_COLUMNS.name} ASC, id ASC`, conditions);
 }
 
 // 更新艺术家信息
-export const updateArtistInfo = (artistId, artistInfo) => client.update('artists', artistInfo, { id: artistId });
+export const updateArtistInfo = (artistId, artistInfo) => {
+  const data = { ...artistInfo };
+  if ('photo' in data) { data.photo = toCoverUrl(data.photo); }
+  return client.update('artists', data, { id: artistId });
+}
 
 // 更新专辑信息
-export const updateAlbumInfo = (albumId, albumInfo) => client.update('albums', albumInfo, { id: albumId });
+export const updateAlbumInfo = (albumId, albumInfo) => {
+  const data = { ...albumInfo };
+  if ('coverImage' in data) { data.coverImage = toCoverUrl(data.coverImage); }
+  return client.update('albums', data, { id: albumId });
+}
 
 // 更新专辑统计信息
-export const updateAlbumStats = (album) => {
-  const trackCount = client.count('music', { album: album });
-  client.update('albums', { trackCount: trackCount || 0, updated_at: new Date().toISOString() }, { title:album });
+export const updateAlbumStats = (albumId) => {
+  const trackCount = client.count('music', { albumId });
+  client.update('albums', { trackCount: trackCount || 0, updated_at: new Date().toISOString() }, { id: albumId });
 };
 
 // 更新艺术家统计信息
@@ -289,34 +683,39 @@ export const findArtist = (artist) => {
   });
 }
 
-// 根据专辑ID/标题查找专辑
+// 根据专辑ID/标题查找专辑（标题不区分大小写，不使用 LIKE 以免标题中的 % 和 _ 匹配到其他专辑）
+// 同名专辑（不同专辑歌手）优先返回ID匹配的，其次是音乐数量最多的
 export const findAlbum = (album) => {
-  const data = client.queryOne('albums', { 
-    query: {
-      operator: 'SQL',
-      condition: `id = @id OR title like @id OR normalizedTitle like @id`,
-      params: { id: client.util.normalize(album) }
-    }
-  });
+  const data = client.db.queryOne(`
+    SELECT * FROM albums
+    WHERE id = @id OR title = @id COLLATE NOCASE OR normalizedTitle = @normalizedTitle
+    ORDER BY id = @id DESC, trackCount DESC
+    LIMIT 1
+  `, { id: String(album ?? ''), normalizedTitle: client.util.normalize(String(album ?? '')) || null });
   if (data) {
     data.artists = client.util.deserialize(data.artists);
   }
   return data;
 }
 
-// 获取专辑的音乐列表
-export const getTracksByAlbum = (album) => {
-  const tracks = client.queryAll('music', { album: album });
+// 获取专辑的音乐列表（按碟号、音轨号排序，没有编号的排在最后并按文件路径排序）
+export const getTracksByAlbum = (albumId) => {
+  const tracks = client.db.queryAll(`
+    SELECT * FROM music WHERE albumId = @albumId
+    ORDER BY COALESCE(discNumber, 1), trackNumber IS NULL, trackNumber, path
+  `, { albumId });
   return tracks.map(track => {
     track.artists = client.util.deserialize(track.artists);
     return track;
   });
 }
 
-// 更新专辑和歌手状态
+// 更新专辑、歌手和流派状态
 export const updateState = () => {
   updateAlbumsState();
   updateArtistsState();
+  updateGenresState();
+  cleanupCoverStore();
 }
 
 export const updateAlbumsState = () => {
@@ -328,7 +727,7 @@ export const updateAlbumsState = () => {
       coverImage = (
         SELECT coverImage 
         FROM music 
-        WHERE album = albums.title 
+        WHERE albumId = albums.id 
         AND coverImage IS NOT NULL 
         AND coverImage != ''
         LIMIT 1
@@ -336,7 +735,7 @@ export const updateAlbumsState = () => {
       trackCount = (
         SELECT COUNT(*) 
         FROM music 
-        WHERE album = albums.title
+        WHERE albumId = albums.id
       ),
       updated_at = @now
     WHERE albums.title IS NOT NULL
@@ -372,18 +771,367 @@ export const removeTracksByLibraryId = (libraryId) => {
   updateState();
 }
 
+// 根据ID批量删除音乐
+export const removeTracksByIds = (trackIds = []) => {
+  let removed = 0;
+  // 分批删除，避免超出 SQLite 参数数量限制
+  for (let i = 0; i < trackIds.length; i += 500) {
+    const ids = trackIds.slice(i, i + 500);
+    removed += client.delete('music', { id: { operator: 'IN', data: ids } }).changes;
+    client.delete('track_genres', { trackId: { operator: 'IN', data: ids } });
+  }
+  return removed;
+}
+
+// ==================== 流派相关 ====================
+
+// 流派名称解析函数（按合并规则缓存，规则变化时重新创建）
+let genreResolver = null;
+const getGenreResolver = () => {
+  if (!genreResolver) {
+    const config = getConfig();
+    genreResolver = createGenreResolver(config.genreAliases || defaultConfig.genreAliases);
+  }
+  return genreResolver;
+}
+
+// 更新音乐的流派关联
+export const syncTrackGenres = (trackId, genre) => {
+  client.delete('track_genres', { trackId });
+  const now = new Date().toISOString();
+  for (const name of resolveGenres(genre, getGenreResolver())) {
+    const normalizedName = getGenreKey(name);
+    const genreId = client.util.md5(normalizedName);
+    client.db.execute(`
+      INSERT INTO genres (id, name, normalizedName, created_at, updated_at) VALUES (@genreId, @name, @normalizedName, @now, @now)
+      ON CONFLICT(id) DO NOTHING
+    `, { genreId, name, normalizedName, now });
+    client.db.execute('INSERT OR IGNORE INTO track_genres (trackId, genreId) VALUES (@trackId, @genreId)', { trackId, genreId });
+  }
+}
+
+// 更新流派统计（音乐、专辑、歌手数量），删除没有音乐的流派
+export const updateGenresState = () => {
+  try {
+    client.db.execute('DELETE FROM track_genres WHERE trackId NOT IN (SELECT id FROM music)');
+    client.db.execute(`
+      UPDATE genres SET
+        trackCount = (SELECT COUNT(*) FROM track_genres WHERE genreId = genres.id),
+        albumCount = (
+          SELECT COUNT(DISTINCT music.albumId) FROM track_genres
+          JOIN music ON music.id = track_genres.trackId
+          WHERE track_genres.genreId = genres.id
+        ),
+        artistCount = (
+          SELECT COUNT(DISTINCT artist.value) FROM track_genres
+          JOIN music ON music.id = track_genres.trackId, json_each(COALESCE(music.artists, '[]')) AS artist
+          WHERE track_genres.genreId = genres.id
+        ),
+        updated_at = @now
+    `, { now: new Date().toISOString() });
+    const result = client.db.execute('DELETE FROM genres WHERE trackCount = 0');
+    console.log(`流派信息更新完成，删除 ${result.changes} 个空流派`);
+  } catch (error) {
+    console.error('更新流派信息失败:', error);
+  }
+}
+
+// 根据音乐的流派字段重新生成全部流派关联（合并规则变化或旧版本升级时）
+export const rebuildGenres = () => {
+  genreResolver = null;
+  const tracks = client.db.queryAll('SELECT id, genre FROM music');
+  client.transaction(() => {
+    client.db.execute('DELETE FROM track_genres');
+    client.db.execute('DELETE FROM genres');
+    for (const track of tracks) {
+      syncTrackGenres(track.id, track.genre);
+    }
+  });
+  updateGenresState();
+}
+
+// 获取流派合并规则
+export const getGenreAliases = () => {
+  const config = getConfig();
+  return normalizeGenreAliases(config.genreAliases || defaultConfig.genreAliases);
+}
+
+// 保存流派合并规则并重新生成流派关联
+export const saveGenreAliases = (rules) => {
+  const config = getConfig();
+  config.genreAliases = normalizeGenreAliases(rules);
+  saveConfig(config);
+  rebuildGenres();
+  return config.genreAliases;
+}
+
+// 获取流派列表（支持搜索、排序、分页）
+export const genresPage = (options = {}) => {
+  const { query, sort = 'trackCount', page = 1, pageSize = 10 } = options;
+  const conditions = { trackCount: { operator: '>', data: 0 } };
+  if (query) {
+    conditions.query = { operator: 'SQL', condition: `name LIKE @query OR normalizedName LIKE @key`, params: { query: `%${query}%`, key: `%${getGenreKey(query)}%` } };
+  }
+  const orderBy = sort === 'name' ? 'name ASC' : 'trackCount DESC, name ASC';
+  return client.page('genres', page, pageSize, orderBy, conditions);
+}
+
+// 根据流派ID/名称查找流派
+export const findGenre = (genre) => {
+  return client.queryOne('genres', {
+    query: {
+      operator: 'SQL',
+      condition: `id = @id OR normalizedName = @key`,
+      params: { id: genre, key: getGenreKey(genre) }
+    }
+  });
+}
+
+// 获取流派下的专辑（按该流派的音乐数量排序）
+export const getGenreAlbums = (genreId, limit = 50) => {
+  return client.db.queryAll(`
+    SELECT albums.id, albums.title, albums.artist, albums.year, albums.coverImage, albums.trackCount, COUNT(*) AS genreTrackCount
+    FROM track_genres
+    JOIN music ON music.id = track_genres.trackId
+    JOIN albums ON albums.id = music.albumId
+    WHERE track_genres.genreId = @genreId
+    GROUP BY albums.id
+    ORDER BY genreTrackCount DESC, albums.title ASC
+    LIMIT @limit
+  `, { genreId, limit });
+}
+
+// 获取流派下的歌手（按该流派的音乐数量排序）
+export const getGenreArtists = (genreId, limit = 50) => {
+  return client.db.queryAll(`
+    SELECT artist.value AS name, artists.id, artists.photo, COUNT(*) AS genreTrackCount
+    FROM track_genres
+    JOIN music ON music.id = track_genres.trackId, json_each(COALESCE(music.artists, '[]')) AS artist
+    LEFT JOIN artists ON artists.name = artist.value
+    WHERE track_genres.genreId = @genreId
+    GROUP BY artist.value
+    ORDER BY genreTrackCount DESC, artist.value ASC
+    LIMIT @limit
+  `, { genreId, limit });
+}
+
+// ==================== 作曲、作词相关 ====================
+
+// 创作人员类型对应的音乐字段（JSON 数组）
+const CREDIT_FIELDS = { composer: 'composers', lyricist: 'lyricists' };
+
+// 获取作曲者/作词者列表（支持搜索、分页）
+export const creditsPage = (role, options = {}) => {
+  const field = CREDIT_FIELDS[role];
+  const { query = '', page = 1, pageSize = 10 } = options;
+  const params = { query: `%${query}%`, limit: pageSize, offset: (page - 1) * pageSize };
+  const from = `FROM music, json_each(COALESCE(music.${field}, '[]')) AS credit ${query ? 'WHERE credit.value LIKE @query' : ''}`;
+  const { count } = client.db.queryOne(`SELECT COUNT(DISTINCT credit.value) AS count ${from}`, params);
+  const data = client.db.queryAll(`
+    SELECT credit.value AS name, COUNT(*) AS trackCount, COUNT(DISTINCT music.albumId) AS albumCount
+    ${from}
+    GROUP BY credit.value
+    ORDER BY albumCount DESC, trackCount DESC, name ASC
+    LIMIT @limit OFFSET @offset
+  `, params);
+  return { data, pagination: { total: count, pages: Math.ceil(count / pageSize), page, pageSize } };
+}
+
+// 根据名称查找作曲者/作词者，返回统计信息和参与的专辑
+export const findCredit = (role, name) => {
+  const field = CREDIT_FIELDS[role];
+  const credit = client.db.queryOne(`
+    SELECT credit.value AS name, COUNT(*) AS trackCount, COUNT(DISTINCT music.albumId) AS albumCount
+    FROM music, json_each(COALESCE(music.${field}, '[]')) AS credit
+    WHERE credit.value = @name
+    GROUP BY credit.value
+  `, { name });
+  if (!credit) return null;
+  credit.albums = client.db.queryAll(`
+    SELECT albums.id, albums.title, albums.artist, albums.year, albums.coverImage, COUNT(*) AS creditTrackCount
+    FROM music, json_each(COALESCE(music.${field}, '[]')) AS credit
+    JOIN albums ON albums.id = music.albumId
+    WHERE credit.value = @name
+    GROUP BY albums.id
+    ORDER BY albums.year DESC, albums.title ASC
+  `, { name });
+  return credit;
+}
+
+// 作曲者/作词者的音乐查询条件
+export const getCreditFilter = (role, name) => ({
+  [CREDIT_FIELDS[role]]: {
+    operator: 'SQL',
+    condition: `EXISTS (SELECT 1 FROM json_each(COALESCE(${CREDIT_FIELDS[role]}, '[]')) WHERE value = @creditName)`,
+    params: { creditName: name }
+  }
+});
+
+// ==================== 音量均衡相关 ====================
+
+// 获取没有增益信息、需要响度分析的音乐（按专辑分组排列）
+export const getTracksWithoutReplayGain = () => {
+  return client.db.queryAll(`
+    SELECT id, path, sourcePath, startTime, endTime, channels, sampleRate, albumId FROM music
+    WHERE replayGainSource IS NULL
+    ORDER BY albumId, path
+  `);
+}
+
+// 获取增益信息统计（按来源）
+export const getReplayGainStats = () => {
+  const rows = client.db.queryAll('SELECT replayGainSource AS source, COUNT(*) AS count FROM music GROUP BY replayGainSource');
+  const count = (source) => rows.find(row => row.source === source)?.count || 0;
+  return { tag: count('tag'), analysis: count('analysis'), error: count('error'), missing: count(null) };
+}
+
+// 完整性检查发现问题的状态
+export const INTEGRITY_PROBLEMS = ['corrupt', 'truncated', 'error'];
+
+// 获取需要完整性检查的音乐（从未检查过，或检查后文件有修改）
+export const getTracksToVerify = () => {
+  return client.db.queryAll(`
+    SELECT id, path, sourcePath FROM music
+    WHERE integrityCheckedAt IS NULL OR (modifiedTime IS NOT NULL AND integrityCheckedAt < modifiedTime)
+    ORDER BY libraryId, path
+  `);
+}
+
+// 获取生成波形需要的音乐信息
+export const getTracksForWaveform = () => {
+  return client.db.queryAll(`
+    SELECT id, path, sourcePath, startTime, endTime, duration, modifiedTime FROM music
+    ORDER BY libraryId, path
+  `);
+}
+
+// 获取完整性检查报告：每个媒体库的检查结果统计和有问题的音乐列表
+export const getIntegrityReport = (libraryId = '') => {
+  const libraries = client.queryAll('libraries', libraryId ? { id: libraryId } : {});
+  const params = { libraryId, ...Object.fromEntries(INTEGRITY_PROBLEMS.map((status, i) => [`status${i}`, status])) };
+  const libraryCondition = libraryId ? 'AND libraryId = @libraryId' : '';
+  const counts = client.db.queryAll(`
+    SELECT libraryId, integrityStatus AS status, COUNT(*) AS count FROM music
+    WHERE 1 = 1 ${libraryCondition}
+    GROUP BY libraryId, integrityStatus
+  `, params);
+  const tracks = client.db.queryAll(`
+    SELECT id, libraryId, title, artist, album, path, integrityStatus, integrityMessage, integrityCheckedAt FROM music
+    WHERE integrityStatus IN (${INTEGRITY_PROBLEMS.map((status, i) => `@status${i}`).join(', ')}) ${libraryCondition}
+    ORDER BY path
+  `, params);
+  return libraries.map(library => {
+    const count = (status) => counts.find(row => row.libraryId === library.id && row.status === status)?.count || 0;
+    return {
+      id: library.id,
+      name: library.name,
+      path: library.path,
+      stats: {
+        ok: count('ok'),
+        corrupt: count('corrupt'),
+        truncated: count('truncated'),
+        error: count('error'),
+        unchecked: count(null)
+      },
+      tracks: tracks.filter(track => track.libraryId === library.id)
+    };
+  });
+}
+
+// 旧版本没有流派表，首次启动时根据已有音乐生成
+if (createdTables.includes('genres')) {
+  rebuildGenres();
+}
+
+// 保存封面图片的字段
+const COVER_FIELDS = [['music', 'coverImage'], ['albums', 'coverImage'], ['artists', 'photo']];
+
+// 删除封面存储中不再被音乐、专辑和歌手使用的图片
+export const cleanupCoverStore = () => {
+  const sql = COVER_FIELDS
+    .map(([table, field]) => `SELECT DISTINCT ${field} AS url FROM ${table} WHERE ${field} LIKE @prefix`)
+    .join(' UNION ');
+  const hashes = client.db.queryAll(sql, { prefix: `${COVER_URL_PREFIX}%` }).map(row => getCoverHash(row.url)).filter(Boolean);
+  const removed = removeUnusedCovers(hashes);
+  removed > 0 && console.log(`已删除 ${removed} 张不再使用的封面`);
+}
+
+// 旧版本以 data URL 保存在数据库中的封面迁移到封面存储（分批处理，避免一次读取全部图片）
+const migrateCoverImages = () => {
+  let migrated = 0;
+  for (const [table, field] of COVER_FIELDS) {
+    const sql = `SELECT id, ${field} AS image FROM ${table} WHERE ${field} LIKE 'data:%' LIMIT 100`;
+    for (let rows = client.db.queryAll(sql); rows.length > 0; rows = client.db.queryAll(sql)) {
+      client.transaction(() => {
+        for (const row of rows) {
+          // 无法解析的图片清空，避免重复处理
+          const url = toCoverUrl(row.image);
+          client.db.execute(`UPDATE ${table} SET ${field} = @url WHERE id = @id`, { url: url === row.image ? null : url, id: row.id });
+        }
+      });
+      migrated += rows.length;
+    }
+  }
+  if (migrated > 0) {
+    client.db.execute('VACUUM');
+    console.log(`封面迁移完成，共 ${migrated} 条记录`);
+  }
+}
+
+migrateCoverImages();
+
+// 获取媒体库的文件索引（增量扫描时比对文件大小和修改时间）
+export const getLibraryTrackIndex = (libraryId) => {
+  return client.db.queryAll(`
+    SELECT id, path, sourcePath, cuePath, size, modifiedTime, sidecarModifiedTime, lyricsSource, (coverImage IS NOT NULL AND coverImage != '') AS hasCover
+    FROM music WHERE libraryId = @libraryId
+  `, { libraryId });
+}
+
 
 export default {
   // 配置相关
   getConfig, // 获取配置
   saveConfig, // 保存配置
+  getSchedulerState, // 获取定时任务状态
+  // 媒体库相关
+  getLibraries, // 获取所有媒体库
+  findLibrary, // 根据ID查找媒体库
+  findLibraryByPath, // 根据路径查找媒体库
+  insertLibrary, // 新增媒体库
+  updateLibrary, // 更新媒体库
+  deleteLibrary, // 删除媒体库
+  relocateLibraryTracks, // 媒体库路径变化时同步音乐路径
+  saveSchedulerState, // 保存定时任务状态
+  getSessionSecret, // 会话 Cookie 的签名密钥
+  getPlayerSettings, // 获取用户的播放器设置
+  savePlayerSettings, // 保存用户的播放器设置
+  // 用户相关
+  getUsers, // 获取所有用户
+  countUsers, // 用户数量
+  countAdmins, // 管理员数量
+  findUser, // 根据ID查找用户
+  getUserSessionVersion, // 获取用户的会话版本
+  increaseUserSessionVersion, // 使用户之前的会话失效
+  findUserCredentials, // 根据用户名查找用户（包含密码哈希）
+  insertUser, // 新增用户
+  insertFirstUser, // 还没有任何用户时新增用户
+  updateUser, // 更新用户
+  deleteUser, // 删除用户
   // 统计相关
   getMusicStats, // 获取音乐统计信息
   // 音乐相关
   findTrackByPath, // 根据路径查找音乐
+  findTracksUnderPath, // 查找路径下的音乐
+  findTracksByCuePath, // 查找CUE文件生成的虚拟音轨
+  moveTrack, // 移动音乐文件位置
   upsertTrack, // 更新或插入音乐
+  upsertTracks, // 批量更新或插入音乐
   removeTracksByLibraryId, // 根据库ID删除音乐
+  removeTracksByIds, // 根据ID批量删除音乐
+  getLibraryTrackIndex, // 获取媒体库的文件索引
   getAllTracks, // 获取所有音乐
+  getQualityCondition, // 音质筛选条件
   findTrackById, // 根据ID查找音乐
   updateTrack, // 更新音乐
   getFavoriteTracks, // 获取收藏的音乐
@@ -401,6 +1149,29 @@ export default {
   updateAlbumStats, // 更新专辑统计信息
   upsertAlbumInfo, // 更新或插入专辑
   upsertArtistInfo, // 更新或插入艺术家
+  // 流派相关
+  syncTrackGenres, // 更新音乐的流派关联
+  updateGenresState, // 更新流派统计
+  rebuildGenres, // 重新生成全部流派关联
+  getGenreAliases, // 获取流派合并规则
+  saveGenreAliases, // 保存流派合并规则
+  genresPage, // 获取流派列表
+  findGenre, // 根据流派ID查找流派
+  getGenreAlbums, // 获取流派下的专辑
+  getGenreArtists, // 获取流派下的歌手
+  // 音量均衡相关
+  getTracksWithoutReplayGain, // 获取需要响度分析的音乐
+  getReplayGainStats, // 获取增益信息统计
+  // 作曲、作词相关
+  creditsPage, // 获取作曲者/作词者列表
+  findCredit, // 查找作曲者/作词者
+  getCreditFilter, // 作曲者/作词者的音乐查询条件
+  // 完整性检查相关
+  getTracksToVerify, // 获取需要完整性检查的音乐
+  getIntegrityReport, // 获取完整性检查报告
+  getTracksForWaveform, // 获取生成波形需要的音乐信息
+  // 封面存储相关
+  cleanupCoverStore, // 删除不再使用的封面
   //=================
   updateAlbumsState, // 更新专辑状态
   updateArtistsState, // 更新歌手状态
@@ -0,0 +1,82 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { getCoverHash, getCoverFile, IMAGE_MIME_TYPES } from '../utils/coverUtils.js';
+import { createZipStream } from '../utils/zipUtils.js';
+
+// 文件名中不允许使用的字符（兼容 Windows）
+const sanitizeFileName = (name, fallback) => {
+  const text = String(name || '').replace(/[\\/:*?"<>|\x00-\x1f]/g, '_').replace(/^[.\s]+|[.\s]+$/g, '');
+  return text.slice(0, 120) || fallback;
+}
+
+// 图片 MIME 类型对应的扩展名
+const getImageExtension = (mime) => Object.keys(IMAGE_MIME_TYPES).find(ext => IMAGE_MIME_TYPES[ext] === mime) || '.jpg';
+
+// 生成不重复的文件名（重名时添加序号，如 song (2).mp3）
+const createNameAllocator = () => {
+  const used = new Set();
+  return (fileName) => {
+    const { name, ext } = path.parse(fileName);
+    let candidate = fileName;
+    for (let index = 2; used.has(candidate.toLowerCase()); index++) {
+      candidate = `${name} (${index})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+  };
+}
+
+// 读取文件大小和修改时间，文件不存在时返回 null
+const statFile = (filePath) => fs.stat(filePath).then(stat => stat.isFile() ? stat : null).catch(() => null);
+
+// 将音乐打包为 ZIP（音乐文件放在以名称命名的目录中，附带封面和 M3U 播放列表）
+// CUE 虚拟音轨打包整轨文件和 CUE 文件（只打包一次），M3U 中引用 CUE 文件
+// 返回 { fileName, size, stream, missing }，没有可打包的文件时返回 null
+export const createTracksArchive = async (tracks, { name, coverImage, ffmpegPath } = {}) => {
+  const folder = sanitizeFileName(name, 'music');
+  const allocateName = createNameAllocator();
+  const entries = [];
+  const added = new Set();
+  const playlist = ['#EXTM3U'];
+  let missing = 0;
+
+  const addFile = async (filePath) => {
+    const stat = await statFile(filePath);
+    if (!stat) return null;
+    const entryName = allocateName(path.basename(filePath));
+    entries.push({ name: `${folder}/${entryName}`, path: filePath, size: stat.size, mtime: stat.mtime });
+    return entryName;
+  };
+
+  for (const track of tracks) {
+    const filePath = track.sourcePath || track.path;
+    if (added.has(filePath)) continue;
+    added.add(filePath);
+    const entryName = await addFile(filePath);
+    if (!entryName) {
+      missing++;
+      continue;
+    }
+    if (track.sourcePath) {
+      const cueName = track.cuePath ? await addFile(track.cuePath) : null;
+      playlist.push(`#EXTINF:-1,${track.album || path.parse(entryName).name}`, cueName || entryName);
+    } else {
+      playlist.push(`#EXTINF:${Math.round(track.duration || 0) || -1},${track.artist} - ${track.title}`, entryName);
+    }
+  }
+  if (entries.length === 0) return null;
+
+  // 封面保存在封面存储中，打包原图
+  const cover = coverImage ? await getCoverFile(getCoverHash(coverImage), 0, ffmpegPath) : null;
+  const coverStat = cover ? await statFile(cover.path) : null;
+  if (coverStat) {
+    entries.push({ name: `${folder}/${allocateName(`cover${getImageExtension(cover.mime)}`)}`, path: cover.path, size: coverStat.size, mtime: coverStat.mtime });
+  }
+  entries.push({ name: `${folder}/${allocateName(`${folder}.m3u8`)}`, data: Buffer.from(playlist.join('\n') + '\n', 'utf8'), mtime: new Date() });
+
+  return { fileName: `${folder}.zip`, missing, ...createZipStream(entries) };
+}
+
+export default {
+  createTracksArchive // 将音乐打包为 ZIP
+};
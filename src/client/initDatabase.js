@@ -15,13 +15,55 @@ CREATE TABLE IF NOT EXISTS music (
   bitrate INTEGER,
   sampleRate INTEGER,
   channels INTEGER,
+  codec TEXT, -- 编码格式（mp3、aac、flac、alac、pcm 等）
+  container TEXT, -- 容器格式（mpeg、flac、wave、m4a 等）
+  bitsPerSample INTEGER, -- 采样位数（有损格式为空）
+  lossless INTEGER DEFAULT 0, -- 是否为无损格式
+  encoderDelay INTEGER, -- 编码延迟（开头需要去除的采样数，用于无缝播放）
+  encoderPadding INTEGER, -- 编码填充（结尾需要去除的采样数）
+  sampleCount INTEGER, -- 去除延迟和填充后的有效采样数
   filename TEXT,
   size INTEGER,
+  modifiedTime TEXT, -- 文件修改时间，用于增量扫描和识别重命名
+  sidecarModifiedTime TEXT, -- 关联文件（CUE、外挂歌词、目录封面和歌手图片）的最新修改时间，用于增量扫描
+  sourcePath TEXT, -- CUE 虚拟音轨对应的整轨文件路径
+  cuePath TEXT, -- CUE 文件路径
+  startTime REAL, -- CUE 虚拟音轨在整轨文件中的开始时间（秒）
+  endTime REAL, -- CUE 虚拟音轨的结束时间（秒），为空表示到文件结尾
+  trackNumber INTEGER, -- 音轨号
+  trackTotal INTEGER, -- 音轨总数
+  discNumber INTEGER, -- 碟号
+  discTotal INTEGER, -- 碟片总数
+  albumId TEXT, -- 所属专辑ID（专辑名称+专辑歌手，或 MusicBrainz 发行ID）
+  compilation INTEGER DEFAULT 0, -- 是否为合辑（TCMP/compilation 标签）
+  musicbrainzAlbumId TEXT, -- MusicBrainz 发行ID
+  composer TEXT, -- 作曲
+  lyricist TEXT, -- 作词
+  conductor TEXT, -- 指挥
+  label TEXT, -- 唱片公司
+  catalogNumber TEXT, -- 唱片编号
+  isrc TEXT, -- 国际标准录音编码
+  titleSort TEXT, -- 排序用标题
+  artistSort TEXT, -- 排序用歌手名
+  albumSort TEXT, -- 排序用专辑名
+  albumArtistSort TEXT, -- 排序用专辑歌手名
+  composerSort TEXT, -- 排序用作曲者名
+  composers TEXT, -- JSON 数组字符串（拆分后的作曲者）
+  lyricists TEXT, -- JSON 数组字符串（拆分后的作词者）
+  replayGainTrackGain REAL, -- 音轨增益（dB，参考响度 -18 LUFS）
+  replayGainTrackPeak REAL, -- 音轨峰值（线性）
+  replayGainAlbumGain REAL, -- 专辑增益（dB）
+  replayGainAlbumPeak REAL, -- 专辑峰值（线性）
+  replayGainSource TEXT, -- 增益来源：tag（文件标签）、analysis（响度分析）、error（分析失败）
+  integrityStatus TEXT, -- 完整性检查结果：ok（正常）、corrupt（损坏）、truncated（不完整）、error（检查失败）
+  integrityMessage TEXT, -- 完整性检查的详细信息
+  integrityCheckedAt TEXT, -- 完整性检查时间
   favorite INTEGER DEFAULT 0,
   playCount INTEGER DEFAULT 0,
   lastPlayed TEXT,
   coverImage TEXT,
   lyrics TEXT,
+  lyricsSource TEXT, -- 歌词来源：embedded（内嵌标签）、sidecar（外挂歌词文件）、online（在线搜索）
   artists TEXT, -- JSON 数组字符串
   scraped INTEGER DEFAULT 0,
   created_at TEXT,
@@ -46,6 +88,8 @@ CREATE TABLE IF NOT EXISTS artists (
   trackCount INTEGER DEFAULT 0,
   albumCount INTEGER DEFAULT 0,
   photo TEXT, -- 艺术家头像URL
+  photoSource TEXT, -- 头像来源：folder 为歌手目录中的图片
+  sortName TEXT, -- 排序用歌手名（来自歌手或专辑歌手的排序标签）
   detail TEXT, -- 艺术家简介/详情
   scraped INTEGER DEFAULT 0,
   created_at TEXT,
@@ -59,11 +103,15 @@ CREATE TABLE IF NOT EXISTS albums (
   id TEXT PRIMARY KEY,
   title TEXT NOT NULL,
   normalizedTitle TEXT NOT NULL,
-  artist TEXT NOT NULL,
+  artist TEXT NOT NULL, -- 专辑歌手，合辑为 Various Artists
   artists TEXT, -- JSON 数组字符串
   trackCount INTEGER DEFAULT 0,
   year INTEGER,
   coverImage TEXT,
+  compilation INTEGER DEFAULT 0,
+  musicbrainzId TEXT,
+  albumSort TEXT, -- 排序用专辑名
+  albumArtistSort TEXT, -- 排序用专辑歌手名
   scraped INTEGER DEFAULT 0,
   created_at TEXT,
   updated_at TEXT
@@ -87,18 +135,76 @@ CREATE TABLE IF NOT EXISTS online_music (
 )
 `;
 
+// 创建媒体库表
+const createLibrariesTable = `
+CREATE TABLE IF NOT EXISTS libraries (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  path TEXT UNIQUE NOT NULL,
+  enabled INTEGER DEFAULT 1,
+  includePatterns TEXT, -- JSON 数组字符串，为空时包含全部文件
+  excludePatterns TEXT, -- JSON 数组字符串
+  formats TEXT, -- JSON 数组字符串，为空时使用默认支持的格式
+  readOnly INTEGER DEFAULT 0, -- 只读媒体库不回写音乐文件标签
+  created_at TEXT,
+  updated_at TEXT
+)
+`;
+
+// 创建用户表
+const createUsersTable = `
+CREATE TABLE IF NOT EXISTS users (
+  id TEXT PRIMARY KEY,
+  username TEXT UNIQUE NOT NULL COLLATE NOCASE,
+  passwordHash TEXT NOT NULL, -- scrypt 哈希，格式 scrypt$N$r$p$salt$hash
+  role TEXT NOT NULL DEFAULT 'user', -- admin（管理员）、user（普通用户）
+  sessionVersion INTEGER NOT NULL DEFAULT 0, -- 会话版本，修改密码或退出登录后加一，之前签发的会话全部失效
+  lastLoginAt TEXT,
+  created_at TEXT,
+  updated_at TEXT
+)
+`;
+
+// 创建流派表
+const createGenresTable = `
+CREATE TABLE IF NOT EXISTS genres (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  normalizedName TEXT UNIQUE NOT NULL, -- 比较键（忽略大小写、空格、连字符）
+  trackCount INTEGER DEFAULT 0,
+  albumCount INTEGER DEFAULT 0,
+  artistCount INTEGER DEFAULT 0,
+  created_at TEXT,
+  updated_at TEXT
+)
+`;
+
+// 创建音乐与流派的关联表（一首音乐可以有多个流派）
+const createTrackGenresTable = `
+CREATE TABLE IF NOT EXISTS track_genres (
+  trackId TEXT NOT NULL,
+  genreId TEXT NOT NULL,
+  PRIMARY KEY (trackId, genreId)
+)
+`;
+
 // 创建索引
 const createIndexes = [
 'CREATE INDEX IF NOT EXISTS idx_music_path ON music(path)',
 'CREATE INDEX IF NOT EXISTS idx_music_libraryId ON music(libraryId)',
+'CREATE INDEX IF NOT EXISTS idx_music_sourcePath ON music(sourcePath)',
+'CREATE INDEX IF NOT EXISTS idx_music_cuePath ON music(cuePath)',
 'CREATE INDEX IF NOT EXISTS idx_music_title ON music(title)',
 'CREATE INDEX IF NOT EXISTS idx_music_artist ON music(artist)',
 'CREATE INDEX IF NOT EXISTS idx_music_album ON music(album)',
+'CREATE INDEX IF NOT EXISTS idx_music_albumId ON music(albumId)',
 'CREATE INDEX IF NOT EXISTS idx_music_favorite ON music(favorite)',
+'CREATE INDEX IF NOT EXISTS idx_music_integrityStatus ON music(integrityStatus)',
 'CREATE INDEX IF NOT EXISTS idx_artists_name ON artists(name)',
 'CREATE INDEX IF NOT EXISTS idx_artists_normalizedName ON artists(normalizedName)',
 'CREATE INDEX IF NOT EXISTS idx_albums_title ON albums(title)',
 'CREATE INDEX IF NOT EXISTS idx_albums_normalizedTitle ON albums(normalizedTitle)',
+'CREATE INDEX IF NOT EXISTS idx_track_genres_genreId ON track_genres(genreId)',
 'CREATE INDEX IF NOT EXISTS idx_online_music_musicId ON online_music(musicId)',
 'CREATE INDEX IF NOT EXISTS idx_online_music_albumId ON online_music(albumId)',
 'CREATE INDEX IF NOT EXISTS idx_online_music_title ON online_music(title)',
@@ -106,15 +212,195 @@ const createIndexes = [
 'CREATE INDEX IF NOT EXISTS idx_online_music_album_artist ON online_music(album_artist)',
 ];
 
+// 旧版本数据库需要补充的字段
+const migrateColumns = {
+  music: {
+    modifiedTime: 'TEXT',
+    sourcePath: 'TEXT',
+    cuePath: 'TEXT',
+    startTime: 'REAL',
+    endTime: 'REAL',
+    trackNumber: 'INTEGER',
+    lyricsSource: 'TEXT',
+    trackTotal: 'INTEGER',
+    discNumber: 'INTEGER',
+    discTotal: 'INTEGER',
+    albumId: 'TEXT',
+    compilation: 'INTEGER DEFAULT 0',
+    musicbrainzAlbumId: 'TEXT',
+    composer: 'TEXT',
+    lyricist: 'TEXT',
+    conductor: 'TEXT',
+    label: 'TEXT',
+    catalogNumber: 'TEXT',
+    isrc: 'TEXT',
+    titleSort: 'TEXT',
+    artistSort: 'TEXT',
+    albumSort: 'TEXT',
+    albumArtistSort: 'TEXT',
+    composerSort: 'TEXT',
+    composers: 'TEXT',
+    lyricists: 'TEXT',
+    replayGainTrackGain: 'REAL',
+    replayGainTrackPeak: 'REAL',
+    replayGainAlbumGain: 'REAL',
+    replayGainAlbumPeak: 'REAL',
+    replayGainSource: 'TEXT',
+    integrityStatus: 'TEXT',
+    integrityMessage: 'TEXT',
+    integrityCheckedAt: 'TEXT',
+    codec: 'TEXT',
+    container: 'TEXT',
+    bitsPerSample: 'INTEGER',
+    lossless: 'INTEGER DEFAULT 0',
+    encoderDelay: 'INTEGER',
+    encoderPadding: 'INTEGER',
+    sampleCount: 'INTEGER',
+    sidecarModifiedTime: 'TEXT',
+  },
+  artists: {
+    photoSource: 'TEXT',
+    sortName: 'TEXT',
+  },
+  users: {
+    sessionVersion: 'INTEGER NOT NULL DEFAULT 0',
+  },
+  albums: {
+    compilation: 'INTEGER DEFAULT 0',
+    musicbrainzId: 'TEXT',
+    albumSort: 'TEXT',
+    albumArtistSort: 'TEXT',
+  },
+};
+
+// 将旧版本配置中的媒体库路径迁移到媒体库表（沿用旧ID，保留已有音乐记录）
+const migrateLibraries = (client) => {
+  if (client.count('libraries') > 0) return;
+  const config = client.queryOne('config', { id: 'app_config' });
+  const data = config ? JSON.parse(config.data) : null;
+  const paths = data ? data.musicLibraryPaths || [] : ['./music'];
+  const now = new Date().toISOString();
+  for (const libraryPath of paths) {
+    client.insert('libraries', {
+      id: Buffer.from(libraryPath).toString('base64').replace(/[^a-zA-Z0-9]/g, ''),
+      name: libraryPath.split(/[\\/]/).filter(Boolean).pop() || libraryPath,
+      path: libraryPath,
+      enabled: 1,
+      readOnly: 0,
+      created_at: now,
+      updated_at: now
+    });
+  }
+  if (data && data.musicLibraryPaths) {
+    delete data.musicLibraryPaths;
+    client.update('config', { data: JSON.stringify(data) }, { id: 'app_config' });
+  }
+}
+
+// 补充数据表中缺失的字段，返回新增的字段名
+const ensureColumns = (client, table, columns) => {
+  const existing = client.db.queryAll(`PRAGMA table_info(${table})`).map(column => column.name);
+  const added = [];
+  for (const [name, definition] of Object.entries(columns)) {
+    if (!existing.includes(name)) {
+      client.db.execute(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+      added.push(`${table}.${name}`);
+    }
+  }
+  return added;
+}
+
+// 新增的字段需要从音乐文件中重新读取时，清空修改时间使下次增量扫描重新解析
+const rescanColumns = ['music.discNumber', 'music.albumId', 'music.composer', 'music.replayGainTrackGain', 'music.codec', 'music.encoderDelay'];
+
+// 旧版本按专辑名称区分专辑（md5(专辑名称)），迁移为按专辑名称和专辑歌手区分
+// 合辑标记和 MusicBrainz 发行ID需要重新扫描文件后才能获取
+const migrateAlbums = (client) => {
+  const oldAlbums = new Map(client.db.queryAll('SELECT id, year, coverImage, scraped, created_at FROM albums').map(album => [album.id, album]));
+  const albums = new Map();
+  const now = new Date().toISOString();
+  const tracks = client.db.queryAll("SELECT id, album, albumArtist, artist FROM music WHERE album IS NOT NULL AND album != ''");
+  for (const track of tracks) {
+    const albumArtist = track.albumArtist || track.artist || '';
+    const albumId = client.util.albumId(track.album, albumArtist);
+    client.db.execute('UPDATE music SET albumId = @albumId WHERE id = @id', { albumId, id: track.id });
+    if (albums.has(albumId)) {
+      albums.get(albumId).trackCount++;
+      continue;
+    }
+    const oldAlbum = oldAlbums.get(client.util.md5(track.album)) || {};
+    albums.set(albumId, {
+      id: albumId,
+      title: track.album,
+      normalizedTitle: client.util.normalize(track.album),
+      artist: albumArtist,
+      artists: client.util.serialize(client.util.formatArtistNames(albumArtist)),
+      trackCount: 1,
+      year: oldAlbum.year || null,
+      coverImage: oldAlbum.coverImage || null,
+      scraped: oldAlbum.scraped || 0,
+      created_at: oldAlbum.created_at || now,
+      updated_at: now
+    });
+  }
+  client.db.execute('DELETE FROM albums');
+  for (const album of albums.values()) {
+    client.insert('albums', album);
+  }
+  console.log(`专辑数据迁移完成，共 ${albums.size} 张专辑`);
+}
+
+// 根据音乐的排序标签补充专辑和歌手的排序名称（旧版本升级时执行一次）
+const migrateSortNames = (client) => {
+  client.db.execute(`
+    UPDATE albums SET
+      albumSort = (SELECT MAX(albumSort) FROM music WHERE music.albumId = albums.id AND albumSort != ''),
+      albumArtistSort = (SELECT MAX(albumArtistSort) FROM music WHERE music.albumId = albums.id AND albumArtistSort != '')
+  `);
+  // 专辑歌手的排序标签优先，多位歌手的排序标签无法对应到单个歌手，不会匹配
+  const sortNames = client.db.queryAll(`
+    SELECT albumArtist AS name, MAX(albumArtistSort) AS sortName FROM music WHERE albumArtistSort != '' GROUP BY albumArtist
+    UNION ALL
+    SELECT artist AS name, MAX(artistSort) AS sortName FROM music WHERE artistSort != '' GROUP BY artist
+  `);
+  for (const { name, sortName } of sortNames) {
+    client.db.execute('UPDATE artists SET sortName = @sortName WHERE name = @name AND sortName IS NULL', { name, sortName });
+  }
+  console.log('专辑和歌手排序名称迁移完成');
+}
+
+// 本次启动新建的数据表（旧版本升级时需要根据已有数据初始化）
+export const createdTables = [];
+
 // 初始化表
 sqlite.db.transaction((client)=>{
+  const existingTables = client.db.queryAll("SELECT name FROM sqlite_master WHERE type = 'table'").map(table => table.name);
+  createdTables.push(...['genres', 'track_genres'].filter(table => !existingTables.includes(table)));
   client.db.execute(createMusicTable);
   client.db.execute(createConfigTable);
   client.db.execute(createArtistsTable);
   client.db.execute(createAlbumsTable);
   client.db.execute(createOnlineMusicTable);
+  client.db.execute(createLibrariesTable);
+  client.db.execute(createUsersTable);
+  client.db.execute(createGenresTable);
+  client.db.execute(createTrackGenresTable);
+  const addedColumns = [];
+  for (const [table, columns] of Object.entries(migrateColumns)) {
+    addedColumns.push(...ensureColumns(client, table, columns));
+  }
+  if (addedColumns.includes('music.albumId')) {
+    migrateAlbums(client);
+  }
+  if (addedColumns.includes('albums.albumSort') || addedColumns.includes('artists.sortName')) {
+    migrateSortNames(client);
+  }
+  if (addedColumns.some(column => rescanColumns.includes(column))) {
+    client.db.execute('UPDATE music SET modifiedTime = NULL');
+  }
   createIndexes.forEach((indexSQL, i) => {
     client.db.execute(indexSQL);
   });
+  migrateLibraries(client);
   console.log('数据库表初始化完成');
 });
\ No newline at end of file
@@ -0,0 +1,64 @@
+import { getConfig, defaultConfig, getTracksToVerify, updateTrack } from './database.js';
+import { verifyAudioFile } from '../utils/integrityUtils.js';
+
+// 完整性检查进度
+let progress = { running: false, total: 0, processed: 0, problems: 0 };
+
+// 获取完整性检查进度
+export const getIntegrityProgress = () => ({ ...progress });
+
+// 是否为未安装 ffmpeg 导致的错误
+const isFfmpegMissing = (error) => error.code === 'ENOENT' && String(error.syscall).startsWith('spawn');
+
+// 检查音乐文件的完整性，结果保存到音乐记录中
+export const verifyTracks = async () => {
+  if (progress.running) return;
+  const config = getConfig();
+  const ffmpegPath = config.ffmpegPath || defaultConfig.ffmpegPath;
+  // CUE 虚拟音轨按整轨文件检查，同一文件只检查一次
+  const files = new Map();
+  for (const track of getTracksToVerify()) {
+    const filePath = track.sourcePath || track.path;
+    files.has(filePath) ? files.get(filePath).push(track) : files.set(filePath, [track]);
+  }
+  progress = { running: true, total: files.size, processed: 0, problems: 0 };
+  // 未安装 ffmpeg 时只做结构检查，不支持结构检查的格式跳过（保持待检查状态）
+  let skipped = 0;
+  let ffmpegMissing = false;
+  try {
+    for (const [filePath, tracks] of files) {
+      progress.processed++;
+      let result;
+      try {
+        result = await verifyAudioFile(filePath, { ffmpegPath, decode: !ffmpegMissing });
+      } catch (error) {
+        if (isFfmpegMissing(error)) {
+          ffmpegMissing = true;
+          result = await verifyAudioFile(filePath, { decode: false }).catch(() => null);
+        } else {
+          result = { status: 'error', message: error.message };
+        }
+      }
+      if (!result) {
+        skipped++;
+        continue;
+      }
+      result.status === 'ok' || progress.problems++;
+      const checkedAt = new Date().toISOString();
+      for (const track of tracks) {
+        updateTrack(track.id, { integrityStatus: result.status, integrityMessage: result.message, integrityCheckedAt: checkedAt });
+      }
+    }
+    console.log(`完整性检查完成，共 ${progress.total} 个文件，发现问题 ${progress.problems} 个，跳过 ${skipped} 个`);
+    if (ffmpegMissing && skipped > 0) {
+      throw new Error(`未找到 ffmpeg（${ffmpegPath}），已跳过 ${skipped} 个无法直接检查的文件`);
+    }
+  } finally {
+    progress.running = false;
+  }
+}
+
+export default {
+  verifyTracks, // 检查音乐文件的完整性
+  getIntegrityProgress // 获取完整性检查进度
+};
@@ -0,0 +1,89 @@
+import { getConfig, defaultConfig, getTracksWithoutReplayGain, updateTrack } from './database.js';
+import { measureLoudness, integrateLoudness, loudnessToGain } from '../utils/loudnessUtils.js';
+
+// 响度分析进度
+let progress = { running: false, total: 0, processed: 0, failed: 0 };
+
+// 获取响度分析进度
+export const getLoudnessProgress = () => ({ ...progress });
+
+// 是否为 WAV 文件（无需 ffmpeg 即可分析）
+const isWavTrack = (track) => (track.sourcePath || track.path).toLowerCase().endsWith('.wav');
+
+// 测量单条音乐的响度（CUE 虚拟音轨只测量对应的片段）
+const measureTrack = async (track, ffmpegPath) => {
+  const { blocks, peak } = await measureLoudness(track.sourcePath || track.path, {
+    startTime: track.startTime,
+    endTime: track.endTime,
+    channels: track.channels,
+    sampleRate: track.sampleRate,
+    ffmpegPath
+  });
+  return { track, blocks, peak, loudness: integrateLoudness(blocks) };
+}
+
+// 分析没有增益标签的音乐，计算并保存音轨增益和专辑增益
+export const analyzeLoudness = async () => {
+  if (progress.running) return;
+  const config = getConfig();
+  const ffmpegPath = config.ffmpegPath || defaultConfig.ffmpegPath;
+  const tracks = getTracksWithoutReplayGain();
+  // 按专辑分组，专辑增益根据同一专辑中所有待分析音轨的测量块计算
+  const albums = new Map();
+  for (const track of tracks) {
+    const key = track.albumId || track.id;
+    albums.has(key) ? albums.get(key).push(track) : albums.set(key, [track]);
+  }
+  progress = { running: true, total: tracks.length, processed: 0, failed: 0 };
+  // 未安装 ffmpeg 时跳过非 WAV 音乐（保持待分析状态），避免全部被标记为失败
+  let skipped = 0;
+  let ffmpegMissing = false;
+  try {
+    for (const albumTracks of albums.values()) {
+      const results = [];
+      for (const track of albumTracks) {
+        progress.processed++;
+        if (ffmpegMissing && !isWavTrack(track)) {
+          skipped++;
+          continue;
+        }
+        try {
+          results.push(await measureTrack(track, ffmpegPath));
+        } catch (error) {
+          if (error.code === 'ENOENT' && String(error.syscall).startsWith('spawn')) {
+            ffmpegMissing = true;
+            skipped++;
+            continue;
+          }
+          console.error(`响度分析失败: ${track.path}`, error);
+          updateTrack(track.id, { replayGainSource: 'error' });
+          progress.failed++;
+        }
+      }
+      if (results.length === 0) continue;
+      const albumLoudness = integrateLoudness(results.flatMap(result => result.blocks));
+      const albumPeak = Math.max(...results.map(result => result.peak));
+      for (const { track, peak, loudness } of results) {
+        // 静音音轨没有有效的测量块，不调整音量
+        updateTrack(track.id, {
+          replayGainTrackGain: loudness === null ? 0 : loudnessToGain(loudness),
+          replayGainTrackPeak: peak,
+          replayGainAlbumGain: albumLoudness === null ? 0 : loudnessToGain(albumLoudness),
+          replayGainAlbumPeak: albumPeak,
+          replayGainSource: 'analysis'
+        });
+      }
+    }
+    console.log(`响度分析完成，共 ${progress.total} 首，失败 ${progress.failed} 首，跳过 ${skipped} 首`);
+    if (ffmpegMissing) {
+      throw new Error(`未找到 ffmpeg（${ffmpegPath}），已跳过 ${skipped} 首非 WAV 音乐`);
+    }
+  } finally {
+    progress.running = false;
+  }
+}
+
+export default {
+  analyzeLoudness, // 分析没有增益标签的音乐
+  getLoudnessProgress // 获取响度分析进度
+};
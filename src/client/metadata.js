@@ -1,68 +1,132 @@
 import { promises as fs } from 'fs';
 import path from 'path';
-import { upsertTrack, getConfig, saveConfig, removeTracksByLibraryId, updateState } from './database.js';
-import { getMetadata, SUPPORTED_FORMATS } from '../utils/musicUtil.js';
+import {
+  upsertTracks,
+  removeTracksByLibraryId,
+  removeTracksByIds,
+  getLibraryTrackIndex,
+  updateState,
+  getLibraries,
+  findLibrary,
+  findLibraryByPath,
+  insertLibrary,
+  updateLibrary,
+  deleteLibrary,
+  relocateLibraryTracks,
+  getConfig,
+  defaultConfig,
+} from './database.js';
+import { SUPPORTED_FORMATS, formatArtistNames } from '../utils/musicUtil.js';
+import { createMetadataPool } from './metadataPool.js';
+import { createCueResolver, createCueTracks, getCueTrackPath } from '../utils/cueUtils.js';
+import { createLyricsResolver, readLyricsFile } from '../utils/lyricsUtils.js';
+import { createImageResolver, readImageFile } from '../utils/coverUtils.js';
+import { normalizeText } from '../utils/textUtils.js';
+import { createGlobMatcher, createIgnoreMatcher, IGNORE_MARKER_FILES, IGNORE_PATTERN_FILE } from '../utils/fileUtils.js';
 
 // ==================== 媒体库管理函数 ====================
 
+// 将字符串或数组格式的列表统一为数组（字符串按换行或逗号分隔）
+const toList = (value) => {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\n,]/);
+  return list.map(item => String(item).trim()).filter(Boolean);
+}
+
+// 规范化媒体库选项，只保留传入的字段
+const normalizeLibraryOptions = (options = {}) => {
+  const data = {};
+  if (options.name !== undefined) data.name = String(options.name || '').trim();
+  if (options.path !== undefined) data.path = String(options.path || '').trim();
+  if (options.enabled !== undefined) data.enabled = !!options.enabled;
+  if (options.readOnly !== undefined) data.readOnly = !!options.readOnly;
+  if (options.includePatterns !== undefined) data.includePatterns = toList(options.includePatterns);
+  if (options.excludePatterns !== undefined) data.excludePatterns = toList(options.excludePatterns);
+  if (options.formats !== undefined) {
+    data.formats = toList(options.formats)
+      .map(ext => (ext.startsWith('.') ? ext : '.' + ext).toLowerCase())
+      .filter(ext => SUPPORTED_FORMATS.includes(ext));
+  }
+  return data;
+}
+
+// 创建媒体库文件过滤函数（允许的格式、包含/排除规则）
+export function createLibraryFilter(library) {
+  const formats = library.formats?.length ? library.formats : SUPPORTED_FORMATS;
+  const isIncluded = library.includePatterns?.length ? createGlobMatcher(library.includePatterns) : () => true;
+  const isExcluded = createGlobMatcher(library.excludePatterns || []);
+  return (filePath) => {
+    if (!formats.includes(path.extname(filePath).toLowerCase())) return false;
+    const relativePath = path.relative(library.path, filePath);
+    return isIncluded(relativePath) && !isExcluded(relativePath);
+  };
+}
+
 // 获取媒体库列表
 export async function getMediaLibraries() {
   try {
-    const config = await getConfig();
-    const libraries = [];
-    
-    for (const libraryPath of config.musicLibraryPaths || []) {
-      const id = Buffer.from(libraryPath).toString('base64').replace(/[^a-zA-Z0-9]/g, '');
-      libraries.push({ 
-        id, 
-        path: libraryPath, 
-      });
-    }
-    return libraries;
+    return getLibraries();
   } catch (error) {
     console.error('获取媒体库列表失败:', error);
     return [];
   }
 }
 
+// 获取媒体库详情
+export function getMediaLibrary(id) {
+  return findLibrary(id);
+}
+
 // 添加媒体库
-export async function addMediaLibrary(libraryPath) {
+export async function addMediaLibrary(options = {}) {
   try {
-    if (!libraryPath) throw new Error('路径不能为空');
-    await fs.access(libraryPath);
-    const config = await getConfig();
-    config.musicLibraryPaths = config.musicLibraryPaths || [];
-    if (config.musicLibraryPaths.includes(libraryPath)) { throw new Error('媒体库路径已存在'); }
-    config.musicLibraryPaths.push(libraryPath);
-    await saveConfig(config);
-    const id = Buffer.from(libraryPath).toString('base64').replace(/[^a-zA-Z0-9]/g, '');
-    scanMediaLibrary(id);
-    return { 
-      id, 
-      path: libraryPath, 
-      trackCount: 0, 
-      albumCount: 0, 
-      artistCount: 0, 
-      createdAt: new Date().toISOString() 
-    };
+    const data = normalizeLibraryOptions(typeof options === 'string' ? { path: options } : options);
+    if (!data.path) throw new Error('路径不能为空');
+    await fs.access(data.path);
+    if (findLibraryByPath(data.path)) { throw new Error('媒体库路径已存在'); }
+    return insertLibrary({
+      enabled: true,
+      readOnly: false,
+      includePatterns: [],
+      excludePatterns: [],
+      formats: [],
+      ...data,
+      name: data.name || path.basename(path.resolve(data.path)),
+    });
   } catch (error) {
     console.error('添加媒体库失败:', error);
     throw error;
   }
 }
 
+// 更新媒体库（根路径变化时同步修改已有音乐的路径，保留收藏和播放记录）
+export async function updateMediaLibrary(id, options = {}) {
+  try {
+    const library = findLibrary(id);
+    if (!library) throw new Error('媒体库不存在');
+    if (scanProgress.get(id)?.status === 'scanning') throw new Error('媒体库正在扫描中');
+    const data = normalizeLibraryOptions(options);
+    if (data.name === '') delete data.name;
+    if (data.path === '') throw new Error('路径不能为空');
+    if (data.path && data.path !== library.path) {
+      await fs.access(data.path);
+      if (findLibraryByPath(data.path)) { throw new Error('媒体库路径已存在'); }
+      const moved = relocateLibraryTracks(id, library.path, data.path);
+      console.log(`媒体库路径已变更: ${library.path} -> ${data.path}, 更新 ${moved} 条音乐记录`);
+    }
+    return updateLibrary(id, data);
+  } catch (error) {
+    console.error('更新媒体库失败:', error);
+    throw error;
+  }
+}
+
 // 删除媒体库
 export async function deleteMediaLibrary(id) {
   try {
-    const config = await getConfig();
-    const idx = (config.musicLibraryPaths || []).findIndex(p => 
-      Buffer.from(p).toString('base64').replace(/[^a-zA-Z0-9]/g, '') === id
-    );
-    if (idx === -1) throw new Error('媒体库不存在');
-    config.musicLibraryPaths.splice(idx, 1);
-    saveConfig(config);
+    if (!findLibrary(id)) throw new Error('媒体库不存在');
+    deleteLibrary(id);
     removeTracksByLibraryId(id);
-    updateState();
     return true;
   } catch (error) {
     console.error('删除媒体库失败:', error);
@@ -70,58 +134,221 @@ export async function deleteMediaLibrary(id) {
   }
 }
 
+// 查找歌手目录中的头像图片（音乐所在目录及上一级目录，不超出媒体库根目录）
+const findArtistImage = async (findImage, filePath, root) => {
+  const dirPath = path.dirname(filePath);
+  const dirs = [dirPath];
+  const parentPath = path.dirname(dirPath);
+  if (root && parentPath !== dirPath && !path.relative(root, parentPath).startsWith('..')) {
+    dirs.push(parentPath);
+  }
+  for (const dir of dirs) {
+    const image = await findImage(dir);
+    if (image) return { ...image, dirPath: dir };
+  }
+  return null;
+}
+
+// 创建音乐文件关联信息的查找函数（CUE、外挂歌词、目录图片），关联文件变化时音乐也需要重新解析
+export function createTrackFileResolver() {
+  const config = getConfig();
+  const findCue = createCueResolver();
+  const findLyrics = createLyricsResolver(config.language || defaultConfig.language);
+  const findCover = createImageResolver(config.coverFileNames || defaultConfig.coverFileNames);
+  const findArtist = createImageResolver(config.artistImageFileNames || defaultConfig.artistImageFileNames);
+  return async (filePath, stats, root = null) => {
+    const cue = await findCue(filePath);
+    // CUE 整轨文件无法对应单独的歌词文件
+    const lyricsFile = cue ? null : await findLyrics(filePath);
+    const coverFile = await findCover(path.dirname(filePath));
+    const artistImage = await findArtistImage(findArtist, filePath, root);
+    const modifiedTime = stats.mtime.toISOString();
+    // CUE、外挂歌词和目录图片的修改时间单独保存，音乐文件的修改时间用于监听时识别重命名
+    const sidecarModifiedTime = [cue?.modifiedTime, lyricsFile?.modifiedTime, coverFile?.modifiedTime, artistImage?.modifiedTime].filter(Boolean).sort().pop() || null;
+    const trackPaths = cue ? cue.tracks.map(track => getCueTrackPath(filePath, track.number)) : [filePath];
+    return { cue, lyricsFile, coverFile, artistImage, modifiedTime, sidecarModifiedTime, trackPaths };
+  };
+}
+
+// 判断已有记录是否与文件一致（文件大小、修改时间、CUE 和外挂歌词都未变化，且有目录封面时已有封面，则无需重新解析）
+export function isTrackFileUnchanged(existingTracks, fileInfo, stats) {
+  return existingTracks.length === fileInfo.trackPaths.length && existingTracks.every(track =>
+    track.size === stats.size
+    && track.modifiedTime === fileInfo.modifiedTime
+    && (track.sidecarModifiedTime || null) === fileInfo.sidecarModifiedTime
+    && (track.cuePath || null) === (fileInfo.cue?.cuePath || null)
+    && (track.lyricsSource === 'sidecar') === !!fileInfo.lyricsFile
+    && (!fileInfo.coverFile || !!(track.hasCover || track.coverImage))
+  );
+}
+
+// 确定歌手目录图片对应的歌手：优先匹配目录名，否则使用唯一的专辑歌手
+const getArtistImageName = (metadata, artistImage) => {
+  const dirName = path.basename(artistImage.dirPath).toLowerCase();
+  const albumArtists = formatArtistNames(metadata.albumArtist || metadata.artist).filter(name => name !== 'Unknown');
+  const names = [...albumArtists, ...formatArtistNames(metadata.artist)];
+  return names.find(name => name.toLowerCase() === dirName) || (albumArtists.length === 1 ? albumArtists[0] : null);
+}
+
+// 生成音乐文件对应的记录（存在 CUE 时拆分为多条虚拟音轨，存在外挂歌词时优先使用）
+export async function createTrackDocs(metadata, filePath, libraryId, fileInfo = {}) {
+  // 没有内嵌封面时使用目录中的封面图片
+  let coverImage = metadata.coverImage;
+  if (!coverImage && fileInfo.coverFile) {
+    coverImage = await readImageFile(fileInfo.coverFile.path).catch((error) => {
+      console.error(`读取封面图片失败: ${fileInfo.coverFile.path}`, error);
+      return null;
+    });
+  }
+  let artistImage = null;
+  const artistName = fileInfo.artistImage ? getArtistImageName(metadata, fileInfo.artistImage) : null;
+  if (artistName) {
+    const photo = await readImageFile(fileInfo.artistImage.path).catch((error) => {
+      console.error(`读取歌手图片失败: ${fileInfo.artistImage.path}`, error);
+      return null;
+    });
+    artistImage = photo ? { name: artistName, photo } : null;
+  }
+  if (fileInfo.cue) {
+    return createCueTracks({ ...metadata, coverImage }, fileInfo.cue, filePath)
+      .map(trackDoc => ({ ...trackDoc, libraryId, artistImage, sidecarModifiedTime: fileInfo.sidecarModifiedTime || null }));
+  }
+  const trackDoc = {
+    ...metadata,
+    libraryId,
+    coverImage,
+    artistImage,
+    path: filePath,
+    modifiedTime: fileInfo.modifiedTime || metadata.modifiedTime,
+    sidecarModifiedTime: fileInfo.sidecarModifiedTime || null,
+    lyricsSource: metadata.lyrics ? 'embedded' : null
+  };
+  if (fileInfo.lyricsFile) {
+    try {
+      trackDoc.lyrics = normalizeText(await readLyricsFile(fileInfo.lyricsFile.path));
+      trackDoc.lyricsSource = 'sidecar';
+    } catch (error) {
+      console.error(`读取歌词文件失败: ${fileInfo.lyricsFile.path}`, error);
+    }
+  }
+  return [trackDoc];
+}
+
 // 扫描进度存储
 const scanProgress = new Map();
-// 扫描指定媒体库
+// 每批写入数据库的音乐数量
+const SCAN_BATCH_SIZE = 200;
+// 让出事件循环，保证扫描期间接口仍能及时响应
+const yieldEventLoop = () => new Promise(resolve => setImmediate(resolve));
+// 扫描指定媒体库（增量扫描：只解析新增或变化的文件，删除已不存在的文件）
+// 目录遍历与元数据解析并行：边遍历边交给解析线程池，解析结果分批在事务中写入
 export async function scanMediaLibrary(libraryId) {
+  let pool = null;
   try {
-    const config = await getConfig();
-    const libraryPath = (config.musicLibraryPaths || []).find(p => 
-      Buffer.from(p).toString('base64').replace(/[^a-zA-Z0-9]/g, '') === libraryId
-    );
-    if (!libraryPath) throw new Error('媒体库不存在');
-    const initialProgress = { status: 'scanning', progress: 0, currentFile: '', totalFiles: 0, processedFiles: 0 };
-    scanProgress.set(libraryId, initialProgress);
-    // 获取所有音乐文件
-    let musicFiles = await getAllMusicFiles(libraryPath);
-    const totalFiles = musicFiles.length;
-    const progressUpdate = { status: 'scanning', progress: 0, currentFile: '', totalFiles, processedFiles: 0 };
-    scanProgress.set(libraryId, progressUpdate);
-    await removeTracksByLibraryId(libraryId);
+    const library = findLibrary(libraryId);
+    if (!library) throw new Error('媒体库不存在');
+    if (!library.enabled) throw new Error('媒体库已停用');
+    const libraryPath = library.path;
+    if (scanProgress.get(libraryId)?.status === 'scanning') throw new Error('媒体库正在扫描中');
+    // 媒体库不可访问时（如NAS未挂载）直接失败，避免误删全部记录
+    await fs.access(libraryPath);
+    const counts = { added: 0, updated: 0, unchanged: 0, removed: 0, skipped: 0 };
+    let totalFiles = 0;
     let processedFiles = 0;
-    let metadata = null;
-    let trackDoc = null;
-    for (const filePath of musicFiles) {
+    let currentFile = '';
+    let walking = true;
+    const updateProgress = () => {
+      scanProgress.set(libraryId, {
+        status: 'scanning',
+        // 遍历未完成时总数仍在增长，进度按已发现的文件计算
+        progress: totalFiles ? Math.round((processedFiles / totalFiles) * 100) : 0,
+        currentFile,
+        totalFiles,
+        processedFiles,
+        walking,
+        ...counts
+      });
+    }
+    updateProgress();
+    pool = createMetadataPool(getConfig().scanConcurrency);
+    // 数据库中已有的记录，按路径索引
+    let existingTracks = new Map(getLibraryTrackIndex(libraryId).map(track => [track.path, track]));
+    let pendingDocs = [];
+    const running = new Set();
+    // 写入已解析的音乐
+    const flushDocs = () => {
+      if (pendingDocs.length === 0) return;
+      const docs = pendingDocs;
+      pendingDocs = [];
       try {
-        const fileProgress = { 
-          status: 'scanning', 
-          progress: Math.round((processedFiles / totalFiles) * 100), 
-          currentFile: path.basename(filePath), 
-          totalFiles, 
-          processedFiles 
-        };
-        scanProgress.set(libraryId, fileProgress);
-        metadata = await getMetadata(filePath);
-        trackDoc = {
-          ...metadata,
-          libraryId,
-          path: filePath,
-          favorite: false,
-          playCount: 0
-        };
-        await upsertTrack(trackDoc);
-        processedFiles++;
+        upsertTracks(docs);
+      } catch (error) {
+        console.error('批量写入音乐失败:', error);
+      }
+    }
+    // 解析单个文件（existingPaths 为该文件已有记录的路径）
+    const parseFile = async (filePath, fileInfo, existingPaths) => {
+      try {
+        const metadata = await pool.getMetadata(filePath);
+        for (const trackDoc of await createTrackDocs(metadata, filePath, libraryId, fileInfo)) {
+          pendingDocs.push(trackDoc);
+          existingPaths.has(trackDoc.path) ? counts.updated++ : counts.added++;
+        }
       } catch (error) {
         console.error(`处理文件失败: ${filePath}`, error);
       } finally {
-        metadata = null;
-        trackDoc = null;
+        processedFiles++;
+        currentFile = path.basename(filePath);
+      }
+      if (pendingDocs.length >= SCAN_BATCH_SIZE) {
+        flushDocs();
+        updateProgress();
+        // 每写入一批强制垃圾回收一次
+        global.gc && global.gc();
+      }
+    }
+    // 边遍历边解析（不在内存中保留完整文件列表）
+    const filter = createLibraryFilter(library);
+    const resolveFile = createTrackFileResolver();
+    for await (const filePath of walkMusicFiles(libraryPath, filter, { onSkip: () => counts.skipped++ })) {
+      totalFiles++;
+      let fileInfo = null;
+      let existingPaths = new Set();
+      try {
+        const stats = await fs.stat(filePath);
+        // 整轨文件存在 CUE 时对应多条虚拟音轨
+        fileInfo = await resolveFile(filePath, stats, libraryPath);
+        const existing = fileInfo.trackPaths.map(trackPath => existingTracks.get(trackPath)).filter(Boolean);
+        fileInfo.trackPaths.forEach(trackPath => existingTracks.delete(trackPath));
+        existingPaths = new Set(existing.map(track => track.path));
+        // 文件及关联的 CUE、歌词文件都未变化，跳过解析
+        if (isTrackFileUnchanged(existing, fileInfo, stats)) {
+          counts.unchanged += existing.length;
+          processedFiles++;
+          if (processedFiles % SCAN_BATCH_SIZE === 0) {
+            updateProgress();
+            await yieldEventLoop();
+          }
+          continue;
+        }
+      } catch (error) {
+        console.error(`处理文件失败: ${filePath}`, error);
+        processedFiles++;
+        continue;
       }
-      // 每处理100个文件强制垃圾回收一次
-      if (processedFiles % 100 === 0 && global.gc) {
-        global.gc();
+      const task = parseFile(filePath, fileInfo, existingPaths).finally(() => running.delete(task));
+      running.add(task);
+      // 控制排队中的任务数量，避免遍历速度远快于解析时占用过多内存
+      if (running.size >= pool.size * 2) {
+        await Promise.race(running);
       }
     }
+    walking = false;
+    await Promise.all(running);
+    flushDocs();
+    // 剩余的记录对应的文件已被删除
+    counts.removed = removeTracksByIds([...existingTracks.values()].map(track => track.id));
+    existingTracks = null;
     updateState();
     const completedProgress = { 
       status: 'completed', 
@@ -129,20 +356,25 @@ export async function scanMediaLibrary(libraryId) {
       currentFile: '', 
       totalFiles, 
       processedFiles, 
+      ...counts,
       result: { 
         tracks: processedFiles,
+        ...counts,
         postProcess: true
       } 
     };
     scanProgress.set(libraryId, completedProgress);
-    musicFiles = null;
     if (global.gc) {
       global.gc();
     }
-    console.log(`媒体库扫描完成: ${libraryPath}, 处理了 ${processedFiles} 个文件`);
+    console.log(`媒体库扫描完成: ${libraryPath}, 新增 ${counts.added}, 更新 ${counts.updated}, 未变化 ${counts.unchanged}, 删除 ${counts.removed}, 忽略 ${counts.skipped}`);
   } catch (error) {
     console.error(`扫描媒体库失败`, error);
+    if (error.message === '媒体库正在扫描中') throw error;
+    scanProgress.set(libraryId, { status: 'failed', progress: 0, currentFile: '', error: error.message });
     throw error;
+  } finally {
+    pool && await pool.close();
   }
 }
 
@@ -151,37 +383,125 @@ export function getScanProgress(libraryId) {
   return scanProgress.get(libraryId);
 }
 
-// 获取所有音乐文件
-async function getAllMusicFiles(dirPath) {
-  const musicFiles = [];
-  async function walk(currentPath) {
+// 全局排除规则（旧版本配置中没有该字段时使用默认值）
+const getExcludePatterns = () => getConfig().excludePatterns || defaultConfig.excludePatterns;
+
+// 转换为正斜杠分隔的相对路径
+const toRelativePath = (from, to) => path.relative(from, to).split(path.sep).join('/');
+
+// 读取目录的忽略规则：存在标记文件时返回 null（跳过整个目录），存在规则文件时返回匹配规则
+async function readIgnoreRules(dirPath, items) {
+  if (items.some(item => IGNORE_MARKER_FILES.includes(item))) return null;
+  if (!items.includes(IGNORE_PATTERN_FILE)) return {};
+  try {
+    const content = await fs.readFile(path.join(dirPath, IGNORE_PATTERN_FILE), 'utf8');
+    return { base: dirPath, match: createIgnoreMatcher(content.split(/\r?\n/)) };
+  } catch (error) {
+    console.error(`读取忽略规则失败: ${dirPath}`, error);
+    return {};
+  }
+}
+
+// 判断路径是否被忽略规则排除（按目录层级依次匹配，后面的规则优先）
+const isIgnored = (rules, fullPath, isDirectory) => {
+  let ignored;
+  for (const { base, match } of rules) {
+    const result = match(toRelativePath(base, fullPath), isDirectory);
+    if (result !== undefined) ignored = result;
+  }
+  return !!ignored;
+}
+
+// 获取从媒体库根目录到目标路径（不含）各级目录的忽略规则，目标路径被忽略时返回 null
+async function getIgnoreRules(root, targetPath, isDirectory) {
+  const rules = [{ base: root, match: createIgnoreMatcher(getExcludePatterns()) }];
+  const relativePath = path.relative(root, targetPath);
+  if (!relativePath || relativePath.startsWith('..')) return rules;
+  let currentPath = root;
+  const segments = relativePath.split(path.sep);
+  for (let i = 0; i < segments.length; i++) {
+    const items = await fs.readdir(currentPath).catch(() => []);
+    const dirRules = await readIgnoreRules(currentPath, items);
+    if (!dirRules) return null;
+    dirRules.match && rules.push(dirRules);
+    currentPath = path.join(currentPath, segments[i]);
+    if (isIgnored(rules, currentPath, i < segments.length - 1 || isDirectory)) return null;
+  }
+  return rules;
+}
+
+// 判断媒体库中的文件或目录是否被忽略（.nomedia/.ignore 标记、.musicignore 规则、全局排除规则）
+export async function isPathIgnored(root, targetPath, isDirectory = false) {
+  return !(await getIgnoreRules(root, targetPath, isDirectory));
+}
+
+// 遍历目录，逐个返回音乐文件路径（filter 用于按媒体库规则过滤文件，root 为媒体库根目录，onSkip 在路径被忽略时调用）
+export async function* walkMusicFiles(dirPath, filter = null, options = {}) {
+  const { root = dirPath, onSkip = null } = options;
+  async function* walk(currentPath, parentRules) {
+    let items = null;
+    let rules = parentRules;
     try {
-      const items = await fs.readdir(currentPath);
-      for (const item of items) {
-        const fullPath = path.join(currentPath, item);
-        const stat = await fs.stat(fullPath);
-        if (stat.isDirectory()) {
-          await walk(fullPath);
-        } else if (stat.isFile()) {
-          const ext = path.extname(item).toLowerCase();
-          if (SUPPORTED_FORMATS.includes(ext)) {
-            musicFiles.push(fullPath);
-          }
-        }
+      items = await fs.readdir(currentPath);
+      const dirRules = await readIgnoreRules(currentPath, items);
+      if (!dirRules) {
+        onSkip && onSkip(currentPath);
+        return;
       }
+      if (dirRules.match) rules = [...parentRules, dirRules];
     } catch (error) {
       console.error(`扫描目录失败: ${currentPath}`, error);
+      return;
+    }
+    for (const item of items) {
+      const fullPath = path.join(currentPath, item);
+      const stat = await fs.stat(fullPath).catch(() => null);
+      if (!stat) continue;
+      if ((stat.isDirectory() || stat.isFile()) && isIgnored(rules, fullPath, stat.isDirectory())) {
+        onSkip && onSkip(fullPath);
+        continue;
+      }
+      if (stat.isDirectory()) {
+        yield* walk(fullPath, rules);
+      } else if (stat.isFile()) {
+        const ext = path.extname(item).toLowerCase();
+        if (filter ? filter(fullPath) : SUPPORTED_FORMATS.includes(ext)) {
+          yield fullPath;
+        }
+      }
     }
   }
-  await walk(dirPath);
+  const rules = await getIgnoreRules(root, dirPath, true);
+  if (rules) {
+    yield* walk(dirPath, rules);
+  } else {
+    onSkip && onSkip(dirPath);
+  }
+}
+
+// 获取所有音乐文件（参数同 walkMusicFiles）
+export async function getAllMusicFiles(dirPath, filter = null, options = {}) {
+  const musicFiles = [];
+  for await (const filePath of walkMusicFiles(dirPath, filter, options)) {
+    musicFiles.push(filePath);
+  }
   console.log(`扫描到 ${musicFiles.length} 个音乐文件`);
   return musicFiles;
 }
 
 export default {
   getMediaLibraries,
+  getMediaLibrary,
   addMediaLibrary,
+  updateMediaLibrary,
   deleteMediaLibrary,
+  createLibraryFilter,
   scanMediaLibrary,
-  getScanProgress
+  getScanProgress,
+  createTrackFileResolver,
+  isTrackFileUnchanged,
+  createTrackDocs,
+  walkMusicFiles,
+  getAllMusicFiles,
+  isPathIgnored
 };
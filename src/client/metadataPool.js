@@ -0,0 +1,121 @@
+import os from 'os';
+import { Worker } from 'worker_threads';
+import { getMetadata as parseMetadata } from '../utils/musicUtil.js';
+
+const WORKER_FILE = new URL('./metadataWorker.js', import.meta.url);
+// 解析线程连续异常退出的次数上限，达到后不再补充线程，改为在主线程解析
+const MAX_WORKER_FAILURES = 3;
+// 补充线程前的等待时间（毫秒），按连续异常退出次数递增
+const RESPAWN_DELAY_MS = 500;
+
+// 默认并发数：保留一个CPU核心给主线程处理请求
+export const getDefaultConcurrency = () => Math.max(1, os.cpus().length - 1);
+
+// 创建元数据解析线程池，避免解析大量文件时阻塞主线程
+export function createMetadataPool(concurrency = 0) {
+  const size = concurrency > 0 ? concurrency : getDefaultConcurrency();
+  const workers = new Set();
+  const idleWorkers = [];
+  const queue = [];
+  let nextId = 0;
+  let closed = false;
+  // 连续异常退出次数（线程成功返回结果后清零）和是否已改为在主线程解析
+  let failures = 0;
+  let fallback = false;
+
+  // 在主线程解析排队中的任务（解析线程无法启动时使用）
+  const drainInMainThread = () => {
+    for (const task of queue.splice(0)) {
+      parseMetadata(task.filePath).then(task.resolve, task.reject);
+    }
+  }
+
+  // 分配下一个任务给空闲线程
+  const dispatch = (worker) => {
+    const task = queue.shift();
+    if (!task) {
+      worker.task = null;
+      idleWorkers.push(worker);
+      return;
+    }
+    worker.task = task;
+    worker.postMessage({ id: task.id, filePath: task.filePath });
+  }
+
+  // 创建解析线程，线程异常退出时结束当前任务并延迟补充新线程，连续多次异常退出后改为在主线程解析
+  const spawn = () => {
+    const worker = new Worker(WORKER_FILE);
+    worker.task = null;
+    worker.ready = false;
+    worker.on('message', ({ ready, id, metadata, error }) => {
+      // 线程加载完成
+      if (ready) {
+        worker.ready = true;
+        failures = 0;
+        return;
+      }
+      const task = worker.task;
+      if (!task || task.id !== id) return;
+      error ? task.reject(new Error(error)) : task.resolve(metadata);
+      dispatch(worker);
+    });
+    worker.on('error', (error) => {
+      console.error('元数据解析线程出错:', error);
+      // 线程加载失败时任务还未开始解析，退出后重新排队
+      if (!worker.ready) return;
+      worker.task && worker.task.reject(error);
+      worker.task = null;
+    });
+    worker.on('exit', () => {
+      workers.delete(worker);
+      const index = idleWorkers.indexOf(worker);
+      index >= 0 && idleWorkers.splice(index, 1);
+      if (closed) return;
+      if (worker.task) {
+        // 解析过程中退出时任务失败（可能是该文件导致的），加载失败时任务重新排队
+        worker.ready ? worker.task.reject(new Error('元数据解析线程已退出')) : queue.unshift(worker.task);
+        worker.task = null;
+        const idleWorker = idleWorkers.pop();
+        idleWorker && dispatch(idleWorker);
+      }
+      if (++failures >= MAX_WORKER_FAILURES) {
+        if (!fallback) console.error(`元数据解析线程连续 ${failures} 次异常退出，改为在主线程解析`);
+        fallback = true;
+        workers.size === 0 && drainInMainThread();
+        return;
+      }
+      setTimeout(() => closed || fallback || dispatch(spawn()), RESPAWN_DELAY_MS * failures);
+    });
+    workers.add(worker);
+    return worker;
+  }
+
+  for (let i = 0; i < size; i++) {
+    idleWorkers.push(spawn());
+  }
+
+  return {
+    size,
+    // 解析文件元数据
+    getMetadata: (filePath) => new Promise((resolve, reject) => {
+      if (closed) return reject(new Error('线程池已关闭'));
+      if (fallback && workers.size === 0) return parseMetadata(filePath).then(resolve, reject);
+      queue.push({ id: ++nextId, filePath, resolve, reject });
+      const worker = idleWorkers.pop();
+      worker && dispatch(worker);
+    }),
+    // 关闭线程池
+    close: async () => {
+      closed = true;
+      for (const task of queue.splice(0)) {
+        task.reject(new Error('线程池已关闭'));
+      }
+      await Promise.all([...workers].map(worker => worker.terminate()));
+    }
+  };
+}
+
+export default {
+  createMetadataPool,
+  getDefaultConcurrency
+};
@@ -0,0 +1,15 @@
+import { parentPort } from 'worker_threads';
+import { getMetadata } from '../utils/musicUtil.js';
+
+// 元数据解析线程：接收文件路径，返回解析结果
+parentPort.on('message', async ({ id, filePath }) => {
+  try {
+    const metadata = await getMetadata(filePath);
+    parentPort.postMessage({ id, metadata });
+  } catch (error) {
+    parentPort.postMessage({ id, error: error.message });
+  }
+});
+
+// 加载完成，通知主线程可以分配任务（加载失败时主线程将任务重新排队）
+parentPort.postMessage({ ready: true });
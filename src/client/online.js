@@ -298,6 +298,7 @@ export const syncOnlineMusic = async () => {
         year: music.year || cacheData.date,
         coverImage: music.coverImage || cacheData.cover,
         lyrics: music.lyrics || cacheData.lyrics,
+        lyricsSource: music.lyrics || !cacheData.lyrics ? music.lyricsSource : 'online',
       }, { id: music.id })
     }else{
       const titleLike = (a) => a.title.includes(music.title) || music.title.includes(a.title)
@@ -313,6 +314,7 @@ export const syncOnlineMusic = async () => {
           year: music.year || info.date,
           coverImage: music.coverImage || info.cover,
           lyrics: music.lyrics || info.lyrics,
+          lyricsSource: music.lyrics || !info.lyrics ? music.lyricsSource : 'online',
         }, { id: music.id })
       }
     }
@@ -321,7 +323,7 @@ export const syncOnlineMusic = async () => {
       const artistLike = (a) => a.artist.includes(music.artist) || music.artist.includes(a.artist)
       const lyrics = await lyricsPluginManager.searchLyrics(music.title, music.artist).then(res=>res.find(l=>titleLike(l) && artistLike(l)))
       if(lyrics) {
-        client.update('music', { lyrics: lyrics.lyrics }, { id: music.id })
+        client.update('music', { lyrics: lyrics.lyrics, lyricsSource: 'online' }, { id: music.id })
       }
     }
     onlineSearchProgress.current++
@@ -0,0 +1,235 @@
+import { getConfig, defaultConfig, getSchedulerState, saveSchedulerState, updateState } from './database.js';
+import { getMediaLibraries, scanMediaLibrary } from './metadata.js';
+import { syncOnlineMusic } from './online.js';
+import { analyzeLoudness } from './loudness.js';
+import { verifyTracks } from './integrity.js';
+import { generateWaveforms } from './waveform.js';
+import { getNextCronTime } from '../utils/cronUtils.js';
+
+// 检查任务是否到期的间隔
+const TICK_INTERVAL = 30 * 1000;
+
+// 扫描所有媒体库
+const scanAllLibraries = async () => {
+  const errors = [];
+  const libraries = (await getMediaLibraries()).filter(library => library.enabled);
+  for (const library of libraries) {
+    try {
+      await scanMediaLibrary(library.id);
+    } catch (error) {
+      errors.push(`${library.path}: ${error.message}`);
+    }
+  }
+  if (errors.length > 0) { throw new Error(errors.join('; ')); }
+}
+
+// 在线刮削
+const scrapeOnlineMusic = async () => {
+  await syncOnlineMusic();
+  updateState();
+}
+
+// 定时任务定义
+const JOBS = {
+  scan: {
+    label: '媒体库扫描',
+    run: scanAllLibraries,
+    schedule: (config) => ({ enabled: true, interval: config.scanInterval, cron: config.scanCron }),
+  },
+  scraping: {
+    label: '在线刮削',
+    run: scrapeOnlineMusic,
+    schedule: (config) => ({ enabled: !!config.scrapingEnabled, interval: config.scrapingInterval, cron: config.scrapingCron }),
+  },
+  loudness: {
+    label: '响度分析',
+    run: analyzeLoudness,
+    schedule: (config) => ({
+      enabled: !!config.loudnessAnalysisEnabled,
+      interval: config.loudnessInterval ?? defaultConfig.loudnessInterval,
+      cron: config.loudnessCron || ''
+    }),
+  },
+  integrity: {
+    label: '完整性检查',
+    run: verifyTracks,
+    schedule: (config) => ({
+      enabled: true,
+      interval: config.integrityInterval ?? defaultConfig.integrityInterval,
+      cron: config.integrityCron || ''
+    }),
+  },
+  waveform: {
+    label: '波形生成',
+    run: generateWaveforms,
+    schedule: (config) => ({
+      enabled: true,
+      interval: config.waveformInterval ?? defaultConfig.waveformInterval,
+      cron: config.waveformCron || ''
+    }),
+  },
+};
+
+let tickTimer = null;
+// 当前正在运行的任务名，同一时间只运行一个任务
+let runningJob = null;
+
+// 解析 HH:mm 为当天的分钟数
+const parseClock = (text) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+// 判断时间是否在免打扰时段内，返回时段结束时间
+const getQuietHoursEnd = (config, date) => {
+  const start = parseClock(config.quietHoursStart);
+  const end = parseClock(config.quietHoursEnd);
+  if (start === null || end === null || start === end) return null;
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  // 支持跨午夜的时段，如 23:00 - 07:00
+  const inQuietHours = start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+  if (!inQuietHours) return null;
+  const endDate = new Date(date);
+  endDate.setHours(Math.floor(end / 60), end % 60, 0, 0);
+  if (endDate <= date) { endDate.setDate(endDate.getDate() + 1); }
+  return endDate;
+}
+
+// 计算任务下一次执行时间
+const computeNextRun = (schedule, lastRunAt, now = new Date()) => {
+  if (!schedule.enabled) return null;
+  if (schedule.cron) {
+    return getNextCronTime(schedule.cron, now);
+  }
+  if (!schedule.interval || schedule.interval <= 0) return null;
+  const base = lastRunAt ? new Date(lastRunAt).getTime() : now.getTime();
+  return new Date(Math.max(base + schedule.interval, now.getTime()));
+}
+
+// 重新计算所有任务的下一次执行时间（配置变化后调用）
+export const rescheduleJobs = () => {
+  const config = getConfig();
+  const state = getSchedulerState();
+  for (const [name, job] of Object.entries(JOBS)) {
+    const jobState = state[name] || {};
+    const nextRun = computeNextRun(job.schedule(config), jobState.lastRunAt);
+    state[name] = { ...jobState, nextRunAt: nextRun ? nextRun.toISOString() : null };
+  }
+  saveSchedulerState(state);
+}
+
+// 独占执行任务，已有任务运行时返回 false（只有定时任务会记录执行状态）
+export const runExclusive = (name, task) => {
+  if (runningJob) return false;
+  runningJob = name;
+  const job = JOBS[name];
+  const startedAt = new Date();
+  if (job) {
+    const state = getSchedulerState();
+    state[name] = { ...state[name], lastRunAt: startedAt.toISOString(), lastStatus: 'running', lastError: null };
+    saveSchedulerState(state);
+  }
+  Promise.resolve().then(task).then(() => null, (error) => error).then((error) => {
+    runningJob = null;
+    error && console.error(`任务执行失败: ${name}`, error);
+    if (!job) return;
+    const finishedAt = new Date();
+    const state = getSchedulerState();
+    const nextRun = computeNextRun(job.schedule(getConfig()), startedAt.toISOString(), finishedAt);
+    state[name] = {
+      ...state[name],
+      lastFinishedAt: finishedAt.toISOString(),
+      lastDuration: finishedAt - startedAt,
+      lastStatus: error ? 'failed' : 'success',
+      lastError: error ? error.message : null,
+      nextRunAt: nextRun ? nextRun.toISOString() : null,
+    };
+    saveSchedulerState(state);
+  });
+  return true;
+}
+
+// 立即执行定时任务
+export const runJob = (name) => {
+  const job = JOBS[name];
+  if (!job) throw new Error('任务不存在');
+  return runExclusive(name, job.run);
+}
+
+// 检查并执行到期的任务
+const tick = () => {
+  if (runningJob) return;
+  const config = getConfig();
+  const state = getSchedulerState();
+  const now = new Date();
+  for (const [name, job] of Object.entries(JOBS)) {
+    const schedule = job.schedule(config);
+    const jobState = state[name] || {};
+    if (!schedule.enabled || !jobState.nextRunAt) continue;
+    if (new Date(jobState.nextRunAt) > now) continue;
+    const quietHoursEnd = getQuietHoursEnd(config, now);
+    if (quietHoursEnd) {
+      // 免打扰时段内，推迟到时段结束
+      state[name] = { ...jobState, nextRunAt: quietHoursEnd.toISOString() };
+      saveSchedulerState(state);
+      continue;
+    }
+    console.log(`开始执行定时任务: ${job.label}`);
+    runJob(name);
+    return;
+  }
+}
+
+// 启动定时任务
+export const startScheduler = () => {
+  if (tickTimer) return;
+  const state = getSchedulerState();
+  // 上次进程退出时未完成的任务标记为中断
+  for (const jobState of Object.values(state)) {
+    if (jobState.lastStatus === 'running') {
+      jobState.lastStatus = 'interrupted';
+    }
+  }
+  saveSchedulerState(state);
+  rescheduleJobs();
+  tickTimer = setInterval(tick, TICK_INTERVAL);
+  tickTimer.unref();
+}
+
+// 停止定时任务
+export const stopScheduler = () => {
+  clearInterval(tickTimer);
+  tickTimer = null;
+}
+
+// 获取定时任务状态
+export const getSchedulerStatus = () => {
+  const config = getConfig();
+  const state = getSchedulerState();
+  return {
+    running: runningJob,
+    quietHours: { start: config.quietHoursStart || '', end: config.quietHoursEnd || '' },
+    jobs: Object.entries(JOBS).map(([name, job]) => ({
+      name,
+      label: job.label,
+      ...job.schedule(config),
+      lastRunAt: null,
+      lastFinishedAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastDuration: null,
+      nextRunAt: null,
+      ...state[name],
+    })),
+  };
+}
+
+export default {
+  startScheduler,
+  stopScheduler,
+  rescheduleJobs,
+  runJob,
+  runExclusive,
+  getSchedulerStatus
+};
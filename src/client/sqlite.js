@@ -27,6 +27,9 @@ const util = {
   md5: (str) => {
     return crypto.createHash('md5').update(str).digest('hex');
   },
+  uuid: () => {
+    return crypto.randomUUID().replace(/-/g, '');
+  },
   formatArtistNames: (artistString) => {
     if (!artistString || typeof artistString !== 'string') { return []; }
     let names = [artistString];
@@ -39,6 +42,14 @@ const util = {
     }
     return [...new Set(names)].filter(name => name.length > 0);
   },
+  // 专辑ID：有 MusicBrainz 发行ID 时直接使用，否则由专辑名称和专辑歌手确定（不同歌手的同名专辑区分开）
+  albumId: (title='', albumArtist='', musicbrainzId='') => {
+    if (musicbrainzId) {
+      return crypto.createHash('md5').update(`mbid:${musicbrainzId}`).digest('hex');
+    }
+    const key = (str) => String(str || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    return crypto.createHash('md5').update(`${key(title)}\u0000${key(albumArtist)}`).digest('hex');
+  },
   normalize: (str='') => {
     return str.toLowerCase().replace(/[^\w\s\u4e00-\u9fff]/g, '').replace(/ /g, '').trim();
   },
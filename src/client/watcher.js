@@ -0,0 +1,308 @@
+import fs from 'fs';
+import path from 'path';
+import { getConfig, defaultConfig, updateGenresState, upsertTracks, findTrackByPath, findTracksUnderPath, findTracksByCuePath, moveTrack, removeTracksByIds, updateAlbumStats, updateArtistStats } from './database.js';
+import { getMediaLibraries, getAllMusicFiles, getScanProgress, createLibraryFilter, createTrackFileResolver, isTrackFileUnchanged, createTrackDocs, isPathIgnored } from './metadata.js';
+import { getMetadata, SUPPORTED_FORMATS } from '../utils/musicUtil.js';
+import { IGNORE_MARKER_FILES, IGNORE_PATTERN_FILE } from '../utils/fileUtils.js';
+import { parseLyricsFileName } from '../utils/lyricsUtils.js';
+import { getImageNamePriority } from '../utils/coverUtils.js';
+
+// 正在监听的媒体库 libraryId -> { path, library, filter, watcher }
+const watchers = new Map();
+// 等待处理的变化路径 fullPath -> libraryId
+let pendingChanges = new Map();
+let flushTimer = null;
+let firstChangeAt = 0;
+let flushing = false;
+
+// 同步监听列表（启动时及媒体库增删后调用）
+export async function syncLibraryWatchers() {
+  try {
+    const config = await getConfig();
+    const libraries = config.watchEnabled === false ? [] : (await getMediaLibraries()).filter(library => library.enabled);
+    const libraryMap = new Map(libraries.map(library => [library.id, library]));
+    for (const [libraryId, item] of watchers) {
+      // 媒体库已删除、停用或根路径已变化
+      if (libraryMap.get(libraryId)?.path !== item.path) {
+        item.watcher.close();
+        watchers.delete(libraryId);
+      }
+    }
+    for (const library of libraries) {
+      const existing = watchers.get(library.id);
+      if (existing) {
+        // 更新过滤规则
+        existing.library = library;
+        existing.filter = createLibraryFilter(library);
+        continue;
+      }
+      const watcher = watchLibrary(library);
+      watcher && watchers.set(library.id, { path: library.path, library, filter: createLibraryFilter(library), watcher });
+    }
+  } catch (error) {
+    console.error('同步媒体库监听失败:', error);
+  }
+}
+
+// 停止所有监听
+export function stopLibraryWatchers() {
+  for (const item of watchers.values()) {
+    item.watcher.close();
+  }
+  watchers.clear();
+  clearTimeout(flushTimer);
+  pendingChanges = new Map();
+}
+
+// 监听单个媒体库
+function watchLibrary(library) {
+  try {
+    const watcher = fs.watch(library.path, { recursive: true }, (eventType, filename) => {
+      if (!filename) return;
+      queueChange(path.join(library.path, filename.toString()), library.id);
+    });
+    watcher.on('error', (error) => {
+      console.error(`媒体库监听出错: ${library.path}`, error);
+      watcher.close();
+      watchers.delete(library.id);
+    });
+    console.log(`开始监听媒体库: ${library.path}`);
+    return watcher;
+  } catch (error) {
+    console.error(`监听媒体库失败: ${library.path}`, error);
+    return null;
+  }
+}
+
+// 记录变化并延迟处理，合并短时间内的连续变化
+function queueChange(changedPath, libraryId) {
+  pendingChanges.set(changedPath, libraryId);
+  if (!firstChangeAt) firstChangeAt = Date.now();
+  const config = getConfig();
+  const debounce = config.watchDebounce || 2000;
+  clearTimeout(flushTimer);
+  // 持续有变化时（如拷贝大量文件），最多等待10个周期后强制处理一次
+  const delay = Date.now() - firstChangeAt > debounce * 10 ? 0 : debounce;
+  flushTimer = setTimeout(flushChanges, delay);
+}
+
+// 判断是否为媒体库需要收录的音乐文件
+const isLibraryFile = (filePath, libraryId) => {
+  const filter = watchers.get(libraryId)?.filter;
+  return filter ? filter(filePath) : SUPPORTED_FORMATS.includes(path.extname(filePath).toLowerCase());
+}
+
+// 处理累积的文件变化
+async function flushChanges() {
+  if (flushing) {
+    flushTimer = setTimeout(flushChanges, 1000);
+    return;
+  }
+  flushing = true;
+  firstChangeAt = 0;
+  const changes = pendingChanges;
+  pendingChanges = new Map();
+  try {
+    const removedTracks = new Map();
+    const addedFiles = new Map();
+    const affectedAlbums = new Set();
+    const affectedArtists = new Set();
+    const unavailableLibraries = new Set();
+    const config = getConfig();
+    const coverFileNames = config.coverFileNames || defaultConfig.coverFileNames;
+    const artistImageFileNames = config.artistImageFileNames || defaultConfig.artistImageFileNames;
+    for (const [changedPath, libraryId] of changes) {
+      // 媒体库正在全量扫描时，推迟处理
+      if (getScanProgress(libraryId)?.status === 'scanning') {
+        queueChange(changedPath, libraryId);
+        continue;
+      }
+      // 媒体库已停止监听（已删除或停用）
+      if (!watchers.has(libraryId)) continue;
+      const { path: root, filter } = watchers.get(libraryId);
+      const fileName = path.basename(changedPath);
+      if (IGNORE_MARKER_FILES.includes(fileName) || fileName === IGNORE_PATTERN_FILE) {
+        // 忽略规则变化，重新同步所在目录
+        const dirPath = path.dirname(changedPath);
+        const files = new Set(await getAllMusicFiles(dirPath, filter, { root }));
+        for (const track of findTracksUnderPath(dirPath)) {
+          if (!files.has(track.path)) removedTracks.set(track.id, track);
+        }
+        files.forEach(filePath => addedFiles.set(filePath, libraryId));
+        continue;
+      }
+      if (path.extname(fileName).toLowerCase() === '.cue') {
+        // CUE 变化，重新处理同目录的整轨文件及原来关联的文件
+        const dirPath = path.dirname(changedPath);
+        for (const item of await fs.promises.readdir(dirPath).catch(() => [])) {
+          const filePath = path.join(dirPath, item);
+          if (isLibraryFile(filePath, libraryId) && !await isPathIgnored(root, filePath)) {
+            addedFiles.set(filePath, libraryId);
+          }
+        }
+        for (const track of findTracksByCuePath(changedPath)) {
+          addedFiles.set(track.sourcePath, libraryId);
+        }
+        continue;
+      }
+      const lyricsName = parseLyricsFileName(fileName);
+      if (lyricsName) {
+        // 外挂歌词变化，重新处理同名的音乐文件（Song.zh.lrc 对应 Song.* 或 Song.zh.*）
+        const stems = [lyricsName.stem, path.parse(fileName).name].map(stem => stem.toLowerCase());
+        const dirPath = path.dirname(changedPath);
+        for (const item of await fs.promises.readdir(dirPath).catch(() => [])) {
+          const filePath = path.join(dirPath, item);
+          if (stems.includes(path.parse(item).name.toLowerCase()) && isLibraryFile(filePath, libraryId) && !await isPathIgnored(root, filePath)) {
+            addedFiles.set(filePath, libraryId);
+          }
+        }
+        continue;
+      }
+      const isCoverFile = getImageNamePriority(fileName, coverFileNames) >= 0;
+      const isArtistImage = getImageNamePriority(fileName, artistImageFileNames) >= 0;
+      if (isCoverFile || isArtistImage) {
+        // 目录图片变化，重新处理同目录的音乐文件（歌手图片还需处理下一级目录）
+        const dirPath = path.dirname(changedPath);
+        const files = isArtistImage
+          ? await getAllMusicFiles(dirPath, filter, { root })
+          : (await fs.promises.readdir(dirPath).catch(() => [])).map(item => path.join(dirPath, item));
+        for (const filePath of files) {
+          if (isLibraryFile(filePath, libraryId) && !await isPathIgnored(root, filePath)) {
+            addedFiles.set(filePath, libraryId);
+          }
+        }
+        continue;
+      }
+      const stats = await fs.promises.stat(changedPath).catch(() => null);
+      if (!stats) {
+        // 媒体库根目录不可访问时（如NAS断开）不删除记录
+        if (unavailableLibraries.has(libraryId)) continue;
+        if (!await fs.promises.access(root).then(() => true).catch(() => false)) {
+          unavailableLibraries.add(libraryId);
+          continue;
+        }
+        // 文件或目录已删除（或被移走）
+        for (const track of findTracksUnderPath(changedPath)) {
+          removedTracks.set(track.id, track);
+        }
+      } else if (stats.isDirectory()) {
+        // 新增或移入的目录
+        for (const filePath of await getAllMusicFiles(changedPath, filter, { root })) {
+          addedFiles.set(filePath, libraryId);
+        }
+      } else if (stats.isFile() && isLibraryFile(changedPath, libraryId) && !await isPathIgnored(root, changedPath)) {
+        addedFiles.set(changedPath, libraryId);
+      }
+    }
+    // 新增文件与删除记录配对，识别重命名和目录移动
+    // 移动后的文件仍需检查（外挂歌词和目录图片可能随文件名或目录变化）
+    const movedTracks = pairMovedTracks(removedTracks, addedFiles);
+    for (const { track, newPath, libraryId, cueFiles } of movedTracks) {
+      moveTrack(track.id, newPath, libraryId, cueFiles);
+      removedTracks.delete(track.id);
+    }
+    let updatedFiles = 0;
+    const resolveFile = createTrackFileResolver();
+    for (const [filePath, libraryId] of addedFiles) {
+      try {
+        const stats = await fs.promises.stat(filePath);
+        // 整轨文件存在 CUE 时对应多条虚拟音轨
+        const fileInfo = await resolveFile(filePath, stats, watchers.get(libraryId)?.path);
+        const existingTracks = findTracksUnderPath(filePath);
+        if (isTrackFileUnchanged(existingTracks, fileInfo, stats)) continue;
+        for (const track of existingTracks) {
+          affectedAlbums.add(track.albumId);
+          (track.artists || []).forEach(artist => affectedArtists.add(artist));
+        }
+        updatedFiles++;
+        const metadata = await getMetadata(filePath);
+        const trackDocs = await createTrackDocs(metadata, filePath, libraryId, fileInfo);
+        upsertTracks(trackDocs);
+        // 写入音乐记录后再刷新新专辑和歌手的统计（upsertTrack 中的统计在插入音乐记录之前执行）
+        for (const track of findTracksUnderPath(filePath)) {
+          affectedAlbums.add(track.albumId);
+          (track.artists || []).forEach(artist => affectedArtists.add(artist));
+        }
+        // CUE 新增或删除后，移除原来的整轨记录或虚拟音轨
+        const trackPaths = new Set(trackDocs.map(trackDoc => trackDoc.path));
+        for (const track of existingTracks) {
+          trackPaths.has(track.path) || removedTracks.set(track.id, track);
+        }
+      } catch (error) {
+        console.error(`处理文件变化失败: ${filePath}`, error);
+      }
+    }
+    if (removedTracks.size > 0) {
+      removeTracksByIds([...removedTracks.keys()]);
+      for (const track of removedTracks.values()) {
+        affectedAlbums.add(track.albumId);
+        (track.artists || []).forEach(artist => affectedArtists.add(artist));
+      }
+    }
+    // 只刷新受影响的专辑和歌手统计
+    for (const albumId of affectedAlbums) {
+      albumId && updateAlbumStats(albumId);
+    }
+    for (const artist of affectedArtists) {
+      artist && updateArtistStats(artist);
+    }
+    if (updatedFiles || removedTracks.size) {
+      updateGenresState();
+    }
+    if (updatedFiles || removedTracks.size || movedTracks.length) {
+      console.log(`媒体库文件变化已同步: 新增/更新 ${updatedFiles}, 删除 ${removedTracks.size}, 移动 ${movedTracks.length}`);
+    }
+  } catch (error) {
+    console.error('处理媒体库文件变化失败:', error);
+  } finally {
+    flushing = false;
+  }
+}
+
+// 按文件大小和修改时间（其次按文件名和大小）匹配被移动的音乐
+// CUE 虚拟音轨按整轨文件配对，同一整轨文件的音轨一起移动
+function pairMovedTracks(removedTracks, addedFiles) {
+  if (removedTracks.size === 0 || addedFiles.size === 0) return [];
+  // 原文件路径 -> 对应的记录（普通音乐一条，整轨文件为所有虚拟音轨）
+  const groups = new Map();
+  for (const track of removedTracks.values()) {
+    const filePath = track.sourcePath || track.path;
+    groups.has(filePath) ? groups.get(filePath).push(track) : groups.set(filePath, [track]);
+  }
+  const byStats = new Map();
+  const byName = new Map();
+  for (const [filePath, tracks] of groups) {
+    byStats.set(`${tracks[0].size}|${tracks[0].modifiedTime}`, filePath);
+    byName.set(`${tracks[0].size}|${path.basename(filePath)}`, filePath);
+  }
+  const moved = [];
+  const used = new Set();
+  for (const [filePath, libraryId] of addedFiles) {
+    // 已有记录的文件不参与配对
+    if (findTrackByPath(filePath)) continue;
+    let stats = null;
+    try {
+      stats = fs.statSync(filePath);
+    } catch (error) {
+      continue;
+    }
+    const oldPath = byStats.get(`${stats.size}|${stats.mtime.toISOString()}`) || byName.get(`${stats.size}|${path.basename(filePath)}`);
+    if (!oldPath || used.has(oldPath)) continue;
+    used.add(oldPath);
+    for (const track of groups.get(oldPath)) {
+      if (!track.sourcePath) {
+        moved.push({ track, newPath: filePath, libraryId });
+        continue;
+      }
+      // 虚拟音轨路径为 整轨文件路径#音轨号，CUE 文件与整轨文件的相对位置不变
+      const cuePath = track.cuePath && path.join(path.dirname(filePath), path.relative(path.dirname(oldPath), track.cuePath));
+      moved.push({ track, newPath: filePath + track.path.slice(oldPath.length), libraryId, cueFiles: { sourcePath: filePath, cuePath } });
+    }
+  }
+  return moved;
+}
+
+export default {
+  syncLibraryWatchers,
+  stopLibraryWatchers
+};
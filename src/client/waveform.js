@@ -0,0 +1,132 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { getConfig, defaultConfig, getTracksForWaveform } from './database.js';
+import { computeWaveform } from '../utils/waveformUtils.js';
+import { acquireTranscodeSlot } from '../utils/transcodeUtils.js';
+
+// 波形文件目录（按音乐 ID 保存）
+const WAVEFORM_DIR = './db/waveforms';
+
+// 批量生成进度
+let progress = { running: false, total: 0, processed: 0, generated: 0, failed: 0 };
+// 正在生成的波形，避免同一首音乐重复生成
+const pending = new Map();
+
+// 获取批量生成进度
+export const getWaveformProgress = () => ({ ...progress });
+
+// 是否为 WAV 文件（无需 ffmpeg 即可生成）
+const isWavTrack = (track) => (track.sourcePath || track.path).toLowerCase().endsWith('.wav');
+
+// 波形文件路径（音乐 ID 为 md5，不含路径字符）
+const getWaveformPath = (trackId) => path.join(WAVEFORM_DIR, `${trackId}.json`);
+
+// 读取已保存的波形，音乐文件修改后视为过期
+const readWaveform = async (track) => {
+  try {
+    const waveform = JSON.parse(await fs.readFile(getWaveformPath(track.id), 'utf8'));
+    // CUE 修改后虚拟音轨的时间段可能变化
+    return waveform.modifiedTime === track.modifiedTime && waveform.duration === track.duration ? waveform : null;
+  } catch {
+    return null;
+  }
+}
+
+// 生成并保存波形
+const createWaveform = async (track, ffmpegPath) => {
+  const peaks = await computeWaveform(track.sourcePath || track.path, {
+    startTime: track.startTime,
+    endTime: track.endTime,
+    duration: track.duration,
+    ffmpegPath
+  });
+  const waveform = { modifiedTime: track.modifiedTime, duration: track.duration, peaks };
+  await fs.mkdir(WAVEFORM_DIR, { recursive: true });
+  const filePath = getWaveformPath(track.id);
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(waveform));
+  await fs.rename(tempPath, filePath);
+  return waveform;
+}
+
+// 生成波形（同一首音乐同时只生成一次，与转码共用并发上限）
+const queueWaveform = (track) => {
+  if (!pending.has(track.id)) {
+    const task = (async () => {
+      const config = getConfig();
+      const release = await acquireTranscodeSlot(config.transcodeMaxConcurrent ?? defaultConfig.transcodeMaxConcurrent);
+      try {
+        return await createWaveform(track, config.ffmpegPath || defaultConfig.ffmpegPath);
+      } finally {
+        release();
+      }
+    })();
+    pending.set(track.id, task);
+    task.finally(() => pending.delete(track.id)).catch(() => {});
+  }
+  return pending.get(track.id);
+}
+
+// 获取音乐的波形，没有时立即生成
+export const getTrackWaveform = async (track) => {
+  return await readWaveform(track) || queueWaveform(track);
+}
+
+// 删除已不存在的音乐的波形文件
+const removeUnusedWaveforms = async (trackIds) => {
+  const items = await fs.readdir(WAVEFORM_DIR).catch(() => []);
+  let removed = 0;
+  for (const item of items) {
+    if (!item.endsWith('.json') || trackIds.has(path.basename(item, '.json'))) continue;
+    await fs.unlink(path.join(WAVEFORM_DIR, item)).catch(() => {});
+    removed++;
+  }
+  return removed;
+}
+
+// 批量生成所有音乐的波形（已有且未过期的跳过）
+export const generateWaveforms = async () => {
+  if (progress.running) return;
+  const config = getConfig();
+  const ffmpegPath = config.ffmpegPath || defaultConfig.ffmpegPath;
+  const tracks = getTracksForWaveform();
+  progress = { running: true, total: tracks.length, processed: 0, generated: 0, failed: 0 };
+  // 未安装 ffmpeg 时跳过非 WAV 音乐，避免全部被记为失败
+  let skipped = 0;
+  let ffmpegMissing = false;
+  try {
+    for (const track of tracks) {
+      progress.processed++;
+      if (await readWaveform(track)) continue;
+      if (ffmpegMissing && !isWavTrack(track)) {
+        skipped++;
+        continue;
+      }
+      try {
+        await queueWaveform(track);
+        progress.generated++;
+      } catch (error) {
+        if (error.code === 'ENOENT' && String(error.syscall).startsWith('spawn')) {
+          ffmpegMissing = true;
+          skipped++;
+          continue;
+        }
+        console.error(`生成波形失败: ${track.path}`, error.message);
+        progress.failed++;
+      }
+    }
+    const removed = await removeUnusedWaveforms(new Set(tracks.map(track => track.id)));
+    console.log(`波形生成完成，共 ${progress.total} 首，生成 ${progress.generated} 首，失败 ${progress.failed} 首，跳过 ${skipped} 首，清理 ${removed} 个`);
+    if (ffmpegMissing) {
+      throw new Error(`未找到 ffmpeg（${ffmpegPath}），已跳过 ${skipped} 首非 WAV 音乐`);
+    }
+  } finally {
+    progress.running = false;
+  }
+}
+
+export default {
+  getTrackWaveform, // 获取音乐的波形
+  generateWaveforms, // 批量生成波形
+  getWaveformProgress // 获取批量生成进度
+};
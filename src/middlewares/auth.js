@@ -1,19 +1,48 @@
-
+import { getSessionUser } from '../client/auth.js'
 
 //定义需要权限的路径
 const matchs = [
-  '/api/*',
+  '/api/**',
+]
+
+//无需登录的路径（登录、退出、状态和首次创建管理员）
+const publicMatchs = [
+  '/api/auth/status',
+  '/api/auth/login',
+  '/api/auth/logout',
+  '/api/auth/setup',
+]
+
+//仅管理员可访问的路径（所有请求方法）
+const adminMatchs = [
+  '/api/auth/users',
+  '/api/auth/users/*',
+]
+
+//普通用户可以提交修改的路径，其余非 GET 请求仅管理员可用
+const userWritableMatchs = [
+  '/api/settings/player',
+  '/api/settings/player/**',
+  '/api/music/tracks/*/favorite',
+  '/api/music/recently-played/*',
+  '/api/music/download',
+  '/api/auth/password',
 ]
 
+//只读请求方法
+const readMethods = ['GET', 'HEAD', 'OPTIONS']
+
 function antPatternToRegex(pattern) {
   let regexStr = pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&');
   regexStr = regexStr
     .replace(/\?/g, '[^/]')        // ? → 匹配单个非斜杠字符
-    .replace(/\*\*/g, '.*')        // ​**​ → 匹配多级路径
-    .replace(/\*/g, '[^/]*');     // * → 匹配单级路径中的任意字符
+    .replace(/\*\*/g, '\0')        // ​**​ → 先用占位符替换，避免被下面的 * 规则再次替换
+    .replace(/\*/g, '[^/]*')     // * → 匹配单级路径中的任意字符
+    .replace(/\0/g, '.*');       // ​**​ → 匹配多级路径
   if (!regexStr.startsWith('^')) regexStr = '^' + regexStr;
   if (!regexStr.endsWith('$')) regexStr += '$';
-  return new RegExp(regexStr);
+  // 忽略大小写，避免 /API/... 之类的路径绕过检查
+  return new RegExp(regexStr, 'i');
 }
 
 function isPathMatched(path, patterns) {
@@ -27,7 +56,20 @@ function isPathMatched(path, patterns) {
 
 export default async(ctx, next) => {
   const requiresAuth = isPathMatched(ctx.path, matchs)
-  if(!requiresAuth){ return await next() }
-  //TODO 判断登录和权限
+  if(!requiresAuth || isPathMatched(ctx.path, publicMatchs)){ return await next() }
+  const user = getSessionUser(ctx)
+  if(!user){
+    ctx.status = 401
+    ctx.body = { success: false, error: '请先登录' }
+    return
+  }
+  const adminOnly = isPathMatched(ctx.path, adminMatchs)
+    || (!readMethods.includes(ctx.method) && !isPathMatched(ctx.path, userWritableMatchs))
+  if(adminOnly && user.role !== 'admin'){
+    ctx.status = 403
+    ctx.body = { success: false, error: '没有权限，请联系管理员' }
+    return
+  }
+  ctx.state.user = user
   await next()
 }
\ No newline at end of file
@@ -0,0 +1,142 @@
+import { promises as fs } from 'fs';
+import { spawn } from 'child_process';
+
+// 读取 WAV 文件的格式块和数据块位置
+export async function readWavInfo(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const { size: fileSize } = await handle.stat();
+    const header = Buffer.alloc(12);
+    await handle.read(header, 0, 12, 0);
+    if (header.toString('ascii', 0, 4) !== 'RIFF' || header.toString('ascii', 8, 12) !== 'WAVE') {
+      throw new Error('不是有效的WAV文件');
+    }
+    let offset = 12;
+    let fmt = null;
+    const chunkHeader = Buffer.alloc(8);
+    while (offset + 8 <= fileSize) {
+      await handle.read(chunkHeader, 0, 8, offset);
+      const chunkId = chunkHeader.toString('ascii', 0, 4);
+      const chunkSize = chunkHeader.readUInt32LE(4);
+      if (chunkId === 'fmt ') {
+        fmt = Buffer.alloc(chunkSize);
+        await handle.read(fmt, 0, chunkSize, offset + 8);
+      } else if (chunkId === 'data') {
+        if (!fmt) break;
+        return {
+          fmt,
+          sampleRate: fmt.readUInt32LE(4),
+          blockAlign: fmt.readUInt16LE(12),
+          dataStart: offset + 8,
+          // 部分录音软件写入的数据块大小不准确，以实际文件大小为准
+          dataSize: Math.min(chunkSize, fileSize - offset - 8)
+        };
+      }
+      // 块大小为奇数时有一个填充字节
+      offset += 8 + chunkSize + (chunkSize % 2);
+    }
+    throw new Error('WAV文件缺少格式或数据块');
+  } finally {
+    await handle.close();
+  }
+}
+
+// 生成只包含指定时间段的 WAV 文件头和数据范围（无需转码，支持 Range 请求）
+export async function getWavSegment(filePath, startTime = 0, endTime = null) {
+  const info = await readWavInfo(filePath);
+  const toOffset = (time) => Math.min(Math.floor(time * info.sampleRate) * info.blockAlign, info.dataSize);
+  const dataOffset = toOffset(startTime || 0);
+  const dataEnd = endTime ? toOffset(endTime) : info.dataSize;
+  const dataLength = Math.max(0, dataEnd - dataOffset);
+  const fmtPadding = info.fmt.length % 2;
+  const header = Buffer.alloc(12 + 8 + info.fmt.length + fmtPadding + 8);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(header.length - 8 + dataLength, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(info.fmt.length, 16);
+  info.fmt.copy(header, 20);
+  header.write('data', 20 + info.fmt.length + fmtPadding, 'ascii');
+  header.writeUInt32LE(dataLength, 24 + info.fmt.length + fmtPadding);
+  return { header, dataStart: info.dataStart + dataOffset, dataLength };
+}
+
+// ffmpeg 错误输出最多保留的字符数
+const MAX_STDERR_LENGTH = 4096;
+
+// 使用 ffmpeg 截取音频片段并输出为 FLAC（无损，适用于 WAV 以外的整轨文件）
+export async function spawnAudioSegment(filePath, startTime = 0, endTime = null, ffmpegPath = 'ffmpeg') {
+  const args = ['-v', 'error', '-ss', String(startTime || 0)];
+  if (endTime) args.push('-t', String(endTime - (startTime || 0)));
+  args.push('-i', filePath, '-map', '0:a:0', '-c:a', 'flac', '-f', 'flac', 'pipe:1');
+  const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  // 错误输出只在截取失败时记录（客户端断开结束进程时退出码为 null）
+  let stderr = '';
+  child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-MAX_STDERR_LENGTH); });
+  child.once('close', (code) => {
+    if (code) console.error(`截取音频片段失败（ffmpeg 退出码 ${code}）: ${filePath}`, stderr.trim());
+  });
+  // 等待进程启动，未安装 ffmpeg 时直接抛出错误
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', reject);
+  });
+  return child;
+}
+
+
+// 容器格式对应的 MIME 类型（容器名取 music-metadata 返回值 / 前的部分，如 m4a/isom）
+const CONTAINER_MIME_TYPES = {
+  mpeg: 'audio/mpeg',
+  flac: 'audio/flac',
+  wave: 'audio/wav',
+  ogg: 'audio/ogg',
+  m4a: 'audio/mp4',
+  mp4: 'audio/mp4',
+  adts: 'audio/aac',
+  asf: 'audio/x-ms-wma',
+  aiff: 'audio/aiff',
+  ebml: 'audio/webm',
+  "monkey's audio": 'audio/x-ape',
+  wavpack: 'audio/x-wavpack'
+};
+
+// 文件扩展名对应的 MIME 类型（没有容器信息时使用）
+const EXTENSION_MIME_TYPES = {
+  '.mp3': 'audio/mpeg',
+  '.flac': 'audio/flac',
+  '.wav': 'audio/wav',
+  '.ogg': 'audio/ogg',
+  '.m4a': 'audio/mp4',
+  '.aac': 'audio/aac',
+  '.wma': 'audio/x-ms-wma',
+  '.ape': 'audio/x-ape',
+  '.wv': 'audio/x-wavpack'
+};
+
+// 根据容器格式或文件扩展名获取音频的 MIME 类型
+export function getAudioMimeType(filePath, container = null) {
+  const name = String(container || '').toLowerCase().split('/')[0].trim();
+  if (CONTAINER_MIME_TYPES[name]) return CONTAINER_MIME_TYPES[name];
+  const ext = String(filePath || '').toLowerCase().match(/\.[^./\\]+$/)?.[0];
+  return EXTENSION_MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+// 解析 Range 请求头（只支持单个字节范围）
+// 返回 null 表示忽略 Range 返回完整内容，false 表示范围无法满足（416），否则返回 { start, end }
+export function parseRangeHeader(header, size) {
+  const match = /^bytes=\s*(\d*)\s*-\s*(\d*)\s*$/i.exec(String(header || '').trim());
+  // 格式不正确或包含多个范围时按规范忽略 Range
+  if (!match || (!match[1] && !match[2])) return null;
+  if (!match[1]) {
+    // 后缀范围 bytes=-500 表示最后 500 字节
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0 || size === 0) return false;
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+  const start = parseInt(match[1], 10);
+  const end = match[2] ? parseInt(match[2], 10) : Infinity;
+  if (end < start) return null;
+  if (start >= size) return false;
+  return { start, end: Math.min(end, size - 1) };
+}
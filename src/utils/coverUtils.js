@@ -0,0 +1,209 @@
+import path from 'path';
+import crypto from 'crypto';
+import { spawn } from 'child_process';
+import { promises as fs, existsSync, mkdirSync, writeFileSync, renameSync, readdirSync, rmSync } from 'fs';
+
+// 目录图片支持的格式
+export const IMAGE_MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.bmp': 'image/bmp'
+};
+// 图片大小上限，与内嵌封面一致（封面保存在磁盘上，只排除异常大的文件）
+export const MAX_IMAGE_SIZE = 20 * 1024 * 1024;
+// 封面存储目录，图片按内容哈希保存，相同的图片只保存一份
+export const COVER_STORE_DIR = './db/covers';
+// 封面地址前缀
+export const COVER_URL_PREFIX = '/api/music/covers/';
+// 缩略图尺寸档位，请求的尺寸向上取整到最近的档位，超过最大档位时返回原图
+export const COVER_THUMBNAIL_SIZES = [64, 128, 256, 512, 1024];
+// 目录文件列表缓存的最大数量
+const IMAGE_CACHE_SIZE = 64;
+
+// 判断文件名是否匹配优先级列表，返回优先级（不匹配返回 -1）
+// 列表项不带扩展名时匹配任意图片格式，如 cover 可匹配 cover.jpg、Cover.PNG
+export function getImageNamePriority(fileName, names = []) {
+  const { name, ext } = path.parse(fileName.toLowerCase());
+  if (!IMAGE_MIME_TYPES[ext]) return -1;
+  return names.findIndex(item => {
+    const target = String(item).trim().toLowerCase();
+    return IMAGE_MIME_TYPES[path.extname(target)] ? target === name + ext : target === name;
+  });
+}
+
+// 从目录文件列表中按优先级查找图片文件名（同一优先级时按文件名排序）
+export function findImageFileNames(items, names = []) {
+  return items
+    .map(item => ({ item, priority: getImageNamePriority(item, names) }))
+    .filter(({ priority }) => priority >= 0)
+    .sort((a, b) => a.priority - b.priority || a.item.localeCompare(b.item))
+    .map(({ item }) => item);
+}
+
+// 创建目录图片查找函数（按目录缓存文件列表），返回第一个大小合适的图片路径和修改时间
+export function createImageResolver(names = []) {
+  const cache = new Map();
+  return async (dirPath) => {
+    if (!cache.has(dirPath)) {
+      if (cache.size >= IMAGE_CACHE_SIZE) cache.delete(cache.keys().next().value);
+      cache.set(dirPath, fs.readdir(dirPath).catch(() => []));
+    }
+    for (const fileName of findImageFileNames(await cache.get(dirPath), names)) {
+      const imagePath = path.join(dirPath, fileName);
+      const stats = await fs.stat(imagePath).catch(() => null);
+      if (stats && stats.isFile() && stats.size > 0 && stats.size <= MAX_IMAGE_SIZE) {
+        return { path: imagePath, modifiedTime: stats.mtime.toISOString() };
+      }
+    }
+    return null;
+  };
+}
+
+// 读取图片文件为 data URL
+export async function readImageFile(imagePath) {
+  const mime = IMAGE_MIME_TYPES[path.extname(imagePath).toLowerCase()] || 'image/jpeg';
+  const buffer = await fs.readFile(imagePath);
+  return `data:${mime};base64,${buffer.toString('base64')}`;
+}
+
+// 是否为有效的封面哈希
+export const isCoverHash = (hash) => /^[a-f0-9]{32}$/.test(String(hash || ''));
+
+// 封面原图和缩略图的存储路径（原图按哈希前两位分目录）
+const getCoverPath = (hash) => path.join(COVER_STORE_DIR, hash.slice(0, 2), hash);
+const getThumbnailPath = (hash, size) => path.join(COVER_STORE_DIR, 'thumbnails', String(size), `${hash}.jpg`);
+
+// 根据文件头识别图片格式
+export function detectImageMime(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xFF && buffer[1] === 0xD8 && buffer[2] === 0xFF) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))) return 'image/png';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.length >= 4 && buffer.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (buffer.length >= 2 && buffer.toString('ascii', 0, 2) === 'BM') return 'image/bmp';
+  return 'application/octet-stream';
+}
+
+// 写入文件（先写临时文件再重命名，避免读取到未写完的文件）
+const writeFileAtomic = (filePath, buffer) => {
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.${process.pid}.tmp`;
+  writeFileSync(tempPath, buffer);
+  renameSync(tempPath, filePath);
+}
+
+// 保存图片到封面存储，返回内容哈希
+export function saveCoverImage(buffer) {
+  const hash = crypto.createHash('md5').update(buffer).digest('hex');
+  const coverPath = getCoverPath(hash);
+  if (!existsSync(coverPath)) {
+    writeFileAtomic(coverPath, buffer);
+  }
+  return hash;
+}
+
+// data URL 格式的图片保存到封面存储后返回封面地址，其他值（封面地址、网络图片地址、空值）原样返回
+export function toCoverUrl(image) {
+  const match = typeof image === 'string' ? /^data:image\/[^;,]+;base64,/.exec(image) : null;
+  if (!match) return image;
+  const buffer = Buffer.from(image.slice(match[0].length), 'base64');
+  return buffer.length > 0 ? COVER_URL_PREFIX + saveCoverImage(buffer) : null;
+}
+
+// 从封面地址中提取内容哈希，不是封面存储中的图片时返回 null
+export function getCoverHash(url) {
+  if (typeof url !== 'string' || !url.startsWith(COVER_URL_PREFIX)) return null;
+  const hash = url.slice(COVER_URL_PREFIX.length).split('?')[0];
+  return isCoverHash(hash) ? hash : null;
+}
+
+// 请求的尺寸对应的缩略图档位，0 表示原图
+export const getThumbnailSize = (size) => {
+  const value = parseInt(size, 10);
+  if (!Number.isFinite(value) || value <= 0) return 0;
+  return COVER_THUMBNAIL_SIZES.find(item => item >= value) || 0;
+}
+
+// 正在生成的缩略图（同一缩略图的并发请求共用一次生成）
+const pendingThumbnails = new Map();
+// 无法启动的 ffmpeg 路径（未安装时不再重复尝试，直接返回原图）
+const unavailableFfmpegPaths = new Set();
+
+// 使用 ffmpeg 将图片缩放为不超过指定尺寸的 JPEG 缩略图（小图不放大）
+const createThumbnail = (sourcePath, targetPath, size, ffmpegPath) => new Promise((resolve, reject) => {
+  mkdirSync(path.dirname(targetPath), { recursive: true });
+  const tempPath = `${targetPath}.${process.pid}.tmp.jpg`;
+  const scale = `scale='min(iw,${size})':'min(ih,${size})':force_original_aspect_ratio=decrease`;
+  const child = spawn(ffmpegPath, ['-v', 'error', '-y', '-i', sourcePath, '-vf', scale, '-frames:v', '1', '-q:v', '3', tempPath], { stdio: ['ignore', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+  child.once('error', reject);
+  child.once('close', (code) => {
+    if (code === 0 && existsSync(tempPath)) {
+      renameSync(tempPath, targetPath);
+      resolve();
+    } else {
+      rmSync(tempPath, { force: true });
+      reject(new Error(stderr.trim() || `ffmpeg 退出码 ${code}`));
+    }
+  });
+});
+
+// 获取封面文件，指定尺寸时返回缩略图（缩略图生成失败时返回原图），封面不存在时返回 null
+// 返回 { path, mime, size }，size 为实际的缩略图档位，0 表示原图
+export async function getCoverFile(hash, size = 0, ffmpegPath = 'ffmpeg') {
+  if (!isCoverHash(hash)) return null;
+  const coverPath = getCoverPath(hash);
+  if (!existsSync(coverPath)) return null;
+  const original = async () => {
+    const handle = await fs.open(coverPath, 'r');
+    try {
+      const { buffer, bytesRead } = await handle.read(Buffer.alloc(12), 0, 12, 0);
+      return { path: coverPath, mime: detectImageMime(buffer.subarray(0, bytesRead)), size: 0 };
+    } finally {
+      await handle.close();
+    }
+  };
+  const thumbnailSize = getThumbnailSize(size);
+  if (!thumbnailSize || unavailableFfmpegPaths.has(ffmpegPath)) return original();
+  const thumbnailPath = getThumbnailPath(hash, thumbnailSize);
+  if (!existsSync(thumbnailPath)) {
+    if (!pendingThumbnails.has(thumbnailPath)) {
+      pendingThumbnails.set(thumbnailPath, createThumbnail(coverPath, thumbnailPath, thumbnailSize, ffmpegPath)
+        .finally(() => pendingThumbnails.delete(thumbnailPath)));
+    }
+    try {
+      await pendingThumbnails.get(thumbnailPath);
+    } catch (error) {
+      if (error.code === 'ENOENT' && String(error.syscall).startsWith('spawn')) {
+        unavailableFfmpegPaths.add(ffmpegPath);
+        console.warn(`未找到 ffmpeg（${ffmpegPath}），封面缩略图将返回原图`);
+      } else {
+        console.error(`生成封面缩略图失败: ${hash}`, error);
+      }
+      return original();
+    }
+  }
+  return { path: thumbnailPath, mime: 'image/jpeg', size: thumbnailSize };
+}
+
+// 删除封面存储中不再使用的图片及其缩略图，返回删除的数量
+export function removeUnusedCovers(usedHashes) {
+  if (!existsSync(COVER_STORE_DIR)) return 0;
+  const used = new Set(usedHashes);
+  let removed = 0;
+  for (const dir of readdirSync(COVER_STORE_DIR)) {
+    if (!/^[a-f0-9]{2}$/.test(dir)) continue;
+    for (const hash of readdirSync(path.join(COVER_STORE_DIR, dir))) {
+      if (!isCoverHash(hash) || used.has(hash)) continue;
+      rmSync(getCoverPath(hash), { force: true });
+      for (const size of COVER_THUMBNAIL_SIZES) {
+        rmSync(getThumbnailPath(hash, size), { force: true });
+      }
+      removed++;
+    }
+  }
+  return removed;
+}
@@ -0,0 +1,82 @@
+// cron 表达式别名
+const CRON_ALIASES = {
+  '@yearly': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// 分 时 日 月 周 的取值范围（周支持 0 和 7 表示周日）
+const CRON_FIELD_RANGES = [[0, 59], [0, 23], [1, 31], [1, 12], [0, 7]];
+
+// 解析单个字段，支持 *、列表(1,2)、范围(1-5)、步长(*/15、1-10/2)
+function parseCronField(part, min, max, expression) {
+  const values = new Set();
+  for (const item of part.split(',')) {
+    const [range, stepText] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    let start, end;
+    if (range === '*') {
+      start = min;
+      end = max;
+    } else if (range.includes('-')) {
+      [start, end] = range.split('-').map(Number);
+    } else {
+      start = Number(range);
+      end = stepText === undefined ? start : max;
+    }
+    const valid = [start, end, step].every(Number.isInteger) && start >= min && end <= max && start <= end && step >= 1;
+    if (!valid) { throw new Error(`无效的cron表达式: ${expression}`); }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+// 解析 cron 表达式（分 时 日 月 周）
+export function parseCron(expression) {
+  const text = String(expression || '').trim();
+  const parts = (CRON_ALIASES[text] || text).split(/\s+/);
+  if (parts.length !== 5) { throw new Error(`无效的cron表达式: ${expression}`); }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseCronField(part, ...CRON_FIELD_RANGES[i], expression));
+  if (weekdays.has(7)) { weekdays.add(0); }
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+// 判断日期是否满足日/周字段（两者都有限制时满足其一即可）
+function matchCronDay(cron, date) {
+  const dayMatch = cron.days.has(date.getDate());
+  const weekdayMatch = cron.weekdays.has(date.getDay());
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return weekdayMatch;
+  if (cron.anyWeekday) return dayMatch;
+  return dayMatch || weekdayMatch;
+}
+
+// 计算 cron 表达式在指定时间之后的下一次执行时间
+export function getNextCronTime(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const date = new Date(from);
+  date.setSeconds(0, 0);
+  date.setMinutes(date.getMinutes() + 1);
+  // 最多向后查找5年，避免无法满足的表达式（如2月31日）死循环
+  const limit = from.getTime() + 5 * 366 * 24 * 60 * 60 * 1000;
+  while (date.getTime() < limit) {
+    if (!cron.months.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!matchCronDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0, 0);
+    } else if (!cron.hours.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutes.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0, 0);
+    } else {
+      return date;
+    }
+  }
+  return null;
+}
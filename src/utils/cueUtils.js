@@ -0,0 +1,186 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { normalizeSongTitle, normalizeArtistName, normalizeText } from './textUtils.js';
+import { decodeTextBuffer } from './encodingUtils.js';
+
+// CUE 时间中每秒的帧数
+const CUE_FRAMES_PER_SECOND = 75;
+// 目录 CUE 缓存的最大数量
+const CUE_CACHE_SIZE = 64;
+
+// 去除引号
+const unquote = (value) => {
+  const text = String(value || '').trim();
+  return text.startsWith('"') && text.endsWith('"') && text.length >= 2 ? text.slice(1, -1) : text;
+}
+
+// 解析 mm:ss:ff 格式的时间为秒
+const parseCueTime = (text) => {
+  const match = /^(\d+):(\d{1,2}):(\d{1,2})$/.exec(String(text || '').trim());
+  if (!match) return null;
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10) + parseInt(match[3], 10) / CUE_FRAMES_PER_SECOND;
+}
+
+// 解析 CUE 文件内容
+export function parseCueSheet(content) {
+  const sheet = { title: '', performer: '', songwriter: '', genre: '', date: '', catalog: '', files: [] };
+  let currentFile = null;
+  let currentTrack = null;
+  for (const rawLine of String(content || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    const match = /^(\S+)\s*(.*)$/.exec(line);
+    if (!match) continue;
+    const command = match[1].toUpperCase();
+    const args = match[2];
+    switch (command) {
+      case 'REM': {
+        const rem = /^(\S+)\s+(.*)$/.exec(args);
+        if (!rem) break;
+        const key = rem[1].toUpperCase();
+        if (key === 'GENRE' && !currentTrack) sheet.genre = unquote(rem[2]);
+        if (key === 'DATE' && !currentTrack) sheet.date = unquote(rem[2]);
+        break;
+      }
+      case 'TITLE':
+        currentTrack ? currentTrack.title = unquote(args) : sheet.title = unquote(args);
+        break;
+      case 'PERFORMER':
+        currentTrack ? currentTrack.performer = unquote(args) : sheet.performer = unquote(args);
+        break;
+      case 'SONGWRITER':
+        currentTrack ? currentTrack.songwriter = unquote(args) : sheet.songwriter = unquote(args);
+        break;
+      case 'CATALOG':
+        sheet.catalog = unquote(args);
+        break;
+      case 'ISRC':
+        if (currentTrack) currentTrack.isrc = unquote(args);
+        break;
+      case 'FILE': {
+        // FILE "name.wav" WAVE，文件名可能包含空格
+        const fileMatch = /^("[^"]*"|\S+)/.exec(args);
+        currentFile = { file: unquote(fileMatch ? fileMatch[1] : args), tracks: [] };
+        currentTrack = null;
+        sheet.files.push(currentFile);
+        break;
+      }
+      case 'TRACK': {
+        if (!currentFile) break;
+        const [number, type] = args.split(/\s+/);
+        currentTrack = { number: parseInt(number, 10), type: (type || '').toUpperCase(), title: '', performer: '', songwriter: '', isrc: '', start: null };
+        currentFile.tracks.push(currentTrack);
+        break;
+      }
+      case 'INDEX': {
+        if (!currentTrack) break;
+        const [index, time] = args.split(/\s+/);
+        if (parseInt(index, 10) === 1) currentTrack.start = parseCueTime(time);
+        break;
+      }
+    }
+  }
+  // 只保留音频轨道
+  for (const file of sheet.files) {
+    file.tracks = file.tracks.filter(track => track.type === 'AUDIO' && Number.isInteger(track.number) && track.start !== null);
+  }
+  return sheet;
+}
+
+// 读取并解析 CUE 文件
+export async function readCueSheet(cuePath) {
+  const [buffer, stats] = await Promise.all([fs.readFile(cuePath), fs.stat(cuePath)]);
+  return { cuePath, modifiedTime: stats.mtime.toISOString(), ...parseCueSheet(decodeTextBuffer(buffer)) };
+}
+
+// 查找 CUE 中对应音频文件的条目（CUE 中的扩展名可能与实际文件不同，如转码后 .wav 变为 .flac）
+export function matchCueFile(cue, audioPath) {
+  const audioName = path.basename(audioPath).toLowerCase();
+  const audioStem = path.parse(audioName).name;
+  const file = cue.files.find(item => path.basename(item.file.replace(/\\/g, '/')).toLowerCase() === audioName)
+    || cue.files.find(item => path.parse(path.basename(item.file.replace(/\\/g, '/'))).name.toLowerCase() === audioStem)
+    || (cue.files.length === 1 && path.parse(cue.cuePath).name.toLowerCase() === audioStem ? cue.files[0] : null);
+  // 一个文件只对应一条音轨时按普通文件处理
+  return file && file.tracks.length > 1 ? file : null;
+}
+
+// 读取目录中的所有 CUE 文件
+export async function readDirectoryCueSheets(dirPath) {
+  const items = await fs.readdir(dirPath).catch(() => []);
+  const sheets = [];
+  for (const item of items) {
+    if (path.extname(item).toLowerCase() !== '.cue') continue;
+    try {
+      sheets.push(await readCueSheet(path.join(dirPath, item)));
+    } catch (error) {
+      console.error(`读取CUE文件失败: ${item}`, error);
+    }
+  }
+  return sheets;
+}
+
+// 创建 CUE 查找函数（按目录缓存解析结果），返回音频文件对应的 CUE 信息
+export function createCueResolver() {
+  const cache = new Map();
+  return async (audioPath) => {
+    const dirPath = path.dirname(audioPath);
+    if (!cache.has(dirPath)) {
+      if (cache.size >= CUE_CACHE_SIZE) cache.delete(cache.keys().next().value);
+      cache.set(dirPath, readDirectoryCueSheets(dirPath));
+    }
+    for (const cue of await cache.get(dirPath)) {
+      const file = matchCueFile(cue, audioPath);
+      if (file) {
+        return { cuePath: cue.cuePath, modifiedTime: cue.modifiedTime, title: cue.title, performer: cue.performer, songwriter: cue.songwriter, genre: cue.genre, date: cue.date, catalog: cue.catalog, tracks: file.tracks };
+      }
+    }
+    return null;
+  };
+}
+
+// 虚拟音轨的路径（音频文件路径#音轨号）
+export const getCueTrackPath = (audioPath, trackNumber) => `${audioPath}#${String(trackNumber).padStart(2, '0')}`;
+
+// 根据整轨文件的元数据和 CUE 信息生成虚拟音轨
+export function createCueTracks(metadata, cue, audioPath) {
+  const duration = metadata.duration || 0;
+  const year = parseInt(cue.date, 10);
+  return cue.tracks.map((track, index) => {
+    const next = cue.tracks[index + 1];
+    const endTime = next ? next.start : (duration || null);
+    return {
+      ...metadata,
+      path: getCueTrackPath(audioPath, track.number),
+      sourcePath: audioPath,
+      cuePath: cue.cuePath,
+      title: normalizeSongTitle(track.title) || `Track ${track.number}`,
+      artist: normalizeArtistName(track.performer || cue.performer || metadata.artist) || 'Unknown',
+      album: normalizeText(cue.title) || metadata.album,
+      albumArtist: normalizeText(cue.performer) || metadata.albumArtist,
+      genre: normalizeText(cue.genre) || metadata.genre,
+      year: Number.isInteger(year) ? year : metadata.year,
+      trackNumber: track.number,
+      trackTotal: cue.tracks.length,
+      composer: normalizeText(track.songwriter || cue.songwriter) || metadata.composer,
+      catalogNumber: cue.catalog || metadata.catalogNumber,
+      // 整轨文件的 ISRC 和排序标签只对应整张专辑
+      isrc: track.isrc || null,
+      titleSort: null,
+      artistSort: null,
+      // 整轨文件的音轨增益对应整张专辑，作为虚拟音轨的专辑增益
+      replayGainTrackGain: null,
+      replayGainTrackPeak: null,
+      replayGainAlbumGain: metadata.replayGainAlbumGain ?? metadata.replayGainTrackGain ?? null,
+      replayGainAlbumPeak: metadata.replayGainAlbumPeak ?? metadata.replayGainTrackPeak ?? null,
+      // 虚拟音轨按时间段截取播放，整轨文件的编码延迟和填充不适用
+      encoderDelay: null,
+      encoderPadding: null,
+      sampleCount: null,
+      startTime: track.start,
+      endTime,
+      duration: endTime ? endTime - track.start : 0,
+      // 整轨文件中的歌词无法对应到单独的音轨
+      lyrics: null,
+      lyricsSource: null
+    };
+  });
+}
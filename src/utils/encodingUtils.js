@@ -24,3 +24,15 @@ export function tryFixEncoding(text) {
     return s;
   }
 }
+
+// 解码文本文件内容（依次尝试 UTF-8、GBK、Shift_JIS，常见于 CUE 和歌词文件）
+export function decodeTextBuffer(buffer) {
+  for (const encoding of ['utf-8', 'gbk', 'shift_jis']) {
+    try {
+      return new TextDecoder(encoding, { fatal: true }).decode(buffer).replace(/^\uFEFF/, '');
+    } catch (error) {
+      continue;
+    }
+  }
+  return buffer.toString('latin1');
+}
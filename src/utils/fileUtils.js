@@ -27,11 +27,84 @@ export function getFileExtension(filePath) {
 
 // 检查是否为支持的音乐文件格式
 export function isSupportedMusicFormat(filePath) {
-  const supportedFormats = ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma'];
+  const supportedFormats = ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma', '.ape', '.wv'];
   const ext = getFileExtension(filePath);
   return supportedFormats.includes(ext);
 }
 
+// glob 通配符转正则（* 匹配单级路径，** 匹配多级路径，? 匹配单个字符，忽略大小写）
+export function globToRegex(pattern) {
+  let regexStr = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        regexStr += '(?:.*/)?';
+        i += 2;
+      } else {
+        regexStr += '.*';
+        i += 1;
+      }
+    } else if (ch === '*') {
+      regexStr += '[^/]*';
+    } else if (ch === '?') {
+      regexStr += '[^/]';
+    } else {
+      regexStr += ch.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp('^' + regexStr + '$', 'i');
+}
+
+// 创建 glob 匹配函数，参数为相对路径（使用正斜杠）
+// 含 / 的模式匹配完整相对路径，否则匹配路径中任意一级目录名或文件名
+export function createGlobMatcher(patterns = []) {
+  const compiled = patterns.map(p => String(p).trim()).filter(Boolean).map(pattern => ({
+    regex: globToRegex(pattern.replace(/^\/+/, '')),
+    fullPath: pattern.includes('/')
+  }));
+  return (relativePath) => {
+    const normalized = String(relativePath).replace(/\\/g, '/');
+    const segments = normalized.split('/');
+    return compiled.some(({ regex, fullPath }) => fullPath ? regex.test(normalized) : segments.some(segment => regex.test(segment)));
+  };
+}
+
+// 目录中存在这些文件时，跳过整个目录
+export const IGNORE_MARKER_FILES = ['.nomedia', '.ignore'];
+// 目录中的忽略规则文件（gitignore 语法，规则相对于文件所在目录）
+export const IGNORE_PATTERN_FILE = '.musicignore';
+
+// 创建 gitignore 风格的匹配函数，参数为相对路径（使用正斜杠）和是否为目录
+// 支持 # 注释、! 取反、结尾 / 只匹配目录、以 / 开头或包含 / 的模式相对于基准目录匹配
+// 返回 true（忽略）、false（取反规则重新包含）或 undefined（没有匹配的规则）
+export function createIgnoreMatcher(patterns = []) {
+  const rules = [];
+  for (const line of patterns) {
+    let pattern = String(line).trim();
+    if (!pattern || pattern.startsWith('#')) continue;
+    const negate = pattern.startsWith('!');
+    if (negate) pattern = pattern.slice(1);
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) continue;
+    const anchored = pattern.includes('/');
+    rules.push({ regex: globToRegex(pattern.replace(/^\/+/, '')), negate, dirOnly, anchored });
+  }
+  return (relativePath, isDirectory = false) => {
+    const normalized = String(relativePath).replace(/\\/g, '/');
+    const name = normalized.split('/').pop();
+    let result;
+    for (const { regex, negate, dirOnly, anchored } of rules) {
+      if (dirOnly && !isDirectory) continue;
+      if (regex.test(anchored ? normalized : name)) {
+        result = !negate;
+      }
+    }
+    return result;
+  };
+}
+
 // 递归获取目录下的所有音乐文件
 export async function getMusicFilesRecursive(dirPath) {
   const { promises: fs } = await import('fs');
@@ -0,0 +1,100 @@
+import { promises as fs } from 'fs';
+
+// MP3 解码器固有的延迟（采样数），LAME 标签中的编码延迟和填充不包含这部分
+const MP3_DECODER_DELAY = 529;
+// 查找第一个 MPEG 帧时读取的字节数
+const MPEG_SCAN_BYTES = 64 * 1024;
+// 写入编码延迟和填充的编码器（LAME 及 ffmpeg 使用的 libavcodec）
+const LAME_ENCODERS = /^(LAME|Lavc|Lavf|L3\.99)/;
+
+// ID3v2 标签的总长度（同步安全整数，有页脚时多 10 字节）
+const getId3v2Size = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+  return 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+}
+
+// 解析 MPEG Layer III 帧头，返回版本、是否单声道和每帧采样数
+const parseFrameHeader = (buffer, offset) => {
+  if (buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+  const version = (buffer[offset + 1] >> 3) & 0x03;
+  const layer = (buffer[offset + 1] >> 1) & 0x03;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 0x03;
+  if (version === 1 || layer !== 1 || bitrateIndex === 0 || bitrateIndex === 0x0F || sampleRateIndex === 3) return null;
+  const mpeg1 = version === 3;
+  const mono = (buffer[offset + 3] >> 6) === 3;
+  return { mpeg1, mono, samplesPerFrame: mpeg1 ? 1152 : 576 };
+}
+
+// 读取 MP3 第一帧中的 Xing/Info 和 LAME 标签，返回编码延迟、填充和有效采样数
+// 参考 http://gabriel.mp3-tech.org/mp3infotag.html，没有 LAME 标签时返回 null
+export async function readLameGaplessInfo(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const head = Buffer.alloc(10);
+    await handle.read(head, 0, 10, 0);
+    const buffer = Buffer.alloc(MPEG_SCAN_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, MPEG_SCAN_BYTES, getId3v2Size(head));
+    // ID3 标签后可能有填充字节，找到第一个有效的帧头
+    for (let offset = 0; offset + 4 <= bytesRead; offset++) {
+      const frame = parseFrameHeader(buffer, offset);
+      if (!frame) continue;
+      const sideInfoSize = frame.mpeg1 ? (frame.mono ? 17 : 32) : (frame.mono ? 9 : 17);
+      let position = offset + 4 + sideInfoSize;
+      const tag = buffer.toString('latin1', position, position + 4);
+      if (tag !== 'Xing' && tag !== 'Info') return null;
+      const flags = buffer.readUInt32BE(position + 4);
+      position += 8;
+      const frames = flags & 0x01 ? buffer.readUInt32BE(position) : null;
+      // 依次为帧数、字节数、TOC 和质量，只有标记存在时才写入
+      position += (flags & 0x01 ? 4 : 0) + (flags & 0x02 ? 4 : 0) + (flags & 0x04 ? 100 : 0) + (flags & 0x08 ? 4 : 0);
+      if (position + 24 > bytesRead || !LAME_ENCODERS.test(buffer.toString('latin1', position, position + 9))) return null;
+      // 编码器版本(9) + 版本/VBR方式(1) + 低通(1) + 回放增益(8) + 编码标记(1) + 码率(1) 之后为 12 位延迟和 12 位填充
+      const delay = (buffer[position + 21] << 4) | (buffer[position + 22] >> 4);
+      const padding = ((buffer[position + 22] & 0x0F) << 8) | buffer[position + 23];
+      return {
+        encoderDelay: delay + MP3_DECODER_DELAY,
+        encoderPadding: Math.max(0, padding - MP3_DECODER_DELAY),
+        sampleCount: frames ? Math.max(0, frames * frame.samplesPerFrame - delay - padding) : null
+      };
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// 解析 iTunSMPB 标签（如 " 00000000 00000840 000001CA 00000000003F31F6 ..."），依次为编码延迟、填充和有效采样数（十六进制）
+export function parseITunSMPB(value) {
+  const parts = String(value || '').trim().split(/\s+/);
+  if (parts.length < 4) return null;
+  const [delay, padding, samples] = parts.slice(1, 4).map(part => parseInt(part, 16));
+  if (![delay, padding, samples].every(Number.isFinite)) return null;
+  return { encoderDelay: delay, encoderPadding: padding, sampleCount: samples || null };
+}
+
+// 在原生标签中查找 iTunSMPB（MP4 为 ----:com.apple.iTunes:iTunSMPB，ID3v2 为描述为 iTunSMPB 的注释）
+const findITunSMPB = (metadata) => {
+  for (const tags of Object.values(metadata?.native || {})) {
+    for (const tag of tags) {
+      const id = String(tag.id);
+      if (id.endsWith(':iTunSMPB')) return tag.value;
+      if ((id === 'COMM' || id === 'TXXX') && (tag.value?.descriptor || tag.value?.description) === 'iTunSMPB') {
+        return Array.isArray(tag.value.text) ? tag.value.text[0] : tag.value.text;
+      }
+    }
+  }
+  return null;
+}
+
+// 提取无缝播放需要的编码延迟和填充（采样数，已包含解码器延迟），优先使用 LAME 标签
+// 无法获取时返回空值，播放时不做裁剪
+export async function extractGaplessInfo(filePath, metadata) {
+  const empty = { encoderDelay: null, encoderPadding: null, sampleCount: null };
+  let info = null;
+  if (/layer\s*3/i.test(metadata?.format?.codec || '')) {
+    info = await readLameGaplessInfo(filePath).catch(() => null);
+  }
+  return info || parseITunSMPB(findITunSMPB(metadata)) || empty;
+}
@@ -0,0 +1,54 @@
+// 多个流派之间的分隔符（R&B 等名称中的 & 不作为分隔符）
+const GENRE_SEPARATORS = /[,;，；、|/\\]/;
+// 无效的流派名称
+const IGNORED_GENRES = ['unknown', '未知', 'other', 'none'];
+
+// 流派名称的比较键：忽略大小写、空格、连字符等，如 Hip-Hop、Hip Hop、hiphop 视为同一流派
+export const getGenreKey = (name) => String(name || '').toLowerCase().replace(/[\s\-_.'’]/g, '');
+
+// 拆分流派字符串为流派名称列表（去重、去除无效名称）
+export function splitGenres(genre) {
+  const names = new Map();
+  for (const item of String(genre || '').split(GENRE_SEPARATORS)) {
+    const name = item.trim();
+    const key = getGenreKey(name);
+    if (key && !IGNORED_GENRES.includes(key) && !names.has(key)) {
+      names.set(key, name);
+    }
+  }
+  return [...names.values()];
+}
+
+// 规范化流派别名规则：[{ name: 'Hip-Hop', aliases: ['Hip Hop', '嘻哈'] }]
+export function normalizeGenreAliases(rules = []) {
+  return (Array.isArray(rules) ? rules : [])
+    .map(rule => ({
+      name: String(rule?.name || '').trim(),
+      aliases: (Array.isArray(rule?.aliases) ? rule.aliases : []).map(alias => String(alias).trim()).filter(Boolean)
+    }))
+    .filter(rule => getGenreKey(rule.name));
+}
+
+// 创建流派名称解析函数，将别名映射为规则中的标准名称
+export function createGenreResolver(rules = []) {
+  const aliases = new Map();
+  for (const rule of normalizeGenreAliases(rules)) {
+    for (const name of [rule.name, ...rule.aliases]) {
+      const key = getGenreKey(name);
+      // 同一名称出现在多条规则中时以第一条为准
+      key && !aliases.has(key) && aliases.set(key, rule.name);
+    }
+  }
+  return (name) => aliases.get(getGenreKey(name)) || name;
+}
+
+// 解析音乐的流派字符串，返回合并别名后的流派名称列表
+export function resolveGenres(genre, resolveName = (name) => name) {
+  const names = new Map();
+  for (const name of splitGenres(genre)) {
+    const resolved = resolveName(name);
+    const key = getGenreKey(resolved);
+    names.has(key) || names.set(key, resolved);
+  }
+  return [...names.values()];
+}
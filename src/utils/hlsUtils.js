@@ -0,0 +1,238 @@
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs } from 'fs';
+import { spawn } from 'child_process';
+import { resolveTranscodeOptions, pruneTranscodeCache, acquireTranscodeSlot } from './transcodeUtils.js';
+
+// 每个分段的时长（秒）
+export const HLS_SEGMENT_SECONDS = 10;
+// 分段缓存目录
+export const HLS_CACHE_DIR = './db/hls';
+// 分段使用 MPEG-TS 封装，只支持 AAC 和 MP3 编码
+export const HLS_FORMATS = ['aac', 'mp3'];
+// 源文件不是 AAC/MP3 时使用的转码格式
+const HLS_DEFAULT_FORMAT = 'aac';
+// 每写入多少个分段清理一次缓存
+const PRUNE_EVERY_SEGMENTS = 20;
+// 分段生成方式变化时修改，使旧的分段缓存失效
+const HLS_CACHE_VERSION = 2;
+// 请求的分段超过编码进度多少个分段时，从该分段重新开始编码（拖动进度）
+const MAX_SEGMENTS_AHEAD = 3;
+// 超过该时长（毫秒）没有请求分段时结束编码任务
+const ENCODE_IDLE_MS = 2 * 60 * 1000;
+// 检查编码进度的间隔（毫秒）
+const ENCODE_POLL_MS = 200;
+// ffmpeg 错误输出最多保留的字符数
+const MAX_STDERR_LENGTH = 4096;
+
+let writtenSegments = 0;
+// 正在进行的转码任务（按分段缓存键区分）
+const encodeJobs = new Map();
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 确定分段方案：源文件为 AAC/MP3 且不超过码率上限时直接复制音频流，否则转码
+export function resolveHlsOptions(track, { format, maxBitrate } = {}) {
+  if (format && !HLS_FORMATS.includes(String(format).toLowerCase())) {
+    throw new Error(`HLS 只支持 ${HLS_FORMATS.join('、')} 格式`);
+  }
+  const target = format ? String(format).toLowerCase() : (HLS_FORMATS.includes(track.codec) ? track.codec : HLS_DEFAULT_FORMAT);
+  const transcode = resolveTranscodeOptions(track, { format: target, maxBitrate });
+  return transcode ? { format: transcode.format, bitrate: transcode.bitrate, copy: false } : { format: target, bitrate: null, copy: true };
+}
+
+// 分段数量
+export const getHlsSegmentCount = (duration) => Math.max(1, Math.ceil(duration / HLS_SEGMENT_SECONDS));
+
+// 生成点播播放列表，分段地址沿用播放列表的查询参数
+export function createHlsPlaylist(duration, query = '') {
+  const count = getHlsSegmentCount(duration);
+  const suffix = query ? `?${query}` : '';
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    `#EXT-X-TARGETDURATION:${HLS_SEGMENT_SECONDS}`,
+    '#EXT-X-MEDIA-SEQUENCE:0'
+  ];
+  for (let index = 0; index < count; index++) {
+    const length = Math.min(HLS_SEGMENT_SECONDS, duration - index * HLS_SEGMENT_SECONDS);
+    lines.push(`#EXTINF:${length.toFixed(3)},`, `${index}.ts${suffix}`);
+  }
+  lines.push('#EXT-X-ENDLIST');
+  return lines.join('\n') + '\n';
+}
+
+// 分段缓存键（源文件变化后缓存自动失效）
+const getHlsCacheKey = ({ filePath, size, modifiedTime, startTime, endTime, format, bitrate, copy }) => crypto.createHash('md5')
+  .update(JSON.stringify([filePath, size, modifiedTime, startTime || 0, endTime || null, format, bitrate, copy, HLS_SEGMENT_SECONDS, HLS_CACHE_VERSION]))
+  .digest('hex');
+
+// 分段缓存文件路径
+export function getHlsSegmentCachePath(options, index) {
+  return path.join(HLS_CACHE_DIR, `${getHlsCacheKey(options)}-${index}.ts`);
+}
+
+// 使用 ffmpeg 复制音频流生成一个分段（时间戳从分段开始时间计算，保证分段之间连续）
+// startTime/endTime 为音轨在源文件中的时间段（CUE 音轨），返回分段数据
+// 转码时每个分段单独编码会在分段边界产生编码器填充造成的间隙，需要使用 encodeHlsSegment 连续编码
+export async function createHlsSegment(filePath, { index, startTime = 0, endTime = null, ffmpegPath = 'ffmpeg', signal = null }) {
+  const offset = index * HLS_SEGMENT_SECONDS;
+  const start = (startTime || 0) + offset;
+  const length = endTime ? Math.min(HLS_SEGMENT_SECONDS, endTime - start) : HLS_SEGMENT_SECONDS;
+  const args = ['-v', 'error', '-ss', String(start), '-t', String(Math.max(0, length)), '-i', filePath, '-map', '0:a:0', '-map_metadata', '-1', '-c:a', 'copy'];
+  args.push('-muxdelay', '0', '-muxpreload', '0', '-output_ts_offset', String(offset), '-f', 'mpegts', 'pipe:1');
+  const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'], signal });
+  const chunks = [];
+  let stderr = '';
+  child.stdout.on('data', (chunk) => chunks.push(chunk));
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+  await new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('close', (code) => code === 0 ? resolve() : reject(new Error(stderr.trim() || `ffmpeg 退出码 ${code}`)));
+  });
+  return Buffer.concat(chunks);
+}
+
+// 转码播放时从请求的分段开始连续编码到音轨结束，编码完成的分段依次写入分段缓存，返回请求的分段数据
+// 同一音轨和转码参数共用一个编码任务，请求的分段距离编码进度太远（拖动进度）时从该分段重新开始编码
+export async function encodeHlsSegment(cacheOptions, index, { ffmpegPath = 'ffmpeg', maxConcurrent, maxCacheSizeMB, signal = null }) {
+  const key = getHlsCacheKey(cacheOptions);
+  const cachePath = getHlsSegmentCachePath(cacheOptions, index);
+  while (true) {
+    let job = encodeJobs.get(key);
+    if (job && (index < job.startIndex || index > job.nextIndex + MAX_SEGMENTS_AHEAD)) {
+      stopEncodeJob(job);
+      job = null;
+    }
+    job = job || startEncodeJob(key, index, cacheOptions, { ffmpegPath, maxConcurrent, maxCacheSizeMB });
+    const data = await waitForEncodedSegment(job, cachePath, signal);
+    if (data) return data;
+    if (job.error) throw job.error;
+    // 编码任务被其他请求结束（拖动到其他位置）时重新开始编码，正常结束仍没有该分段说明分段超出了音频长度
+    if (!job.stopped) throw new Error(`HLS 分段 ${index} 超出音频长度`);
+  }
+}
+
+// 等待编码任务生成分段，任务结束时仍没有该分段返回 null
+async function waitForEncodedSegment(job, cachePath, signal) {
+  while (true) {
+    signal?.throwIfAborted();
+    job.lastRequestedAt = Date.now();
+    const finished = job.finished;
+    const data = await readHlsSegmentCache(cachePath);
+    if (data || finished) return data;
+    await sleep(ENCODE_POLL_MS);
+  }
+}
+
+// 启动编码任务，分段先写入临时目录，下一个分段开始写入（或编码结束）后再移入分段缓存
+function startEncodeJob(key, startIndex, { filePath, startTime, endTime, format, bitrate }, { ffmpegPath, maxConcurrent, maxCacheSizeMB }) {
+  const job = {
+    key,
+    startIndex,
+    nextIndex: startIndex,
+    tempDir: path.join(HLS_CACHE_DIR, `${key}.${process.pid}.${Date.now()}.tmp`),
+    abort: new AbortController(),
+    lastRequestedAt: Date.now(),
+    stopped: false,
+    finished: false,
+    error: null
+  };
+  encodeJobs.set(key, job);
+  const run = async () => {
+    // 与转码共用并发上限
+    const release = await acquireTranscodeSlot(maxConcurrent, job.abort.signal);
+    try {
+      await fs.mkdir(job.tempDir, { recursive: true });
+      const offset = startIndex * HLS_SEGMENT_SECONDS;
+      const start = (startTime || 0) + offset;
+      const args = ['-v', 'error', '-ss', String(start)];
+      if (endTime) args.push('-t', String(Math.max(0, endTime - start)));
+      args.push(
+        '-i', filePath, '-map', '0:a:0', '-map_metadata', '-1',
+        '-c:a', format === 'mp3' ? 'libmp3lame' : 'aac', '-b:a', `${bitrate}k`,
+        '-muxdelay', '0', '-muxpreload', '0', '-output_ts_offset', String(offset),
+        '-f', 'hls', '-hls_time', String(HLS_SEGMENT_SECONDS), '-hls_list_size', '0', '-start_number', String(startIndex),
+        '-hls_segment_filename', path.join(job.tempDir, '%d.ts'), path.join(job.tempDir, 'index.m3u8')
+      );
+      const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'ignore', 'pipe'], signal: job.abort.signal });
+      let stderr = '';
+      child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-MAX_STDERR_LENGTH); });
+      let exitCode, spawnError;
+      const exited = new Promise((resolve) => {
+        child.once('error', (error) => { spawnError = error; resolve(); });
+        child.once('close', (code) => { exitCode = code; resolve(); });
+      });
+      while (exitCode === undefined && !spawnError && !job.abort.signal.aborted) {
+        await moveEncodedSegments(job, false, maxCacheSizeMB);
+        // 播放器已不再请求分段（停止播放或切换音轨）
+        if (Date.now() - job.lastRequestedAt > ENCODE_IDLE_MS) job.abort.abort();
+        await sleep(ENCODE_POLL_MS);
+      }
+      await exited;
+      if (spawnError) throw spawnError;
+      if (exitCode !== 0) throw new Error(stderr.trim() || `ffmpeg 退出码 ${exitCode}`);
+      await moveEncodedSegments(job, true, maxCacheSizeMB);
+    } finally {
+      release();
+    }
+  };
+  run().catch((error) => {
+    if (error.name === 'AbortError' || job.abort.signal.aborted) return;
+    console.error('HLS 分段编码失败:', error.message);
+    job.error = error;
+  }).finally(async () => {
+    job.finished = true;
+    encodeJobs.get(key) === job && encodeJobs.delete(key);
+    await fs.rm(job.tempDir, { recursive: true, force: true }).catch(() => {});
+  });
+  return job;
+}
+
+// 结束编码任务（已移入缓存的分段保留）
+function stopEncodeJob(job) {
+  job.stopped = true;
+  job.abort.abort();
+  encodeJobs.get(job.key) === job && encodeJobs.delete(job.key);
+}
+
+// 将编码完成的分段移入分段缓存（ffmpeg 写完一个分段后才开始写下一个分段）
+async function moveEncodedSegments(job, completed, maxCacheSizeMB) {
+  const items = await fs.readdir(job.tempDir).catch(() => []);
+  const indexes = new Set(items.map(item => /^(\d+)\.ts$/.exec(item)).filter(Boolean).map(match => parseInt(match[1], 10)));
+  while (indexes.has(job.nextIndex) && (completed || indexes.has(job.nextIndex + 1))) {
+    const cachePath = path.join(HLS_CACHE_DIR, `${job.key}-${job.nextIndex}.ts`);
+    await fs.rename(path.join(job.tempDir, `${job.nextIndex}.ts`), cachePath);
+    job.nextIndex++;
+    await countWrittenSegment(maxCacheSizeMB);
+  }
+}
+
+// 记录写入的分段数量，定期按大小上限清理缓存
+async function countWrittenSegment(maxSizeMB) {
+  if (++writtenSegments % PRUNE_EVERY_SEGMENTS === 0) {
+    await pruneTranscodeCache(maxSizeMB, HLS_CACHE_DIR);
+  }
+}
+
+// 读取分段缓存，命中时更新修改时间（用于按最近使用清理）
+export async function readHlsSegmentCache(cachePath) {
+  try {
+    const data = await fs.readFile(cachePath);
+    const now = new Date();
+    await fs.utimes(cachePath, now, now).catch(() => {});
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+// 保存分段缓存（先写临时文件再重命名，避免读取到不完整的分段），定期按大小上限清理
+export async function saveHlsSegmentCache(cachePath, data, maxSizeMB) {
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${process.pid}.${Date.now()}.tmp`;
+  await fs.writeFile(tempPath, data);
+  await fs.rename(tempPath, cachePath);
+  await countWrittenSegment(maxSizeMB);
+}
@@ -12,3 +12,45 @@ export * from './fileUtils.js';
 
 // 数据处理工具
 export * from './dataUtils.js';
+
+// 定时任务工具
+export * from './cronUtils.js';
+
+// CUE 整轨分割工具
+export * from './cueUtils.js';
+
+// 音频处理工具
+export * from './audioUtils.js';
+
+// 外挂歌词工具
+export * from './lyricsUtils.js';
+
+// 目录封面图片工具
+export * from './coverUtils.js';
+
+// 流派工具
+export * from './genreUtils.js';
+
+// 响度分析工具
+export * from './loudnessUtils.js';
+
+// 音频完整性检查工具
+export * from './integrityUtils.js';
+
+// 音频转码工具
+export * from './transcodeUtils.js';
+
+// HLS 分段串流工具
+export * from './hlsUtils.js';
+
+// ZIP 打包工具
+export * from './zipUtils.js';
+
+// 波形峰值工具
+export * from './waveformUtils.js';
+
+// 无缝播放工具
+export * from './gaplessUtils.js';
+
+// 密码哈希工具
+export * from './passwordUtils.js';
\ No newline at end of file
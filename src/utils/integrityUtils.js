@@ -0,0 +1,433 @@
+import path from 'path';
+import { promises as fs, createReadStream } from 'fs';
+import { spawn } from 'child_process';
+
+// 读取文件时的缓存窗口大小
+const READ_WINDOW_SIZE = 1024 * 1024;
+// FLAC 帧头的最大长度（同步码 + 编码后的帧号 + 块大小 + 采样率 + CRC-8）
+const FLAC_MAX_HEADER_SIZE = 16;
+// FLAC 帧头损坏时，允许跳过的最大帧数（超过则视为误判的同步码）
+const FLAC_MAX_LOST_FRAMES = 8;
+
+// MP3 比特率表（kbps），按 MPEG 版本和层区分
+const MP3_BITRATES = {
+  '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+  '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+// MP3 采样率表，按 MPEG 版本区分（2.5 为非标准扩展）
+const MP3_SAMPLE_RATES = { 1: [44100, 48000, 32000], 2: [22050, 24000, 16000], 2.5: [11025, 12000, 8000] };
+
+// 生成 CRC 查找表（FLAC 帧头使用 CRC-8，整帧使用 CRC-16）
+const createCrcTable = (bits, polynomial) => {
+  const table = new Uint16Array(256);
+  const topBit = 1 << (bits - 1);
+  const mask = (1 << bits) - 1;
+  for (let i = 0; i < 256; i++) {
+    let crc = i << (bits - 8);
+    for (let j = 0; j < 8; j++) {
+      crc = crc & topBit ? (crc << 1) ^ polynomial : crc << 1;
+    }
+    table[i] = crc & mask;
+  }
+  return table;
+}
+const CRC8_TABLE = createCrcTable(8, 0x07);
+const CRC16_TABLE = createCrcTable(16, 0x8005);
+
+// 创建带缓存窗口的文件读取器，减少逐帧读取时的系统调用
+const openFileReader = async (filePath) => {
+  const handle = await fs.open(filePath, 'r');
+  const { size } = await handle.stat();
+  let windowStart = 0;
+  let windowData = Buffer.alloc(0);
+  // 读取 [position, position + length) 的数据，超出文件末尾时返回的数据较短
+  const read = async (position, length) => {
+    if (position < windowStart || position + length > windowStart + windowData.length) {
+      const buffer = Buffer.alloc(Math.max(length, READ_WINDOW_SIZE));
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, position);
+      windowStart = position;
+      windowData = buffer.subarray(0, bytesRead);
+    }
+    return windowData.subarray(position - windowStart, position - windowStart + length);
+  };
+  return { size, read, close: () => handle.close() };
+}
+
+// 计算文件开头 ID3v2 标签的长度
+const getId3v2Size = (header) => {
+  if (header.length < 10 || header.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((header[6] & 0x7F) << 21) | ((header[7] & 0x7F) << 14) | ((header[8] & 0x7F) << 7) | (header[9] & 0x7F);
+  // 标志位 0x10 表示带有 10 字节的标签尾
+  return 10 + size + (header[5] & 0x10 ? 10 : 0);
+}
+
+// 计算文件末尾标签（ID3v1、APEv2、Lyrics3v2）的起始位置，即音频数据的结束位置
+const getAudioEnd = async (reader, start) => {
+  let end = reader.size;
+  for (let changed = true; changed && end > start;) {
+    changed = false;
+    if (end - start >= 128 && (await reader.read(end - 128, 3)).toString('latin1') === 'TAG') {
+      end -= 128;
+      changed = true;
+    }
+    if (end - start >= 32) {
+      const footer = await reader.read(end - 32, 32);
+      const tagSize = footer.readUInt32LE(12);
+      if (footer.toString('latin1', 0, 8) === 'APETAGEX' && tagSize >= 32) {
+        // 标签大小包含标签尾，标志位 0x80000000 表示另有 32 字节的标签头
+        end -= tagSize + (footer.readUInt32LE(20) & 0x80000000 ? 32 : 0);
+        changed = true;
+        continue;
+      }
+    }
+    if (end - start >= 15 && (await reader.read(end - 9, 9)).toString('latin1') === 'LYRICS200') {
+      const tagSize = parseInt((await reader.read(end - 15, 6)).toString('latin1'), 10);
+      if (tagSize > 0) {
+        end -= tagSize + 15;
+        changed = true;
+      }
+    }
+  }
+  return Math.max(end, start);
+}
+
+// 解析 MP3 帧头，无效时返回 null（不支持自由格式比特率）
+const parseMp3FrameHeader = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xFF || (buffer[1] & 0xE0) !== 0xE0) return null;
+  const version = [2.5, null, 2, 1][(buffer[1] >> 3) & 0x03];
+  const layer = [null, 3, 2, 1][(buffer[1] >> 1) & 0x03];
+  const bitrateIndex = buffer[2] >> 4;
+  const sampleRateIndex = (buffer[2] >> 2) & 0x03;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+  const bitrate = MP3_BITRATES[`${version === 1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (buffer[2] >> 1) & 0x01;
+  const mono = (buffer[3] >> 6) === 0x03;
+  let length;
+  if (layer === 1) {
+    length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+  } else if (layer === 3 && version !== 1) {
+    length = Math.floor(72 * bitrate / sampleRate) + padding;
+  } else {
+    length = Math.floor(144 * bitrate / sampleRate) + padding;
+  }
+  return { version, layer, mono, length };
+}
+
+// 读取 MP3 第一帧中 Xing/Info 或 VBRI 头记录的总帧数
+const readMp3FrameCount = async (reader, position, header) => {
+  const sideInfoSize = header.version === 1 ? (header.mono ? 17 : 32) : (header.mono ? 9 : 17);
+  const xing = await reader.read(position + 4 + sideInfoSize, 12);
+  const xingId = xing.toString('latin1', 0, 4);
+  if ((xingId === 'Xing' || xingId === 'Info') && xing.length >= 12 && xing.readUInt32BE(4) & 0x01) {
+    return xing.readUInt32BE(8);
+  }
+  const vbri = await reader.read(position + 4 + 32, 18);
+  if (vbri.length >= 18 && vbri.toString('latin1', 0, 4) === 'VBRI') {
+    return vbri.readUInt32BE(14);
+  }
+  return null;
+}
+
+// 从指定位置开始查找下一个有效的 MP3 帧（要求后一帧也有效，避免音频数据中的误判）
+const findMp3Frame = async (reader, start, end) => {
+  for (let position = start; position + 4 <= end; position++) {
+    const header = parseMp3FrameHeader(await reader.read(position, 4));
+    if (!header) continue;
+    const next = position + header.length;
+    if (next === end || (next + 4 <= end && parseMp3FrameHeader(await reader.read(next, 4)))) {
+      return position;
+    }
+  }
+  return -1;
+}
+
+// 逐帧检查 MP3 文件：帧同步是否连续、最后一帧是否完整、帧数是否与 Xing/VBRI 头一致
+export async function checkMp3File(filePath) {
+  const reader = await openFileReader(filePath);
+  try {
+    let start = getId3v2Size(await reader.read(0, 10));
+    const end = await getAudioEnd(reader, start);
+    // 标签后可能有填充的零字节或无关数据，不影响播放
+    start = await findMp3Frame(reader, start, end);
+    if (start < 0) {
+      return { status: 'corrupt', message: '未找到有效的 MP3 音频帧' };
+    }
+    const expectedFrames = await readMp3FrameCount(reader, start, parseMp3FrameHeader(await reader.read(start, 4)));
+    let frames = 0;
+    let syncErrors = 0;
+    let truncated = false;
+    let position = start;
+    while (position < end) {
+      const header = parseMp3FrameHeader(await reader.read(position, 4));
+      if (header) {
+        if (position + header.length > end) {
+          truncated = true;
+          break;
+        }
+        frames++;
+        position += header.length;
+        continue;
+      }
+      // 帧同步丢失，跳过损坏的数据继续查找（之后没有音频帧时为末尾的无关数据，不影响播放）
+      const next = await findMp3Frame(reader, position + 1, end);
+      if (next < 0) break;
+      syncErrors++;
+      position = next;
+    }
+    // Xing 头的帧数是否包含 Xing 帧本身因编码器而异，允许相差一帧
+    if (truncated || (expectedFrames && frames + 1 < expectedFrames)) {
+      const detail = [truncated && '最后一帧被截断', expectedFrames && frames < expectedFrames && `缺少 ${expectedFrames - frames} 帧`].filter(Boolean);
+      return { status: 'truncated', message: ['文件不完整', ...detail].join('，') };
+    }
+    if (syncErrors > 0) {
+      return { status: 'corrupt', message: `${syncErrors} 处帧同步错误` };
+    }
+    return { status: 'ok', message: null };
+  } finally {
+    await reader.close();
+  }
+}
+
+// 读取 FLAC 文件的 STREAMINFO 和音频数据的起始位置
+const readFlacStreamInfo = async (reader) => {
+  // 部分软件会在 FLAC 文件开头写入 ID3v2 标签
+  let position = getId3v2Size(await reader.read(0, 10));
+  if ((await reader.read(position, 4)).toString('latin1') !== 'fLaC') {
+    throw Object.assign(new Error('不是有效的 FLAC 文件'), { integrityStatus: 'corrupt' });
+  }
+  position += 4;
+  let streamInfo = null;
+  for (let last = false; !last;) {
+    const header = await reader.read(position, 4);
+    if (header.length < 4) {
+      throw Object.assign(new Error('FLAC 元数据块不完整'), { integrityStatus: 'truncated' });
+    }
+    last = !!(header[0] & 0x80);
+    const length = header.readUIntBE(1, 3);
+    if ((header[0] & 0x7F) === 0) {
+      const data = Buffer.from(await reader.read(position + 4, 34));
+      streamInfo = {
+        sampleRate: (data[10] << 12) | (data[11] << 4) | (data[12] >> 4),
+        bitsPerSample: (((data[12] & 0x01) << 4) | (data[13] >> 4)) + 1,
+        totalSamples: (data[13] & 0x0F) * 0x100000000 + data.readUInt32BE(14),
+        md5: data.subarray(18, 34).toString('hex')
+      };
+    }
+    position += 4 + length;
+  }
+  if (!streamInfo) {
+    throw Object.assign(new Error('FLAC 文件缺少 STREAMINFO'), { integrityStatus: 'corrupt' });
+  }
+  return { ...streamInfo, audioStart: position };
+}
+
+// 解析 FLAC 帧头，无效或 CRC-8 校验失败时返回 null
+// 返回 { variable（是否为可变块大小）, number（帧号或起始采样号）, blockSize }
+const parseFlacFrameHeader = (buffer, position) => {
+  if (position + 6 > buffer.length || buffer[position] !== 0xFF || (buffer[position + 1] & 0xFE) !== 0xF8) return null;
+  const blockSizeCode = buffer[position + 2] >> 4;
+  const sampleRateCode = buffer[position + 2] & 0x0F;
+  const channelCode = buffer[position + 3] >> 4;
+  const sampleSizeCode = (buffer[position + 3] >> 1) & 0x07;
+  if (blockSizeCode === 0 || sampleRateCode === 15 || channelCode > 10 || sampleSizeCode === 3 || (buffer[position + 3] & 0x01)) return null;
+  // 帧号（或采样号）使用类似 UTF-8 的变长编码
+  let offset = position + 4;
+  const first = buffer[offset++];
+  let extraBytes = 0;
+  while (extraBytes < 8 && (first & (0x80 >> extraBytes))) extraBytes++;
+  if (extraBytes === 1 || extraBytes > 7) return null;
+  const byteCount = extraBytes === 0 ? 1 : extraBytes;
+  let number = extraBytes === 0 ? first : first & (0xFF >> (extraBytes + 1));
+  for (let i = 1; i < byteCount; i++) {
+    const byte = buffer[offset++];
+    if (byte === undefined || (byte & 0xC0) !== 0x80) return null;
+    number = number * 64 + (byte & 0x3F);
+  }
+  let blockSize;
+  if (blockSizeCode === 1) blockSize = 192;
+  else if (blockSizeCode <= 5) blockSize = 576 << (blockSizeCode - 2);
+  else if (blockSizeCode === 6) blockSize = buffer[offset++] + 1;
+  else if (blockSizeCode === 7) { blockSize = ((buffer[offset] << 8) | buffer[offset + 1]) + 1; offset += 2; }
+  else blockSize = 256 << (blockSizeCode - 8);
+  if (sampleRateCode === 12) offset += 1;
+  else if (sampleRateCode === 13 || sampleRateCode === 14) offset += 2;
+  if (offset >= buffer.length || Number.isNaN(blockSize)) return null;
+  let crc = 0;
+  for (let i = position; i < offset; i++) crc = CRC8_TABLE[crc ^ buffer[i]];
+  if (crc !== buffer[offset]) return null;
+  return { variable: !!(buffer[position + 1] & 0x01), number, blockSize };
+}
+
+// 逐帧检查 FLAC 文件：每一帧的 CRC-16 校验、帧号是否连续、总采样数是否与 STREAMINFO 一致
+// 无需解码即可发现数据损坏和文件截断，返回结果中包含 STREAMINFO 的 MD5 供解码校验使用
+export async function checkFlacFile(filePath) {
+  const reader = await openFileReader(filePath);
+  let info;
+  let end;
+  try {
+    info = await readFlacStreamInfo(reader);
+    end = await getAudioEnd(reader, info.audioStart);
+  } catch (error) {
+    if (!error.integrityStatus) throw error;
+    return { status: error.integrityStatus, message: error.message };
+  } finally {
+    await reader.close();
+  }
+
+  let current = null;
+  let crc = 0;
+  let samples = 0;
+  let badFrames = 0;
+  let lostFrames = 0;
+  // 下一帧的帧号（固定块大小）或起始采样号（可变块大小）
+  const nextNumber = (header) => header.number + (header.variable ? header.blockSize : 1);
+  // 判断帧头是否为当前帧之后的帧，返回跳过的帧数（-1 表示不是）
+  const framesBetween = (header) => {
+    if (header.variable !== current.variable) return -1;
+    const diff = header.number - nextNumber(current);
+    const lost = current.variable ? diff / current.blockSize : diff;
+    return diff >= 0 && lost <= FLAC_MAX_LOST_FRAMES ? Math.ceil(lost) : -1;
+  };
+  const finishFrame = () => {
+    samples += current.blockSize;
+    crc === 0 || badFrames++;
+  };
+
+  let pending = Buffer.alloc(0);
+  const processBuffer = (buffer, final) => {
+    const limit = final ? buffer.length : buffer.length - FLAC_MAX_HEADER_SIZE;
+    let i = 0;
+    for (; i < limit; i++) {
+      const byte = buffer[i];
+      if (byte === 0xFF && (buffer[i + 1] & 0xFE) === 0xF8) {
+        const header = parseFlacFrameHeader(buffer, i);
+        if (header) {
+          if (!current) {
+            current = header;
+            crc = 0;
+          } else {
+            // 帧号连续且 CRC-16 校验通过时为帧边界；帧号连续但校验失败说明上一帧损坏
+            const lost = framesBetween(header);
+            if (lost === 0 || (lost > 0 && crc !== 0)) {
+              finishFrame();
+              lostFrames += lost;
+              current = header;
+              crc = 0;
+            }
+          }
+        }
+      }
+      if (current) crc = ((crc << 8) & 0xFFFF) ^ CRC16_TABLE[(crc >> 8) ^ byte];
+    }
+    return buffer.subarray(i);
+  };
+  if (end > info.audioStart) {
+    for await (const chunk of createReadStream(filePath, { start: info.audioStart, end: end - 1 })) {
+      const buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      pending = processBuffer(buffer, false);
+    }
+    processBuffer(pending, true);
+  }
+
+  if (!current) {
+    return { status: 'corrupt', message: '未找到有效的 FLAC 音频帧' };
+  }
+  // 最后一帧校验失败且采样数不足时，说明文件在最后一帧中间被截断
+  const lastFrameBroken = crc !== 0;
+  finishFrame();
+  const missingSamples = info.totalSamples > 0 ? info.totalSamples - samples - lostFrames * current.blockSize : 0;
+  if (missingSamples > 0 || (lastFrameBroken && info.totalSamples === 0)) {
+    const seconds = info.sampleRate > 0 && missingSamples > 0 ? `，缺少约 ${(missingSamples / info.sampleRate).toFixed(1)} 秒` : '';
+    return { status: 'truncated', message: `文件不完整${seconds}`, md5: info.md5, bitsPerSample: info.bitsPerSample };
+  }
+  if (badFrames > 0 || lostFrames > 0) {
+    return { status: 'corrupt', message: `${badFrames + lostFrames} 个音频帧校验失败`, md5: info.md5, bitsPerSample: info.bitsPerSample };
+  }
+  return { status: 'ok', message: null, md5: info.md5, bitsPerSample: info.bitsPerSample };
+}
+
+// 检查 WAV 文件的数据块是否完整
+export async function checkWavFile(filePath) {
+  const reader = await openFileReader(filePath);
+  try {
+    const header = await reader.read(0, 12);
+    if (header.length < 12 || header.toString('latin1', 0, 4) !== 'RIFF' || header.toString('latin1', 8, 12) !== 'WAVE') {
+      return { status: 'corrupt', message: '不是有效的 WAV 文件' };
+    }
+    let position = 12;
+    let blockAlign = 0;
+    while (position + 8 <= reader.size) {
+      const chunk = Buffer.from(await reader.read(position, 8));
+      const chunkId = chunk.toString('latin1', 0, 4);
+      const chunkSize = chunk.readUInt32LE(4);
+      if (chunkId === 'fmt ') {
+        blockAlign = (await reader.read(position + 8, 16)).readUInt16LE(12);
+      } else if (chunkId === 'data') {
+        const available = reader.size - position - 8;
+        // 边录边写的文件数据块大小可能为 0 或最大值，无法判断是否完整
+        if (chunkSize !== 0 && chunkSize !== 0xFFFFFFFF && chunkSize > available) {
+          const seconds = blockAlign > 0 ? `，缺少 ${((chunkSize - available) / blockAlign).toFixed(0)} 个采样帧` : '';
+          return { status: 'truncated', message: `数据块不完整${seconds}` };
+        }
+        return { status: 'ok', message: null };
+      }
+      position += 8 + chunkSize + (chunkSize % 2);
+    }
+    return { status: blockAlign ? 'truncated' : 'corrupt', message: 'WAV 文件缺少数据块' };
+  } finally {
+    await reader.close();
+  }
+}
+
+// 无需 ffmpeg 即可检查的格式
+const STRUCTURE_CHECKERS = {
+  '.mp3': checkMp3File,
+  '.flac': checkFlacFile,
+  '.wav': checkWavFile
+};
+
+// FLAC MD5 对应的 PCM 格式（MD5 按采样位数对齐到字节的小端整数计算）
+const FLAC_MD5_FORMATS = { 8: 'pcm_s8', 16: 'pcm_s16le', 24: 'pcm_s24le', 32: 'pcm_s32le' };
+
+// 使用 ffmpeg 完整解码音频，解码出错时视为损坏；提供 md5 时同时校验解码后的 PCM 数据
+export async function decodeWithFfmpeg(filePath, { ffmpegPath = 'ffmpeg', md5 = null, bitsPerSample = 0 } = {}) {
+  const md5Format = md5 && !/^0+$/.test(md5) ? FLAC_MD5_FORMATS[bitsPerSample] : null;
+  const args = ['-v', 'error', '-nostdin', '-i', filePath, '-map', '0:a:0'];
+  args.push(...(md5Format ? ['-c:a', md5Format, '-f', 'hash', '-hash', 'md5', 'pipe:1'] : ['-f', 'null', '-']));
+  const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stdout = '';
+  let stderr = '';
+  child.stdout.on('data', (data) => { stdout += data.toString(); });
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+  const code = await new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('close', resolve);
+  });
+  const errors = stderr.trim();
+  if (code !== 0 || errors) {
+    return { status: 'corrupt', message: `解码失败: ${errors.split('\n')[0] || `ffmpeg 退出码 ${code}`}` };
+  }
+  if (md5Format) {
+    const decoded = /MD5=([0-9a-f]{32})/i.exec(stdout)?.[1]?.toLowerCase();
+    if (decoded && decoded !== md5) {
+      return { status: 'corrupt', message: 'MD5 校验失败，解码后的音频与编码时不一致' };
+    }
+  }
+  return { status: 'ok', message: null };
+}
+
+// 检查音频文件的完整性，返回 { status: 'ok' | 'corrupt' | 'truncated', message }
+// MP3、FLAC、WAV 先逐帧检查文件结构，其他格式（以及结构完整的文件）在 decode 为 true 时使用 ffmpeg 完整解码
+// 格式不支持结构检查且不解码时返回 null；未安装 ffmpeg 时抛出 spawn 的 ENOENT 错误
+export async function verifyAudioFile(filePath, { ffmpegPath = 'ffmpeg', decode = true } = {}) {
+  const checker = STRUCTURE_CHECKERS[path.extname(filePath).toLowerCase()];
+  const result = checker ? await checker(filePath) : null;
+  if (result && result.status !== 'ok') return { status: result.status, message: result.message };
+  if (!decode) return result && { status: result.status, message: result.message };
+  return decodeWithFfmpeg(filePath, { ffmpegPath, md5: result?.md5, bitsPerSample: result?.bitsPerSample });
+}
@@ -0,0 +1,243 @@
+import { createReadStream } from 'fs';
+import { spawn } from 'child_process';
+import { readWavInfo } from './audioUtils.js';
+
+// ReplayGain 2.0 的参考响度（LUFS）
+export const REPLAYGAIN_REFERENCE = -18;
+// R128 标签（Opus）的参考响度为 -23 LUFS，转换为 ReplayGain 时需要加 5 dB
+const R128_OFFSET = REPLAYGAIN_REFERENCE - -23;
+// 响度测量的块长度和步长（秒），BS.1770 规定 400ms 块、75% 重叠
+const BLOCK_SECONDS = 0.4;
+const STEP_SECONDS = 0.1;
+// 绝对门限和相对门限
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+
+// 均方功率转换为响度（LUFS）
+const powerToLoudness = (power) => -0.691 + 10 * Math.log10(power);
+
+// 读取原生标签的值（标签名不区分大小写）
+const getNativeTag = (metadata, name) => {
+  for (const tags of Object.values(metadata.native || {})) {
+    const tag = tags.find(item => String(item.id).toUpperCase() === name);
+    if (tag) return tag.value;
+  }
+  return undefined;
+}
+
+// 提取 ReplayGain 增益（dB）和峰值（线性），R128 标签转换为 ReplayGain 参考响度
+export function extractReplayGain(metadata) {
+  const common = metadata.common || {};
+  const r128 = (name) => {
+    const value = parseInt(getNativeTag(metadata, name), 10);
+    // R128 标签为 Q7.8 定点数
+    return Number.isFinite(value) ? Math.round((value / 256 + R128_OFFSET) * 100) / 100 : null;
+  };
+  const gain = (ratio) => Number.isFinite(ratio?.dB) ? ratio.dB : null;
+  const peak = (ratio) => Number.isFinite(ratio?.ratio) && ratio.ratio > 0 ? ratio.ratio : null;
+  return {
+    replayGainTrackGain: gain(common.replaygain_track_gain) ?? r128('R128_TRACK_GAIN'),
+    replayGainTrackPeak: peak(common.replaygain_track_peak),
+    replayGainAlbumGain: gain(common.replaygain_album_gain) ?? r128('R128_ALBUM_GAIN'),
+    replayGainAlbumPeak: peak(common.replaygain_album_peak)
+  };
+}
+
+// K 计权滤波器系数（高架滤波 + 高通滤波），按采样率计算
+const getKWeightingFilters = (sampleRate) => {
+  let f0 = 1681.974450955533;
+  const G = 3.999843853973347;
+  let Q = 0.7071752369554196;
+  let K = Math.tan(Math.PI * f0 / sampleRate);
+  const Vh = Math.pow(10, G / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b: [(Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+  f0 = 38.13547087602444;
+  Q = 0.5003270373238773;
+  K = Math.tan(Math.PI * f0 / sampleRate);
+  a0 = 1 + K / Q + K * K;
+  const highpass = {
+    b: [1, -2, 1],
+    a: [2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0]
+  };
+  return [shelf, highpass];
+}
+
+// 创建响度测量器，输入交错排列的浮点采样，输出每个测量块的功率和采样峰值
+export function createLoudnessMeter(sampleRate, channels) {
+  const filters = getKWeightingFilters(sampleRate);
+  // 每个声道每级滤波器的状态 [x1, x2, y1, y2]
+  const states = Array.from({ length: channels }, () => filters.map(() => [0, 0, 0, 0]));
+  const stepSize = Math.round(sampleRate * STEP_SECONDS);
+  const stepsPerBlock = Math.round(BLOCK_SECONDS / STEP_SECONDS);
+  const steps = [];
+  const blocks = [];
+  let stepSum = 0;
+  let stepCount = 0;
+  let peak = 0;
+  let channel = 0;
+
+  const process = (samples) => {
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      const abs = Math.abs(sample);
+      if (abs > peak) peak = abs;
+      let value = sample;
+      const channelStates = states[channel];
+      for (let f = 0; f < filters.length; f++) {
+        const { b, a } = filters[f];
+        const s = channelStates[f];
+        const output = b[0] * value + b[1] * s[0] + b[2] * s[1] - a[0] * s[2] - a[1] * s[3];
+        s[1] = s[0]; s[0] = value;
+        s[3] = s[2]; s[2] = output;
+        value = output;
+      }
+      stepSum += value * value;
+      if (++channel === channels) {
+        channel = 0;
+        if (++stepCount === stepSize) {
+          steps.push(stepSum);
+          stepSum = 0;
+          stepCount = 0;
+          // 每 100ms 生成一个 400ms 的测量块（各声道功率之和）
+          if (steps.length >= stepsPerBlock) {
+            let sum = 0;
+            for (let s = steps.length - stepsPerBlock; s < steps.length; s++) sum += steps[s];
+            blocks.push(sum / (stepSize * stepsPerBlock));
+            steps.shift();
+          }
+        }
+      }
+    }
+  };
+
+  return { process, finish: () => ({ blocks, peak }) };
+}
+
+// 根据测量块计算门限积分响度（LUFS），没有有效块时返回 null
+export function integrateLoudness(blocks) {
+  const absoluteGated = blocks.filter(power => power > 0 && powerToLoudness(power) > ABSOLUTE_GATE);
+  if (absoluteGated.length === 0) return null;
+  const mean = (items) => items.reduce((sum, power) => sum + power, 0) / items.length;
+  const relativeGate = powerToLoudness(mean(absoluteGated)) + RELATIVE_GATE;
+  const gated = absoluteGated.filter(power => powerToLoudness(power) > relativeGate);
+  return powerToLoudness(mean(gated.length > 0 ? gated : absoluteGated));
+}
+
+// 响度转换为 ReplayGain 增益（dB）
+export const loudnessToGain = (loudness) => Math.round((REPLAYGAIN_REFERENCE - loudness) * 100) / 100;
+
+// 读取 WAV 格式的采样格式（PCM 整数或浮点）
+const getWavSampleFormat = (fmt) => {
+  const tag = fmt.readUInt16LE(0);
+  // WAVE_FORMAT_EXTENSIBLE 的实际格式在子格式 GUID 的前两个字节
+  const format = tag === 0xFFFE && fmt.length >= 26 ? fmt.readUInt16LE(24) : tag;
+  return { pcm: format === 1 || format === 3, float: format === 3, channels: fmt.readUInt16LE(2), bitsPerSample: fmt.readUInt16LE(14) };
+}
+
+// 将 WAV 数据解码为浮点采样
+const createWavDecoder = ({ float, bitsPerSample }) => {
+  const bytes = bitsPerSample / 8;
+  const read = float
+    ? (bitsPerSample === 64 ? (buf, i) => buf.readDoubleLE(i) : (buf, i) => buf.readFloatLE(i))
+    : bitsPerSample === 8 ? (buf, i) => (buf[i] - 128) / 128
+    : bitsPerSample === 16 ? (buf, i) => buf.readInt16LE(i) / 32768
+    : bitsPerSample === 24 ? (buf, i) => buf.readIntLE(i, 3) / 8388608
+    : (buf, i) => buf.readInt32LE(i) / 2147483648;
+  return (buffer) => {
+    const samples = new Float32Array(Math.floor(buffer.length / bytes));
+    for (let i = 0; i < samples.length; i++) samples[i] = read(buffer, i * bytes);
+    return samples;
+  };
+}
+
+// 按采样大小对齐数据块，返回可解码部分和剩余字节
+const alignChunk = (pending, chunk, bytes) => {
+  const buffer = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+  const length = buffer.length - (buffer.length % bytes);
+  return [buffer.subarray(0, length), buffer.subarray(length)];
+}
+
+// 逐块读取 WAV 文件（或其中的片段）的浮点采样，无需 ffmpeg
+const decodeWav = async (filePath, startTime, endTime, createProcessor) => {
+  const info = await readWavInfo(filePath);
+  const format = getWavSampleFormat(info.fmt);
+  if (!format.pcm || ![8, 16, 24, 32, 64].includes(format.bitsPerSample)) throw new Error('不支持的WAV采样格式');
+  const toOffset = (time) => Math.min(Math.floor(time * info.sampleRate) * info.blockAlign, info.dataSize);
+  const start = toOffset(startTime || 0);
+  const end = endTime ? toOffset(endTime) : info.dataSize;
+  const onSamples = createProcessor({ sampleRate: info.sampleRate, channels: format.channels });
+  if (end <= start) return;
+  const decode = createWavDecoder(format);
+  const bytes = format.bitsPerSample / 8;
+  let pending = Buffer.alloc(0);
+  for await (const chunk of createReadStream(filePath, { start: info.dataStart + start, end: info.dataStart + end - 1 })) {
+    const [data, rest] = alignChunk(pending, chunk, bytes);
+    pending = rest;
+    onSamples(decode(data));
+  }
+}
+
+// 使用 ffmpeg 解码为 32 位浮点采样后逐块读取
+const decodeWithFfmpeg = async (filePath, options, createProcessor) => {
+  const { startTime, endTime, ffmpegPath = 'ffmpeg' } = options;
+  // 多声道音频下混为立体声
+  const channels = Math.min(options.channels || 2, 2);
+  const sampleRate = options.sampleRate || 44100;
+  const args = ['-v', 'error'];
+  if (startTime) args.push('-ss', String(startTime));
+  if (endTime) args.push('-t', String(endTime - (startTime || 0)));
+  args.push('-i', filePath, '-map', '0:a:0', '-ac', String(channels), '-ar', String(sampleRate), '-f', 'f32le', '-acodec', 'pcm_f32le', 'pipe:1');
+  const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', (data) => { stderr += data.toString(); });
+  const exited = new Promise((resolve, reject) => {
+    child.once('error', reject);
+    child.once('close', (code) => code === 0 ? resolve() : reject(new Error(stderr.trim() || `ffmpeg 退出码 ${code}`)));
+  });
+  // 避免读取输出前进程已失败导致未处理的 Promise 拒绝
+  exited.catch(() => {});
+  // 未安装 ffmpeg 时 spawn 会触发 error 事件
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', reject);
+  });
+  const onSamples = createProcessor({ sampleRate, channels });
+  let pending = Buffer.alloc(0);
+  for await (const chunk of child.stdout) {
+    const [data, rest] = alignChunk(pending, chunk, 4);
+    pending = rest;
+    onSamples(new Float32Array(data.buffer.slice(data.byteOffset, data.byteOffset + data.length)));
+  }
+  await exited;
+}
+
+// 逐块读取音频文件的浮点采样（交错排列），WAV 直接读取，其他格式通过 ffmpeg 解码
+// createProcessor({ sampleRate, channels }) 在读取前调用，返回处理采样的函数
+// options: { startTime, endTime, channels, sampleRate, ffmpegPath }
+export async function decodeAudioSamples(filePath, options, createProcessor) {
+  if (filePath.toLowerCase().endsWith('.wav')) {
+    try {
+      return await decodeWav(filePath, options.startTime, options.endTime, createProcessor);
+    } catch (error) {
+      // 压缩格式的 WAV（如 ADPCM）交给 ffmpeg 处理
+      if (error.message !== '不支持的WAV采样格式') throw error;
+    }
+  }
+  return decodeWithFfmpeg(filePath, options, createProcessor);
+}
+
+// 测量音频文件的响度，返回测量块功率和采样峰值（WAV 直接读取，其他格式通过 ffmpeg 解码）
+// options: { startTime, endTime, channels, sampleRate, ffmpegPath }
+export async function measureLoudness(filePath, options = {}) {
+  let meter = null;
+  await decodeAudioSamples(filePath, options, ({ sampleRate, channels }) => {
+    meter = createLoudnessMeter(sampleRate, channels);
+    return meter.process;
+  });
+  return meter.finish();
+}
@@ -0,0 +1,79 @@
+import path from 'path';
+import { promises as fs } from 'fs';
+import { decodeTextBuffer } from './encodingUtils.js';
+
+// 外挂歌词文件扩展名（按优先级排列，.lrc 为带时间轴的歌词）
+export const LYRICS_EXTENSIONS = ['.lrc', '.txt'];
+// 常见语言后缀的别名（如简体中文歌词常用 Song.chs.lrc）
+const LANGUAGE_ALIASES = {
+  'zh-cn': ['zh-hans', 'zh-sg', 'chs', 'sc', 'cn'],
+  'zh-tw': ['zh-hant', 'zh-hk', 'cht', 'tc', 'tw']
+};
+// 语言后缀格式
+const LANGUAGE_SUFFIX = /^[a-z]{2,3}(-[a-z0-9]{2,4})?$/i;
+// 目录文件列表缓存的最大数量
+const LYRICS_CACHE_SIZE = 64;
+
+// 解析歌词文件名，返回对应的音乐文件名（不含扩展名）和语言
+export function parseLyricsFileName(fileName) {
+  const { name, ext } = path.parse(fileName);
+  if (!LYRICS_EXTENSIONS.includes(ext.toLowerCase())) return null;
+  const langIndex = name.lastIndexOf('.');
+  const language = langIndex > 0 ? name.slice(langIndex + 1) : '';
+  if (language && LANGUAGE_SUFFIX.test(language)) {
+    return { stem: name.slice(0, langIndex), language: language.toLowerCase(), ext: ext.toLowerCase() };
+  }
+  return { stem: name, language: '', ext: ext.toLowerCase() };
+}
+
+// 与界面语言匹配的歌词语言后缀（按优先级排列，如 zh-CN 依次匹配 zh-cn、zh-hans 等别名、zh）
+export function getPreferredLyricsLanguages(language) {
+  const code = String(language || '').trim().toLowerCase().replace(/_/g, '-');
+  if (!code) return [];
+  const base = code.split('-')[0];
+  return [...new Set([code, ...(LANGUAGE_ALIASES[code] || []), base])];
+}
+
+// 歌词文件的优先级（数值越小越优先）：.lrc 优先，其次是配置语言的歌词、无语言后缀的歌词、其他语言的歌词
+const getLyricsPriority = ({ ext, language }, preferredLanguages) => {
+  const languageIndex = preferredLanguages.indexOf(language);
+  const languageRank = languageIndex >= 0 ? languageIndex : !language ? preferredLanguages.length : preferredLanguages.length + 1;
+  return LYRICS_EXTENSIONS.indexOf(ext) * 100 + languageRank;
+}
+
+// 从目录文件列表中查找音乐文件对应的歌词文件名（有多个语言版本时按 language 选择）
+export function findLyricsFileName(items, audioPath, language = '') {
+  const audioStem = path.parse(audioPath).name.toLowerCase();
+  const preferredLanguages = getPreferredLyricsLanguages(language);
+  const candidates = [];
+  for (const item of items) {
+    const parsed = parseLyricsFileName(item);
+    if (parsed && parsed.stem.toLowerCase() === audioStem) {
+      candidates.push({ item, priority: getLyricsPriority(parsed, preferredLanguages) });
+    }
+  }
+  candidates.sort((a, b) => a.priority - b.priority || a.item.localeCompare(b.item));
+  return candidates.length > 0 ? candidates[0].item : null;
+}
+
+// 创建外挂歌词查找函数（按目录缓存文件列表，按 language 选择语言版本），返回歌词文件路径和修改时间
+export function createLyricsResolver(language = '') {
+  const cache = new Map();
+  return async (audioPath) => {
+    const dirPath = path.dirname(audioPath);
+    if (!cache.has(dirPath)) {
+      if (cache.size >= LYRICS_CACHE_SIZE) cache.delete(cache.keys().next().value);
+      cache.set(dirPath, fs.readdir(dirPath).catch(() => []));
+    }
+    const fileName = findLyricsFileName(await cache.get(dirPath), audioPath, language);
+    if (!fileName) return null;
+    const lyricsPath = path.join(dirPath, fileName);
+    const stats = await fs.stat(lyricsPath).catch(() => null);
+    return stats && stats.isFile() ? { path: lyricsPath, modifiedTime: stats.mtime.toISOString() } : null;
+  };
+}
+
+// 读取歌词文件内容
+export async function readLyricsFile(lyricsPath) {
+  return decodeTextBuffer(await fs.readFile(lyricsPath)).replace(/\r\n/g, '\n');
+}
@@ -3,9 +3,14 @@ import { promises as fs } from 'fs';
 import { parseFile } from 'music-metadata';
 import NodeID3 from 'node-id3';
 import { normalizeSongTitle, normalizeArtistName, normalizeText, extractArtistTitleFromFilename } from '../utils/textUtils.js';
+import { extractReplayGain } from './loudnessUtils.js';
+import { extractGaplessInfo } from './gaplessUtils.js';
+import { MAX_IMAGE_SIZE } from './coverUtils.js';
 
 // 支持的音乐文件格式
-export const SUPPORTED_FORMATS = ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma'];
+export const SUPPORTED_FORMATS = ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma', '.ape', '.wv'];
+// 合辑的专辑歌手
+export const VARIOUS_ARTISTS = 'Various Artists';
 const ARTIST_SEPARATORS = ['/', '、', ',', '，', '&', '&amp;', 'feat.', 'feat', 'ft.', 'ft', 'featuring', 'vs', 'VS'];
 export const formatArtistNames = (artistString) => {
   if (!artistString || typeof artistString !== 'string') { return []; }
@@ -20,6 +25,49 @@ export const formatArtistNames = (artistString) => {
   return [...new Set(names)].filter(name => name.length > 0);
 }
 
+// 合并多值标签（作曲、作词等），没有值时返回 null
+const joinTagValues = (values) => {
+  const text = (values || []).map(value => String(value).trim()).filter(Boolean).join(', ');
+  return text ? normalizeText(text) : null;
+}
+
+// 编码格式名称的规范化规则（music-metadata 返回的名称如 MPEG 1 Layer 3、MPEG-4/AAC）
+const CODEC_PATTERNS = [
+  [/layer\s*3/i, 'mp3'],
+  [/layer\s*2/i, 'mp2'],
+  [/alac/i, 'alac'],
+  [/flac/i, 'flac'],
+  [/aac|mp4a/i, 'aac'],
+  [/opus/i, 'opus'],
+  [/vorbis/i, 'vorbis'],
+  [/pcm|float/i, 'pcm'],
+  [/wma|windows media/i, 'wma'],
+  [/monkey|ape/i, 'ape'],
+  [/wavpack/i, 'wavpack'],
+  [/dsd/i, 'dsd']
+];
+// 无损编码格式（文件未标明时按编码判断）
+export const LOSSLESS_CODECS = ['flac', 'alac', 'pcm', 'ape', 'wavpack', 'dsd'];
+
+// 规范化编码格式名称（mp3、aac、flac 等），未知时返回 null
+export const normalizeCodec = (codec) => {
+  const text = String(codec || '').trim();
+  if (!text) return null;
+  const matched = CODEC_PATTERNS.find(([pattern]) => pattern.test(text));
+  return matched ? matched[1] : text.toLowerCase();
+}
+
+// 提取音频格式信息：编码、容器、采样位数、是否无损
+export function extractAudioFormat(format = {}) {
+  const codec = normalizeCodec(format.codec);
+  return {
+    codec,
+    container: String(format.container || '').trim().toLowerCase() || null,
+    bitsPerSample: format.bitsPerSample || null,
+    lossless: typeof format.lossless === 'boolean' ? format.lossless : LOSSLESS_CODECS.includes(codec)
+  };
+}
+
 // 提取歌词内容
 export function extractLyrics(metadata) {
   try {
@@ -60,7 +108,7 @@ export function extractCoverImage(metadata) {
     const picture = metadata.common.picture.length > 0 ? metadata.common.picture[0] : null;
     if (picture &&  picture.data) {
       let buf = Buffer.isBuffer(picture.data) ? picture.data : Buffer.from(picture.data);
-      if (buf.length > 500 * 1024) { return null; }
+      if (buf.length > MAX_IMAGE_SIZE) { return null; }
       try {
         const mime = picture.format && String(picture.format).startsWith('image/') ? picture.format : 'image/jpeg';
         return `data:${mime};base64,${buf.toString('base64')}`;
@@ -95,20 +143,44 @@ export async function getMetadata(filePath) {
     // 标准化文本
     const title = normalizeSongTitle(metadata.common.title || filenameTitle || filename);
     const artist = normalizeArtistName(metadata.common.artist || filenameArtist || 'Unknown');
+    // 合辑（TCMP/compilation 标签）没有专辑歌手时归到 Various Artists
+    const compilation = !!metadata.common.compilation;
+    const replayGain = extractReplayGain(metadata);
     return {
       filename,
       path: filePath,
       title,
       artist,
       album: normalizeText(metadata.common.album || 'Unknown'),
-      albumArtist: normalizeText(metadata.common.albumartist || artist),
+      albumArtist: normalizeText(metadata.common.albumartist || (compilation ? VARIOUS_ARTISTS : artist)),
+      compilation,
+      musicbrainzAlbumId: metadata.common.musicbrainz_albumid || null,
       genre: normalizeText(metadata.common.genre?.join(', ') || 'Unknown'),
       duration: metadata.format.duration || 0,
       bitrate: metadata.format.bitrate || 0,
       sampleRate: metadata.format.sampleRate || 0,
       channels: metadata.format.numberOfChannels || 0,
+      ...extractAudioFormat(metadata.format),
+      ...await extractGaplessInfo(filePath, metadata),
       size: stats.size,
       year: metadata.common.year || null,
+      trackNumber: metadata.common.track?.no || null,
+      trackTotal: metadata.common.track?.of || null,
+      discNumber: metadata.common.disk?.no || null,
+      discTotal: metadata.common.disk?.of || null,
+      composer: joinTagValues(metadata.common.composer),
+      lyricist: joinTagValues(metadata.common.lyricist),
+      conductor: joinTagValues(metadata.common.conductor),
+      label: joinTagValues(metadata.common.label),
+      catalogNumber: metadata.common.catalognumber?.[0]?.trim() || null,
+      isrc: metadata.common.isrc?.[0]?.trim() || null,
+      titleSort: metadata.common.titlesort || null,
+      artistSort: metadata.common.artistsort || null,
+      albumSort: metadata.common.albumsort || null,
+      albumArtistSort: metadata.common.albumartistsort || null,
+      composerSort: metadata.common.composersort || null,
+      ...replayGain,
+      replayGainSource: replayGain.replayGainTrackGain !== null || replayGain.replayGainAlbumGain !== null ? 'tag' : null,
       createdTime: createdTime.toISOString(),
       modifiedTime: modifiedTime.toISOString(),
       coverImage: extractCoverImage(metadata),
@@ -152,6 +224,10 @@ export const parseMetadata = async(filePath) => {
           description: tags.image.description || ''
         }] : undefined,
         composer: tags.composer ? [tags.composer] : undefined,
+        lyricist: tags.textWriter ? [tags.textWriter] : undefined,
+        conductor: tags.conductor ? [tags.conductor] : undefined,
+        label: tags.publisher ? [tags.publisher] : undefined,
+        isrc: tags.ISRC ? [tags.ISRC] : undefined,
         lyrics: tags.unsynchronisedLyrics ? tags.unsynchronisedLyrics.text : undefined
       },
       format: {
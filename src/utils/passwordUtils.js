@@ -0,0 +1,40 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt 参数（N=2^15 约占用 32MB 内存），参数保存在哈希中，调整后旧密码仍可验证
+const SCRYPT_COST = 32768;
+const SCRYPT_BLOCK_SIZE = 8;
+const SCRYPT_PARALLELIZATION = 1;
+const SALT_BYTES = 16;
+const KEY_BYTES = 64;
+// 密码长度限制
+export const PASSWORD_MIN_LENGTH = 6;
+export const PASSWORD_MAX_LENGTH = 128;
+
+// 计算 scrypt 密钥（maxmem 需要大于 128 * N * r）
+const deriveKey = (password, salt, N, r, p) => scrypt(String(password), salt, KEY_BYTES, { N, r, p, maxmem: 256 * N * r });
+
+// 生成密码哈希，格式为 scrypt$N$r$p$盐$哈希（base64）
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await deriveKey(password, salt, SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION);
+  return ['scrypt', SCRYPT_COST, SCRYPT_BLOCK_SIZE, SCRYPT_PARALLELIZATION, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+// 验证密码（使用恒定时间比较），哈希格式不正确时返回 false
+export async function verifyPassword(password, stored) {
+  const [algorithm, N, r, p, salt, hash] = String(stored || '').split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const key = await deriveKey(password, Buffer.from(salt, 'base64'), Number(N), Number(r), Number(p)).catch(() => null);
+  return !!key && key.length === expected.length && crypto.timingSafeEqual(key, expected);
+}
+
+// 校验密码长度，不符合要求时返回错误信息
+export function validatePassword(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) return `密码长度不能少于 ${PASSWORD_MIN_LENGTH} 位`;
+  if (password.length > PASSWORD_MAX_LENGTH) return `密码长度不能超过 ${PASSWORD_MAX_LENGTH} 位`;
+  return null;
+}
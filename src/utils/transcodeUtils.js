@@ -0,0 +1,163 @@
+import path from 'path';
+import crypto from 'crypto';
+import { promises as fs, createWriteStream } from 'fs';
+import { spawn } from 'child_process';
+import { PassThrough } from 'stream';
+
+// 转码输出格式：ffmpeg 编码器、封装格式、MIME 类型、默认码率和最大码率（kbps）
+export const TRANSCODE_FORMATS = {
+  mp3: { encoder: 'libmp3lame', muxer: 'mp3', mime: 'audio/mpeg', ext: '.mp3', bitrate: 320, maxBitrate: 320 },
+  opus: { encoder: 'libopus', muxer: 'ogg', mime: 'audio/ogg', ext: '.opus', bitrate: 160, maxBitrate: 256 },
+  aac: { encoder: 'aac', muxer: 'adts', mime: 'audio/aac', ext: '.aac', bitrate: 256, maxBitrate: 320 }
+};
+// 只指定 maxBitrate 时使用的输出格式
+export const DEFAULT_TRANSCODE_FORMAT = 'mp3';
+// 最低输出码率（kbps）
+const MIN_TRANSCODE_BITRATE = 32;
+// 转码缓存目录
+export const TRANSCODE_CACHE_DIR = './db/transcode';
+// ffmpeg 错误输出最多保留的字符数
+const MAX_STDERR_LENGTH = 4096;
+
+// 当前正在执行的转码数量和等待队列
+let activeTranscodes = 0;
+const transcodeQueue = [];
+
+// 按顺序启动等待中的转码
+const startQueuedTranscodes = () => {
+  while (transcodeQueue.length > 0 && activeTranscodes < transcodeQueue[0].maxConcurrent) {
+    const entry = transcodeQueue.shift();
+    activeTranscodes++;
+    let released = false;
+    entry.resolve(() => {
+      if (released) return;
+      released = true;
+      activeTranscodes--;
+      startQueuedTranscodes();
+    });
+  }
+}
+
+// 获取转码名额，超过并发上限时排队等待，返回释放名额的函数（signal 中止时放弃排队）
+export function acquireTranscodeSlot(maxConcurrent = 2, signal = null) {
+  return new Promise((resolve, reject) => {
+    const entry = { maxConcurrent: Math.max(1, parseInt(maxConcurrent, 10) || 1), resolve };
+    transcodeQueue.push(entry);
+    signal?.addEventListener('abort', () => {
+      const index = transcodeQueue.indexOf(entry);
+      if (index === -1) return;
+      transcodeQueue.splice(index, 1);
+      reject(new Error('转码请求已取消'));
+    }, { once: true });
+    startQueuedTranscodes();
+  });
+}
+
+// 获取转码状态
+export const getTranscodeStatus = () => ({ active: activeTranscodes, queued: transcodeQueue.length });
+
+// 根据请求参数和音轨信息确定转码方案，不需要转码时返回 null
+// format 指定输出格式（源文件已是该格式且码率不超过 maxBitrate 时不转码），只指定 maxBitrate 时源码率超过上限才转码
+export function resolveTranscodeOptions(track, { format, maxBitrate } = {}) {
+  const targetFormat = format ? String(format).toLowerCase() : null;
+  if (targetFormat && !TRANSCODE_FORMATS[targetFormat]) {
+    throw new Error(`不支持的转码格式: ${format}，可选 ${Object.keys(TRANSCODE_FORMATS).join('、')}`);
+  }
+  const limit = maxBitrate === undefined || maxBitrate === null || maxBitrate === '' ? null : parseInt(maxBitrate, 10);
+  if (limit !== null && (!Number.isInteger(limit) || limit < MIN_TRANSCODE_BITRATE)) {
+    throw new Error(`maxBitrate 必须是不小于 ${MIN_TRANSCODE_BITRATE} 的整数（kbps）`);
+  }
+  if (!targetFormat && limit === null) return null;
+  const overLimit = limit !== null && (!track.bitrate || track.bitrate > limit * 1000);
+  if (targetFormat ? track.codec === targetFormat && !overLimit : !overLimit) return null;
+  const name = targetFormat || DEFAULT_TRANSCODE_FORMAT;
+  const preset = TRANSCODE_FORMATS[name];
+  return { format: name, ...preset, bitrate: Math.min(limit ?? preset.bitrate, preset.maxBitrate) };
+}
+
+// 使用 ffmpeg 转码音频（startTime/endTime 为源文件中的时间段，用于 CUE 音轨和拖动进度）
+export async function spawnTranscode(filePath, { format, startTime = 0, endTime = null, bitrate, ffmpegPath = 'ffmpeg' }) {
+  const preset = TRANSCODE_FORMATS[format];
+  const args = ['-v', 'error'];
+  if (startTime) args.push('-ss', String(startTime));
+  if (endTime) args.push('-t', String(Math.max(0, endTime - (startTime || 0))));
+  args.push('-i', filePath, '-map', '0:a:0', '-map_metadata', '-1', '-c:a', preset.encoder, '-b:a', `${bitrate}k`, '-f', preset.muxer, 'pipe:1');
+  const child = spawn(ffmpegPath, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+  // 错误输出只在转码失败时记录（客户端断开结束进程时退出码为 null）
+  let stderr = '';
+  child.stderr.on('data', (data) => { stderr = (stderr + data.toString()).slice(-MAX_STDERR_LENGTH); });
+  child.once('close', (code) => {
+    if (code) console.error(`转码失败（ffmpeg 退出码 ${code}）: ${filePath}`, stderr.trim());
+  });
+  // 等待进程启动，未安装 ffmpeg 时直接抛出错误
+  await new Promise((resolve, reject) => {
+    child.once('spawn', resolve);
+    child.once('error', reject);
+  });
+  return child;
+}
+
+// 转码缓存文件路径（源文件变化后缓存自动失效）
+export function getTranscodeCachePath({ filePath, size, modifiedTime, startTime, endTime, format, bitrate }) {
+  const key = crypto.createHash('md5')
+    .update(JSON.stringify([filePath, size, modifiedTime, startTime || 0, endTime || null, format, bitrate]))
+    .digest('hex');
+  return path.join(TRANSCODE_CACHE_DIR, `${key}${TRANSCODE_FORMATS[format].ext}`);
+}
+
+// 读取转码缓存，命中时更新修改时间（用于按最近使用清理）
+export async function findTranscodeCache(cachePath) {
+  try {
+    const stat = await fs.stat(cachePath);
+    const now = new Date();
+    await fs.utimes(cachePath, stat.atime, now).catch(() => {});
+    return stat;
+  } catch {
+    return null;
+  }
+}
+
+// 将转码输出同时写入缓存文件，转码完整结束后才保存，中断时删除临时文件
+export async function teeToTranscodeCache(child, cachePath, onSaved) {
+  await fs.mkdir(path.dirname(cachePath), { recursive: true });
+  const tempPath = `${cachePath}.${process.pid}.${Date.now()}.tmp`;
+  const file = createWriteStream(tempPath);
+  const output = new PassThrough();
+  const exited = new Promise(resolve => child.once('close', resolve));
+  const written = new Promise(resolve => {
+    file.once('close', () => resolve(true));
+    file.once('error', (error) => {
+      console.error('写入转码缓存失败:', error);
+      resolve(false);
+    });
+  });
+  child.stdout.pipe(file);
+  child.stdout.pipe(output);
+  Promise.all([exited, written]).then(([code, ok]) => ok && code === 0
+    ? fs.rename(tempPath, cachePath).then(() => onSaved?.())
+    : fs.unlink(tempPath).catch(() => {})
+  ).catch(error => console.error('保存转码缓存失败:', error));
+  return output;
+}
+
+// 清理转码缓存，超过大小上限（MB）时删除最久未使用的文件
+export async function pruneTranscodeCache(maxSizeMB, cacheDir = TRANSCODE_CACHE_DIR) {
+  const items = await fs.readdir(cacheDir).catch(() => []);
+  const files = [];
+  for (const item of items) {
+    if (item.endsWith('.tmp')) continue;
+    const filePath = path.join(cacheDir, item);
+    const stat = await fs.stat(filePath).catch(() => null);
+    if (stat?.isFile()) files.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs });
+  }
+  const limit = Math.max(0, Number(maxSizeMB) || 0) * 1024 * 1024;
+  let total = files.reduce((sum, file) => sum + file.size, 0);
+  let removed = 0;
+  for (const file of files.sort((a, b) => a.mtimeMs - b.mtimeMs)) {
+    if (total <= limit) break;
+    await fs.unlink(file.filePath).catch(() => {});
+    total -= file.size;
+    removed++;
+  }
+  return { files: files.length - removed, size: total, removed };
+}
@@ -0,0 +1,37 @@
+import { decodeAudioSamples } from './loudnessUtils.js';
+
+// 波形的分段数量
+export const WAVEFORM_BUCKETS = 1000;
+// 使用 ffmpeg 解码时的采样率（只用于显示，降低采样率可以加快解码）
+const WAVEFORM_SAMPLE_RATE = 8000;
+
+// 计算音频的波形峰值：按时长平均分为 buckets 段，每段取所有声道的最大振幅，结果为 0 ~ 255 的整数
+// options: { startTime, endTime, duration, ffmpegPath, buckets }
+export async function computeWaveform(filePath, options = {}) {
+  const { duration, buckets = WAVEFORM_BUCKETS } = options;
+  if (!(duration > 0)) throw new Error('无法获取音乐时长');
+  const peaks = new Float32Array(buckets);
+  let frame = 0;
+  await decodeAudioSamples(filePath, {
+    startTime: options.startTime,
+    endTime: options.endTime,
+    channels: 1,
+    sampleRate: WAVEFORM_SAMPLE_RATE,
+    ffmpegPath: options.ffmpegPath
+  }, ({ sampleRate, channels }) => {
+    const framesPerBucket = Math.max(1, duration * sampleRate / buckets);
+    let channel = 0;
+    return (samples) => {
+      for (let i = 0; i < samples.length; i++) {
+        const index = Math.min(buckets - 1, Math.floor(frame / framesPerBucket));
+        const value = Math.abs(samples[i]);
+        if (value > peaks[index]) peaks[index] = value;
+        if (++channel === channels) {
+          channel = 0;
+          frame++;
+        }
+      }
+    };
+  });
+  return Array.from(peaks, peak => Math.min(255, Math.round(peak * 255)));
+}
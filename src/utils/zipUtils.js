@@ -0,0 +1,198 @@
+import { createReadStream } from 'fs';
+import { Readable } from 'stream';
+
+// ZIP 各结构的签名
+const LOCAL_FILE_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50;
+const ZIP64_END_LOCATOR = 0x07064b50;
+// 超过 32 位（条目数超过 16 位）时需要使用 ZIP64 扩展
+const MAX_UINT32 = 0xFFFFFFFF;
+const MAX_UINT16 = 0xFFFF;
+// 通用标志：第 3 位表示 CRC 写在数据描述符中，第 11 位表示文件名为 UTF-8
+const ZIP_FLAGS = 0x0808;
+
+// CRC-32 查找表
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// 增量计算 CRC-32
+const updateCrc32 = (crc, buffer) => {
+  let c = crc ^ MAX_UINT32;
+  for (let i = 0; i < buffer.length; i++) c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ MAX_UINT32) >>> 0;
+}
+
+// 转换为 DOS 格式的时间和日期
+const toDosDateTime = (date) => {
+  const d = date instanceof Date && !isNaN(date) ? date : new Date();
+  const year = Math.min(Math.max(d.getFullYear(), 1980), 2107);
+  return {
+    time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+  };
+}
+
+// 计算每个条目的偏移量和是否需要 ZIP64（不压缩，文件大小即为压缩后大小，因此可以预先算出整个压缩包的大小）
+// entries: [{ name, size, mtime, path | data }]
+const planZip = (entries) => {
+  let offset = 0;
+  const items = entries.map(entry => {
+    const name = Buffer.from(entry.name, 'utf8');
+    const zip64 = entry.size >= MAX_UINT32;
+    const localSize = 30 + name.length + (zip64 ? 20 : 0);
+    const item = { ...entry, nameBuffer: name, zip64, offset, ...toDosDateTime(entry.mtime) };
+    offset += localSize + entry.size + (zip64 ? 24 : 16);
+    return item;
+  });
+  const centralStart = offset;
+  let centralSize = 0;
+  for (const item of items) {
+    item.offsetZip64 = item.offset >= MAX_UINT32;
+    const extraSize = (item.zip64 ? 16 : 0) + (item.offsetZip64 ? 8 : 0);
+    item.centralExtraSize = extraSize > 0 ? extraSize + 4 : 0;
+    centralSize += 46 + item.nameBuffer.length + item.centralExtraSize;
+  }
+  const zip64End = items.length >= MAX_UINT16 || centralStart >= MAX_UINT32 || centralSize >= MAX_UINT32;
+  const totalSize = centralStart + centralSize + (zip64End ? 56 + 20 : 0) + 22;
+  return { items, centralStart, centralSize, zip64End, totalSize };
+}
+
+// 本地文件头（CRC 写在数据描述符中，大小已知所以直接写入）
+const createLocalHeader = (item) => {
+  const header = Buffer.alloc(30 + item.nameBuffer.length + (item.zip64 ? 20 : 0));
+  header.writeUInt32LE(LOCAL_FILE_HEADER, 0);
+  header.writeUInt16LE(item.zip64 ? 45 : 20, 4);
+  header.writeUInt16LE(ZIP_FLAGS, 6);
+  header.writeUInt16LE(0, 8);
+  header.writeUInt16LE(item.time, 10);
+  header.writeUInt16LE(item.date, 12);
+  header.writeUInt32LE(0, 14);
+  header.writeUInt32LE(item.zip64 ? MAX_UINT32 : item.size, 18);
+  header.writeUInt32LE(item.zip64 ? MAX_UINT32 : item.size, 22);
+  header.writeUInt16LE(item.nameBuffer.length, 26);
+  header.writeUInt16LE(item.zip64 ? 20 : 0, 28);
+  item.nameBuffer.copy(header, 30);
+  if (item.zip64) {
+    const extra = 30 + item.nameBuffer.length;
+    header.writeUInt16LE(0x0001, extra);
+    header.writeUInt16LE(16, extra + 2);
+    header.writeBigUInt64LE(BigInt(item.size), extra + 4);
+    header.writeBigUInt64LE(BigInt(item.size), extra + 12);
+  }
+  return header;
+}
+
+// 数据描述符（ZIP64 条目的大小为 8 字节）
+const createDataDescriptor = (item) => {
+  const descriptor = Buffer.alloc(item.zip64 ? 24 : 16);
+  descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+  descriptor.writeUInt32LE(item.crc, 4);
+  if (item.zip64) {
+    descriptor.writeBigUInt64LE(BigInt(item.size), 8);
+    descriptor.writeBigUInt64LE(BigInt(item.size), 16);
+  } else {
+    descriptor.writeUInt32LE(item.size, 8);
+    descriptor.writeUInt32LE(item.size, 12);
+  }
+  return descriptor;
+}
+
+// 中央目录文件头
+const createCentralHeader = (item) => {
+  const header = Buffer.alloc(46 + item.nameBuffer.length + item.centralExtraSize);
+  header.writeUInt32LE(CENTRAL_DIRECTORY_HEADER, 0);
+  // 创建系统为 Unix（用于保存文件权限），版本 4.5
+  header.writeUInt16LE((3 << 8) | 45, 4);
+  header.writeUInt16LE(item.zip64 || item.offsetZip64 ? 45 : 20, 6);
+  header.writeUInt16LE(ZIP_FLAGS, 8);
+  header.writeUInt16LE(0, 10);
+  header.writeUInt16LE(item.time, 12);
+  header.writeUInt16LE(item.date, 14);
+  header.writeUInt32LE(item.crc, 16);
+  header.writeUInt32LE(item.zip64 ? MAX_UINT32 : item.size, 20);
+  header.writeUInt32LE(item.zip64 ? MAX_UINT32 : item.size, 24);
+  header.writeUInt16LE(item.nameBuffer.length, 28);
+  header.writeUInt16LE(item.centralExtraSize, 30);
+  header.writeUInt32LE((0o100644 << 16) >>> 0, 38);
+  header.writeUInt32LE(item.offsetZip64 ? MAX_UINT32 : item.offset, 42);
+  item.nameBuffer.copy(header, 46);
+  if (item.centralExtraSize > 0) {
+    let position = 46 + item.nameBuffer.length;
+    header.writeUInt16LE(0x0001, position);
+    header.writeUInt16LE(item.centralExtraSize - 4, position + 2);
+    position += 4;
+    if (item.zip64) {
+      header.writeBigUInt64LE(BigInt(item.size), position);
+      header.writeBigUInt64LE(BigInt(item.size), position + 8);
+      position += 16;
+    }
+    if (item.offsetZip64) header.writeBigUInt64LE(BigInt(item.offset), position);
+  }
+  return header;
+}
+
+// 中央目录结束记录（需要时先写入 ZIP64 结束记录和定位器）
+const createEndRecords = ({ items, centralStart, centralSize, zip64End }) => {
+  const records = [];
+  if (zip64End) {
+    const record = Buffer.alloc(56);
+    record.writeUInt32LE(ZIP64_END_OF_CENTRAL_DIRECTORY, 0);
+    record.writeBigUInt64LE(44n, 4);
+    record.writeUInt16LE((3 << 8) | 45, 12);
+    record.writeUInt16LE(45, 14);
+    record.writeBigUInt64LE(BigInt(items.length), 24);
+    record.writeBigUInt64LE(BigInt(items.length), 32);
+    record.writeBigUInt64LE(BigInt(centralSize), 40);
+    record.writeBigUInt64LE(BigInt(centralStart), 48);
+    const locator = Buffer.alloc(20);
+    locator.writeUInt32LE(ZIP64_END_LOCATOR, 0);
+    locator.writeBigUInt64LE(BigInt(centralStart + centralSize), 8);
+    locator.writeUInt32LE(1, 16);
+    records.push(record, locator);
+  }
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIRECTORY, 0);
+  end.writeUInt16LE(zip64End ? MAX_UINT16 : items.length, 8);
+  end.writeUInt16LE(zip64End ? MAX_UINT16 : items.length, 10);
+  end.writeUInt32LE(zip64End ? MAX_UINT32 : centralSize, 12);
+  end.writeUInt32LE(zip64End ? MAX_UINT32 : centralStart, 16);
+  records.push(end);
+  return records;
+}
+
+// 创建 ZIP 压缩包（仅存储不压缩，音频文件本身已压缩），边读取文件边输出，不在内存中缓存整个压缩包
+// entries: [{ name, size, mtime, path }] 或 [{ name, data: Buffer, mtime }]，返回 { size, stream }
+export function createZipStream(entries) {
+  const normalized = entries.map(entry => ({ ...entry, size: entry.data ? entry.data.length : entry.size }));
+  const plan = planZip(normalized);
+  const stream = Readable.from((async function* () {
+    for (const item of plan.items) {
+      yield createLocalHeader(item);
+      let crc = 0;
+      let written = 0;
+      const chunks = item.data ? [item.data] : item.size > 0 ? createReadStream(item.path, { start: 0, end: item.size - 1 }) : [];
+      for await (const chunk of chunks) {
+        crc = updateCrc32(crc, chunk);
+        written += chunk.length;
+        yield chunk;
+      }
+      // 文件在打包过程中被修改时无法生成正确的压缩包
+      if (written !== item.size) throw new Error(`文件大小发生变化: ${item.path || item.name}`);
+      item.crc = crc;
+      yield createDataDescriptor(item);
+    }
+    for (const item of plan.items) yield createCentralHeader(item);
+    yield* createEndRecords(plan);
+  })(), { objectMode: false });
+  return { size: plan.totalSize, stream };
+}
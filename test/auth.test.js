@@ -0,0 +1,105 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 数据库位于工作目录下的 db/，切换到临时目录避免影响真实数据
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nas-music-auth-'));
+process.chdir(workDir);
+
+const { default: Koa } = await import('koa');
+const { default: koa_session } = await import('koa-session');
+const { koaBody } = await import('koa-body');
+const { default: auth } = await import('../src/middlewares/auth.js');
+const { default: settings } = await import('../src/api/settings.js');
+const { default: authRouter } = await import('../src/api/auth.js');
+const { createUser } = await import('../src/client/auth.js');
+
+const app = new Koa();
+app.keys = ['test'];
+app.use(koaBody());
+app.use(koa_session({ key: 'KSESSIONID', signed: true }, app));
+app.use(auth);
+settings.prefix('/api/settings');
+app.use(settings.routes(), settings.allowedMethods());
+authRouter.prefix('/api/auth');
+app.use(authRouter.routes(), authRouter.allowedMethods());
+
+const server = app.listen(0);
+const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+test.after(() => {
+  server.close();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+test('未登录时大小写不同的 API 路径同样返回 401', async () => {
+  for (const pathname of ['/api/settings/media-libraries/1', '/API/settings/media-libraries/1', '/Api/Settings/media-libraries/1']) {
+    const response = await fetch(baseUrl + pathname, { method: 'DELETE' });
+    assert.equal(response.status, 401, pathname);
+  }
+});
+
+test('未登录时大小写不同的管理员路径同样返回 401', async () => {
+  for (const pathname of ['/API/auth/users', '/Api/Auth/Users']) {
+    const response = await fetch(baseUrl + pathname);
+    assert.equal(response.status, 401, pathname);
+  }
+});
+
+// 登录并返回会话 Cookie
+const login = async (username, password) => {
+  const response = await fetch(baseUrl + '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username, password })
+  });
+  assert.equal(response.status, 200);
+  return response.headers.getSetCookie().map(cookie => cookie.split(';')[0]).join('; ');
+};
+
+const getStatus = async (cookie) => {
+  const response = await fetch(baseUrl + '/api/auth/status', { headers: { cookie } });
+  return (await response.json()).data;
+};
+
+test('退出登录和修改密码后之前的会话 Cookie 失效', async () => {
+  await createUser({ username: 'listener', password: 'password-1' });
+  const copiedCookie = await login('listener', 'password-1');
+  const cookie = await login('listener', 'password-1');
+  assert.equal((await getStatus(copiedCookie)).authenticated, true);
+
+  const response = await fetch(baseUrl + '/api/auth/password', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json', cookie },
+    body: JSON.stringify({ currentPassword: 'password-1', newPassword: 'password-2' })
+  });
+  assert.equal(response.status, 200);
+  const renewedCookie = response.headers.getSetCookie().map(item => item.split(';')[0]).join('; ') || cookie;
+  assert.equal((await getStatus(copiedCookie)).authenticated, false);
+  assert.equal((await getStatus(renewedCookie)).authenticated, true);
+
+  await fetch(baseUrl + '/api/auth/logout', { method: 'POST', headers: { cookie: renewedCookie } });
+  assert.equal((await getStatus(renewedCookie)).authenticated, false);
+});
+
+test('登录失败锁定只针对同一 IP 的同一用户名', async () => {
+  await createUser({ username: 'locked', password: 'password-1' });
+  await createUser({ username: 'other', password: 'password-1' });
+  for (let i = 0; i < 5; i++) {
+    const response = await fetch(baseUrl + '/api/auth/login', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ username: 'locked', password: 'wrong-password' })
+    });
+    assert.equal(response.status, 401);
+  }
+  const response = await fetch(baseUrl + '/api/auth/login', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ username: 'Locked', password: 'password-1' })
+  });
+  assert.equal(response.status, 429);
+  await login('other', 'password-1');
+});
@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createImageResolver, MAX_IMAGE_SIZE } from '../src/utils/coverUtils.js';
+
+const albumDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nas-music-cover-'));
+
+test.after(() => fs.rmSync(albumDir, { recursive: true, force: true }));
+
+test('超过 500KB 的高清目录封面也会被使用', async () => {
+  const coverPath = path.join(albumDir, 'cover.jpg');
+  fs.writeFileSync(coverPath, Buffer.alloc(3 * 1024 * 1024, 1));
+  const resolveImage = createImageResolver(['cover', 'folder']);
+  const image = await resolveImage(albumDir);
+  assert.equal(image?.path, coverPath);
+});
+
+test('超过大小上限的图片跳过，使用下一个候选图片', async () => {
+  const dir = path.join(albumDir, 'huge');
+  fs.mkdirSync(dir);
+  fs.writeFileSync(path.join(dir, 'cover.jpg'), Buffer.alloc(MAX_IMAGE_SIZE + 1, 1));
+  fs.writeFileSync(path.join(dir, 'folder.jpg'), Buffer.alloc(800 * 1024, 1));
+  const resolveImage = createImageResolver(['cover', 'folder']);
+  const image = await resolveImage(dir);
+  assert.equal(image?.path, path.join(dir, 'folder.jpg'));
+});
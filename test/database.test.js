@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+// 数据库位于工作目录下的 db/，切换到临时目录避免影响真实数据
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nas-music-db-'));
+process.chdir(workDir);
+
+const { upsertTracks, updateAlbumsState, updateArtistStats, albumsPage, artistsPage, findAlbum } = await import('../src/client/database.js');
+
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+test('专辑和歌手列表按排序标签排序', () => {
+  upsertTracks([
+    { libraryId: 'test', path: '/music/1.mp3', title: '1', artist: 'The Beatles', artistSort: 'Beatles, The', album: 'The White Album', albumSort: 'White Album, The' },
+    { libraryId: 'test', path: '/music/2.mp3', title: '2', artist: 'ABBA', album: 'Arrival' },
+    { libraryId: 'test', path: '/music/3.mp3', title: '3', artist: 'Cream', album: 'Wheels of Fire' }
+  ]);
+  updateAlbumsState();
+  ['The Beatles', 'ABBA', 'Cream'].forEach(updateArtistStats);
+  assert.deepEqual(albumsPage({ pageSize: 10 }).data.map(album => album.title), ['Arrival', 'Wheels of Fire', 'The White Album']);
+  assert.deepEqual(artistsPage({ pageSize: 10 }).data.map(artist => artist.name), ['ABBA', 'The Beatles', 'Cream']);
+  assert.deepEqual(artistsPage({ pageSize: 10, order: 'desc' }).data.map(artist => artist.name), ['Cream', 'The Beatles', 'ABBA']);
+});
+
+test('按标题查找专辑时 % 和 _ 不作为通配符', () => {
+  upsertTracks([
+    { libraryId: 'test', path: '/music/4.mp3', title: '4', artist: 'Tester', album: 'AXB' },
+    { libraryId: 'test', path: '/music/5.mp3', title: '5', artist: 'Tester', album: 'A_B' },
+    { libraryId: 'test', path: '/music/6.mp3', title: '6', artist: 'Tester', album: '100% Pure' }
+  ]);
+  assert.equal(findAlbum('AXB').title, 'AXB');
+  assert.equal(findAlbum('a_b').title, 'A_B');
+  assert.equal(findAlbum('A%'), undefined);
+  const album = findAlbum('100% Pure');
+  assert.equal(findAlbum(album.id).title, '100% Pure');
+});
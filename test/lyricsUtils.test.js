@@ -0,0 +1,20 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findLyricsFileName } from '../src/utils/lyricsUtils.js';
+
+const items = ['Song.mp3', 'Song.lrc', 'Song.en.lrc', 'Song.ja.lrc', 'Song.chs.lrc', 'Other.zh.lrc'];
+
+test('多个语言版本的歌词按配置的语言选择', () => {
+  assert.equal(findLyricsFileName(items, '/music/Song.mp3', 'en'), 'Song.en.lrc');
+  assert.equal(findLyricsFileName(items, '/music/Song.mp3', 'ja-JP'), 'Song.ja.lrc');
+  assert.equal(findLyricsFileName(items, '/music/Song.mp3', 'zh-CN'), 'Song.chs.lrc');
+});
+
+test('没有配置语言的歌词时使用无语言后缀的歌词', () => {
+  assert.equal(findLyricsFileName(items, '/music/Song.mp3', 'fr'), 'Song.lrc');
+  assert.equal(findLyricsFileName(['Song.en.lrc', 'Song.ja.lrc'], '/music/Song.mp3', 'fr'), 'Song.en.lrc');
+});
+
+test('.lrc 歌词优先于其他语言的 .txt 歌词', () => {
+  assert.equal(findLyricsFileName(['Song.en.txt', 'Song.lrc'], '/music/Song.mp3', 'en'), 'Song.lrc');
+});
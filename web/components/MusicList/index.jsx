@@ -1,6 +1,14 @@
 import React, { useState } from 'react';
+import { getCoverThumbnail, getQualityBadge } from '../../utils';
 import './index.css';
 
+// 完整性检查发现问题时显示的标记
+const INTEGRITY_LABELS = {
+  corrupt: '损坏',
+  truncated: '不完整',
+  error: '检查失败'
+};
+
 /**
  * 检测是否为移动端
  */
@@ -268,7 +276,7 @@ const MusicList = ({
                 <td className="col-cover">
                   {showCover && (
                     <div className="cover-container">
-                      <img src={track.coverImage || '/images/default_cover.png'} alt="封面" className="cover-image" />
+                      <img src={getCoverThumbnail(track.coverImage, 128, '/images/default_cover.png')} alt="封面" className="cover-image" />
                       <div className="cover-placeholder">
                         <span>🎵</span>
                       </div>
@@ -278,6 +286,16 @@ const MusicList = ({
                 <td className="col-title">
                   <div className="title-cell">
                     <span className="title-text">{track.title || '未知标题'}</span>
+                    {getQualityBadge(track) && (
+                      <span className={`quality-badge ${getQualityBadge(track).level}`} title={getQualityBadge(track).title}>
+                        {getQualityBadge(track).label}
+                      </span>
+                    )}
+                    {INTEGRITY_LABELS[track.integrityStatus] && (
+                      <span className={`integrity-badge ${track.integrityStatus}`} title={track.integrityMessage || ''}>
+                        {INTEGRITY_LABELS[track.integrityStatus]}
+                      </span>
+                    )}
                   </div>
                 </td>
                 <td className="col-artist">
@@ -292,7 +310,7 @@ const MusicList = ({
                 <td className="col-album">
                   <span 
                     className={`album-link ${track.album && track.album !== '未知专辑' ? 'clickable' : ''}`}
-                    onClick={() => handleAlbumClick(track.album)}
+                    onClick={() => handleAlbumClick(track.albumId || track.album)}
                     title={track.album && track.album !== '未知专辑' ? `查看专辑 ${track.album}` : ''}
                   >
                     {track.album || '未知专辑'}
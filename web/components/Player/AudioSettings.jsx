@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+
+// 频率显示（1000 Hz 以上显示为 k）
+const formatFrequency = (frequency) => frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+
+// 增益显示（正数带 + 号）
+const formatGain = (gain) => gain > 0 ? `+${gain}` : String(gain);
+
+/**
+ * 音效设置面板：交叉淡入淡出和 10 段均衡器
+ * settings 为服务端返回的播放器设置，修改通过 onChange 立即生效并保存
+ */
+const AudioSettings = ({ settings, onChange, onSavePreset, onDeletePreset, onClose }) => {
+  const [presetName, setPresetName] = useState('');
+  const [error, setError] = useState('');
+  const presets = [...settings.presets, ...settings.customPresets];
+  const isCustomPreset = settings.customPresets.some(preset => preset.name === settings.equalizerPreset);
+
+  // 选择预设
+  const selectPreset = (name) => {
+    const preset = presets.find(item => item.name === name);
+    if (preset) {
+      onChange({ equalizerPreset: preset.name, equalizerGains: preset.gains });
+    }
+  };
+
+  // 调整单个频段后不再对应任何预设
+  const changeGain = (index, value) => {
+    const gains = [...settings.equalizerGains];
+    gains[index] = value;
+    onChange({ equalizerPreset: '', equalizerGains: gains });
+  };
+
+  // 将当前增益保存为自定义预设
+  const savePreset = async () => {
+    const name = presetName.trim();
+    if (!name) return;
+    const message = await onSavePreset(name);
+    setError(message || '');
+    if (!message) setPresetName('');
+  };
+
+  // 删除当前选中的自定义预设
+  const deletePreset = async () => {
+    setError(await onDeletePreset(settings.equalizerPreset) || '');
+  };
+
+  return (
+    <>
+      <div className="playlist-overlay" onClick={onClose} />
+      <div className="audio-settings-panel">
+        <div className="playlist-header">
+          <h3>🎛️ 音效设置</h3>
+          <div className="playlist-controls">
+            <button onClick={onClose} className="playlist-close-btn">
+              关闭
+            </button>
+          </div>
+        </div>
+        <div className="audio-settings-body">
+          <div className="audio-settings-section">
+            <div className="audio-settings-row">
+              <span className="audio-settings-title">交叉淡入淡出</span>
+              <span className="audio-settings-value">{settings.crossfade ? `${settings.crossfade} 秒` : '关闭'}</span>
+            </div>
+            <input
+              type="range"
+              min="0"
+              max="12"
+              step="1"
+              value={settings.crossfade}
+              onChange={(e) => onChange({ crossfade: Number(e.target.value) })}
+              className="audio-settings-slider"
+            />
+            <p className="audio-settings-hint">切换歌曲时前后两首重叠播放。同一专辑中连续的音轨保持无缝衔接，不做淡入淡出</p>
+          </div>
+
+          <div className="audio-settings-section">
+            <label className="audio-settings-row">
+              <span className="audio-settings-title">均衡器</span>
+              <input
+                type="checkbox"
+                checked={settings.equalizerEnabled}
+                onChange={(e) => onChange({ equalizerEnabled: e.target.checked })}
+              />
+            </label>
+            <div className="audio-settings-row">
+              <select
+                value={settings.equalizerPreset}
+                onChange={(e) => selectPreset(e.target.value)}
+                className="audio-settings-select"
+              >
+                {!presets.some(preset => preset.name === settings.equalizerPreset) && <option value={settings.equalizerPreset}>自定义</option>}
+                <optgroup label="内置预设">
+                  {settings.presets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+                </optgroup>
+                {settings.customPresets.length > 0 && (
+                  <optgroup label="我的预设">
+                    {settings.customPresets.map(preset => <option key={preset.name} value={preset.name}>{preset.name}</option>)}
+                  </optgroup>
+                )}
+              </select>
+              {isCustomPreset && (
+                <button onClick={deletePreset} className="playlist-clear-btn" title="删除此预设">
+                  删除
+                </button>
+              )}
+            </div>
+            <div className={`equalizer-bands ${settings.equalizerEnabled ? '' : 'disabled'}`}>
+              {settings.bands.map((frequency, index) => (
+                <div key={frequency} className="equalizer-band">
+                  <span className="equalizer-gain">{formatGain(settings.equalizerGains[index] || 0)}</span>
+                  <input
+                    type="range"
+                    min="-12"
+                    max="12"
+                    step="0.5"
+                    value={settings.equalizerGains[index] || 0}
+                    onChange={(e) => changeGain(index, Number(e.target.value))}
+                    onDoubleClick={() => changeGain(index, 0)}
+                    className="equalizer-slider"
+                    title={`${formatFrequency(frequency)}Hz（双击归零）`}
+                  />
+                  <span className="equalizer-frequency">{formatFrequency(frequency)}</span>
+                </div>
+              ))}
+            </div>
+            <div className="audio-settings-row">
+              <input
+                type="text"
+                placeholder="预设名称"
+                maxLength={30}
+                value={presetName}
+                onChange={(e) => setPresetName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && savePreset()}
+                className="audio-settings-input"
+              />
+              <button onClick={savePreset} className="playlist-clear-btn" disabled={!presetName.trim()}>
+                保存为预设
+              </button>
+            </div>
+            {error && <p className="audio-settings-error">{error}</p>}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AudioSettings;
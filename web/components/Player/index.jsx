@@ -1,6 +1,120 @@
 import React, { useState, useEffect, useRef, useImperativeHandle, forwardRef } from 'react';
+import { getCoverThumbnail, getQualityBadge, parseResponse } from '../../utils';
+import AudioSettings from './AudioSettings';
 import './index.css';
 
+// 根据音量均衡配置计算音乐的增益（线性倍数）
+const getReplayGain = (track, config) => {
+  if (!track || config.replayGainMode === 'off') return 1;
+  // 专辑模式优先使用专辑增益，没有时使用音轨增益（音轨模式相反）
+  const useAlbum = config.replayGainMode === 'album'
+    ? track.replayGainAlbumGain !== null && track.replayGainAlbumGain !== undefined
+    : track.replayGainTrackGain === null || track.replayGainTrackGain === undefined;
+  const gain = useAlbum ? track.replayGainAlbumGain : track.replayGainTrackGain;
+  const peak = useAlbum ? track.replayGainAlbumPeak : track.replayGainTrackPeak;
+  // 没有增益信息的音乐保持原音量
+  if (gain === null || gain === undefined) return 1;
+  const linear = Math.pow(10, (gain + Number(config.replayGainPreamp || 0)) / 20);
+  // 防止削波：增益后的峰值不超过满刻度
+  return config.replayGainPreventClipping && peak > 0 ? Math.min(linear, 1 / peak) : linear;
+};
+
+// 串流音质对应的最大码率（kbps）
+const STREAM_QUALITY_BITRATES = { high: 320, medium: 192, low: 96 };
+
+// 编码格式对应的 MIME 类型，用于检查浏览器能否直接播放（空字符串表示浏览器都不支持）
+const CODEC_MIME_TYPES = {
+  mp3: 'audio/mpeg',
+  aac: 'audio/mp4; codecs="mp4a.40.2"',
+  alac: 'audio/mp4; codecs="alac"',
+  flac: 'audio/flac',
+  opus: 'audio/ogg; codecs="opus"',
+  vorbis: 'audio/ogg; codecs="vorbis"',
+  pcm: 'audio/wav',
+  wma: '',
+  ape: '',
+  wavpack: '',
+  dsd: ''
+};
+
+// 浏览器能否直接播放该编码格式（未知格式按可播放处理）
+const canPlayCodec = (audio, codec) => {
+  if (!codec || CODEC_MIME_TYPES[codec] === undefined) return true;
+  return !!CODEC_MIME_TYPES[codec] && !!audio?.canPlayType(CODEC_MIME_TYPES[codec]);
+};
+
+// HLS 分段支持的编码格式
+const HLS_FORMATS = ['aac', 'mp3'];
+
+// 浏览器是否原生支持 HLS
+const canPlayHls = (audio) => !!audio?.canPlayType('application/vnd.apple.mpegurl');
+
+// 根据串流音质和串流方式设置生成播放地址，码率超过上限或浏览器无法播放时请求服务端转码
+// 渐进式转码输出不支持 Range，拖动进度时通过 offset 参数从指定时间重新转码；HLS 分段可以直接拖动
+const getStreamSource = (audio, track, config, offset = 0, forceHls = false) => {
+  const maxBitrate = STREAM_QUALITY_BITRATES[config.streamQuality];
+  const overLimit = maxBitrate && (!track.bitrate || track.bitrate > maxBitrate * 1000);
+  const needsTranscode = overLimit || !canPlayCodec(audio, track.codec);
+  const useHls = canPlayHls(audio) && (forceHls || config.streamProtocol === 'hls' || (config.streamProtocol === 'auto' && needsTranscode));
+  if (useHls) {
+    const params = new URLSearchParams();
+    if (needsTranscode) {
+      params.set('format', HLS_FORMATS.includes(config.streamFormat) ? config.streamFormat : 'aac');
+      if (maxBitrate) params.set('maxBitrate', String(maxBitrate));
+    }
+    const query = params.toString();
+    return { url: `/api/music/hls/${track.id}/playlist.m3u8${query ? `?${query}` : ''}`, transcoded: false, hls: true };
+  }
+  if (!needsTranscode) {
+    return { url: `/api/music/stream/${track.id}`, transcoded: false, hls: false };
+  }
+  const params = new URLSearchParams({ format: config.streamFormat || 'mp3' });
+  if (maxBitrate) params.set('maxBitrate', String(maxBitrate));
+  if (offset > 0) params.set('offset', offset.toFixed(3));
+  return { url: `/api/music/stream/${track.id}?${params}`, transcoded: true, hls: false };
+};
+
+// 剩余多少秒时预加载下一首
+const PRELOAD_SECONDS = 20;
+// 剩余多少秒时设置定时器，在当前音乐结束的时刻切换到预加载的下一首（timeupdate 事件间隔约 250ms，不够精确）
+const SWITCH_AHEAD_SECONDS = 1.5;
+
+// 计算需要去除的编码延迟和填充（秒），只适用于直接播放的原始文件
+// 部分浏览器已经根据 LAME 标签去除，此时时长接近有效采样数对应的时长，不再重复去除
+const getGaplessTrim = (audio, track, stream) => {
+  const none = { trimStart: 0, trimEnd: 0 };
+  const sampleRate = track?.sampleRate;
+  if (stream.transcoded || stream.hls || !sampleRate || !(track.encoderDelay > 0 || track.encoderPadding > 0)) return none;
+  const trimStart = (track.encoderDelay || 0) / sampleRate;
+  const trimEnd = (track.encoderPadding || 0) / sampleRate;
+  if (!Number.isFinite(audio.duration)) return none;
+  if (track.sampleCount > 0 && audio.duration - track.sampleCount / sampleRate < (trimStart + trimEnd) / 2) return none;
+  return { trimStart, trimEnd };
+};
+
+// 同一专辑中连续的音轨（如现场专辑、DJ 混音）保持无缝衔接，不做交叉淡入淡出
+const isGaplessSequence = (current, next) => {
+  if (!current || !next) return false;
+  const sameAlbum = current.albumId && next.albumId ? current.albumId === next.albumId : !!current.album && current.album === next.album;
+  return sameAlbum && (current.discNumber || 1) === (next.discNumber || 1) && next.trackNumber === current.trackNumber + 1;
+};
+
+// 进度条上显示的波形柱数量
+const WAVEFORM_BARS = 160;
+
+// 将服务端的波形峰值（0-255）合并为指定数量的柱高（0-1，按最大峰值归一化）
+const downsampleWaveform = (peaks, count) => {
+  if (!peaks?.length) return null;
+  const bars = [];
+  for (let i = 0; i < count; i++) {
+    const start = Math.floor(i * peaks.length / count);
+    const end = Math.max(start + 1, Math.floor((i + 1) * peaks.length / count));
+    bars.push(Math.max(...peaks.slice(start, end)));
+  }
+  const max = Math.max(...bars);
+  return max > 0 ? bars.map(bar => bar / max) : null;
+};
+
 const Player = forwardRef((props, ref) => {
   // 播放器状态 - 完全自管理
   const [currentMusic, setCurrentMusic] = useState(null);
@@ -22,8 +136,39 @@ const Player = forwardRef((props, ref) => {
   // 歌词相关状态
   const [parsedLyrics, setParsedLyrics] = useState([]);
   const [currentLyric, setCurrentLyric] = useState('');
+  // 当前音乐的波形（获取失败时显示普通进度条）
+  const [waveform, setWaveform] = useState(null);
+
+  // 音效设置（交叉淡入淡出、均衡器），按用户保存在服务端
+  const [audioSettings, setAudioSettings] = useState({ crossfade: 0, equalizerEnabled: false, equalizerPreset: '', equalizerGains: [], customPresets: [], bands: [], presets: [] });
+  const [showAudioSettings, setShowAudioSettings] = useState(false);
+  // 音频事件在重新绑定前可能使用旧的闭包，通过 ref 读取最新的音效设置
+  const audioSettingsRef = useRef(audioSettings);
+  audioSettingsRef.current = audioSettings;
+
+  // 音量均衡配置
+  const [playbackConfig, setPlaybackConfig] = useState({ replayGainMode: 'track', replayGainPreamp: 0, replayGainPreventClipping: true, streamQuality: 'original', streamFormat: 'mp3', streamProtocol: 'progressive' });
 
+  // 当前播放的 audio 元素和用于预加载下一首的备用元素，无缝切换时两者交换
   const audioRef = useRef(null);
+  const standbyRef = useRef(null);
+  // 当前播放地址是否为渐进式转码输出、是否为 HLS、转码开始的时间，以及开头和结尾需要去除的编码延迟和填充（秒）
+  const streamRef = useRef({ transcoded: false, hls: false, offset: 0, trimStart: 0, trimEnd: 0 });
+  const seekTimerRef = useRef(null);
+  // 预加载的下一首：{ index, track, stream }，以及结束时切换的定时器
+  const preloadRef = useRef(null);
+  const switchTimerRef = useRef(null);
+  // 无缝切换后音频源已经就绪，跳过一次加载
+  const skipLoadRef = useRef(false);
+  // 交叉淡入淡出时正在淡出的元素和结束定时器
+  const fadeOutRef = useRef(null);
+  // Web Audio 上下文、每个 audio 元素的增益节点（音量均衡 gain、淡入淡出 fade）、均衡器和总输出（首次播放时创建）
+  const audioContextRef = useRef(null);
+  const gainNodesRef = useRef(new Map());
+  const equalizerInputRef = useRef(null);
+  const equalizerFiltersRef = useRef([]);
+  const masterGainRef = useRef(null);
+  const saveSettingsTimerRef = useRef(null);
 
   // 格式化时间
   const formatTime = (seconds) => {
@@ -106,7 +251,7 @@ const Player = forwardRef((props, ref) => {
     // 检查收藏状态
     try {
       const response = await fetch(`/api/music/tracks/${track.id}`);
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         // 数据库中以数字形式存储收藏状态：1表示收藏，0表示未收藏
         setFavorite(result.data.favorite === 1 || result.data.favorite === true);
@@ -117,23 +262,22 @@ const Player = forwardRef((props, ref) => {
     }
   };
 
-  // 播放下一首
-  const nextTrack = () => {
-    if (playlist.length === 0) return;
-    
-    let nextIndex;
+  // 计算下一首在播放列表中的位置，没有下一首时返回 -1
+  const getNextIndex = () => {
+    if (playlist.length === 0) return -1;
     if (isShuffled) {
-      nextIndex = Math.floor(Math.random() * playlist.length);
-    } else {
-      nextIndex = currentPlaylistIndex + 1;
-      if (nextIndex >= playlist.length) {
-        if (repeatMode === 'all') {
-          nextIndex = 0;
-        } else {
-          return;
-        }
-      }
+      return Math.floor(Math.random() * playlist.length);
     }
+    const nextIndex = currentPlaylistIndex + 1;
+    if (nextIndex < playlist.length) return nextIndex;
+    return repeatMode === 'all' ? 0 : -1;
+  };
+
+  // 播放下一首（已预加载时直接切换，随机播放时也使用预加载时选定的那一首）
+  const nextTrack = () => {
+    if (switchToPreloaded()) return;
+    const nextIndex = getNextIndex();
+    if (nextIndex === -1) return;
     
     setCurrentPlaylistIndex(nextIndex);
     playMusic(playlist[nextIndex]);
@@ -156,33 +300,135 @@ const Player = forwardRef((props, ref) => {
     playMusic(playlist[prevIndex]);
   };
 
+  // 创建 Web Audio 处理链（浏览器要求在用户操作后创建）：
+  // 两个 audio 元素各自经过 音量均衡 -> 淡入淡出 增益节点，再共同经过 均衡器 -> 总输出
+  const ensureAudioGraph = () => {
+    if (!audioContextRef.current && audioRef.current && standbyRef.current) {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return;
+      const context = new AudioContext();
+      const equalizerInput = context.createGain();
+      const masterGain = context.createGain();
+      equalizerInput.connect(masterGain).connect(context.destination);
+      for (const audio of [audioRef.current, standbyRef.current]) {
+        const source = context.createMediaElementSource(audio);
+        const gain = context.createGain();
+        const fade = context.createGain();
+        source.connect(gain).connect(fade).connect(equalizerInput);
+        gainNodesRef.current.set(audio, { gain, fade });
+      }
+      audioContextRef.current = context;
+      equalizerInputRef.current = equalizerInput;
+      masterGainRef.current = masterGain;
+      applyEqualizer();
+    }
+    if (audioContextRef.current?.state === 'suspended') {
+      audioContextRef.current.resume();
+    }
+  };
+
+  // 更新播放配置（设置页面保存后调用）
+  const updatePlaybackConfig = (config) => {
+    setPlaybackConfig(prev => ({ ...prev, ...config }));
+  };
+
   // 暴露方法给父组件
   useImperativeHandle(ref, () => ({
     playMusic,
     nextTrack,
     prevTrack,
     addToPlaylist,
+    updatePlaybackConfig,
   }));
 
+  // 修改音效设置：立即生效，连续调整时合并保存
+  const updateAudioSettings = (updates) => {
+    const settings = { ...audioSettings, ...updates };
+    setAudioSettings(settings);
+    clearTimeout(saveSettingsTimerRef.current);
+    saveSettingsTimerRef.current = setTimeout(() => {
+      const { crossfade, equalizerEnabled, equalizerPreset, equalizerGains } = settings;
+      fetch('/api/settings/player', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ crossfade, equalizerEnabled, equalizerPreset, equalizerGains })
+      }).catch(error => console.error('保存音效设置失败:', error));
+    }, 500);
+  };
+
+  // 保存或删除自定义均衡器预设，返回错误信息（成功时返回 null）
+  const requestPreset = async (name, options) => {
+    try {
+      const response = await fetch(`/api/settings/player/presets/${encodeURIComponent(name)}`, options);
+      const result = await parseResponse(response);
+      if (!result.success) return result.error;
+      setAudioSettings(result.data);
+      return null;
+    } catch (error) {
+      console.error('保存均衡器预设失败:', error);
+      return '网络错误，请稍后重试';
+    }
+  };
+
+  const saveEqualizerPreset = (name) => requestPreset(name, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ gains: audioSettings.equalizerGains })
+  });
+
+  const deleteEqualizerPreset = (name) => requestPreset(name, { method: 'DELETE' });
+
+  // 加载音效设置
+  useEffect(() => {
+    fetch('/api/settings/player')
+      .then(parseResponse)
+      .then(result => result.success && setAudioSettings(result.data))
+      .catch(error => console.error('加载音效设置失败:', error));
+  }, []);
+
+  // 均衡器设置变化后立即应用
+  useEffect(() => {
+    applyEqualizer();
+  }, [audioSettings]);
+
+  // 加载播放配置
+  useEffect(() => {
+    fetch('/api/settings/playback')
+      .then(parseResponse)
+      .then(result => result.success && updatePlaybackConfig(result.data))
+      .catch(error => console.error('加载播放配置失败:', error));
+  }, []);
+
   // 音频事件处理
   useEffect(() => {
     const audio = audioRef.current;
     if (!audio) return;
     const handleTimeUpdate = () => {
-      setCurrentTime(audio.currentTime);
+      // 无缝切换后旧元素的事件在重新绑定前仍可能触发
+      if (audio !== audioRef.current) return;
+      const time = getPlaybackTime(audio, streamRef.current);
+      setCurrentTime(time);
+      scheduleGaplessSwitch(audio);
       if(parsedLyrics){
-        const currentLyric = parsedLyrics.find(lyric => lyric.time <= audio.currentTime)?.text || '';
+        const currentLyric = parsedLyrics.find(lyric => lyric.time <= time)?.text || '';
         setCurrentLyric(currentLyric);
       }
     };
 
     const handleLoadedMetadata = () => {
-      setDuration(audio.duration);
+      applyGaplessTrim(audio, currentMusic, streamRef.current);
+      setDuration(getStreamDuration(audio, currentMusic, streamRef.current));
     };
 
     const handleEnded = () => {
+      if (audio !== audioRef.current) return;
       if (repeatMode === 'one') {
-        audio.currentTime = 0;
+        // 转码播放时如果从中间开始转码，需要从头重新请求
+        if (streamRef.current.offset > 0) {
+          loadSource(currentMusic);
+        } else {
+          audio.currentTime = streamRef.current.trimStart;
+        }
         audio.play();
       } else {
         nextTrack();
@@ -190,18 +436,37 @@ const Player = forwardRef((props, ref) => {
     };
 
     const handlePlay = () => {
+      ensureAudioGraph();
+      updateGain(audio, currentMusic);
       setIsPlaying(true);
     };
 
     const handlePause = () => {
+      if (audio !== audioRef.current) return;
+      // 暂停后不再按时切换（继续播放时重新设置），正在淡出的上一首也立即停止
+      clearTimeout(switchTimerRef.current);
+      switchTimerRef.current = null;
+      finishFadeOut();
       setIsPlaying(false);
     };
 
+    // 渐进式播放出错时改用 HLS，并从出错的位置继续播放
+    const handleError = () => {
+      if (audio !== audioRef.current) return;
+      if (!currentMusic || playbackConfig.streamProtocol !== 'auto' || streamRef.current.hls || !canPlayHls(audio)) return;
+      const time = getPlaybackTime(audio, streamRef.current);
+      console.warn('播放出错，改用HLS播放:', audio.error?.message);
+      loadSource(currentMusic, 0, true);
+      audio.addEventListener('loadedmetadata', () => { audio.currentTime = time; }, { once: true });
+      audio.play();
+    };
+
     audio.addEventListener('timeupdate', handleTimeUpdate);
     audio.addEventListener('loadedmetadata', handleLoadedMetadata);
     audio.addEventListener('ended', handleEnded);
     audio.addEventListener('play', handlePlay);
     audio.addEventListener('pause', handlePause);
+    audio.addEventListener('error', handleError);
 
     return () => {
       audio.removeEventListener('timeupdate', handleTimeUpdate);
@@ -209,19 +474,250 @@ const Player = forwardRef((props, ref) => {
       audio.removeEventListener('ended', handleEnded);
       audio.removeEventListener('play', handlePlay);
       audio.removeEventListener('pause', handlePause);
+      audio.removeEventListener('error', handleError);
     };
-  }, [repeatMode, parsedLyrics]);
+  }, [repeatMode, parsedLyrics, currentMusic, playbackConfig]);
+
+  // 为 audio 元素设置音频源，返回播放地址信息（编码延迟在加载元数据后计算）
+  const createStream = (audio, track, offset = 0, forceHls = false) => {
+    const { url, transcoded, hls } = getStreamSource(audio, track, playbackConfig, offset, forceHls);
+    audio.src = url;
+    return { transcoded, hls, offset: transcoded ? offset : 0, trimStart: 0, trimEnd: 0 };
+  };
+
+  // 加载音频源，offset 为转码开始的时间（秒），forceHls 表示出错后改用 HLS
+  const loadSource = (track, offset = 0, forceHls = false) => {
+    streamRef.current = createStream(audioRef.current, track, offset, forceHls);
+  };
+
+  // 当前播放位置（秒）：加上转码开始的时间，减去开头的编码延迟
+  const getPlaybackTime = (audio, stream) => stream.offset + audio.currentTime - stream.trimStart;
+
+  // 播放时长：实时转码的输出没有总时长，使用音乐信息中的时长；原始文件去除编码延迟和填充
+  const getStreamDuration = (audio, track, stream) => {
+    if (stream.transcoded) return track?.duration || 0;
+    return Math.max(0, audio.duration - stream.trimStart - stream.trimEnd);
+  };
+
+  // 加载元数据后计算编码延迟和填充，并跳过开头的编码延迟
+  const applyGaplessTrim = (audio, track, stream) => {
+    Object.assign(stream, getGaplessTrim(audio, track, stream));
+    if (stream.trimStart > 0 && audio.currentTime < stream.trimStart) {
+      audio.currentTime = stream.trimStart;
+    }
+  };
+
+  // 设置 audio 元素对应的增益
+  const updateGain = (audio, track) => {
+    const nodes = gainNodesRef.current.get(audio);
+    if (nodes) {
+      nodes.gain.gain.value = getReplayGain(track, playbackConfig);
+    }
+  };
+
+  // 应用均衡器设置（频段在设置加载后才能确定，首次应用时创建滤波器并接入处理链）
+  const applyEqualizer = () => {
+    const context = audioContextRef.current;
+    const { bands, equalizerEnabled, equalizerGains } = audioSettingsRef.current;
+    if (!context) return;
+    if (equalizerFiltersRef.current.length === 0 && bands.length > 0) {
+      const filters = bands.map((frequency, index) => {
+        const filter = context.createBiquadFilter();
+        filter.type = index === 0 ? 'lowshelf' : index === bands.length - 1 ? 'highshelf' : 'peaking';
+        filter.frequency.value = frequency;
+        filter.Q.value = 1.4;
+        return filter;
+      });
+      equalizerInputRef.current.disconnect();
+      filters.reduce((previous, filter) => previous.connect(filter), equalizerInputRef.current).connect(masterGainRef.current);
+      equalizerFiltersRef.current = filters;
+    }
+    equalizerFiltersRef.current.forEach((filter, index) => {
+      filter.gain.value = equalizerEnabled ? (equalizerGains[index] || 0) : 0;
+    });
+    // 提升增益时降低总音量，防止削波
+    const boost = equalizerEnabled ? Math.max(0, ...equalizerGains) : 0;
+    masterGainRef.current.gain.value = Math.pow(10, -boost / 20);
+  };
+
+  // 交叉淡入淡出时长（秒）：未开启、无法使用 Web Audio 或同一专辑的连续音轨时为 0，最长不超过当前音乐的一半
+  const getCrossfade = (current, next, audio) => {
+    const crossfade = Number(audioSettingsRef.current.crossfade) || 0;
+    if (crossfade <= 0 || !audioContextRef.current || isGaplessSequence(current, next)) return 0;
+    return Math.min(crossfade, getStreamDuration(audio, current, streamRef.current) / 2);
+  };
+
+  // 设置 audio 元素的淡入淡出增益，duration 为 0 时立即生效
+  const rampFade = (audio, from, to, duration = 0) => {
+    const fade = gainNodesRef.current.get(audio)?.fade.gain;
+    if (!fade) return;
+    const now = audioContextRef.current.currentTime;
+    fade.cancelScheduledValues(now);
+    fade.setValueAtTime(from, now);
+    if (duration > 0) fade.linearRampToValueAtTime(to, now + duration);
+    else fade.setValueAtTime(to, now);
+  };
+
+  // 停止 audio 元素并清空音频源
+  const stopAudio = (audio) => {
+    audio.pause();
+    audio.removeAttribute('src');
+    audio.load();
+  };
+
+  // 结束淡出：停止淡出的元素，恢复其增益
+  const finishFadeOut = () => {
+    const fading = fadeOutRef.current;
+    if (!fading) return;
+    clearTimeout(fading.timer);
+    fadeOutRef.current = null;
+    stopAudio(fading.audio);
+    rampFade(fading.audio, 1, 1);
+  };
+
+  // 取消预加载，清空备用元素
+  const cancelPreload = () => {
+    finishFadeOut();
+    clearTimeout(switchTimerRef.current);
+    switchTimerRef.current = null;
+    preloadRef.current = null;
+    const standby = standbyRef.current;
+    if (standby?.getAttribute('src')) {
+      standby.removeAttribute('src');
+      standby.load();
+    }
+  };
+
+  // 在备用元素中预加载下一首（单曲循环时不需要，上一首还在淡出时稍后再加载）
+  const preloadNext = () => {
+    const standby = standbyRef.current;
+    const index = repeatMode === 'one' ? -1 : getNextIndex();
+    if (!standby || index === -1 || fadeOutRef.current) return;
+    const track = playlist[index];
+    const preload = { index, track, stream: createStream(standby, track) };
+    preloadRef.current = preload;
+    standby.addEventListener('loadedmetadata', () => {
+      if (preloadRef.current === preload) applyGaplessTrim(standby, track, preload.stream);
+    }, { once: true });
+    // 加载失败时保留预加载记录（避免反复重试），结束后按普通方式播放下一首
+    standby.addEventListener('error', () => {
+      if (preloadRef.current !== preload) return;
+      standby.removeAttribute('src');
+      standby.load();
+    }, { once: true });
+  };
 
-  // 音频源更新
+  // 快要结束时预加载下一首，并在去除结尾填充后的结束时刻切换（开启交叉淡入淡出时提前开始）
+  const scheduleGaplessSwitch = (audio) => {
+    if (audio.paused || !currentMusic) return;
+    const stream = streamRef.current;
+    const remaining = getStreamDuration(audio, currentMusic, stream) - getPlaybackTime(audio, stream);
+    if (!Number.isFinite(remaining)) return;
+    if (remaining < PRELOAD_SECONDS + (Number(audioSettingsRef.current.crossfade) || 0) && !preloadRef.current) {
+      preloadNext();
+    }
+    const preload = preloadRef.current;
+    const crossfade = preload ? getCrossfade(currentMusic, preload.track, audio) : 0;
+    if (preload && remaining - crossfade < SWITCH_AHEAD_SECONDS && !switchTimerRef.current) {
+      switchTimerRef.current = setTimeout(() => {
+        switchTimerRef.current = null;
+        switchToPreloaded(crossfade);
+      }, Math.max(0, (remaining - crossfade) * 1000 / (audio.playbackRate || 1)));
+    }
+  };
+
+  // 切换到预加载的下一首：备用元素开始播放后停止当前元素（或在 crossfade 秒内淡出），两者交换，未就绪时返回 false
+  const switchToPreloaded = (crossfade = 0) => {
+    const preload = preloadRef.current;
+    const current = audioRef.current;
+    const next = standbyRef.current;
+    if (!preload || !next || next.readyState < HTMLMediaElement.HAVE_CURRENT_DATA || playlist[preload.index]?.id !== preload.track.id) {
+      return false;
+    }
+    clearTimeout(switchTimerRef.current);
+    switchTimerRef.current = null;
+    preloadRef.current = null;
+    finishFadeOut();
+    next.volume = current.volume;
+    next.muted = current.muted;
+    updateGain(next, preload.track);
+    if (crossfade > 0) {
+      rampFade(next, 0, 1, crossfade);
+      rampFade(current, 1, 0, crossfade);
+      next.play();
+      fadeOutRef.current = { audio: current, timer: setTimeout(finishFadeOut, crossfade * 1000) };
+    } else {
+      rampFade(next, 1, 1);
+      next.play();
+      stopAudio(current);
+    }
+    audioRef.current = next;
+    standbyRef.current = current;
+    streamRef.current = preload.stream;
+    skipLoadRef.current = true;
+    setCurrentTime(getPlaybackTime(next, preload.stream));
+    setDuration(getStreamDuration(next, preload.track, preload.stream));
+    setCurrentPlaylistIndex(preload.index);
+    playMusic(preload.track);
+    return true;
+  };
+
+  // 跳转到指定时间，转码播放时从该时间重新请求（拖动进度条时合并连续的跳转）
+  const seekTo = (time) => {
+    const audio = audioRef.current;
+    if (!audio || !currentMusic) return;
+    // 往回拖动时取消已设置的切换
+    clearTimeout(switchTimerRef.current);
+    switchTimerRef.current = null;
+    if (streamRef.current.transcoded) {
+      clearTimeout(seekTimerRef.current);
+      seekTimerRef.current = setTimeout(() => {
+        const paused = audio.paused;
+        loadSource(currentMusic, time);
+        if (!paused) audio.play();
+      }, 250);
+    } else {
+      audio.currentTime = time + streamRef.current.trimStart;
+    }
+  };
+
+  // 音频源更新（无缝切换时已经在播放，不需要重新加载）
   useEffect(() => {
+    if (skipLoadRef.current) {
+      skipLoadRef.current = false;
+      return;
+    }
     if (currentMusic && audioRef.current) {
-      audioRef.current.src = `/api/music/stream/${currentMusic.id}`;
+      cancelPreload();
+      loadSource(currentMusic);
       if (isPlaying) {
         audioRef.current.play();
       }
     }
   }, [currentMusic]);
 
+  // 加载当前音乐的波形（首次请求时服务端需要解码生成，切换音乐后忽略之前的结果）
+  useEffect(() => {
+    setWaveform(null);
+    if (!currentMusic) return;
+    let cancelled = false;
+    fetch(`/api/music/tracks/${currentMusic.id}/waveform`)
+      .then(parseResponse)
+      .then(result => !cancelled && result.success && setWaveform(downsampleWaveform(result.data.peaks, WAVEFORM_BARS)))
+      .catch(error => console.error('加载波形失败:', error));
+    return () => { cancelled = true; };
+  }, [currentMusic?.id]);
+
+  // 播放列表、播放模式或串流设置变化后，预加载的下一首可能不再正确
+  useEffect(() => {
+    cancelPreload();
+  }, [playlist, isShuffled, repeatMode, playbackConfig]);
+
+  // 切换音乐或修改配置时更新增益
+  useEffect(() => {
+    updateGain(audioRef.current, currentMusic);
+  }, [currentMusic, playbackConfig]);
+
   // 音量控制
   useEffect(() => {
     if (audioRef.current) {
@@ -235,13 +731,21 @@ const Player = forwardRef((props, ref) => {
       <div className="bottom-player">
         {/* 音频元素 */}
         <audio ref={audioRef} preload="metadata" />
+        <audio ref={standbyRef} preload="auto" />
         <div className="player-track-info">
           {currentMusic ? (
             <>
-              <img src={currentMusic.coverImage || '/images/default_cover.png'} alt="封面" className="player-cover" />
+              <img src={getCoverThumbnail(currentMusic.coverImage, 128, '/images/default_cover.png')} alt="封面" className="player-cover" />
               <div className="player-info">
                 <div className="player-title">{currentMusic.title}</div>
-                <div className="player-artist">{currentMusic.artist}</div>
+                <div className="player-artist">
+                  {getQualityBadge(currentMusic) && (
+                    <span className={`player-quality ${getQualityBadge(currentMusic).level}`} title={getQualityBadge(currentMusic).title}>
+                      {getQualityBadge(currentMusic).label}
+                    </span>
+                  )}
+                  {currentMusic.artist}
+                </div>
               </div>
             </>
           ) : (
@@ -331,7 +835,7 @@ const Player = forwardRef((props, ref) => {
                         },
                         body: JSON.stringify({ favorite: !favorite })
                       });
-                      const result = await response.json();
+                      const result = await parseResponse(response);
                       if (result.success) {
                         setFavorite(!favorite);
                       } else {
@@ -378,6 +882,13 @@ const Player = forwardRef((props, ref) => {
                     className="mobile-volume-slider"
                   />
                   
+                  <button
+                    onClick={() => setShowAudioSettings(!showAudioSettings)}
+                    className="control-btn player-list-btn"
+                    title="音效设置"
+                  >
+                    🎛️
+                  </button>
                   <button
                     onClick={() => setShowPlaylist(!showPlaylist)}
                     className="control-btn player-list-btn"
@@ -389,11 +900,23 @@ const Player = forwardRef((props, ref) => {
             </div>
             <div className="progress-section">
               <span className="time-display">{formatTime(currentTime)}</span>
-              <div className="progress-bar-container">
-                <div 
-                  className="progress-bar-fill" 
-                  style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
-                />
+              <div className={`progress-bar-container ${waveform ? 'has-waveform' : ''}`}>
+                {waveform ? (
+                  <div className="progress-waveform">
+                    {waveform.map((height, index) => (
+                      <span
+                        key={index}
+                        className={duration && (index + 0.5) / waveform.length <= currentTime / duration ? 'played' : ''}
+                        style={{ height: `${Math.max(6, height * 100)}%` }}
+                      />
+                    ))}
+                  </div>
+                ) : (
+                  <div 
+                    className="progress-bar-fill" 
+                    style={{ width: `${duration ? (currentTime / duration) * 100 : 0}%` }}
+                  />
+                )}
                 <input
                   type="range"
                   min="0"
@@ -401,9 +924,7 @@ const Player = forwardRef((props, ref) => {
                   value={currentTime}
                   onChange={(e) => {
                     const newTime = parseFloat(e.target.value);
-                    if (audioRef.current) {
-                      audioRef.current.currentTime = newTime;
-                    }
+                    seekTo(newTime);
                     setCurrentTime(newTime);
                   }}
                   className="progress-slider"
@@ -451,6 +972,13 @@ const Player = forwardRef((props, ref) => {
             className="volume-slider"
           />
           
+          <button
+            onClick={() => setShowAudioSettings(!showAudioSettings)}
+            className="control-btn"
+            title="音效设置"
+          >
+            🎛️
+          </button>
           <button
             onClick={() => setShowPlaylist(!showPlaylist)}
             className="control-btn"
@@ -462,6 +990,16 @@ const Player = forwardRef((props, ref) => {
       </div>
 
       {/* 播放列表面板 */}
+      {showAudioSettings && (
+        <AudioSettings
+          settings={audioSettings}
+          onChange={updateAudioSettings}
+          onSavePreset={saveEqualizerPreset}
+          onDeletePreset={deleteEqualizerPreset}
+          onClose={() => setShowAudioSettings(false)}
+        />
+      )}
+
       {showPlaylist && (
         <>
           <div className="playlist-overlay" onClick={() => setShowPlaylist(false)} />
@@ -5,12 +5,14 @@ import {
   MusicPage,
   AlbumsPage,
   ArtistsPage,
+  GenresPage,
   FavoritesPage,
   RecentlyPlayedPage,
   SettingsPage,
   AlbumDetailView,
   TrackDetailPage,
   ArtistDetailView,
+  GenreDetailView,
   ShufflePage,
 } from './views';
 import './index.css';
@@ -171,6 +173,13 @@ const NASMusicPlayer = (props) => {
       }
     },
 
+    // 更新播放配置（音量均衡）
+    updatePlaybackConfig: (config) => {
+      if (playerRef.current) {
+        playerRef.current.updatePlaybackConfig(config);
+      }
+    },
+
     // 全局Loading方法
     showLoading,
     hideLoading,
@@ -207,6 +216,7 @@ const NASMusicPlayer = (props) => {
               <Link to='/' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>🎵 音乐</Link>
               <Link to='/albums' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>💿 专辑</Link>
               <Link to='/artists' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>👤 艺术家</Link>
+              <Link to='/genres' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>🏷️ 流派</Link>
               <Link to='/favorites' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>⭐ 收藏</Link>
               <Link to='/recent' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>🕒 最近播放</Link>
               <Link to='/shuffle' className={`nav-item`} onClick={() => player.onMobileCloseSidebar()}>🔀 随机播放</Link>
@@ -219,12 +229,14 @@ const NASMusicPlayer = (props) => {
               <Route path="/" element={<MusicPage player={player}/>} />
               <Route path="/albums" element={<AlbumsPage player={player}/>} />
               <Route path="/artists" element={<ArtistsPage player={player}/>} />
+              <Route path="/genres" element={<GenresPage player={player}/>} />
               <Route path="/favorites" element={<FavoritesPage player={player}/>} />
               <Route path="/recent" element={<RecentlyPlayedPage player={player}/>} />
               <Route path="/shuffle" element={<ShufflePage player={player}/>} />
               <Route path="/settings" element={<SettingsPage player={player}/>} />
               <Route path="/album/:albumId" element={<AlbumDetailView player={player}/>} />
               <Route path="/artist/:artistId" element={<ArtistDetailView player={player}/>} />
+              <Route path="/genre/:genreId" element={<GenreDetailView player={player}/>} />
               <Route path="/track/:trackId" element={<TrackDetailPage player={player}/>} />
               <Route path="*" element={<Navigate replace to="/" />} />
             </Routes>
@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import './login.css';
+
+/**
+ * 登录页面
+ * 还没有任何用户时显示创建管理员表单（首次使用）
+ */
+const LoginPage = ({ init_data = {} }) => {
+  const setup = !!init_data.needsSetup;
+  const [form, setForm] = useState({ username: '', password: '', confirmPassword: '' });
+  const [error, setError] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const updateForm = (field, value) => setForm({ ...form, [field]: value });
+
+  /**
+   * 提交登录或创建管理员
+   */
+  const submit = async (e) => {
+    e.preventDefault();
+    if (setup && form.password !== form.confirmPassword) {
+      setError('两次输入的密码不一致');
+      return;
+    }
+    setSubmitting(true);
+    setError('');
+    try {
+      const response = await fetch(setup ? '/api/auth/setup' : '/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: form.username, password: form.password })
+      });
+      const result = await response.json();
+      if (result.success) {
+        window.location.href = '/';
+        return;
+      }
+      setError(result.error || '登录失败');
+    } catch (error) {
+      console.error('登录失败:', error);
+      setError('网络错误，请稍后再试');
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <div className="login-container">
+      <form className="login-card" onSubmit={submit}>
+        <h1>🎵 NAS音乐</h1>
+        <p className="login-desc">{setup ? '首次使用，请创建管理员账号' : '请登录后使用'}</p>
+        <label>
+          <span>用户名</span>
+          <input
+            type="text"
+            autoComplete="username"
+            autoFocus
+            value={form.username}
+            onChange={(e) => updateForm('username', e.target.value)}
+          />
+        </label>
+        <label>
+          <span>密码</span>
+          <input
+            type="password"
+            autoComplete={setup ? 'new-password' : 'current-password'}
+            value={form.password}
+            onChange={(e) => updateForm('password', e.target.value)}
+          />
+        </label>
+        {setup && (
+          <label>
+            <span>确认密码</span>
+            <input
+              type="password"
+              autoComplete="new-password"
+              value={form.confirmPassword}
+              onChange={(e) => updateForm('confirmPassword', e.target.value)}
+            />
+          </label>
+        )}
+        {error && <p className="login-error">{error}</p>}
+        <button type="submit" className="login-btn" disabled={submitting || !form.username.trim() || !form.password}>
+          {submitting ? '请稍候...' : setup ? '创建管理员并登录' : '登录'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginPage;
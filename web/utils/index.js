@@ -0,0 +1,42 @@
+/**
+ * 读取接口返回的 JSON，登录过期（401）时跳转到登录页
+ * 登录相关接口（/api/auth/*）返回的 401 表示用户名或密码错误，由调用方自行处理
+ * @param {Response} response fetch 返回的响应
+ */
+export const parseResponse = (response) => {
+  if (response.status === 401 && !new URL(response.url, window.location.href).pathname.startsWith('/api/auth/')) {
+    window.location.href = '/login';
+  }
+  return response.json();
+};
+
+// 封面存储中的图片地址前缀
+const COVER_URL_PREFIX = '/api/music/covers/';
+
+/**
+ * 获取封面缩略图地址（封面存储中的图片按尺寸返回缩略图，网络图片等原样返回）
+ * @param {string} src 封面地址
+ * @param {number} size 缩略图尺寸（像素）
+ * @param {string} fallback 没有封面时的默认图片
+ */
+export const getCoverThumbnail = (src, size, fallback = '') => {
+  if (!src) return fallback;
+  return src.startsWith(COVER_URL_PREFIX) ? `${src.split('?')[0]}?size=${size}` : src;
+};
+
+/**
+ * 获取音质标记，如 FLAC 24/96、MP3 320
+ * level: hires（≥24bit/96kHz 的无损）、lossless（无损）、lossy（有损）
+ * @param {object} track 音乐信息（codec、lossless、bitsPerSample、sampleRate、bitrate）
+ */
+export const getQualityBadge = (track) => {
+  if (!track?.codec) return null;
+  const codec = track.codec.toUpperCase();
+  if (track.lossless) {
+    const hires = track.bitsPerSample >= 24 && track.sampleRate >= 96000;
+    const detail = track.bitsPerSample && track.sampleRate ? ` ${track.bitsPerSample}/${+(track.sampleRate / 1000).toFixed(1)}` : '';
+    return { label: `${codec}${detail}`, level: hires ? 'hires' : 'lossless', title: hires ? 'Hi-Res 无损' : '无损' };
+  }
+  const detail = track.bitrate ? ` ${Math.round(track.bitrate / 1000)}` : '';
+  return { label: `${codec}${detail}`, level: 'lossy', title: '有损' };
+};
@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
+import { getCoverThumbnail, parseResponse } from '../../utils';
 import './AlbumDetail.css';
 
 /**
@@ -39,7 +40,7 @@ const AlbumDetailView = ({ player }) => {
 
         // 获取专辑详情
         const albumResponse = await fetch(`/api/music/albums/${albumId}`);
-        const albumResult = await albumResponse.json();
+        const albumResult = await parseResponse(albumResponse);
 
         if (!albumResult.success) {
           throw new Error(albumResult.error || '获取专辑信息失败');
@@ -60,14 +61,34 @@ const AlbumDetailView = ({ player }) => {
     loadAlbumDetail();
   }, [albumId]);
 
-  // 格式化时长
+  // 格式化时长（超过一小时显示小时）
   const formatDuration = (seconds) => {
     if (!seconds) return '0:00';
-    const mins = Math.floor(seconds / 60);
+    const hours = Math.floor(seconds / 3600);
+    const mins = Math.floor((seconds % 3600) / 60);
     const secs = Math.floor(seconds % 60);
+    if (hours > 0) {
+      return `${hours}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
     return `${mins}:${secs.toString().padStart(2, '0')}`;
   };
 
+  // 按碟号分组（接口返回的歌曲已按碟号、音轨号排序）
+  const groupTracksByDisc = (list) => {
+    const discs = [];
+    for (const track of list) {
+      const discNumber = track.discNumber || 1;
+      let disc = discs.find(item => item.discNumber === discNumber);
+      if (!disc) {
+        disc = { discNumber, tracks: [], duration: 0 };
+        discs.push(disc);
+      }
+      disc.tracks.push(track);
+      disc.duration += track.duration || 0;
+    }
+    return discs;
+  };
+
   // 处理播放全部
   const handlePlayAll = () => {
     if (tracks.length > 0) {
@@ -140,13 +161,17 @@ const AlbumDetailView = ({ player }) => {
         body: JSON.stringify(editForm)
       });
       
-      const result = await response.json();
+      const result = await parseResponse(response);
       
       if (result.success) {
         // 更新本地状态
         setAlbum(result.data);
         setTracks(result.data.tracks || []);
         setShowEditModal(false);
+        // 修改专辑名称或歌手后专辑ID会变化
+        if (result.data.id !== albumId) {
+          navigate(`/album/${result.data.id}`, { replace: true });
+        }
         player.showToastMessage('专辑信息更新成功', 'success');
       } else {
         player.showToastMessage('更新失败: ' + result.error, 'error');
@@ -255,6 +280,8 @@ const AlbumDetailView = ({ player }) => {
   }
 
   const cover = getAlbumCover();
+  const discs = groupTracksByDisc(tracks);
+  const totalDuration = tracks.reduce((sum, track) => sum + (track.duration || 0), 0);
 
   return (
     <div className="album-detail">
@@ -284,6 +311,8 @@ const AlbumDetailView = ({ player }) => {
           <h2 className="ad-title">{album.title || '未知专辑'}</h2>
           <div className="ad-sub">
             {album.artist || '未知艺术家'} · {tracks.length} 首歌曲
+            {discs.length > 1 && ` · ${discs.length} 张碟`}
+            {totalDuration > 0 && ` · ${formatDuration(totalDuration)}`}
             {album.year && ` · ${album.year}`}
           </div>
           <div className="ad-actions">
@@ -301,6 +330,16 @@ const AlbumDetailView = ({ player }) => {
             >
               ➕ 加入播放列表
             </button>
+            {tracks.length > 0 && (
+              <a
+                className="ad-btn"
+                href={`/api/music/albums/${encodeURIComponent(album.id)}/download`}
+                download
+                title="下载专辑（ZIP，包含封面和播放列表）"
+              >
+                ⬇️ 下载
+              </a>
+            )}
           </div>
         </div>
       </div>
@@ -319,64 +358,74 @@ const AlbumDetailView = ({ player }) => {
               <div>暂无歌曲</div>
             </div>
           ) : (
-            tracks.map((track, idx) => (
-              <div
-                key={track.id || track._id}
-                className="tr"
-                onDoubleClick={() => handlePlay(track)}
-              >
-                <div className="td td-no">{idx + 1}</div>
-                <div className="td td-title">
-                  <div className="title-wrap">
-                    <img className="td-cover" src={track.coverImage || '/images/default_albums.png'} alt="封面" />
-                    <div className="title-text">{track.title || '未知标题'}</div>
+            discs.map((disc) => (
+              <React.Fragment key={disc.discNumber}>
+                {discs.length > 1 && (
+                  <div className="ad-disc-header">
+                    <span className="ad-disc-title">💿 碟 {disc.discNumber}</span>
+                    <span className="ad-disc-info">{disc.tracks.length} 首 · {formatDuration(disc.duration)}</span>
                   </div>
-                </div>
-                <div className="td td-artist">
-                  <span 
-                    className={`artist-link ${track.artist && track.artist !== '未知艺术家' ? 'clickable' : ''}`}
-                    onClick={() => handleArtistClick(track.artist)}
-                    title={track.artist && track.artist !== '未知艺术家' ? `查看 ${track.artist} 的歌曲` : ''}
+                )}
+                {disc.tracks.map((track, idx) => (
+                  <div
+                    key={track.id || track._id}
+                    className="tr"
+                    onDoubleClick={() => handlePlay(track)}
                   >
-                    {track.artist || '未知艺术家'}
-                  </span>
-                </div>
-                <div className="td td-duration">
-                  {formatDuration(track.duration)}
-                </div>
-                <div className="td td-actions">
-                  <div className="action-buttons">
-                    <button 
-                      className="action-btn play-btn"
-                      onClick={() => handlePlay(track)}
-                      title="播放"
-                    >
-                      ▶️
-                    </button>
-                    <button 
-                      className="action-btn add-btn"
-                      onClick={() => handleAddToPlaylist(track)}
-                      title="添加到播放列表"
-                    >
-                      ➕
-                    </button>
-                    <button 
-                      className={`action-btn favorite-btn ${track.favorite ? 'favorited' : ''}`}
-                      onClick={() => handleFavorite(track, !track.favorite)}
-                      title={track.favorite ? '取消收藏' : '收藏'}
-                    >
-                      {track.favorite ? '⭐' : '☆'}
-                    </button>
-                    <button 
-                      className="action-btn details-btn"
-                      onClick={() => handleOpenDetail(track)}
-                      title="详情"
-                    >
-                      ℹ️
-                    </button>
+                    <div className="td td-no">{track.trackNumber || idx + 1}</div>
+                    <div className="td td-title">
+                      <div className="title-wrap">
+                        <img className="td-cover" src={getCoverThumbnail(track.coverImage, 128, '/images/default_albums.png')} alt="封面" />
+                        <div className="title-text">{track.title || '未知标题'}</div>
+                      </div>
+                    </div>
+                    <div className="td td-artist">
+                      <span 
+                        className={`artist-link ${track.artist && track.artist !== '未知艺术家' ? 'clickable' : ''}`}
+                        onClick={() => handleArtistClick(track.artist)}
+                        title={track.artist && track.artist !== '未知艺术家' ? `查看 ${track.artist} 的歌曲` : ''}
+                      >
+                        {track.artist || '未知艺术家'}
+                      </span>
+                    </div>
+                    <div className="td td-duration">
+                      {formatDuration(track.duration)}
+                    </div>
+                    <div className="td td-actions">
+                      <div className="action-buttons">
+                        <button 
+                          className="action-btn play-btn"
+                          onClick={() => handlePlay(track)}
+                          title="播放"
+                        >
+                          ▶️
+                        </button>
+                        <button 
+                          className="action-btn add-btn"
+                          onClick={() => handleAddToPlaylist(track)}
+                          title="添加到播放列表"
+                        >
+                          ➕
+                        </button>
+                        <button 
+                          className={`action-btn favorite-btn ${track.favorite ? 'favorited' : ''}`}
+                          onClick={() => handleFavorite(track, !track.favorite)}
+                          title={track.favorite ? '取消收藏' : '收藏'}
+                        >
+                          {track.favorite ? '⭐' : '☆'}
+                        </button>
+                        <button 
+                          className="action-btn details-btn"
+                          onClick={() => handleOpenDetail(track)}
+                          title="详情"
+                        >
+                          ℹ️
+                        </button>
+                      </div>
+                    </div>
                   </div>
-                </div>
-              </div>
+                ))}
+              </React.Fragment>
             ))
           )}
         </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { InfiniteScroll } from '../../components/common';
 import { useNavigate } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { getCoverThumbnail, parseResponse } from '../../utils';
 import '../Pages.css';
 import './Albums.css';
 
@@ -44,7 +45,7 @@ const AlbumsPage = ({ player }) => {
       if (searchKeyword) {
         params.set('query', searchKeyword);
       }
-      const result = await fetch(`/api/music/albums?${params.toString()}`).then(res => res.json())
+      const result = await fetch(`/api/music/albums?${params.toString()}`).then(parseResponse)
       const pagination = result.pagination || {};
       pageData.nextPage = pageData.nextPage + 1;
       pageData.hasMore = pagination.page < pagination.pages;
@@ -167,7 +168,7 @@ const AlbumsPage = ({ player }) => {
                   className="album-card"
                   onClick={() => handleAlbumClick(album)}
                   style={{
-                    backgroundImage: album.coverImage ? `url(${album.coverImage})` : `url(/images/default_albums.png)`
+                    backgroundImage: `url(${getCoverThumbnail(album.coverImage, 512, '/images/default_albums.png')})`
                   }}
                 >
                   <div className="album-overlay">
@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { MusicList } from '../../components';
 import { useNavigate, useParams } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { parseResponse } from '../../utils';
 import './ArtistDetail.css';
 
 const ArtistDetailView = ({ player }) => {
@@ -31,7 +32,7 @@ const ArtistDetailView = ({ player }) => {
         
         // 通过API获取数据
         const res = await fetch(`/api/music/artists/${artistId}`);
-        const json = await res.json();
+        const json = await parseResponse(res);
         
         if (json?.success) {
           setArtist(json.data);
@@ -70,7 +71,7 @@ const ArtistDetailView = ({ player }) => {
         params.set('search', state.search);
       }
       
-      const res = await fetch(`/api/music/tracks?${params}`).then(res => res.json()); 
+      const res = await fetch(`/api/music/tracks?${params}`).then(parseResponse); 
       const data = res.data || []; 
       const pagination = res.pagination || {};
       if (res?.success) {
@@ -197,7 +198,7 @@ const ArtistDetailView = ({ player }) => {
         body: JSON.stringify(editForm)
       });
       
-      const result = await response.json();
+      const result = await parseResponse(response);
       
       if (result.success) {
         // 更新本地状态
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { InfiniteScroll } from '../../components/common';
 import { useNavigate } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { getCoverThumbnail, parseResponse } from '../../utils';
 import '../Pages.css';
 import './Artists.css';
 
@@ -45,7 +46,7 @@ const ArtistsPage = ({ player }) => {
       if (searchKeyword) {
         params.set('query', searchKeyword);
       }
-      const result = await fetch(`/api/music/artists?${params.toString()}`).then(res => res.json())
+      const result = await fetch(`/api/music/artists?${params.toString()}`).then(parseResponse)
       const pagination = result.pagination || {};
       pageData.nextPage = pageData.nextPage + 1;
       pageData.hasMore = pagination.page < pagination.pages;
@@ -170,7 +171,7 @@ const ArtistsPage = ({ player }) => {
                   className="artist-card"
                   onClick={() => handleArtistClick(artist)}
                   style={{
-                    backgroundImage: artist.photo ? `url(${artist.photo})` : `url(/images/default_artists.png)`
+                    backgroundImage: `url(${getCoverThumbnail(artist.photo, 512, '/images/default_artists.png')})`
                   }}
                 >
                   <div className="artist-overlay">
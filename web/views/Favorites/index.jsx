@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { MusicList } from '../../components';
 import { useNavigate } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { parseResponse } from '../../utils';
 import './Favorites.css';
 
 const FavoritesPage = ({ player }) => {
@@ -39,7 +40,7 @@ const FavoritesPage = ({ player }) => {
       }
 
       const response = await fetch(`/api/music/favorites?${params.toString()}`);
-      const result = await response.json();
+      const result = await parseResponse(response);
 
       if (response.ok) {
         const tracksData = result.data || [];
@@ -57,6 +58,12 @@ const FavoritesPage = ({ player }) => {
           fileSize: t.size,
           bitrate: t.bitrate,
           sampleRate: t.sampleRate,
+          bitsPerSample: t.bitsPerSample,
+          codec: t.codec,
+          lossless: t.lossless,
+          encoderDelay: t.encoderDelay,
+          encoderPadding: t.encoderPadding,
+          sampleCount: t.sampleCount,
           coverImage: t.coverImage,
           favorite: t.favorite,
           playCount: t.playCount,
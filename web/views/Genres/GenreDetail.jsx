@@ -0,0 +1,243 @@
+import React, { useState, useEffect } from 'react';
+import { MusicList } from '../../components';
+import { useNavigate, useParams } from 'react-router-dom';
+import { useUrlState } from '../../hooks';
+import { getCoverThumbnail, parseResponse } from '../../utils';
+import './GenreDetail.css';
+
+/**
+ * 流派详情视图
+ */
+const GenreDetailView = ({ player }) => {
+  const navigate = useNavigate();
+  const { genreId } = useParams();
+
+  // 使用URL状态管理
+  const { state, setPage, setPageSize, setSearch } = useUrlState({
+    page: 1,
+    pageSize: 10,
+    search: ''
+  });
+
+  const [genre, setGenre] = useState(null);
+  const [tracks, setTracks] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [total, setTotal] = useState(0);
+  const [pages, setPages] = useState(0);
+
+  // 加载流派详情（包含专辑和歌手）
+  useEffect(() => {
+    const loadGenreDetail = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const res = await fetch(`/api/music/genres/${encodeURIComponent(genreId)}`);
+        const json = await parseResponse(res);
+        if (json?.success) {
+          setGenre(json.data);
+        } else {
+          setError(json?.error || '获取流派信息失败');
+        }
+      } catch (error) {
+        console.error('加载流派详情失败:', error);
+        setError('加载流派详情失败');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (genreId) {
+      loadGenreDetail();
+    }
+  }, [genreId]);
+
+  // 加载流派的音乐列表
+  const loadTracks = async () => {
+    if (!genre?.id) return;
+    try {
+      setLoading(true);
+      const params = new URLSearchParams({
+        page: state.page.toString(),
+        pageSize: state.pageSize.toString()
+      });
+      if (state.search) {
+        params.set('search', state.search);
+      }
+      const res = await fetch(`/api/music/genres/${genre.id}/tracks?${params}`).then(parseResponse);
+      const pagination = res.pagination || {};
+      if (res?.success) {
+        setTracks(res.data || []);
+        setTotal(pagination.total || 0);
+        setPages(pagination.pages || 0);
+      } else {
+        setError(res?.error || '获取音乐列表失败');
+      }
+    } catch (error) {
+      console.error('加载音乐列表失败:', error);
+      setError('加载音乐列表失败');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // 当流派信息或状态变化时，加载音乐列表
+  useEffect(() => {
+    if (genre?.id) {
+      loadTracks();
+    }
+  }, [genre?.id, state.page, state.pageSize, state.search]);
+
+  // 处理播放音乐
+  const handlePlayMusic = (track) => {
+    player.playMusic(track, tracks);
+  };
+
+  // 处理添加到播放列表
+  const handleAddToPlaylist = (track) => {
+    player.addToPlaylist(track);
+  };
+
+  // 处理打开详情
+  const handleOpenDetail = (track) => {
+    navigate(`/track/${track.id || track._id}`);
+  };
+
+  // 处理收藏
+  const handleFavorite = async (track) => {
+    try {
+      const res = await fetch(`/api/music/tracks/${track.id}/favorite`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ favorite: !track.favorite }),
+      });
+      if (res.ok) {
+        setTracks(prevTracks => prevTracks.map(t => (t.id === track.id ? { ...t, favorite: !t.favorite } : t)));
+      }
+    } catch (error) {
+      console.error('更新收藏状态失败:', error);
+    }
+  };
+
+  // 处理艺术家点击
+  const handleArtistClick = (artist) => {
+    navigate(`/artist/${artist}`);
+  };
+
+  // 处理专辑点击
+  const handleAlbumClick = (album) => {
+    navigate(`/album/${album}`);
+  };
+
+  if (loading && !genre) {
+    return (
+      <div className="genre-detail">
+        <div className="loading-container">
+          <h3>加载中...</h3>
+          <p>正在获取流派信息</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!genre) {
+    return (
+      <div className="genre-detail">
+        <div className="error-container">
+          <h3>{error ? '加载失败' : '流派不存在'}</h3>
+          <p>{error || '无法找到指定的流派信息'}</p>
+          <button className="gd-back" onClick={() => navigate(-1)}>返回</button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="genre-detail">
+      <div className="gd-header">
+        <div className="gd-header-buttons">
+          <button className="gd-sidebar-btn" onClick={() => player.switchSidebar()}>☰</button>
+          <button className="gd-back" onClick={() => navigate(-1)}>← 返回</button>
+        </div>
+        <h1 className="gd-name">🏷️ {genre.name}</h1>
+        <div className="gd-stats">
+          <span>{genre.trackCount || 0} 首歌曲</span>
+          <span className="dot">•</span>
+          <span>{genre.albumCount || 0} 张专辑</span>
+          <span className="dot">•</span>
+          <span>{genre.artistCount || 0} 位艺术家</span>
+        </div>
+      </div>
+
+      <div className="gd-content">
+        {/* 专辑 */}
+        {genre.albums?.length > 0 && (
+          <div className="gd-section">
+            <h3 className="gd-section-title">专辑</h3>
+            <div className="gd-albums">
+              {genre.albums.map(album => (
+                <div key={album.id} className="gd-album" onClick={() => navigate(`/album/${album.id}`)} title={album.title}>
+                  <img className="gd-album-cover" src={getCoverThumbnail(album.coverImage, 256, '/images/default_albums.png')} alt={album.title} />
+                  <div className="gd-album-title">{album.title}</div>
+                  <div className="gd-album-artist">{album.artist}</div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* 艺术家 */}
+        {genre.artists?.length > 0 && (
+          <div className="gd-section">
+            <h3 className="gd-section-title">艺术家</h3>
+            <div className="gd-artists">
+              {genre.artists.map(artist => (
+                <button key={artist.name} className="gd-artist" onClick={() => handleArtistClick(artist.id || artist.name)}>
+                  {artist.name}
+                  <span className="gd-artist-count">{artist.genreTrackCount}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+        )}
+
+        {/* 歌曲 */}
+        <div className="gd-tracks">
+          <div className="gd-tracks-header">
+            <h3 className="gd-section-title">歌曲列表</h3>
+            <div className="gd-search-container">
+              <input
+                className="gd-search-input"
+                placeholder="搜索歌曲..."
+                value={state.search}
+                onChange={(e) => setSearch(e.target.value)}
+              />
+              {state.search && (
+                <button className="gd-search-clear" onClick={() => setSearch('')} title="清除搜索">✕</button>
+              )}
+            </div>
+          </div>
+          <MusicList
+            tracks={tracks}
+            isLoading={loading}
+            error={error}
+            currentPage={state.page}
+            pageSize={state.pageSize}
+            total={total}
+            pages={pages}
+            onPageChange={setPage}
+            onPageSizeChange={setPageSize}
+            onPlayMusic={handlePlayMusic}
+            onAddToPlaylist={handleAddToPlaylist}
+            onOpenDetail={handleOpenDetail}
+            onFavorite={handleFavorite}
+            onArtistClick={handleArtistClick}
+            onAlbumClick={handleAlbumClick}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GenreDetailView;
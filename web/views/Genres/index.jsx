@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { InfiniteScroll } from '../../components/common';
+import { useNavigate } from 'react-router-dom';
+import { useUrlState } from '../../hooks';
+import { parseResponse } from '../../utils';
+import '../Pages.css';
+import './Genres.css';
+
+const pageData = {
+  nextPage: 1,
+  hasMore: true,
+  loading: false,
+  data: [],
+}
+
+// 流派卡片的背景色（按名称取色，同一流派颜色固定）
+const GENRE_COLORS = ['#4ecdc4', '#ff6b6b', '#667eea', '#f7b731', '#26de81', '#a55eea', '#fd9644', '#45aaf2'];
+const getGenreColor = (name = '') => {
+  let hash = 0;
+  for (const char of name) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return GENRE_COLORS[hash % GENRE_COLORS.length];
+};
+
+/**
+ * 流派页面组件
+ */
+const GenresPage = ({ player }) => {
+  const navigate = useNavigate();
+  
+  // 使用URL状态管理
+  const { state, setSearch } = useUrlState({
+    search: ''
+  });
+
+  const [genres, setGenres] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const searchTimeoutRef = useRef(null);
+
+  // 加载流派数据
+  const loadGenres = async (clearData = false, searchKeyword = state.search) => {
+    if (pageData.loading) return;
+    if (clearData) {
+      pageData.nextPage = 1;
+      pageData.hasMore = true;
+      pageData.data = [];
+    }
+    try {
+      pageData.loading = true;
+      setLoading(true);
+      const params = new URLSearchParams();
+      params.set('page', String(pageData.nextPage));
+      params.set('pageSize', String(30));
+      if (searchKeyword) {
+        params.set('query', searchKeyword);
+      }
+      const result = await fetch(`/api/music/genres?${params.toString()}`).then(parseResponse)
+      const pagination = result.pagination || {};
+      pageData.nextPage = pageData.nextPage + 1;
+      pageData.hasMore = pagination.page < pagination.pages;
+      pageData.data = [...pageData.data, ...result.data];
+    } catch (error) {
+      console.error('加载流派列表失败:', error);
+    } finally {
+      pageData.loading = false;
+      setGenres(pageData.data);
+      setHasMore(pageData.hasMore);
+      setLoading(false);
+    }
+  };
+
+  // 加载下一页
+  const loadNext = () => {
+    if (!pageData.loading && pageData.hasMore) {
+      loadGenres(false, state.search);
+    }
+  };
+
+  // 处理搜索变化
+  const handleSearchChange = (e) => {
+    const newSearch = e.target.value;
+    setSearch(newSearch);
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current);
+    }
+    searchTimeoutRef.current = setTimeout(() => {
+      loadGenres(true, newSearch);
+    }, 300);
+  };
+
+  // 清除搜索
+  const handleClearSearch = () => {
+    setSearch('');
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current);
+    }
+    loadGenres(true, '');
+  };
+
+  // 执行搜索
+  const handleSearch = () => {
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current);
+    }
+    loadGenres(true, state.search);
+  };
+
+  // 处理回车键搜索
+  const handleSearchKeyPress = (e) => {
+    if (e.key === 'Enter') {
+      handleSearch();
+    }
+  };
+
+  // 处理流派点击
+  const handleGenreClick = (genre) => {
+    navigate(`/genre/${genre.id}`);
+  };
+
+  // 当搜索状态变化时重新加载
+  useEffect(() => {
+    loadGenres(true, state.search);
+    return () => {
+      if (searchTimeoutRef.current) {
+        clearTimeout(searchTimeoutRef.current);
+      }
+    };
+  }, [state.search]);
+
+  return (
+    <div className="page-container genres-container">
+      <div className="fav-toolbar">
+        <div className="fav-toolbar-left">
+          <button className="sidebar-toggle" onClick={() => player.switchSidebar()}> ☰ </button>
+          <h2>🏷️ 流派</h2>
+        </div>
+        <div className="fav-actions">
+          <div className="search-container">
+            <input 
+              className="fav-search" 
+              placeholder="搜索流派..." 
+              value={state.search} 
+              onChange={handleSearchChange}
+              onKeyPress={handleSearchKeyPress}
+            />
+            {state.search && (
+              <button 
+                className="search-clear-btn"
+                onClick={handleClearSearch}
+                title="清除搜索"
+              >
+                ✕
+              </button>
+            )}
+            <button 
+              className="search-btn"
+              onClick={handleSearch}
+              title="搜索"
+            >
+              🔍
+            </button>
+          </div>
+        </div>
+      </div>
+      <InfiniteScroll
+        loadNext={loadNext}
+        hasMore={hasMore}
+        loading={loading}
+        threshold={100}
+        loadingText="正在加载更多流派..."
+        endText="已加载全部流派"
+      >
+        <div className="genres-view">
+          <div className="genres-grid">
+            {genres.map((genre) => (
+              <div 
+                key={genre.id} 
+                className="genre-card"
+                onClick={() => handleGenreClick(genre)}
+                style={{ '--genre-color': getGenreColor(genre.name) }}
+              >
+                <h3 className="genre-name">{genre.name}</h3>
+                <p className="genre-stats">{genre.trackCount || 0} 首歌曲</p>
+                <p className="genre-stats">{genre.albumCount || 0} 张专辑 • {genre.artistCount || 0} 位艺术家</p>
+              </div>
+            ))}
+          </div>
+          
+          {genres.length === 0 && !loading && (
+            <div className="empty-state">
+              <h3>暂无流派</h3>
+              <p>音乐库中还没有流派信息</p>
+            </div>
+          )}
+        </div>
+      </InfiniteScroll>
+    </div>
+  );
+};
+
+export default GenresPage;
@@ -2,18 +2,40 @@ import { useState, useEffect, useCallback } from 'react';
 import { MusicList } from '../../components';
 import { useNavigate } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { parseResponse } from '../../utils';
 import './Music.css';
 
+// 完整性检查筛选项（problem 表示损坏、不完整和检查失败的文件）
+const INTEGRITY_FILTERS = [
+  { value: '', label: '全部音乐' },
+  { value: 'problem', label: '⚠️ 有问题的文件' },
+  { value: 'corrupt', label: '损坏' },
+  { value: 'truncated', label: '不完整' },
+  { value: 'error', label: '检查失败' }
+];
+const INTEGRITY_PROBLEMS = ['corrupt', 'truncated', 'error'];
+// 音质筛选项及对应的查询参数
+const QUALITY_FILTERS = [
+  { value: '', label: '全部音质', params: {} },
+  { value: 'lossless', label: '无损', params: { lossless: 'true' } },
+  { value: 'hires', label: 'Hi-Res (≥24bit/96kHz)', params: { minBitsPerSample: 24, minSampleRate: 96000 } },
+  { value: 'lossy', label: '有损', params: { lossless: 'false' } },
+  { value: 'mp3-low', label: 'MP3 < 192kbps', params: { codec: 'mp3', maxBitrate: 192 } }
+];
+
 const MusicPage = ({ player }) => {
   const navigate = useNavigate();
   
   // 使用URL状态管理
-  const { state, setPage, setPageSize, setSort, setSearch } = useUrlState({
+  const { state, updateState, setPage, setPageSize, setSort, setSearch } = useUrlState({
     page: 1,
     pageSize: 10,
     sortKey: 'title',
     sortOrder: 'asc',
-    search: ''
+    search: '',
+    integrity: '',
+    library: '',
+    quality: ''
   });
 
   const [tracks, setTracks] = useState([]);
@@ -21,6 +43,22 @@ const MusicPage = ({ player }) => {
   const [error, setError] = useState('');
   const [total, setTotal] = useState(0);
   const [pages, setPages] = useState(0);
+  // 各媒体库的完整性检查统计
+  const [integrityLibraries, setIntegrityLibraries] = useState([]);
+
+  // 加载完整性检查报告
+  useEffect(() => {
+    fetch('/api/music/integrity')
+      .then(parseResponse)
+      .then(result => result.success && setIntegrityLibraries(result.data.libraries))
+      .catch(error => console.error('加载完整性检查报告失败:', error));
+  }, []);
+
+  // 有问题的文件数量（按媒体库筛选）
+  const countProblems = (library) => INTEGRITY_PROBLEMS.reduce((sum, status) => sum + (library.stats[status] || 0), 0);
+  const problemCount = integrityLibraries
+    .filter(library => !state.library || library.id === state.library)
+    .reduce((sum, library) => sum + countProblems(library), 0);
 
   // 加载音乐数据
   const loadTracks = useCallback(async () => {
@@ -37,9 +75,23 @@ const MusicPage = ({ player }) => {
       if (state.search) {
         params.set('search', state.search);
       }
+      // 音质筛选
+      const qualityFilter = QUALITY_FILTERS.find(item => item.value === state.quality);
+      Object.entries(qualityFilter?.params || {}).forEach(([key, value]) => params.set(key, String(value)));
+      // 完整性检查结果和媒体库筛选
+      const filter = {};
+      if (state.integrity) {
+        filter.integrityStatus = state.integrity === 'problem' ? { operator: 'IN', data: INTEGRITY_PROBLEMS } : state.integrity;
+      }
+      if (state.library) {
+        filter.libraryId = state.library;
+      }
+      if (Object.keys(filter).length > 0) {
+        params.set('filter', JSON.stringify(filter));
+      }
 
       const response = await fetch(`/api/music/tracks?${params.toString()}`);
-      const result = await response.json();
+      const result = await parseResponse(response);
 
       if (response.ok) {
         const tracksData = result.data || [];
@@ -57,11 +109,19 @@ const MusicPage = ({ player }) => {
           fileSize: t.size,
           bitrate: t.bitrate,
           sampleRate: t.sampleRate,
+          bitsPerSample: t.bitsPerSample,
+          codec: t.codec,
+          lossless: t.lossless,
+          encoderDelay: t.encoderDelay,
+          encoderPadding: t.encoderPadding,
+          sampleCount: t.sampleCount,
           coverImage: t.coverImage,
           favorite: t.favorite,
           playCount: t.playCount,
           lastPlayed: t.lastPlayed,
-          lyrics: t.lyrics
+          lyrics: t.lyrics,
+          integrityStatus: t.integrityStatus,
+          integrityMessage: t.integrityMessage
         }));
         setTracks(processedTracks);
         setTotal(paginationData.total);
@@ -75,7 +135,7 @@ const MusicPage = ({ player }) => {
     } finally {
       setLoading(false);
     }
-  }, [state.page, state.pageSize, state.sortKey, state.sortOrder, state.search]);
+  }, [state.page, state.pageSize, state.sortKey, state.sortOrder, state.search, state.integrity, state.library, state.quality]);
 
   // 处理搜索变化
   const handleSearchChange = (e) => {
@@ -176,6 +236,43 @@ const MusicPage = ({ player }) => {
           <h2>🎵 音乐库</h2>
         </div>
         <div className="fav-actions">
+          <select
+            className="fav-filter"
+            value={state.quality}
+            onChange={(e) => updateState({ quality: e.target.value, page: 1 })}
+            title="按音质筛选"
+          >
+            {QUALITY_FILTERS.map(item => (
+              <option key={item.value} value={item.value}>{item.label}</option>
+            ))}
+          </select>
+          <select
+            className="fav-filter"
+            value={state.integrity}
+            onChange={(e) => updateState({ integrity: e.target.value, page: 1 })}
+            title="按完整性检查结果筛选"
+          >
+            {INTEGRITY_FILTERS.map(item => (
+              <option key={item.value} value={item.value}>
+                {item.label}{item.value === 'problem' && problemCount > 0 ? ` (${problemCount})` : ''}
+              </option>
+            ))}
+          </select>
+          {integrityLibraries.length > 1 && (
+            <select
+              className="fav-filter"
+              value={state.library}
+              onChange={(e) => updateState({ library: e.target.value, page: 1 })}
+              title="按媒体库筛选"
+            >
+              <option value="">全部媒体库</option>
+              {integrityLibraries.map(library => (
+                <option key={library.id} value={library.id}>
+                  {library.name}{countProblems(library) > 0 ? ` (⚠️ ${countProblems(library)})` : ''}
+                </option>
+              ))}
+            </select>
+          )}
           <div className="search-container">
             <input
               className="fav-search"
@@ -228,8 +325,8 @@ const MusicPage = ({ player }) => {
         
         {tracks.length === 0 && !loading && !error && (
           <div className="empty-state">
-            <h3>暂无音乐</h3>
-            <p>音乐库中还没有音乐信息</p>
+            <h3>{state.integrity || state.quality ? '没有符合条件的音乐' : '暂无音乐'}</h3>
+            <p>{state.integrity ? '完整性检查未发现此类问题，可在设置中执行完整性检查' : state.quality ? '请尝试其他音质筛选条件' : '音乐库中还没有音乐信息'}</p>
           </div>
         )}
       </div>
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { MusicList } from '../../components';
 import { useNavigate } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { parseResponse } from '../../utils';
 import './RecentlyPlayed.css';
 
 const RecentlyPlayedPage = ({ player }) => {
@@ -35,7 +36,7 @@ const RecentlyPlayedPage = ({ player }) => {
       }
 
       const response = await fetch(`/api/music/recently-played?${params.toString()}`);
-      const result = await response.json();
+      const result = await parseResponse(response);
 
       if (response.ok) {
         const tracksData = result.data || [];
@@ -53,6 +54,12 @@ const RecentlyPlayedPage = ({ player }) => {
           fileSize: t.size,
           bitrate: t.bitrate,
           sampleRate: t.sampleRate,
+          bitsPerSample: t.bitsPerSample,
+          codec: t.codec,
+          lossless: t.lossless,
+          encoderDelay: t.encoderDelay,
+          encoderPadding: t.encoderPadding,
+          sampleCount: t.sampleCount,
           coverImage: t.coverImage,
           favorite: t.favorite,
           playCount: t.playCount,
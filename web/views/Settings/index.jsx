@@ -1,17 +1,65 @@
 import React, { useState, useEffect } from 'react';
+import { parseResponse } from '../../utils';
 import '../Pages.css';
 import './Settings.css';
 
+// 支持的音频格式
+const AUDIO_FORMATS = ['.mp3', '.wav', '.flac', '.m4a', '.ogg', '.aac', '.wma', '.ape', '.wv'];
+
+// 定时任务图标
+const SCHEDULE_ICONS = {
+  scan: '📁',
+  scraping: '🔍',
+  loudness: '🔊',
+  integrity: '🩺',
+  waveform: '🌊'
+};
+
+// 账号表单初始值
+const EMPTY_PASSWORD_FORM = { currentPassword: '', newPassword: '', confirmPassword: '' };
+const EMPTY_USER_FORM = { username: '', password: '', role: 'user' };
+
+// 媒体库表单初始值
+const EMPTY_LIBRARY_FORM = {
+  name: '',
+  path: '',
+  enabled: true,
+  readOnly: false,
+  includePatterns: '',
+  excludePatterns: '',
+  formats: []
+};
+
 /**
  * 设置页面组件
  */
 const SettingsPage = ({ player }) => {
   // 媒体库管理状态
   const [mediaLibraries, setMediaLibraries] = useState([]);
-  const [newLibraryPath, setNewLibraryPath] = useState('');
+  const [libraryForm, setLibraryForm] = useState(EMPTY_LIBRARY_FORM);
+  const [editingLibraryId, setEditingLibraryId] = useState(null);
+  const [showLibraryOptions, setShowLibraryOptions] = useState(false);
   const [scanningLibrary, setScanningLibrary] = useState(null);
   const [scanProgress, setScanProgress] = useState(0);
   const [libraryStats, setLibraryStats] = useState({});
+  const [scanConfig, setScanConfig] = useState({ excludePatterns: '', scanConcurrency: 0, defaultConcurrency: 1, coverFileNames: '', artistImageFileNames: '' });
+  // 流派合并规则（每行一条：标准名称 = 别名 = 别名）
+  const [genreAliases, setGenreAliases] = useState('');
+  // 音量均衡配置和增益信息统计
+  const [playbackConfig, setPlaybackConfig] = useState({
+    replayGainMode: 'track',
+    replayGainPreamp: 0,
+    replayGainPreventClipping: true,
+    loudnessAnalysisEnabled: false,
+    streamQuality: 'original',
+    streamFormat: 'mp3',
+    transcodeMaxConcurrent: 2,
+    transcodeCacheEnabled: false,
+    transcodeCacheSize: 2048,
+    streamProtocol: 'progressive',
+    hlsCacheSize: 1024,
+    stats: null
+  });
 
   // 刮削功能状态
   const [scrapingEnabled, setScrapingEnabled] = useState(false);
@@ -21,11 +69,39 @@ const SettingsPage = ({ player }) => {
   // 数据同步状态
   const [syncInProgress, setSyncInProgress] = useState(false);
 
+  // 定时任务状态
+  const [schedules, setSchedules] = useState({ jobs: [], running: null });
+  const [scheduleForm, setScheduleForm] = useState({
+    scanInterval: '',
+    scanCron: '',
+    scrapingInterval: '',
+    scrapingCron: '',
+    loudnessInterval: '',
+    loudnessCron: '',
+    integrityInterval: '',
+    integrityCron: '',
+    waveformInterval: '',
+    waveformCron: '',
+    quietHoursStart: '',
+    quietHoursEnd: ''
+  });
+
+  // 账号状态
+  const [currentUser, setCurrentUser] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [passwordForm, setPasswordForm] = useState(EMPTY_PASSWORD_FORM);
+  const [userForm, setUserForm] = useState(EMPTY_USER_FORM);
+
   // 加载媒体库列表
   useEffect(() => {
+    loadAccount();
     loadMediaLibraries();
+    loadScanConfig();
+    loadGenreAliases();
+    loadPlaybackConfig();
     checkActiveScans();
     loadScrapingConfig();
+    loadSchedules(true);
   }, []);
 
   // 当媒体库列表更新时，重新加载统计信息
@@ -35,13 +111,126 @@ const SettingsPage = ({ player }) => {
     }
   }, [mediaLibraries]);
 
+  /**
+   * 加载当前登录用户，管理员同时加载用户列表
+   */
+  const loadAccount = async () => {
+    try {
+      const response = await fetch('/api/auth/status');
+      const result = await parseResponse(response);
+      if (result.success && result.data.user) {
+        setCurrentUser(result.data.user);
+        if (result.data.user.role === 'admin') loadUsers();
+      }
+    } catch (error) {
+      console.error('加载账号信息失败:', error);
+    }
+  };
+
+  /**
+   * 加载用户列表（仅管理员）
+   */
+  const loadUsers = async () => {
+    try {
+      const response = await fetch('/api/auth/users');
+      const result = await parseResponse(response);
+      if (result.success) {
+        setUsers(result.data || []);
+      }
+    } catch (error) {
+      console.error('加载用户列表失败:', error);
+    }
+  };
+
+  /**
+   * 修改当前用户的密码
+   */
+  const changePassword = async () => {
+    if (passwordForm.newPassword !== passwordForm.confirmPassword) {
+      player.showToastMessage('两次输入的新密码不一致', 'warning');
+      return;
+    }
+    try {
+      const response = await fetch('/api/auth/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword: passwordForm.currentPassword, newPassword: passwordForm.newPassword })
+      });
+      const result = await parseResponse(response);
+      if (result.success) {
+        setPasswordForm(EMPTY_PASSWORD_FORM);
+        player.showToastMessage(result.message, 'success');
+      } else {
+        player.showToastMessage('修改失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('修改密码失败:', error);
+      player.showToastMessage('修改失败', 'error');
+    }
+  };
+
+  /**
+   * 退出登录
+   */
+  const logout = async () => {
+    try {
+      await fetch('/api/auth/logout', { method: 'POST' });
+    } finally {
+      window.location.href = '/login';
+    }
+  };
+
+  /**
+   * 添加用户（仅管理员）
+   */
+  const addUser = async () => {
+    try {
+      const response = await fetch('/api/auth/users', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(userForm)
+      });
+      const result = await parseResponse(response);
+      if (result.success) {
+        setUserForm(EMPTY_USER_FORM);
+        loadUsers();
+        player.showToastMessage(result.message, 'success');
+      } else {
+        player.showToastMessage('添加失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('添加用户失败:', error);
+      player.showToastMessage('添加失败', 'error');
+    }
+  };
+
+  /**
+   * 删除用户（仅管理员）
+   */
+  const deleteUser = async (user) => {
+    if (!confirm(`确定要删除用户 ${user.username} 吗？`)) return;
+    try {
+      const response = await fetch(`/api/auth/users/${user.id}`, { method: 'DELETE' });
+      const result = await parseResponse(response);
+      if (result.success) {
+        loadUsers();
+        player.showToastMessage(result.message, 'success');
+      } else {
+        player.showToastMessage('删除失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('删除用户失败:', error);
+      player.showToastMessage('删除失败', 'error');
+    }
+  };
+
   /**
    * 加载媒体库列表
    */
   const loadMediaLibraries = async () => {
     try {
       const response = await fetch('/api/settings/media-libraries');
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         setMediaLibraries(result.data || []);
       }
@@ -56,7 +245,7 @@ const SettingsPage = ({ player }) => {
   const loadLibraryStats = async () => {
     try {
       const response = await fetch('/api/settings/music-stats');
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         setLibraryStats(result.data || {});
       }
@@ -71,13 +260,108 @@ const SettingsPage = ({ player }) => {
   const loadScrapingConfig = async () => {
     try {
       const response = await fetch('/api/settings/configs');
-      const result = await response.json();
+      const result = await parseResponse(response);
       setScrapingEnabled(result.data.scrapingEnabled || false);
     } catch (error) {
       console.error('加载刮削配置失败:', error);
     }
   };
 
+  /**
+   * 加载定时任务状态（initForm 为 true 时同时填充表单）
+   */
+  const loadSchedules = async (initForm = false) => {
+    try {
+      const response = await fetch('/api/settings/schedules');
+      const result = await parseResponse(response);
+      if (!result.success) return;
+      setSchedules(result.data);
+      if (initForm) {
+        const scan = result.data.jobs.find(job => job.name === 'scan') || {};
+        const scraping = result.data.jobs.find(job => job.name === 'scraping') || {};
+        const loudness = result.data.jobs.find(job => job.name === 'loudness') || {};
+        const integrity = result.data.jobs.find(job => job.name === 'integrity') || {};
+        const waveform = result.data.jobs.find(job => job.name === 'waveform') || {};
+        setScheduleForm({
+          scanInterval: scan.interval ? String(scan.interval / 60000) : '0',
+          scanCron: scan.cron || '',
+          scrapingInterval: scraping.interval ? String(scraping.interval / 60000) : '0',
+          scrapingCron: scraping.cron || '',
+          loudnessInterval: loudness.interval ? String(loudness.interval / 60000) : '0',
+          loudnessCron: loudness.cron || '',
+          integrityInterval: integrity.interval ? String(integrity.interval / 60000) : '0',
+          integrityCron: integrity.cron || '',
+          waveformInterval: waveform.interval ? String(waveform.interval / 60000) : '0',
+          waveformCron: waveform.cron || '',
+          quietHoursStart: result.data.quietHours.start,
+          quietHoursEnd: result.data.quietHours.end
+        });
+      }
+    } catch (error) {
+      console.error('加载定时任务失败:', error);
+    }
+  };
+
+  /**
+   * 保存定时任务配置（间隔在界面上以分钟为单位）
+   */
+  const saveSchedules = async () => {
+    try {
+      const response = await fetch('/api/settings/schedules', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...scheduleForm,
+          scanInterval: Number(scheduleForm.scanInterval || 0) * 60000,
+          scrapingInterval: Number(scheduleForm.scrapingInterval || 0) * 60000,
+          loudnessInterval: Number(scheduleForm.loudnessInterval || 0) * 60000,
+          integrityInterval: Number(scheduleForm.integrityInterval || 0) * 60000,
+          waveformInterval: Number(scheduleForm.waveformInterval || 0) * 60000
+        })
+      });
+      const result = await parseResponse(response);
+      if (result.success) {
+        setSchedules(result.data);
+        player.showToastMessage('定时任务配置已保存', 'success');
+      } else {
+        player.showToastMessage('保存失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('保存定时任务失败:', error);
+      player.showToastMessage('保存失败', 'error');
+    }
+  };
+
+  /**
+   * 立即执行定时任务
+   */
+  const runSchedule = async (name) => {
+    try {
+      const response = await fetch(`/api/settings/schedules/${name}/run`, { method: 'POST' });
+      const result = await parseResponse(response);
+      if (result.success) {
+        player.showToastMessage('任务已开始', 'success');
+      } else {
+        player.showToastMessage(result.error, 'warning');
+      }
+      loadSchedules();
+    } catch (error) {
+      console.error('执行定时任务失败:', error);
+      player.showToastMessage('执行任务失败', 'error');
+    }
+  };
+
+  // 格式化任务时间
+  const formatScheduleTime = (time) => time ? new Date(time).toLocaleString() : '-';
+
+  // 任务执行结果
+  const scheduleStatusText = {
+    running: '🔄 运行中',
+    success: '✅ 成功',
+    failed: '❌ 失败',
+    interrupted: '⚠️ 已中断'
+  };
+
   /**
    * 保存刮削功能配置
    */
@@ -88,7 +372,7 @@ const SettingsPage = ({ player }) => {
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ enabled })
       });
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         setScrapingEnabled(enabled);
         player.showToastMessage(enabled ? '刮削功能已开启' : '刮削功能已关闭', 'success');
@@ -112,11 +396,17 @@ const SettingsPage = ({ player }) => {
     setScrapingInProgress(true);
     player.showLoading('正在启动刮削...');
     try {
-      await fetch('/api/settings/scraping/start', {
+      const response = await fetch('/api/settings/scraping/start', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       });
-      player.showToastMessage('立即刮削已开始', 'success');
+      const result = await parseResponse(response);
+      if (result.success) {
+        player.showToastMessage('立即刮削已开始', 'success');
+      } else {
+        setScrapingInProgress(false);
+        player.showToastMessage(result.error, 'warning');
+      }
     } catch (error) {
       console.error('启动刮削失败:', error);
       player.showToastMessage('启动刮削失败', 'error');
@@ -128,7 +418,7 @@ const SettingsPage = ({ player }) => {
 
   const checkScrapingProgress = async () => {
     const response = await fetch('/api/settings/scraping/progress');
-    const result = await response.json();
+    const result = await parseResponse(response);
     if (result.success) {
       setScrapingInProgress(result.data.status === 'running');
       setScrapingProgress(result.data.current / result.data.total * 100);
@@ -139,7 +429,13 @@ const SettingsPage = ({ player }) => {
     const interval = setInterval(() => {
       checkScrapingProgress();
     }, 1000);
-    return () => clearInterval(interval);
+    const scheduleInterval = setInterval(() => {
+      loadSchedules();
+    }, 10000);
+    return () => {
+      clearInterval(interval);
+      clearInterval(scheduleInterval);
+    };
   }, []);
 
   /**
@@ -159,7 +455,7 @@ const SettingsPage = ({ player }) => {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' }
       });
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         player.showToastMessage(result.message, 'success');
         // 同步完成后刷新统计信息
@@ -183,13 +479,13 @@ const SettingsPage = ({ player }) => {
     try {
       // 检查每个媒体库的扫描状态
       const response = await fetch('/api/settings/media-libraries');
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         const libraries = result.data || [];
         
         for (const library of libraries) {
           const progressResponse = await fetch(`/api/settings/media-libraries/${library.id}/scan-progress`);
-          const progressResult = await progressResponse.json();
+          const progressResult = await parseResponse(progressResponse);
           
           if (progressResult.success && progressResult.data && progressResult.data.status === 'scanning') {
             // 发现正在进行的扫描，恢复进度轮询
@@ -206,29 +502,221 @@ const SettingsPage = ({ player }) => {
   };
 
   /**
-   * 添加媒体库
+   * 将接口返回的扫描配置转换为表单格式
+   */
+  const toScanConfigForm = (data) => ({
+    ...data,
+    excludePatterns: (data.excludePatterns || []).join('\n'),
+    coverFileNames: (data.coverFileNames || []).join(', '),
+    artistImageFileNames: (data.artistImageFileNames || []).join(', ')
+  });
+
+  /**
+   * 加载扫描配置
    */
-  const addMediaLibrary = async () => {
-    if (!newLibraryPath.trim()) return;
-    player.showLoading('正在添加媒体库...');
+  const loadScanConfig = async () => {
     try {
-      const response = await fetch('/api/settings/media-libraries', {
-        method: 'POST',
+      const response = await fetch('/api/settings/scan-config');
+      const result = await parseResponse(response);
+      if (result.success) {
+        setScanConfig(toScanConfigForm(result.data));
+      }
+    } catch (error) {
+      console.error('加载扫描配置失败:', error);
+    }
+  };
+
+  /**
+   * 保存扫描配置
+   */
+  const saveScanConfig = async () => {
+    try {
+      const response = await fetch('/api/settings/scan-config', {
+        method: 'PUT',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ path: newLibraryPath.trim() })
+        body: JSON.stringify({
+          excludePatterns: scanConfig.excludePatterns.split('\n'),
+          scanConcurrency: parseInt(scanConfig.scanConcurrency, 10) || 0,
+          coverFileNames: scanConfig.coverFileNames.split(','),
+          artistImageFileNames: scanConfig.artistImageFileNames.split(',')
+        })
+      });
+      const result = await parseResponse(response);
+      if (result.success) {
+        setScanConfig(config => ({ ...config, ...toScanConfigForm(result.data) }));
+        player.showToastMessage(result.message, 'success');
+      } else {
+        player.showToastMessage('保存失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('保存扫描配置失败:', error);
+      player.showToastMessage('保存失败', 'error');
+    }
+  };
+
+  /**
+   * 加载流派合并规则
+   */
+  const loadGenreAliases = async () => {
+    try {
+      const response = await fetch('/api/settings/genre-aliases');
+      const result = await parseResponse(response);
+      if (result.success) {
+        setGenreAliases(result.data.map(rule => [rule.name, ...rule.aliases].join(' = ')).join('\n'));
+      }
+    } catch (error) {
+      console.error('加载流派合并规则失败:', error);
+    }
+  };
+
+  /**
+   * 保存流派合并规则
+   */
+  const saveGenreAliases = async () => {
+    const rules = genreAliases.split('\n')
+      .map(line => line.split('=').map(name => name.trim()).filter(Boolean))
+      .filter(names => names.length > 0)
+      .map(([name, ...aliases]) => ({ name, aliases }));
+    try {
+      const response = await fetch('/api/settings/genre-aliases', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ rules })
+      });
+      const result = await parseResponse(response);
+      if (result.success) {
+        setGenreAliases(result.data.map(rule => [rule.name, ...rule.aliases].join(' = ')).join('\n'));
+        player.showToastMessage(result.message, 'success');
+      } else {
+        player.showToastMessage('保存失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('保存流派合并规则失败:', error);
+      player.showToastMessage('保存失败', 'error');
+    }
+  };
+
+  /**
+   * 加载音量均衡配置
+   */
+  const loadPlaybackConfig = async () => {
+    try {
+      const response = await fetch('/api/settings/playback');
+      const result = await parseResponse(response);
+      if (result.success) {
+        setPlaybackConfig(result.data);
+      }
+    } catch (error) {
+      console.error('加载播放配置失败:', error);
+    }
+  };
+
+  /**
+   * 保存音量均衡配置
+   */
+  const savePlaybackConfig = async () => {
+    try {
+      const response = await fetch('/api/settings/playback', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          replayGainMode: playbackConfig.replayGainMode,
+          replayGainPreamp: Number(playbackConfig.replayGainPreamp) || 0,
+          replayGainPreventClipping: playbackConfig.replayGainPreventClipping,
+          loudnessAnalysisEnabled: playbackConfig.loudnessAnalysisEnabled,
+          streamQuality: playbackConfig.streamQuality,
+          streamFormat: playbackConfig.streamFormat,
+          transcodeMaxConcurrent: parseInt(playbackConfig.transcodeMaxConcurrent, 10) || 1,
+          transcodeCacheEnabled: playbackConfig.transcodeCacheEnabled,
+          transcodeCacheSize: Number(playbackConfig.transcodeCacheSize) || 0,
+          streamProtocol: playbackConfig.streamProtocol,
+          hlsCacheSize: Number(playbackConfig.hlsCacheSize) || 0
+        })
+      });
+      const result = await parseResponse(response);
+      if (result.success) {
+        setPlaybackConfig(config => ({ ...config, ...result.data }));
+        player.updatePlaybackConfig(result.data);
+        loadSchedules();
+        player.showToastMessage(result.message, 'success');
+      } else {
+        player.showToastMessage('保存失败: ' + result.error, 'error');
+      }
+    } catch (error) {
+      console.error('保存播放配置失败:', error);
+      player.showToastMessage('保存失败', 'error');
+    }
+  };
+
+  /**
+   * 更新媒体库表单字段
+   */
+  const updateLibraryForm = (field, value) => {
+    setLibraryForm(form => ({ ...form, [field]: value }));
+  };
+
+  /**
+   * 切换媒体库允许的格式
+   */
+  const toggleLibraryFormat = (format) => {
+    setLibraryForm(form => ({
+      ...form,
+      formats: form.formats.includes(format) ? form.formats.filter(item => item !== format) : [...form.formats, format]
+    }));
+  };
+
+  /**
+   * 编辑媒体库
+   */
+  const editMediaLibrary = (library) => {
+    setEditingLibraryId(library.id);
+    setShowLibraryOptions(true);
+    setLibraryForm({
+      name: library.name || '',
+      path: library.path,
+      enabled: library.enabled,
+      readOnly: library.readOnly,
+      includePatterns: (library.includePatterns || []).join('\n'),
+      excludePatterns: (library.excludePatterns || []).join('\n'),
+      formats: library.formats || []
+    });
+  };
+
+  /**
+   * 取消编辑媒体库
+   */
+  const cancelEditLibrary = () => {
+    setEditingLibraryId(null);
+    setShowLibraryOptions(false);
+    setLibraryForm(EMPTY_LIBRARY_FORM);
+  };
+
+  /**
+   * 添加或修改媒体库
+   */
+  const saveMediaLibrary = async () => {
+    if (!libraryForm.path.trim()) return;
+    const editing = !!editingLibraryId;
+    player.showLoading(editing ? '正在保存媒体库...' : '正在添加媒体库...');
+    try {
+      const url = editing ? `/api/settings/media-libraries/${editingLibraryId}` : '/api/settings/media-libraries';
+      const response = await fetch(url, {
+        method: editing ? 'PUT' : 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...libraryForm, path: libraryForm.path.trim() })
       });
       
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
-        setNewLibraryPath('');
+        cancelEditLibrary();
         loadMediaLibraries();
-        player.showToastMessage('媒体库添加成功', 'success');
+        player.showToastMessage(result.message || '媒体库保存成功', 'success');
       } else {
-        player.showToastMessage('添加失败: ' + result.error, 'error');
+        player.showToastMessage((editing ? '保存失败: ' : '添加失败: ') + result.error, 'error');
       }
     } catch (error) {
-      console.error('添加媒体库失败:', error);
-      player.showToastMessage('添加失败', 'error');
+      console.error('保存媒体库失败:', error);
+      player.showToastMessage(editing ? '保存失败' : '添加失败', 'error');
     } finally {
       player.hideLoading();
     }
@@ -245,7 +733,7 @@ const SettingsPage = ({ player }) => {
         method: 'DELETE'
       });
       
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         loadMediaLibraries();
         player.showToastMessage('媒体库删除成功', 'success');
@@ -269,7 +757,7 @@ const SettingsPage = ({ player }) => {
     player.showLoading(`正在扫描媒体库: ${library.path}`);
     try {
       const response = await fetch(`/api/settings/media-libraries/${library.id}/scan`, { method: 'POST' });
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         player.hideLoading();
         player.showToastMessage('扫描已开始', 'success');
@@ -295,7 +783,7 @@ const SettingsPage = ({ player }) => {
     const interval = setInterval(async () => {
       try {
         const response = await fetch(`/api/settings/media-libraries/${libraryId}/scan-progress`);
-        const result = await response.json();
+        const result = await parseResponse(response);
         
         if (result.success) {
           setScanProgress(result.data.progress || 0);
@@ -304,6 +792,8 @@ const SettingsPage = ({ player }) => {
             clearInterval(interval);
             setScanningLibrary(null);
             setScanProgress(0);
+            const { added = 0, updated = 0, removed = 0, skipped = 0 } = result.data;
+            player.showToastMessage(`扫描完成：新增 ${added}，更新 ${updated}，删除 ${removed}，忽略 ${skipped}`, 'success');
             // 扫描完成后刷新列表和统计信息
             loadMediaLibraries();
             loadLibraryStats();
@@ -376,25 +866,97 @@ const SettingsPage = ({ player }) => {
               <p className="settings-section-desc">管理本地音乐文件库，支持多种音频格式</p>
             </div>
             
-            {/* 添加媒体库 */}
+            {/* 添加/编辑媒体库 */}
             <div className="add-library">
               <div className="add-library-input">
                 <input
                   type="text"
                   placeholder="输入媒体库路径 (如: /music 或 C:\Music)"
-                  value={newLibraryPath}
-                  onChange={(e) => setNewLibraryPath(e.target.value)}
-                  onKeyPress={(e) => e.key === 'Enter' && addMediaLibrary()}
+                  value={libraryForm.path}
+                  onChange={(e) => updateLibraryForm('path', e.target.value)}
+                  onKeyPress={(e) => e.key === 'Enter' && saveMediaLibrary()}
                 />
+                <button
+                  className="scan-btn"
+                  onClick={() => setShowLibraryOptions(!showLibraryOptions)}
+                >
+                  ⚙️ 选项
+                </button>
                 <button 
                   className="add-btn"
-                  onClick={addMediaLibrary}
-                  disabled={!newLibraryPath.trim()}
+                  onClick={saveMediaLibrary}
+                  disabled={!libraryForm.path.trim()}
                 >
-                  ➕ 添加媒体库
+                  {editingLibraryId ? '💾 保存修改' : '➕ 添加媒体库'}
                 </button>
+                {editingLibraryId && (
+                  <button className="delete-btn" onClick={cancelEditLibrary}>取消</button>
+                )}
               </div>
             </div>
+            {showLibraryOptions && (
+              <div className="library-form">
+                <label>
+                  名称
+                  <input
+                    type="text"
+                    placeholder="默认使用文件夹名"
+                    value={libraryForm.name}
+                    onChange={(e) => updateLibraryForm('name', e.target.value)}
+                  />
+                </label>
+                <label>
+                  包含规则（每行一个，如 Albums/**）
+                  <textarea
+                    rows={3}
+                    placeholder="留空表示包含全部文件"
+                    value={libraryForm.includePatterns}
+                    onChange={(e) => updateLibraryForm('includePatterns', e.target.value)}
+                  />
+                </label>
+                <label>
+                  排除规则（每行一个，如 *.tmp、Recycle/**）
+                  <textarea
+                    rows={3}
+                    value={libraryForm.excludePatterns}
+                    onChange={(e) => updateLibraryForm('excludePatterns', e.target.value)}
+                  />
+                </label>
+                <div className="library-form-formats">
+                  <span>允许的格式（不选表示全部）</span>
+                  <div>
+                    {AUDIO_FORMATS.map(format => (
+                      <label key={format} className="library-form-check">
+                        <input
+                          type="checkbox"
+                          checked={libraryForm.formats.includes(format)}
+                          onChange={() => toggleLibraryFormat(format)}
+                        />
+                        {format.slice(1)}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+                <div className="library-form-formats">
+                  <label className="library-form-check">
+                    <input
+                      type="checkbox"
+                      checked={libraryForm.enabled}
+                      onChange={(e) => updateLibraryForm('enabled', e.target.checked)}
+                    />
+                    启用
+                  </label>
+                  <label className="library-form-check">
+                    <input
+                      type="checkbox"
+                      checked={libraryForm.readOnly}
+                      onChange={(e) => updateLibraryForm('readOnly', e.target.checked)}
+                    />
+                    只读（不修改音乐文件标签）
+                  </label>
+                </div>
+              </div>
+            )}
             
             {/* 媒体库列表 */}
             <div className="libraries-list">
@@ -410,25 +972,38 @@ const SettingsPage = ({ player }) => {
                     <div className="library-info">
                       <div className="library-icon">📁</div>
                       <div className="library-details">
-                        <div className="library-path">{library.path}</div>
+                        <div className="library-path">{library.name || library.path}</div>
+                        {library.name && <div className="library-subpath">{library.path}</div>}
                         <div className="library-status">
                           {scanningLibrary?.id === library.id ? (
                             <span className="status scanning">🔄 扫描中 {scanProgress}%</span>
-                          ) : (
+                          ) : library.enabled ? (
                             <span className="status ready">✅ 就绪</span>
+                          ) : (
+                            <span className="status disabled">⏸️ 已停用</span>
                           )}
+                          {library.readOnly && <span className="status readonly">🔒 只读</span>}
+                          <span className="library-count">{library.trackCount || 0} 首</span>
                         </div>
                       </div>
                     </div>
                     <div className="library-actions">
                       <button 
                         onClick={() => scanMediaLibrary(library)}
-                        disabled={scanningLibrary?.id === library.id}
+                        disabled={scanningLibrary?.id === library.id || !library.enabled}
                         className="scan-btn"
                         title="扫描媒体库"
                       >
                         🔍 扫描
                       </button>
+                      <button 
+                        onClick={() => editMediaLibrary(library)}
+                        disabled={scanningLibrary?.id === library.id}
+                        className="scan-btn"
+                        title="编辑媒体库"
+                      >
+                        ✏️ 编辑
+                      </button>
                       <button 
                         onClick={() => deleteMediaLibrary(library.id)}
                         className="delete-btn"
@@ -441,6 +1016,198 @@ const SettingsPage = ({ player }) => {
                 ))
               )}
             </div>
+
+            {/* 扫描配置 */}
+            <div className="exclude-patterns">
+              <label>
+                全局排除规则（gitignore 语法，每行一个）。目录中放置 .nomedia 或 .ignore 文件可跳过整个目录，放置 .musicignore 文件可为该目录单独设置规则
+                <textarea
+                  rows={4}
+                  value={scanConfig.excludePatterns}
+                  onChange={(e) => setScanConfig({ ...scanConfig, excludePatterns: e.target.value })}
+                />
+              </label>
+              <label>
+                解析线程数（0 表示自动，当前为 {scanConfig.defaultConcurrency}）
+                <input
+                  type="number"
+                  min="0"
+                  max="32"
+                  value={scanConfig.scanConcurrency}
+                  onChange={(e) => setScanConfig({ ...scanConfig, scanConcurrency: e.target.value })}
+                />
+              </label>
+              <label>
+                专辑封面图片文件名（按优先级排列，逗号分隔，不带扩展名时匹配任意图片格式）。音乐文件没有内嵌封面时使用
+                <input
+                  type="text"
+                  className="image-file-names"
+                  value={scanConfig.coverFileNames}
+                  onChange={(e) => setScanConfig({ ...scanConfig, coverFileNames: e.target.value })}
+                />
+              </label>
+              <label>
+                歌手图片文件名（放在歌手目录或专辑目录中，作为歌手头像）
+                <input
+                  type="text"
+                  className="image-file-names"
+                  value={scanConfig.artistImageFileNames}
+                  onChange={(e) => setScanConfig({ ...scanConfig, artistImageFileNames: e.target.value })}
+                />
+              </label>
+              <button className="scan-btn" onClick={saveScanConfig}>💾 保存扫描配置</button>
+            </div>
+
+            {/* 流派合并规则 */}
+            <div className="exclude-patterns">
+              <label>
+                流派合并规则（每行一条，格式为 标准名称 = 别名 = 别名，如 Hip-Hop = Hip Hop = 嘻哈）。大小写、空格和连字符不同的流派会自动合并
+                <textarea
+                  rows={4}
+                  value={genreAliases}
+                  onChange={(e) => setGenreAliases(e.target.value)}
+                />
+              </label>
+              <button className="scan-btn" onClick={saveGenreAliases}>💾 保存流派规则</button>
+            </div>
+          </div>
+
+          {/* 音量均衡 */}
+          <div className="settings-section">
+            <div className="settings-section-header">
+              <h3>🔊 音量均衡</h3>
+              <p className="settings-section-desc">
+                根据 ReplayGain / R128 标签调整播放音量，避免不同年代的录音音量差异过大
+                {playbackConfig.stats && `。标签 ${playbackConfig.stats.tag} 首，已分析 ${playbackConfig.stats.analysis} 首，待分析 ${playbackConfig.stats.missing} 首，分析失败 ${playbackConfig.stats.error} 首`}
+              </p>
+            </div>
+            <div className="schedule-form">
+              <label>
+                <span>均衡模式</span>
+                <select value={playbackConfig.replayGainMode} onChange={(e) => setPlaybackConfig({ ...playbackConfig, replayGainMode: e.target.value })}>
+                  <option value="off">关闭</option>
+                  <option value="track">音轨增益</option>
+                  <option value="album">专辑增益</option>
+                </select>
+              </label>
+              <label>
+                <span>前置放大（dB）</span>
+                <input type="number" min="-15" max="15" step="0.5" value={playbackConfig.replayGainPreamp} onChange={(e) => setPlaybackConfig({ ...playbackConfig, replayGainPreamp: e.target.value })} />
+              </label>
+            </div>
+            <div className="config-item">
+              <div className="config-info">
+                <div className="config-icon">📉</div>
+                <div className="config-details">
+                  <div className="config-title">防止削波</div>
+                  <div className="config-desc">根据峰值限制增益，避免放大后失真</div>
+                </div>
+              </div>
+              <div className="config-control">
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={playbackConfig.replayGainPreventClipping}
+                    onChange={(e) => setPlaybackConfig({ ...playbackConfig, replayGainPreventClipping: e.target.checked })}
+                  />
+                  <span className="slider"></span>
+                </label>
+              </div>
+            </div>
+            <div className="config-item">
+              <div className="config-info">
+                <div className="config-icon">📊</div>
+                <div className="config-details">
+                  <div className="config-title">响度分析</div>
+                  <div className="config-desc">定时分析没有增益标签的音乐并保存增益（WAV 以外的格式需要 ffmpeg），执行间隔在定时任务中设置</div>
+                </div>
+              </div>
+              <div className="config-control">
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={playbackConfig.loudnessAnalysisEnabled}
+                    onChange={(e) => setPlaybackConfig({ ...playbackConfig, loudnessAnalysisEnabled: e.target.checked })}
+                  />
+                  <span className="slider"></span>
+                </label>
+              </div>
+            </div>
+            <div className="sync-actions">
+              <button className="sync-btn" onClick={savePlaybackConfig}>💾 保存音量均衡</button>
+            </div>
+          </div>
+
+          {/* 串流音质 */}
+          <div className="settings-section">
+            <div className="settings-section-header">
+              <h3>🎧 串流音质</h3>
+              <p className="settings-section-desc">
+                使用 ffmpeg 将高码率或浏览器无法播放的格式（如 WMA、APE）实时转码后播放，适合移动网络。HLS 分段串流便于在慢速网络中拖动进度，需要浏览器原生支持 HLS（不支持时使用渐进式下载）
+                {playbackConfig.transcode && `。正在转码 ${playbackConfig.transcode.active} 首，排队 ${playbackConfig.transcode.queued} 首`}
+              </p>
+            </div>
+            <div className="schedule-form">
+              <label>
+                <span>播放音质</span>
+                <select value={playbackConfig.streamQuality} onChange={(e) => setPlaybackConfig({ ...playbackConfig, streamQuality: e.target.value })}>
+                  <option value="original">原始音质</option>
+                  <option value="high">高（320kbps）</option>
+                  <option value="medium">中（192kbps）</option>
+                  <option value="low">低（96kbps）</option>
+                </select>
+              </label>
+              <label>
+                <span>转码格式</span>
+                <select value={playbackConfig.streamFormat} onChange={(e) => setPlaybackConfig({ ...playbackConfig, streamFormat: e.target.value })}>
+                  <option value="mp3">MP3</option>
+                  <option value="opus">Opus</option>
+                  <option value="aac">AAC</option>
+                </select>
+              </label>
+              <label>
+                <span>串流方式</span>
+                <select value={playbackConfig.streamProtocol} onChange={(e) => setPlaybackConfig({ ...playbackConfig, streamProtocol: e.target.value })}>
+                  <option value="progressive">渐进式下载</option>
+                  <option value="auto">转码或播放出错时使用 HLS</option>
+                  <option value="hls">始终使用 HLS</option>
+                </select>
+              </label>
+              <label>
+                <span>最大并发转码数</span>
+                <input type="number" min="1" max="16" value={playbackConfig.transcodeMaxConcurrent} onChange={(e) => setPlaybackConfig({ ...playbackConfig, transcodeMaxConcurrent: e.target.value })} />
+              </label>
+              <label>
+                <span>缓存上限（MB）</span>
+                <input type="number" min="0" step="256" value={playbackConfig.transcodeCacheSize} onChange={(e) => setPlaybackConfig({ ...playbackConfig, transcodeCacheSize: e.target.value })} />
+              </label>
+              <label>
+                <span>HLS 分段缓存上限（MB）</span>
+                <input type="number" min="0" step="256" value={playbackConfig.hlsCacheSize} onChange={(e) => setPlaybackConfig({ ...playbackConfig, hlsCacheSize: e.target.value })} />
+              </label>
+            </div>
+            <div className="config-item">
+              <div className="config-info">
+                <div className="config-icon">💽</div>
+                <div className="config-details">
+                  <div className="config-title">转码缓存</div>
+                  <div className="config-desc">将完整的转码结果保存到磁盘，再次播放时无需重新转码，并支持直接拖动进度</div>
+                </div>
+              </div>
+              <div className="config-control">
+                <label className="switch">
+                  <input
+                    type="checkbox"
+                    checked={playbackConfig.transcodeCacheEnabled}
+                    onChange={(e) => setPlaybackConfig({ ...playbackConfig, transcodeCacheEnabled: e.target.checked })}
+                  />
+                  <span className="slider"></span>
+                </label>
+              </div>
+            </div>
+            <div className="sync-actions">
+              <button className="sync-btn" onClick={savePlaybackConfig}>💾 保存串流设置</button>
+            </div>
           </div>
 
           {/* 刮削功能设置 */}
@@ -483,6 +1250,173 @@ const SettingsPage = ({ player }) => {
             </div>
           </div>
 
+          {/* 定时任务 */}
+          <div className="settings-section">
+            <div className="settings-section-header">
+              <h3>⏰ 定时任务</h3>
+              <p className="settings-section-desc">定时扫描媒体库、在线刮削和响度分析（刮削和响度分析需先开启），同一时间只运行一个任务。间隔单位为分钟，0 表示关闭；填写 cron 表达式（如 0 3 * * *）时优先使用 cron</p>
+            </div>
+            <div className="schedule-list">
+              {schedules.jobs.map(job => (
+                <div key={job.name} className="config-item schedule-item">
+                  <div className="config-info">
+                    <div className="config-icon">{SCHEDULE_ICONS[job.name] || '⏰'}</div>
+                    <div className="config-details">
+                      <div className="config-title">{job.label}{!job.enabled && ' (未开启)'}</div>
+                      <div className="config-desc">
+                        上次执行: {formatScheduleTime(job.lastRunAt)} {scheduleStatusText[job.lastStatus] || ''}
+                        {job.lastError && <span className="schedule-error"> {job.lastError}</span>}
+                      </div>
+                      <div className="config-desc">下次执行: {formatScheduleTime(job.nextRunAt)}</div>
+                    </div>
+                  </div>
+                  <div className="config-control">
+                    <button
+                      className="scan-btn"
+                      onClick={() => runSchedule(job.name)}
+                      disabled={!!schedules.running}
+                    >
+                      ▶ 立即执行
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+            <div className="schedule-form">
+              <label>
+                <span>扫描间隔（分钟）</span>
+                <input type="number" min="0" value={scheduleForm.scanInterval} onChange={(e) => setScheduleForm({ ...scheduleForm, scanInterval: e.target.value })} />
+              </label>
+              <label>
+                <span>扫描 cron</span>
+                <input type="text" placeholder="如 0 3 * * *" value={scheduleForm.scanCron} onChange={(e) => setScheduleForm({ ...scheduleForm, scanCron: e.target.value })} />
+              </label>
+              <label>
+                <span>刮削间隔（分钟）</span>
+                <input type="number" min="0" value={scheduleForm.scrapingInterval} onChange={(e) => setScheduleForm({ ...scheduleForm, scrapingInterval: e.target.value })} />
+              </label>
+              <label>
+                <span>刮削 cron</span>
+                <input type="text" placeholder="如 0 4 * * 0" value={scheduleForm.scrapingCron} onChange={(e) => setScheduleForm({ ...scheduleForm, scrapingCron: e.target.value })} />
+              </label>
+              <label>
+                <span>响度分析间隔（分钟）</span>
+                <input type="number" min="0" value={scheduleForm.loudnessInterval} onChange={(e) => setScheduleForm({ ...scheduleForm, loudnessInterval: e.target.value })} />
+              </label>
+              <label>
+                <span>响度分析 cron</span>
+                <input type="text" placeholder="如 0 2 * * *" value={scheduleForm.loudnessCron} onChange={(e) => setScheduleForm({ ...scheduleForm, loudnessCron: e.target.value })} />
+              </label>
+              <label>
+                <span>完整性检查间隔（分钟）</span>
+                <input type="number" min="0" value={scheduleForm.integrityInterval} onChange={(e) => setScheduleForm({ ...scheduleForm, integrityInterval: e.target.value })} />
+              </label>
+              <label>
+                <span>完整性检查 cron</span>
+                <input type="text" placeholder="如 0 3 * * 0" value={scheduleForm.integrityCron} onChange={(e) => setScheduleForm({ ...scheduleForm, integrityCron: e.target.value })} />
+              </label>
+              <label>
+                <span>波形生成间隔（分钟）</span>
+                <input type="number" min="0" value={scheduleForm.waveformInterval} onChange={(e) => setScheduleForm({ ...scheduleForm, waveformInterval: e.target.value })} />
+              </label>
+              <label>
+                <span>波形生成 cron</span>
+                <input type="text" placeholder="如 0 5 * * *" value={scheduleForm.waveformCron} onChange={(e) => setScheduleForm({ ...scheduleForm, waveformCron: e.target.value })} />
+              </label>
+              <label>
+                <span>免打扰开始</span>
+                <input type="time" value={scheduleForm.quietHoursStart} onChange={(e) => setScheduleForm({ ...scheduleForm, quietHoursStart: e.target.value })} />
+              </label>
+              <label>
+                <span>免打扰结束</span>
+                <input type="time" value={scheduleForm.quietHoursEnd} onChange={(e) => setScheduleForm({ ...scheduleForm, quietHoursEnd: e.target.value })} />
+              </label>
+            </div>
+            <div className="sync-actions">
+              <button className="sync-btn" onClick={saveSchedules}>💾 保存定时任务</button>
+            </div>
+          </div>
+
+          {/* 账号 */}
+          {currentUser && (
+            <div className="settings-section">
+              <div className="settings-section-header">
+                <h3>👤 账号</h3>
+                <p className="settings-section-desc">
+                  当前登录：{currentUser.username}（{currentUser.role === 'admin' ? '管理员' : '普通用户'}）。普通用户可以播放音乐、收藏和调整自己的音效设置，媒体库和其他设置只有管理员可以修改
+                </p>
+              </div>
+              <div className="schedule-form">
+                <label>
+                  <span>当前密码</span>
+                  <input type="password" autoComplete="current-password" value={passwordForm.currentPassword} onChange={(e) => setPasswordForm({ ...passwordForm, currentPassword: e.target.value })} />
+                </label>
+                <label>
+                  <span>新密码</span>
+                  <input type="password" autoComplete="new-password" value={passwordForm.newPassword} onChange={(e) => setPasswordForm({ ...passwordForm, newPassword: e.target.value })} />
+                </label>
+                <label>
+                  <span>确认新密码</span>
+                  <input type="password" autoComplete="new-password" value={passwordForm.confirmPassword} onChange={(e) => setPasswordForm({ ...passwordForm, confirmPassword: e.target.value })} />
+                </label>
+              </div>
+              <div className="sync-actions">
+                <button className="sync-btn" onClick={changePassword} disabled={!passwordForm.currentPassword || !passwordForm.newPassword}>🔑 修改密码</button>
+                <button className="sync-btn" onClick={logout}>🚪 退出登录</button>
+              </div>
+
+              {currentUser.role === 'admin' && (
+                <>
+                  <div className="libraries-list">
+                    {users.map(user => (
+                      <div key={user.id} className="library-item">
+                        <div className="library-info">
+                          <div className="library-icon">{user.role === 'admin' ? '🛡️' : '👤'}</div>
+                          <div className="library-details">
+                            <div className="library-path">{user.username}</div>
+                            <div className="library-status">
+                              <span className={`status ${user.role === 'admin' ? 'readonly' : 'ready'}`}>{user.role === 'admin' ? '管理员' : '普通用户'}</span>
+                              <span className="library-count">
+                                {user.lastLoginAt ? `最近登录 ${new Date(user.lastLoginAt).toLocaleString()}` : '从未登录'}
+                              </span>
+                            </div>
+                          </div>
+                        </div>
+                        {user.id !== currentUser.id && (
+                          <div className="library-actions">
+                            <button onClick={() => deleteUser(user)} className="delete-btn" title="删除用户">
+                              🗑️ 删除
+                            </button>
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                  <div className="schedule-form">
+                    <label>
+                      <span>用户名</span>
+                      <input type="text" autoComplete="off" value={userForm.username} onChange={(e) => setUserForm({ ...userForm, username: e.target.value })} />
+                    </label>
+                    <label>
+                      <span>密码</span>
+                      <input type="password" autoComplete="new-password" value={userForm.password} onChange={(e) => setUserForm({ ...userForm, password: e.target.value })} />
+                    </label>
+                    <label>
+                      <span>角色</span>
+                      <select value={userForm.role} onChange={(e) => setUserForm({ ...userForm, role: e.target.value })}>
+                        <option value="user">普通用户</option>
+                        <option value="admin">管理员</option>
+                      </select>
+                    </label>
+                  </div>
+                  <div className="sync-actions">
+                    <button className="sync-btn" onClick={addUser} disabled={!userForm.username.trim() || !userForm.password}>➕ 添加用户</button>
+                  </div>
+                </>
+              )}
+            </div>
+          )}
+
           {/* 数据同步 */}
           <div className="settings-section">
             <div className="settings-section-header">
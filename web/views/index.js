@@ -2,6 +2,7 @@
 export { default as MusicPage } from './Music';
 export { default as AlbumsPage } from './Albums';
 export { default as ArtistsPage } from './Artists';
+export { default as GenresPage } from './Genres';
 export { default as FavoritesPage } from './Favorites';
 export { default as RecentlyPlayedPage } from './RecentlyPlayed';
 export { default as SettingsPage } from './Settings';
@@ -14,4 +15,7 @@ export { default as TrackDetailPage } from './tracks/TrackDetail';
 export { default as ShufflePage } from './shuffle/index';
 
 // 新增：音乐详情试图
-export { default as ArtistDetailView } from './Artists/ArtistDetail';
\ No newline at end of file
+export { default as ArtistDetailView } from './Artists/ArtistDetail';
+
+// 流派详情视图
+export { default as GenreDetailView } from './Genres/GenreDetail';
@@ -2,6 +2,7 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { MusicList } from '../../components';
 import { useNavigate } from 'react-router-dom';
 import { useUrlState } from '../../hooks';
+import { parseResponse } from '../../utils';
 import './Shuffle.css';
 
 const ShufflePage = ({ player }) => {
@@ -32,7 +33,7 @@ const ShufflePage = ({ player }) => {
       params.set('order', state.sortOrder);
 
       const response = await fetch(`/api/music/random?${params.toString()}`);
-      const result = await response.json();
+      const result = await parseResponse(response);
 
       if (response.ok) {
         const tracksData = result.data || [];
@@ -50,6 +51,12 @@ const ShufflePage = ({ player }) => {
           fileSize: t.size,
           bitrate: t.bitrate,
           sampleRate: t.sampleRate,
+          bitsPerSample: t.bitsPerSample,
+          codec: t.codec,
+          lossless: t.lossless,
+          encoderDelay: t.encoderDelay,
+          encoderPadding: t.encoderPadding,
+          sampleCount: t.sampleCount,
           coverImage: t.coverImage,
           favorite: t.favorite,
           playCount: t.playCount,
@@ -1,7 +1,25 @@
 import React, { useEffect, useMemo, useState } from 'react';
 import { useNavigate, useParams } from 'react-router-dom';
+import { parseResponse } from '../../utils';
 import './TrackDetail.css';
 
+// 歌词来源说明
+const LYRICS_SOURCE_LABELS = {
+  embedded: '内嵌标签',
+  sidecar: '外挂歌词文件',
+  online: '在线搜索'
+};
+
+// 创作信息字段
+const CREDIT_FIELDS = [
+  { key: 'composer', label: '🎼 作曲' },
+  { key: 'lyricist', label: '✍️ 作词' },
+  { key: 'conductor', label: '🎻 指挥' },
+  { key: 'label', label: '🏢 唱片公司' },
+  { key: 'catalogNumber', label: '🔖 唱片编号' },
+  { key: 'isrc', label: '🔢 ISRC' }
+];
+
 const TrackDetailPage = ({ player }) => {
   const navigate = useNavigate();
   const { trackId } = useParams();
@@ -11,7 +29,8 @@ const TrackDetailPage = ({ player }) => {
     artist: '', 
     album: '', 
     year: '', 
-    lyrics: ''
+    lyrics: '',
+    lyricsSource: ''
   });
   const [coverPreview, setCoverPreview] = useState('');
   const [loading, _setLoading] = useState(false);
@@ -38,7 +57,7 @@ const TrackDetailPage = ({ player }) => {
       try {
         setLoading(true);
         const res = await fetch(`/api/music/tracks/${trackId}`);
-        const json = await res.json();
+        const json = await parseResponse(res);
         if (json?.success) {
           setTrack(json.data);
           setFavorite(json.data.favorite);
@@ -59,7 +78,8 @@ const TrackDetailPage = ({ player }) => {
         artist: track.artist || '',
         album: track.album || '',
         year: track.year || '',
-        lyrics: track.lyrics || ''
+        lyrics: track.lyrics || '',
+        lyricsSource: track.lyricsSource || ''
       });
       setCoverPreview(track.coverImage || '');
     }
@@ -189,11 +209,12 @@ const TrackDetailPage = ({ player }) => {
           album: form.album, 
           year: form.year, 
           lyrics: form.lyrics,
+          lyricsSource: form.lyricsSource,
           coverImage: coverPreview
         })
       });
       
-      const result = await response.json();
+      const result = await parseResponse(response);
       if (result.success) {
         // 更新本地track数据
         setTrack(prev => ({ ...prev, ...form, coverImage: coverPreview }));
@@ -221,7 +242,7 @@ const TrackDetailPage = ({ player }) => {
       if (form.artist.trim()) params.append('artist', form.artist.trim());
       
       const res = await fetch(`/api/online/search/music?${params.toString()}`);
-      const json = await res.json();
+      const json = await parseResponse(res);
       
       if (json?.success) {
         setSearchResults(json.data);
@@ -302,11 +323,12 @@ const TrackDetailPage = ({ player }) => {
       params.append('title', data.title.trim());
       params.append('artist', data.artist.trim());
       const res = await fetch(`/api/online/lyrics?${params.toString()}`);
-      const json = await res.json();
+      const json = await parseResponse(res);
       if (json?.success) {
         setForm(prev => ({
           ...prev,
           lyrics: json.data.lyrics || prev.lyrics,
+          lyricsSource: json.data.lyrics ? 'online' : prev.lyricsSource,
         }));
       }
     } catch (error) {
@@ -433,6 +455,19 @@ const TrackDetailPage = ({ player }) => {
                         {track.bitrate ? `${Math.round(track.bitrate / 1000)} kbps` : '未知'}
                       </span>
                     </div>
+                    {track.codec && (
+                      <div className="td-file-info-item">
+                        <span className="td-file-info-label">🎚️ 音频格式</span>
+                        <span className="td-file-info-value">
+                          {[
+                            track.codec.toUpperCase(),
+                            track.bitsPerSample && `${track.bitsPerSample} bit`,
+                            track.sampleRate && `${+(track.sampleRate / 1000).toFixed(1)} kHz`,
+                            track.lossless ? '无损' : '有损'
+                          ].filter(Boolean).join(' · ')}
+                        </span>
+                      </div>
+                    )}
                     <div className="td-file-info-item">
                       <span className="td-file-info-label">▶️ 播放次数</span>
                       <span className="td-file-info-value">
@@ -443,6 +478,23 @@ const TrackDetailPage = ({ player }) => {
                 )}
               </div>
             </div>
+
+            {/* 创作信息（作曲、作词、唱片公司等） */}
+            {track && CREDIT_FIELDS.some(({ key }) => track[key]) && (
+              <div className="td-file-info">
+                <div className="td-file-info-header">
+                  <h4>🎼 创作信息</h4>
+                </div>
+                <div className="td-file-info-content">
+                  {CREDIT_FIELDS.filter(({ key }) => track[key]).map(({ key, label }) => (
+                    <div className="td-file-info-item" key={key}>
+                      <span className="td-file-info-label">{label}</span>
+                      <span className="td-file-info-value">{track[key]}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
 
           <div className="td-form">
@@ -490,7 +542,12 @@ const TrackDetailPage = ({ player }) => {
 
           <div className="td-lyrics-wrap">
             <div className="td-form-row">
-              <label>歌词</label>
+              <label>
+                歌词
+                {form.lyricsSource && LYRICS_SOURCE_LABELS[form.lyricsSource] && (
+                  <span className="td-lyrics-source">来源：{LYRICS_SOURCE_LABELS[form.lyricsSource]}</span>
+                )}
+              </label>
               <textarea 
                 className="td-lyrics" 
                 value={form.lyrics} 